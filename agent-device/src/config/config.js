@@ -3,6 +3,24 @@ import dotenv from 'dotenv'
 
 dotenv.config()
 
+// 中文注释：读取 JSON 格式的环境变量（如健康检查定义），格式错误时启动即报错
+function parseJsonEnv(name) {
+  const raw = process.env[name]
+  if (!raw) return null
+
+  try {
+    return JSON.parse(raw)
+  } catch {
+    throw new Error(`环境变量 ${name} 不是有效的 JSON`)
+  }
+}
+
+// 中文注释：读取非负整数环境变量，0 是有效值（如不重试），未配置或格式错误时使用默认值
+function parseNonNegativeIntEnv(name, defaultValue) {
+  const parsed = Number.parseInt(process.env[name], 10)
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue
+}
+
 // 中文注释：设备端配置，导出为 ESM 默认导出
 export default {
   // 服务端连接配置
@@ -25,19 +43,84 @@ export default {
 
   // 文件下载配置
   download: {
-    chunkSize: 1024 * 1024, // 1MB 分片大小
-    maxRetries: 3, // 最大重试次数
-    retryDelay: 1000, // 重试延迟
+    chunkSize: Number.parseInt(process.env.DOWNLOAD_CHUNK_SIZE, 10) || 1024 * 1024, // 分片大小，默认 1MB
+    concurrency: Number.parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 4, // 同时下载的分片数
+    maxRetries: parseNonNegativeIntEnv('DOWNLOAD_MAX_RETRIES', 3), // 单个分片最大重试次数，0 表示不重试
+    retryDelay: Number.parseInt(process.env.DOWNLOAD_RETRY_DELAY, 10) || 1000, // 首次重试延迟（毫秒），之后每次翻倍
     tempDir: './downloads/temp', // 临时下载目录 先下载到临时目录，验证无误再移动到包存储目录
-    packageDir: './downloads/packages' // 包存储目录
+    packageDir: './downloads/packages', // 包存储目录
+    // 包缓存配额（字节），超出时删除最久未使用的包，各项目当前部署与上一次部署的包除外
+    cacheQuota: Number.parseInt(process.env.PACKAGE_CACHE_QUOTA, 10) || 2 * 1024 * 1024 * 1024,
+    // 局域网分发：升级时优先从同网段已缓存同一个包的设备下载，失败再从服务端下载
+    peer: {
+      download: process.env.PEER_DOWNLOAD_ENABLED !== 'false', // 是否优先从其他设备下载
+      timeout: Number.parseInt(process.env.PEER_DOWNLOAD_TIMEOUT, 10) || 10_000, // 从其他设备下载分片的超时（毫秒）
+      share: process.env.PEER_SHARE_ENABLED === 'true', // 是否向同网段设备共享本机缓存中已校验的包
+      port: Number.parseInt(process.env.PEER_SHARE_PORT, 10) || 7611, // 共享监听端口
+      address: process.env.PEER_SHARE_ADDRESS || null, // 告知其他设备的本机地址，未配置时使用首个非内网 IPv4
+      maxUploads: Number.parseInt(process.env.PEER_SHARE_MAX_UPLOADS, 10) || 4 // 同时响应的分片请求数，超出时返回 503
+    },
+    // 升级包签名校验：只接受本机公钥（服务端 GET /packages/signing-key）对应私钥签名的包
+    signature: {
+      publicKey: process.env.PACKAGE_SIGNING_PUBLIC_KEY || null, // Base64（SPKI DER）或 PEM
+      publicKeyFile: process.env.PACKAGE_SIGNING_PUBLIC_KEY_FILE || null, // PEM 文件路径，publicKey 未配置时使用
+      allowUnsigned: process.env.ALLOW_UNSIGNED_PACKAGES === 'true' // 仅用于开发：未配置公钥时跳过校验
+    }
   },
 
   // 部署配置
   deploy: {
-    frontendDir: './deployed/frontend', // 前端部署目录
-    backendDir: './deployed/backend', // 后端部署目录
+    rootDir: './deployed', // 未单独配置目录的项目部署到 <rootDir>/<项目名>
+    // 各项目的本机部署目录，DEPLOY_PROJECT_DIRS 可追加或覆盖，如 {"printer":"/opt/printer"}
+    projectDirs: {
+      frontend: './deployed/frontend',
+      backend: './deployed/backend',
+      ...parseJsonEnv('DEPLOY_PROJECT_DIRS')
+    },
     backupDir: './backup', // 备份目录
-    maxBackups: 10 // 最大备份数量
+    maxBackups: 10, // 每个项目最多保留的备份数量（backupRetention 未配置 maxCount 时使用）
+    // 备份保留策略，0 表示不限制；projects 按项目覆盖，如 {"backend":{"maxCount":3,"maxTotalSize":1073741824,"maxAgeDays":14}}
+    backupRetention: {
+      maxTotalSize: Number.parseInt(process.env.BACKUP_MAX_TOTAL_SIZE, 10) || 0, // 每个项目备份占用的最大字节数
+      maxAgeDays: Number.parseInt(process.env.BACKUP_MAX_AGE_DAYS, 10) || 0, // 备份最长保留天数
+      projects: parseJsonEnv('BACKUP_RETENTION') || {}
+    },
+    // 升级前置检查：下载之前检查各分区空间、目录写权限与被占用的文件，不通过时中止升级
+    preflight: {
+      enabled: process.env.PREFLIGHT_CHECK_ENABLED !== 'false'
+    },
+    mode: process.env.DEPLOY_MODE || 'inplace', // 部署模式：inplace 原地覆盖 / staged 暂存目录验证后整体切换
+    swapStrategy: process.env.DEPLOY_SWAP_STRATEGY || 'rename', // staged 模式的切换方式：rename 目录重命名 / symlink 切换链接
+    hooks: {
+      enabled: process.env.DEPLOY_HOOKS_ENABLED !== 'false', // 是否执行升级包清单中声明的生命周期钩子
+      timeout: Number.parseInt(process.env.DEPLOY_HOOK_TIMEOUT, 10) || 300_000 // 钩子默认超时（毫秒），清单中可单独指定
+    },
+    // 部署/回滚后重启项目服务，未配置的项目不重启；服务端项目注册表也可下发 restartStrategy，本机配置优先
+    restart: {
+      timeout: Number.parseInt(process.env.RESTART_TIMEOUT, 10) || 60_000, // 单个重启命令默认超时（毫秒）
+      pm2Command: process.env.PM2_COMMAND || 'pm2', // PM2 可执行文件
+      strategies: parseJsonEnv('RESTART_STRATEGIES') || {} // 如 {"backend":{"type":"pm2","name":"backend-api"}}
+    },
+    // 部署后健康检查（升级命令或升级包清单未指定时使用），未配置则跳过
+    healthChecks: {
+      frontend: parseJsonEnv('HEALTH_CHECK_FRONTEND'),
+      backend: parseJsonEnv('HEALTH_CHECK_BACKEND'),
+      ...parseJsonEnv('HEALTH_CHECKS') // 其他项目按项目名配置，如 {"printer":{"type":"tcp","port":9100}}
+    }
+  },
+
+  // 部署完整性校验
+  integrity: {
+    checkInterval: Number.parseInt(process.env.INTEGRITY_CHECK_INTERVAL, 10) || 0 // 定期按部署清单校验线上文件的间隔（毫秒），0 表示不启用
+  },
+
+  // Agent 自升级
+  selfUpgrade: {
+    installDir: process.env.AGENT_INSTALL_DIR || '.', // Agent 安装目录（package.json 所在目录），新版本暂存在其旁边
+    confirmTimeout: Number.parseInt(process.env.SELF_UPGRADE_CONFIRM_TIMEOUT, 10) || 120_000, // 新版本重新注册的最长等待时间（毫秒），超时恢复旧版本
+    restartMode: process.env.SELF_UPGRADE_RESTART_MODE || null, // supervisor 由 PM2/systemd 拉起 / spawn 看门狗自行启动，未配置时自动判断
+    installCommand: process.env.SELF_UPGRADE_INSTALL_COMMAND || 'npm ci --omit=dev', // 升级包未带 node_modules 且依赖有变化时执行
+    installTimeout: Number.parseInt(process.env.SELF_UPGRADE_INSTALL_TIMEOUT, 10) || 600_000 // 安装依赖超时（毫秒）
   },
 
   // 日志配置
@@ -10,10 +10,12 @@ export const PROGRESS_STEPS = {
   DOWNLOADING: 'downloading',
   EXTRACTING: 'extracting',
   DEPLOYING: 'deploying',
+  RESTARTING: 'restarting',
   VERIFYING: 'verifying',
   CLEANING: 'cleaning',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 }
 
 // 步骤显示名称映射
@@ -24,10 +26,12 @@ export const STEP_LABELS = {
   [PROGRESS_STEPS.DOWNLOADING]: '下载升级包',
   [PROGRESS_STEPS.EXTRACTING]: '解压升级包',
   [PROGRESS_STEPS.DEPLOYING]: '部署新版本',
+  [PROGRESS_STEPS.RESTARTING]: '重启服务',
   [PROGRESS_STEPS.VERIFYING]: '验证部署结果',
   [PROGRESS_STEPS.CLEANING]: '清理临时文件',
   [PROGRESS_STEPS.COMPLETED]: '操作完成',
-  [PROGRESS_STEPS.FAILED]: '操作失败'
+  [PROGRESS_STEPS.FAILED]: '操作失败',
+  [PROGRESS_STEPS.CANCELLED]: '操作已取消'
 }
 
 // 操作类型
@@ -44,7 +48,7 @@ export const OPERATION_TYPES = {
  * @param {string} options.step - 当前步骤
  * @param {number} options.progress - 进度百分比
  * @param {string} [options.message] - 进度描述
- * @param {string} [options.status] - 状态标记 (running/completed/error)
+ * @param {string} [options.status] - 状态标记 (running/completed/error/cancelled)
  * @param {Error|null} [options.error] - 错误对象
  * @param {Object} [options.metadata] - 额外元数据
  * @returns {Object} 进度更新对象
@@ -5,8 +5,13 @@ import os from 'node:os'
 import path from 'node:path'
 import { io } from 'socket.io-client'
 import si from 'systeminformation'
+import { PROGRESS_STEPS } from '../constants/progress.js'
 import DeployManager from '../services/deployManager.js'
+import DiagnosticsCollector from '../services/diagnosticsCollector.js'
 import DownloadManager from '../services/downloadManager.js'
+import PeerServer from '../services/peerServer.js'
+import SelfUpdater from '../services/selfUpdater.js'
+import { CancellationToken } from '../utils/cancellation.js'
 import { DateHelper } from '../utils/common.js'
 import DeviceIdGenerator from '../utils/deviceId.js'
 import logger from '../utils/logger.js'
@@ -31,18 +36,25 @@ export default class DeviceAgent {
     this.socket = null // Socket
     this.socketHandler = null // Socket 处理器
     this.downloadManager = null // 下载管理器
+    this.peerServer = null // 局域网分发
     this.deployManager = null // 部署管理器
+    this.selfUpdater = null // Agent 自升级
+    this.diagnosticsCollector = null // 远程诊断包
     this.isConnected = false // 是否连接
     this.isRegistered = false // 是否注册
     this.reconnectAttempts = 0 // 重连次数
     this.baseReconnectDelay = config.server.reconnectDelay // 基础重连延迟
     this.maxReconnectDelay = this.constants.maxReconnectDelay
     this.reconnectTimer = null // 重连定时器
+    this.integrityTimer = null // 定期完整性校验定时器
+    this.integrityCheckRunning = false // 上一轮完整性校验是否仍在进行
 
     // 并发控制
     this.registerPromise = null // 注册操作的Promise
     this.networkUpdatePromise = null // 网络信息更新的Promise
     this.currentOperationStatus = 'idle' // 当前操作状态：idle, upgrading, rolling_back
+    this.activeOperation = null // 进行中的升级/回滚，可通过 cmd:cancel 取消
+    this.pendingRecovery = null // 启动时恢复的中断操作，随注册上报
   }
 
   validateConfig(config) {
@@ -57,8 +69,7 @@ export default class DeviceAgent {
       'server.maxReconnectAttempts',
       'download.tempDir',
       'download.packageDir',
-      'deploy.frontendDir',
-      'deploy.backendDir',
+      'deploy.rootDir',
       'deploy.backupDir',
       'log.file'
     ]
@@ -97,10 +108,28 @@ export default class DeviceAgent {
     // 初始化服务组件
     this.downloadManager = new DownloadManager(this.config)
     this.deployManager = new DeployManager(this.config, this)
+    this.diagnosticsCollector = new DiagnosticsCollector(this.config, this)
+
+    // 加载升级包缓存索引，超出配额时清理旧包
+    await this.downloadManager.initialize()
+
+    // 开启共享时向同网段设备提供缓存中已校验的包
+    this.peerServer = new PeerServer(this.config, this.downloadManager.cache)
+    await this.peerServer.start()
 
     // 初始化部署管理器（包括版本管理器）
     await this.deployManager.initialize()
 
+    // 上次升级/回滚被断电或崩溃打断时，先完成或撤销该操作，再连接服务端接收新命令
+    this.pendingRecovery = await this.deployManager.recoverInterruptedOperation()
+
+    // 自升级切换后由新版本启动时记录 PID，注册成功后再确认升级
+    this.selfUpdater = new SelfUpdater(this.config)
+    await this.selfUpdater.resume(await this.getAgentVersion())
+
+    // 定期校验线上文件是否被修改（未配置间隔时不启用）
+    this.startIntegrityChecks()
+
     // 建立 Socket.IO 连接
     await this.connect()
   }
@@ -225,6 +254,37 @@ export default class DeviceAgent {
     }
   }
 
+  startIntegrityChecks() {
+    this.stopIntegrityChecks()
+
+    const interval = this.config.integrity?.checkInterval || 0
+    if (interval <= 0) return
+
+    logger.info(`🔍 已启用定期完整性校验，间隔 ${Math.round(interval / 1000)} 秒`)
+    this.integrityTimer = setInterval(() => this.runIntegrityCheck(), interval)
+  }
+
+  stopIntegrityChecks() {
+    if (this.integrityTimer) {
+      clearInterval(this.integrityTimer)
+      this.integrityTimer = null
+    }
+  }
+
+  // 升级、回滚进行中或上一轮尚未结束时跳过本轮，结果随下一次心跳上报
+  async runIntegrityCheck() {
+    if (this.integrityCheckRunning || !this.deployManager || !this.canPerformOperation().canPerform) return
+
+    this.integrityCheckRunning = true
+    try {
+      await this.deployManager.verifyAllDeployments()
+    } catch (error) {
+      logger.warn('定期完整性校验失败:', error.message)
+    } finally {
+      this.integrityCheckRunning = false
+    }
+  }
+
   getErrorMessage(error) {
     if (error.code === 'ECONNREFUSED') {
       return '服务器拒绝连接 (可能服务器未启动)'
@@ -285,6 +345,7 @@ export default class DeviceAgent {
           localIp: null,
           macAddresses: []
         },
+        ...(this.pendingRecovery && { operationRecovery: this.pendingRecovery }),
         timestamp: DateHelper.getCurrentDate()
       }
 
@@ -903,7 +964,7 @@ export default class DeviceAgent {
         deviceId: this.config.device.id,
         // 按分组字段发送，适配 server-koa 期望的结构
         agent: {
-          agentVersion: this.config?.device?.agentVersion || '1.0.0'
+          agentVersion: await this.getAgentVersion()
         },
         system: {
           osVersion: (await si.osInfo())?.release || null,
@@ -990,8 +1051,8 @@ export default class DeviceAgent {
     const dirs = [
       this.config.download.tempDir,
       this.config.download.packageDir,
-      this.config.deploy.frontendDir,
-      this.config.deploy.backendDir,
+      this.config.deploy.rootDir,
+      ...Object.values(this.config.deploy.projectDirs || {}),
       this.config.deploy.backupDir,
       path.dirname(this.config.log.file)
     ]
@@ -1011,11 +1072,99 @@ export default class DeviceAgent {
     return this.downloadManager
   }
 
+  // 获取局域网分发
+  getPeerServer() {
+    return this.peerServer
+  }
+
   // 获取部署管理器
   getDeployManager() {
     return this.deployManager
   }
 
+  // 获取自升级管理器
+  getSelfUpdater() {
+    return this.selfUpdater
+  }
+
+  // 获取诊断包收集器
+  getDiagnosticsCollector() {
+    return this.diagnosticsCollector
+  }
+
+  /**
+   * 注册成功后确认自升级并上报结果（新版本确认升级，或旧版本被看门狗恢复后上报恢复原因）
+   */
+  async finishSelfUpgrade() {
+    if (!this.selfUpdater) return
+
+    const report = await this.selfUpdater.confirmAndTakeReport(await this.getAgentVersion())
+    if (!report) return
+
+    this.reportSelfUpgradeResult(report)
+  }
+
+  /**
+   * 注册成功后删除操作日志中已上报的恢复结果（注册失败时保留，下次注册重新上报）
+   */
+  async acknowledgeOperationRecovery() {
+    if (!this.pendingRecovery) return
+
+    this.pendingRecovery = null
+    await this.deployManager.journal.clear()
+  }
+
+  /**
+   * 上报自升级结果：代理升级事件、批量任务设备状态和操作进度
+   */
+  reportSelfUpgradeResult(report) {
+    if (!this.socket) return
+
+    const deviceId = this.config.device.id
+    const succeeded = report.status === 'confirmed'
+    this.socket.emit('device:agent_upgrade', { deviceId, ...report, timestamp: DateHelper.getCurrentDate() })
+
+    if (report.batchTaskId) {
+      const batchStatus = succeeded ? 'success' : report.status === 'reverted' ? 'rolled_back' : 'failed'
+      this.socket.emit('batch:device_status', {
+        taskId: report.batchTaskId,
+        deviceId,
+        status: batchStatus,
+        error: report.error,
+        progress: succeeded ? 100 : null,
+        result: { fromVersion: report.fromVersion, toVersion: report.toVersion },
+        timestamp: new Date().toISOString()
+      })
+    }
+
+    // 发起升级的进程已退出，由当前进程补发会话的最终进度
+    if (report.sessionId && this.deployManager) {
+      this.deployManager.registerProgressCallback(report.sessionId, (progressUpdate) => {
+        this.socket.emit('device:operation_progress', progressUpdate)
+      })
+      if (succeeded) {
+        this.deployManager.emitProgress(
+          report.sessionId,
+          PROGRESS_STEPS.COMPLETED,
+          100,
+          `代理已升级到 ${report.toVersion}`,
+          null,
+          { status: 'completed' }
+        )
+      } else {
+        this.deployManager.emitProgress(report.sessionId, PROGRESS_STEPS.FAILED, 0, report.error, report.error)
+      }
+
+      this.deployManager.removeProgressCallback(report.sessionId)
+    }
+
+    if (succeeded) {
+      logger.info(`✅ 代理自升级完成: ${report.fromVersion || '未知版本'} -> ${report.toVersion}`)
+    } else {
+      logger.warn(`代理自升级未完成（${report.status}）: ${report.error}`)
+    }
+  }
+
   // 发送设备状态
   reportStatus(status) {
     if (!status || typeof status !== 'string') {
@@ -1054,6 +1203,49 @@ export default class DeviceAgent {
     }
   }
 
+  /**
+   * 登记进行中的升级/回滚，返回记录中的 cancellation 传给下载与部署流程
+   */
+  beginOperation(type, { project = null, sessionId = null, batchTaskId = null } = {}) {
+    this.activeOperation = {
+      type,
+      project,
+      sessionId,
+      batchTaskId,
+      cancellation: new CancellationToken(),
+      startedAt: new Date().toISOString()
+    }
+    return this.activeOperation
+  }
+
+  endOperation(operation) {
+    if (operation && this.activeOperation === operation) {
+      this.activeOperation = null
+    }
+  }
+
+  /**
+   * 请求取消进行中的升级/回滚，操作在下一个安全点中止后自行上报结果并释放操作锁
+   * @param {Object} [target] - 指定 batchTaskId 或 sessionId 时只取消对应的操作
+   * @returns {{ success: boolean, reason?: string, operation?: Object }}
+   */
+  cancelOperation({ batchTaskId = null, sessionId = null, reason = null } = {}) {
+    const operation = this.activeOperation
+    if (!operation) {
+      return { success: false, reason: '当前没有可取消的升级或回滚操作' }
+    }
+
+    if ((batchTaskId && batchTaskId !== operation.batchTaskId) || (sessionId && sessionId !== operation.sessionId)) {
+      return { success: false, reason: '进行中的操作与取消请求不匹配' }
+    }
+
+    if (!operation.cancellation.cancel(reason || '操作已被取消')) {
+      return { success: false, reason: '操作已进入服务重启或健康检查阶段，无法取消' }
+    }
+
+    return { success: true, operation }
+  }
+
   // 断开连接
   disconnect() {
     try {
@@ -1069,6 +1261,7 @@ export default class DeviceAgent {
   cleanup() {
     // 清理定时器
     this.clearReconnectTimer()
+    this.stopIntegrityChecks()
 
     // 清理 Socket 连接
     if (this.socket) {
@@ -1111,6 +1304,16 @@ export default class DeviceAgent {
       this.downloadManager = null
     }
 
+    // 停止局域网分发
+    if (this.peerServer) {
+      try {
+        this.peerServer.stop()
+      } catch (error) {
+        logger.warn('停止局域网分发时发生错误:', error.message)
+      }
+      this.peerServer = null
+    }
+
     // 清理部署管理器
     if (this.deployManager) {
       try {
@@ -1,6 +1,27 @@
 // 中文注释：Socket 事件处理器（ESM 默认导出）
+import path from 'node:path'
+import { PROGRESS_STEPS } from '../constants/progress.js'
+import { PREFLIGHT_ERRORS, createPreflightError } from '../services/preflightChecker.js'
+import { AGENT_PROJECT } from '../services/selfUpdater.js'
+import { isCancelledError } from '../utils/cancellation.js'
 import { DateHelper, ErrorLogger } from '../utils/common.js'
 import logger from '../utils/logger.js'
+import { DELTA_REJECTED } from '../utils/packageDelta.js'
+
+// device:command 中支持的命令，与 handleCommand 的分支保持一致
+const DEVICE_COMMANDS = new Set([
+  'cmd:upgrade',
+  'cmd:rollback',
+  'cmd:selfUpgrade',
+  'cmd:cancel',
+  'cmd:status',
+  'getCurrentVersion',
+  'cmd:listBackups',
+  'cmd:deleteBackup',
+  'cmd:verify',
+  'cmd:prefetch',
+  'cmd:collectDiagnostics'
+])
 
 export default class SocketHandler {
   constructor(socket, agent) {
@@ -28,28 +49,50 @@ export default class SocketHandler {
   }
 
   setupEventListeners() {
+    // 服务端下发离线期间排队的命令时要求确认收到：受理的处理器各自确认，没有处理器的事件回复拒绝
+    this.socket.onAny((event, ...args) => {
+      if (!this.socket.hasListeners(event)) {
+        this.acknowledge(args.at(-1), false, `不支持的事件: ${event}`)
+      }
+    })
+
     // 设备注册响应
     this.socket.on('device:registered', (data) => {
       this.handleDeviceRegistered(data)
     })
 
     // 接收服务端命令
-    this.socket.on('device:command', (data) => {
-      this.handleCommand(data)
+    this.socket.on('device:command', (data, ack) => {
+      this.handleCommand(data, ack)
     })
 
     // 升级命令
-    this.socket.on('cmd:upgrade', (data) => {
+    this.socket.on('cmd:upgrade', (data, ack) => {
+      this.acknowledge(ack, true)
       this.handleUpgradeCommand(data, data?.commandId)
     })
 
     // 降级命令
-    this.socket.on('cmd:rollback', (data) => {
+    this.socket.on('cmd:rollback', (data, ack) => {
+      this.acknowledge(ack, true)
       this.handleRollbackCommand(data, data?.commandId)
     })
 
+    // Agent 自升级命令
+    this.socket.on('cmd:selfUpgrade', (data, ack) => {
+      this.acknowledge(ack, true)
+      this.handleSelfUpgradeCommand(data, data?.commandId)
+    })
+
+    // 取消进行中的升级/回滚
+    this.socket.on('cmd:cancel', (data, ack) => {
+      this.acknowledge(ack, true)
+      this.handleCancelCommand(data, data?.commandId)
+    })
+
     // 状态查询命令
-    this.socket.on('cmd:status', (data) => {
+    this.socket.on('cmd:status', (data, ack) => {
+      this.acknowledge(ack, true)
       this.handleStatusCommand(data, data?.commandId)
     })
 
@@ -59,7 +102,8 @@ export default class SocketHandler {
     })
 
     // 服务端配置推送：deployPath 更新后立刻触发一次 storage 检测并上报
-    this.socket.on('config:deploy-path', (data) => {
+    this.socket.on('config:deploy-path', (data, ack) => {
+      this.acknowledge(ack, Boolean(data?.deployPath), '缺少 deployPath')
       if (data && data.deployPath) {
         this.agent.updateSystemInfoAfterRegistration(data.deployPath).catch((error) => {
           ErrorLogger.logError('配置部署路径后更新系统信息', error, {
@@ -69,8 +113,15 @@ export default class SocketHandler {
       }
     })
 
+    // 服务端项目注册表变化后推送最新项目列表
+    this.socket.on('config:projects', (data, ack) => {
+      this.acknowledge(ack, true)
+      this.agent.getDeployManager().setRegisteredProjects(data?.projects)
+    })
+
     // 服务端触发的即时网络刷新：收到后立刻执行一次网络信息采集与上报
-    this.socket.on('config:refresh-network', () => {
+    this.socket.on('config:refresh-network', (_data, ack) => {
+      this.acknowledge(ack, true)
       this.agent.updateNetworkInfo().catch((error) => {
         ErrorLogger.logError('刷新网络信息', error)
       })
@@ -80,18 +131,37 @@ export default class SocketHandler {
     this.startHeartbeat()
   }
 
+  /**
+   * 回复服务端的送达确认（只有要求确认的消息带 ack 回调，如离线期间排队的命令）
+   * 受理时确认收到，不支持的事件或命令回复拒绝，服务端据此移出队列或记录失败
+   */
+  acknowledge(ack, accepted, error = null) {
+    if (typeof ack !== 'function') return
+    ack(accepted ? { received: true } : { received: false, error })
+  }
+
   handleDeviceRegistered(data) {
     logger.info('设备注册成功', {
       deviceId: data?.deviceId,
       message: data?.message
     })
+    // 旧版服务端不下发项目注册表，此时只接受本机配置了目录的项目
+    this.agent.getDeployManager().setRegisteredProjects(data?.projects)
     this.agent.reportStatus('registered')
     this.agent.updateSystemInfoAfterRegistration().catch((error) => {
       ErrorLogger.logError('注册后更新系统信息', error)
     })
+    // 自升级切换后的新版本注册成功即确认升级，旧版本被恢复时上报恢复原因
+    this.agent.finishSelfUpgrade().catch((error) => {
+      ErrorLogger.logError('确认代理自升级', error)
+    })
+    // 中断操作的恢复结果已随注册上报
+    this.agent.acknowledgeOperationRecovery().catch((error) => {
+      ErrorLogger.logError('清理操作恢复记录', error)
+    })
   }
 
-  async handleCommand(message) {
+  async handleCommand(message, ack = null) {
     logger.info('收到服务端命令', {
       command: message?.command,
       messageId: message?.messageId || message?.commandId || null
@@ -100,6 +170,7 @@ export default class SocketHandler {
     const command = message?.command
     const parameters = message?.params ?? message?.data ?? {}
     const messageId = message?.messageId || message?.commandId || null
+    this.acknowledge(ack, DEVICE_COMMANDS.has(command), `不支持的命令: ${command}`)
 
     try {
       switch (command) {
@@ -113,6 +184,16 @@ export default class SocketHandler {
           break
         }
 
+        case 'cmd:selfUpgrade': {
+          await this.handleSelfUpgradeCommand(parameters, messageId)
+          break
+        }
+
+        case 'cmd:cancel': {
+          this.handleCancelCommand(parameters, messageId)
+          break
+        }
+
         case 'cmd:status': {
           await this.handleStatusCommand(parameters, messageId)
           break
@@ -123,6 +204,31 @@ export default class SocketHandler {
           break
         }
 
+        case 'cmd:listBackups': {
+          await this.handleListBackupsCommand(parameters, messageId)
+          break
+        }
+
+        case 'cmd:deleteBackup': {
+          await this.handleDeleteBackupCommand(parameters, messageId)
+          break
+        }
+
+        case 'cmd:verify': {
+          await this.handleVerifyCommand(parameters, messageId)
+          break
+        }
+
+        case 'cmd:prefetch': {
+          this.handlePrefetchCommand(parameters, messageId)
+          break
+        }
+
+        case 'cmd:collectDiagnostics': {
+          this.handleCollectDiagnosticsCommand(parameters, messageId)
+          break
+        }
+
         case 'getDeployPath': {
           logger.warn('getDeployPath 命令已废弃，不再支持')
           if (messageId) {
@@ -151,6 +257,7 @@ export default class SocketHandler {
     const commandId = messageId || data?.commandId || null
     const batchTaskId = data?.batchTaskId || null // 批量任务ID
     let sessionId = null // 在函数顶部声明，确保在 catch 块中可见
+    let operation = null // 登记的进行中操作，用于响应 cmd:cancel
     const deviceId = this.agent?.config?.device?.id || 'unknown'
 
     logger.info(`🎯 收到升级指令 [项目: ${data?.project || 'N/A'}] [包: ${data?.fileName || 'N/A'}] [会话: ${data?.sessionId || 'N/A'}] [消息ID: ${messageId || 'N/A'}] [批量ID: ${batchTaskId || 'N/A'}]`)
@@ -185,7 +292,15 @@ export default class SocketHandler {
         throw new Error('升级命令参数无效')
       }
 
-      const { project, fileName, version, deployPath, preservedPaths = [] } = data
+      const {
+        project,
+        fileName,
+        version,
+        deployPath,
+        preservedPaths = [],
+        deployMode = null,
+        healthCheck = null
+      } = data
       sessionId = data.sessionId // 赋值给外层变量
 
       logger.info(`📊 会话ID检查: ${sessionId ? `已收到 ${sessionId}` : '未收到会话ID'}`)
@@ -194,6 +309,20 @@ export default class SocketHandler {
         throw new Error('升级命令缺少必需参数: project, fileName')
       }
 
+      // 预览模式只下载并分析升级包，不改动部署目录，也不改变设备状态
+      if (data.dryRun === true) {
+        await this.handleUpgradePreview(data, commandId)
+        return
+      }
+
+      // 仅前置检查：不下载、不改动部署目录，也不改变设备状态
+      if (data.preflightOnly === true) {
+        await this.handleUpgradePreflight(data, commandId)
+        return
+      }
+
+      operation = this.agent.beginOperation('upgrade', { project, sessionId, batchTaskId })
+
       // 如果有 sessionId，设置进度回调
       if (sessionId) {
         logger.debug(`🔗 设置进度回调: ${sessionId}`)
@@ -221,6 +350,17 @@ export default class SocketHandler {
         this.reportBatchTaskStatus(batchTaskId, 'upgrading', null, 10)
       }
 
+      // 下载之前执行前置检查：空间、写权限或被占用的文件不满足时中止，部署目录保持不变
+      if (this.agent.config.deploy.preflight?.enabled !== false) {
+        if (batchTaskId) {
+          this.reportBatchTaskProgress(batchTaskId, 15, 1, 3, '正在执行升级前置检查...')
+        }
+        const preflight = await this.runPreflight(data, sessionId, operation.cancellation)
+        if (!preflight.ready) {
+          throw createPreflightError(preflight)
+        }
+      }
+
       // 1. 下载升级包
       logger.debug('开始下载升级包...')
       if (batchTaskId) {
@@ -234,26 +374,53 @@ export default class SocketHandler {
         }
       }
 
-      const downloadResult = await this.agent
-        .getDownloadManager()
-        .downloadPackage(project, fileName, downloadProgressCallback)
+      // 服务端为设备当前版本准备了增量包时优先使用，不可用时改用完整包
+      let deployResult = data.delta?.fileName
+        ? await this.deployWithDelta(data, downloadProgressCallback, operation.cancellation)
+        : null
+
+      if (!deployResult) {
+        const downloadResult = await this.agent
+          .getDownloadManager()
+          .downloadPackage(project, fileName, downloadProgressCallback, {
+            signal: operation.cancellation.signal,
+            peers: data.peers // 批量任务中同网段已完成下载的种子设备
+          })
 
-      if (!downloadResult.success) {
-        throw new Error(`下载失败: ${downloadResult.error}`)
-      }
+        if (downloadResult.cancelled) {
+          throw operation.cancellation.createError()
+        }
+        if (!downloadResult.success) {
+          const downloadError = new Error(`下载失败: ${downloadResult.error}`)
+          // 签名校验失败的错误码随命令结果返回给服务端
+          downloadError.details = downloadResult.code ? { code: downloadResult.code } : null
+          throw downloadError
+        }
 
-      // 2. 部署升级包
-      logger.debug('开始部署升级包...')
-      if (batchTaskId) {
-        this.reportBatchTaskProgress(batchTaskId, 60, 2, 3, '正在部署升级包...')
-      }
+        // 2. 部署升级包
+        logger.debug('开始部署升级包...')
+        if (batchTaskId) {
+          this.reportBatchTaskProgress(batchTaskId, 60, 2, 3, '正在部署升级包...')
+        }
 
-      const deployResult = await this.agent
-        .getDeployManager()
-        .deploy(project, downloadResult.filePath, version, deployPath, preservedPaths, sessionId)
+        deployResult = await this.agent
+          .getDeployManager()
+          .deploy(project, downloadResult.filePath, version, deployPath, preservedPaths, sessionId, {
+            deployMode,
+            healthCheck,
+            cancellation: operation.cancellation,
+            batchTaskId
+          })
+        deployResult.packagePath = downloadResult.filePath
+      }
 
       if (!deployResult.success) {
-        throw new Error(`部署失败: ${deployResult.error}`)
+        const deployError = deployResult.data?.cancelled
+          ? operation.cancellation.createError()
+          : new Error(`部署失败: ${deployResult.error}`)
+        // 拒绝报告等附加信息随命令结果一起返回给服务端
+        deployError.details = deployResult.data || null
+        throw deployError
       }
 
       this.agent.reportStatus('upgrade_success')
@@ -261,6 +428,9 @@ export default class SocketHandler {
         this.reportBatchTaskStatus(batchTaskId, 'success', null, 100)
       }
 
+      // 当前部署的包与上一次部署的包不会因超出缓存配额被删除
+      await this.agent.getDownloadManager().markDeployed(project, deployResult.packagePath)
+
       // 清理进度回调
       if (sessionId) {
         logger.debug(`🧹 清理进度回调: ${sessionId}`)
@@ -278,7 +448,8 @@ export default class SocketHandler {
           project,
           version,
           deployPath: deployResult.deployPath || deployPath || null,
-          packageInfo
+          packageInfo,
+          restart: deployResult.data?.restart || null
         })
       }
 
@@ -292,6 +463,11 @@ export default class SocketHandler {
 
       logger.debug('升级完成')
     } catch (error) {
+      if (isCancelledError(error)) {
+        this.reportOperationCancelled('upgrade', { project: data?.project, sessionId, batchTaskId, commandId }, error)
+        return
+      }
+
       ErrorLogger.logError('升级失败', error, { project: data.project, commandId, batchTaskId })
       this.agent.reportStatus('upgrade_failed')
 
@@ -301,15 +477,366 @@ export default class SocketHandler {
         this.agent.getDeployManager().removeProgressCallback(sessionId)
       }
 
-      // 报告批量任务失败状态
+      // 报告批量任务失败状态（部署后健康检查不通过且已回滚的单独上报）
+      if (batchTaskId) {
+        const unhealthyRolledBack = error.details?.unhealthy && error.details?.rolledBack
+        // 前置检查未通过时附带检查结果，任务详情中列出各项原因
+        this.reportBatchTaskStatus(
+          batchTaskId,
+          unhealthyRolledBack ? 'rolled_back' : 'failed',
+          error.message,
+          null,
+          error.code === PREFLIGHT_ERRORS.FAILED ? { preflight: error.details.preflight } : null
+        )
+      }
+
+      if (commandId) {
+        const failureData = error.details
+          ? { operation: 'upgrade', project: data?.project || null, ...error.details }
+          : null
+        this.sendCommandResult(commandId, false, error.message, failureData)
+      }
+    } finally {
+      this.agent.endOperation(operation)
+    }
+  }
+
+  /**
+   * Agent 自升级：下载并准备新版本代理后交给看门狗切换，命令结果在切换前返回
+   * 最终结果（确认、恢复或失败）由注册成功后的 finishSelfUpgrade 通过 device:agent_upgrade 上报
+   */
+  async handleSelfUpgradeCommand(data, messageId = null) {
+    const commandId = messageId || data?.commandId || null
+    const batchTaskId = data?.batchTaskId || null
+    const sessionId = data?.sessionId || null
+    const deviceId = this.agent?.config?.device?.id || 'unknown'
+    const selfUpdater = this.agent.getSelfUpdater()
+    const deployManager = this.agent.getDeployManager()
+    const fromVersion = await this.agent.getAgentVersion()
+    const toVersion = data?.version ? String(data.version).replace(/^v/, '') : null
+    const context = { fromVersion, toVersion, batchTaskId, sessionId, startedAt: new Date().toISOString() }
+
+    logger.info(
+      `🎯 收到代理自升级指令 [包: ${data?.fileName || 'N/A'}] [版本: ${fromVersion || '未知'} -> ${toVersion || '未指定'}] [批量ID: ${batchTaskId || 'N/A'}]`
+    )
+
+    const reject = (errorMessage) => {
+      logger.warn(`代理自升级指令被拒绝: ${errorMessage}`)
+      if (commandId) {
+        this.sendCommandResult(commandId, false, errorMessage, { operation: 'selfUpgrade' })
+      }
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'failed', errorMessage, 0)
+      }
+    }
+
+    const operationCheck = this.agent.canPerformOperation('upgrade')
+    if (!operationCheck.canPerform) {
+      reject(operationCheck.reason)
+      return
+    }
+    if (await selfUpdater.isInProgress()) {
+      reject('代理自升级正在进行中，请稍后重试')
+      return
+    }
+    if (!data?.fileName) {
+      reject('代理自升级命令缺少必需参数: fileName')
+      return
+    }
+
+    if (toVersion && toVersion === fromVersion) {
+      logger.info(`代理已是 ${fromVersion}，无需升级`)
+      if (commandId) {
+        this.sendCommandResult(commandId, true, `代理已是 ${fromVersion}，无需升级`, {
+          operation: 'selfUpgrade',
+          fromVersion,
+          toVersion,
+          skipped: true
+        })
+      }
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'success', null, 100, { fromVersion, toVersion, skipped: true })
+      }
+      return
+    }
+
+    try {
+      if (sessionId) {
+        deployManager.registerProgressCallback(sessionId, (progressUpdate) => {
+          this.socket.emit('device:operation_progress', progressUpdate)
+        })
+        this.socket.emit('device:operation_start', {
+          sessionId,
+          deviceId,
+          operationType: 'upgrade',
+          project: AGENT_PROJECT,
+          version: toVersion,
+          timestamp: new Date().toISOString()
+        })
+      }
+
+      this.agent.reportStatus('upgrading')
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'upgrading', null, 10)
+        this.reportBatchTaskProgress(batchTaskId, 20, 1, 3, '正在下载代理升级包...')
+      }
+
+      // 1. 下载升级包
+      const downloadProgressCallback = (step, progress, message, error = null) => {
+        deployManager.emitProgress(sessionId, step, progress, message, error)
+      }
+      const downloadResult = await this.agent
+        .getDownloadManager()
+        .downloadPackage(data.project || AGENT_PROJECT, data.fileName, downloadProgressCallback)
+      if (!downloadResult.success) {
+        throw new Error(`下载失败: ${downloadResult.error}`)
+      }
+
+      // 2. 解压、校验并准备依赖
+      if (batchTaskId) {
+        this.reportBatchTaskProgress(batchTaskId, 50, 2, 3, '正在准备新版本代理...')
+      }
+      deployManager.emitProgress(sessionId, PROGRESS_STEPS.EXTRACTING, 50, '解压并校验代理升级包')
+      const staged = await selfUpdater.stage(downloadResult.filePath, { version: toVersion, deployManager })
+
+      // 3. 交给看门狗切换并重启
+      deployManager.emitProgress(
+        sessionId,
+        PROGRESS_STEPS.DEPLOYING,
+        80,
+        `切换到新版本代理 ${staged.version}，等待重新注册`
+      )
+      const watchdog = await selfUpdater.handOver(staged, { fromVersion, commandId, batchTaskId, sessionId })
+      watchdog.once('exit', (exitCode) => {
+        if (exitCode) this.handleSelfUpgradeHandOverFailure()
+      })
+
+      if (commandId) {
+        this.sendCommandResult(commandId, true, `代理升级已开始，新版本 ${staged.version} 重新注册后完成`, {
+          operation: 'selfUpgrade',
+          fromVersion,
+          toVersion: staged.version,
+          dependencies: staged.dependencies
+        })
+      }
+      if (batchTaskId) {
+        this.reportBatchTaskProgress(batchTaskId, 80, 3, 3, '正在重启代理...')
+      }
+    } catch (error) {
+      ErrorLogger.logError('代理自升级失败', error, { commandId, batchTaskId })
+      this.agent.reportStatus('upgrade_failed')
+
+      const report = await selfUpdater.markFailed(error.message, context)
+      this.agent.reportSelfUpgradeResult(report)
+      if (sessionId) {
+        deployManager.removeProgressCallback(sessionId)
+      }
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message, { operation: 'selfUpgrade', fromVersion, toVersion })
+      }
+    }
+  }
+
+  // 看门狗切换文件失败时旧版本仍在运行，由当前进程上报失败
+  async handleSelfUpgradeHandOverFailure() {
+    try {
+      const report = await this.agent.getSelfUpdater().takeHandOverFailure()
+      if (!report) return
+
+      this.agent.reportStatus('upgrade_failed')
+      this.agent.reportSelfUpgradeResult(report)
+    } catch (error) {
+      ErrorLogger.logError('上报代理自升级失败', error)
+    }
+  }
+
+  /**
+   * 升级预览（dry-run）：下载或复用已缓存的完整包，报告部署会带来的文件变更和磁盘需求
+   * 预览结果随命令结果返回，批量任务中随设备状态一起上报
+   */
+  async handleUpgradePreview(data, commandId = null) {
+    const { project, fileName, version, deployPath, preservedPaths = [], deployMode = null, batchTaskId = null } = data
+
+    logger.info(`🔍 升级预览 [项目: ${project}] [包: ${fileName}]`)
+
+    try {
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'upgrading', null, 10)
+        this.reportBatchTaskProgress(batchTaskId, 20, 1, 2, '正在获取升级包...')
+      }
+
+      const downloadResult = await this.agent.getDownloadManager().downloadPackage(project, fileName)
+      if (!downloadResult.success) {
+        throw new Error(`下载失败: ${downloadResult.error}`)
+      }
+
+      if (batchTaskId) {
+        this.reportBatchTaskProgress(batchTaskId, 60, 2, 2, '正在分析部署影响...')
+      }
+
+      const previewResult = await this.agent
+        .getDeployManager()
+        .previewDeploy(project, downloadResult.filePath, version, deployPath, preservedPaths, { deployMode })
+
+      if (!previewResult.success) {
+        throw new Error(`部署预览失败: ${previewResult.error}`)
+      }
+
+      const preview = previewResult.data
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'success', null, 100, { preview })
+      }
+
+      if (commandId) {
+        this.sendCommandResult(commandId, true, preview.ready ? '部署预览完成' : '部署预览完成，存在阻止部署的问题', {
+          operation: 'upgrade',
+          dryRun: true,
+          project,
+          version,
+          preview
+        })
+      }
+    } catch (error) {
+      ErrorLogger.logError('升级预览失败', error, { project, commandId, batchTaskId })
+
       if (batchTaskId) {
         this.reportBatchTaskStatus(batchTaskId, 'failed', error.message)
       }
 
       if (commandId) {
-        this.sendCommandResult(commandId, false, error.message)
+        this.sendCommandResult(commandId, false, error.message, { operation: 'upgrade', dryRun: true, project })
+      }
+    }
+  }
+
+  /**
+   * 升级前置检查：获取包信息后按部署目录现状检查各分区空间、目录写权限与被占用的文件（不下载升级包）
+   * @returns {Promise<Object>} 检查结果，见 DeployManager.preflight
+   */
+  async runPreflight(data, sessionId = null, cancellation = null) {
+    const { project, fileName, deployPath, preservedPaths = [], deployMode = null } = data
+    const deployManager = this.agent.getDeployManager()
+    deployManager.emitProgress(sessionId, PROGRESS_STEPS.PREPARING, 0, '正在执行升级前置检查')
+
+    const info = await this.agent.getDownloadManager().getPreflightInfo(project, fileName, cancellation?.signal)
+    cancellation?.throwIfCancelled()
+    if (!info) {
+      throw new Error('前置检查失败: 无法获取升级包信息')
+    }
+
+    const result = await deployManager.preflight(project, info.packageInfo, deployPath, preservedPaths, {
+      deployMode,
+      downloadBytes: info.downloadBytes
+    })
+
+    if (result.ready) {
+      deployManager.emitProgress(sessionId, PROGRESS_STEPS.PREPARING, 100, '升级前置检查通过')
+      logger.info(`✅ 升级前置检查通过 [项目: ${project}]`)
+    } else {
+      logger.warn(`⚠️ 升级前置检查未通过 [项目: ${project}]: ${result.problems.map((item) => item.message).join('；')}`)
+    }
+    return result
+  }
+
+  /**
+   * 仅执行升级前置检查（批量任务中对大量设备先行确认），检查结果随命令结果与设备状态上报
+   * 检查未通过时设备状态为失败，失败原因即各项问题
+   */
+  async handleUpgradePreflight(data, commandId = null) {
+    const { project, batchTaskId = null } = data
+
+    logger.info(`🩺 升级前置检查 [项目: ${project}] [包: ${data.fileName}]`)
+
+    try {
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'upgrading', null, 10)
+        this.reportBatchTaskProgress(batchTaskId, 30, 1, 1, '正在执行升级前置检查...')
+      }
+
+      const preflight = await this.runPreflight(data)
+      const failure = preflight.ready ? null : createPreflightError(preflight).message
+
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, failure ? 'failed' : 'success', failure, 100, { preflight })
       }
+
+      if (commandId) {
+        this.sendCommandResult(commandId, preflight.ready, failure || '升级前置检查通过', {
+          operation: 'upgrade',
+          preflightOnly: true,
+          project,
+          ...(!preflight.ready && { code: PREFLIGHT_ERRORS.FAILED }),
+          preflight
+        })
+      }
+    } catch (error) {
+      ErrorLogger.logError('升级前置检查失败', error, { project, commandId, batchTaskId })
+
+      if (batchTaskId) {
+        this.reportBatchTaskStatus(batchTaskId, 'failed', error.message)
+      }
+
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message, { operation: 'upgrade', preflightOnly: true, project })
+      }
+    }
+  }
+
+  /**
+   * 下载并部署增量包
+   * @returns {Promise<Object|null>} 部署结果；增量包下载失败或校验不通过时返回 null（部署目录未改动）
+   */
+  async deployWithDelta(data, progressCallback, cancellation = null) {
+    const { project, delta, version, deployPath, preservedPaths = [], deployMode = null, healthCheck = null } = data
+    const fallback = (reason) => {
+      logger.warn(`⚠️ ${reason}，改用完整包: ${data.fileName}`)
+      progressCallback('downloading', 0, `${reason}，改用完整包`)
+      return null
+    }
+
+    logger.info(`📦 使用增量包升级: ${delta.fileName}（基础版本 ${delta.baseVersion}）`)
+
+    // 增量包下载失败不是升级失败，进度中不携带错误
+    const downloadResult = await this.agent
+      .getDownloadManager()
+      .downloadPackage(
+        project,
+        delta.fileName,
+        (step, progress, message) => progressCallback(step, progress, message),
+        {
+          resource: 'deltas',
+          signal: cancellation?.signal
+        }
+      )
+
+    // 取消时不改用完整包
+    if (downloadResult.cancelled) {
+      throw cancellation.createError()
+    }
+    if (!downloadResult.success) {
+      return fallback(`增量包下载失败（${downloadResult.error}）`)
+    }
+
+    if (data.batchTaskId) {
+      this.reportBatchTaskProgress(data.batchTaskId, 60, 2, 3, '正在应用增量包...')
+    }
+
+    const deployResult = await this.agent
+      .getDeployManager()
+      .deploy(project, downloadResult.filePath, version, deployPath, preservedPaths, data.sessionId, {
+        deployMode,
+        healthCheck,
+        delta: { baseVersion: delta.baseVersion },
+        cancellation,
+        batchTaskId: data.batchTaskId
+      })
+
+    if (deployResult.data?.code === DELTA_REJECTED) {
+      return fallback(deployResult.error)
     }
+
+    deployResult.packagePath = downloadResult.filePath
+    return deployResult
   }
 
   async handleRollbackCommand(data, messageId = null) {
@@ -319,6 +846,7 @@ export default class SocketHandler {
     const batchTaskId = data?.batchTaskId || null // 批量任务ID
     const deviceId = this.agent?.config?.device?.id || 'unknown'
     const sessionId = data?.sessionId || null // 将 sessionId 声明移到方法开始处
+    let operation = null
 
     try {
       // 检查是否可以执行回滚操作
@@ -351,6 +879,7 @@ export default class SocketHandler {
       }
 
       const { project, preservedPaths } = data
+      const backupId = typeof data.backupId === 'string' && data.backupId ? data.backupId : null
 
       if (!project) {
         throw new Error('回滚命令缺少必需参数: project')
@@ -390,6 +919,7 @@ export default class SocketHandler {
         })
       }
 
+      operation = this.agent.beginOperation('rollback', { project, sessionId, batchTaskId })
       this.agent.reportStatus('rolling_back')
       if (batchTaskId) {
         this.reportBatchTaskStatus(batchTaskId, 'upgrading', null, 10)
@@ -399,14 +929,25 @@ export default class SocketHandler {
       // 🚀 调用回滚方法前的最终日志
       logger.info(`🚀 调用 deployManager.rollback():`)
       logger.info(`  - 项目: ${project}`)
-      logger.info(`  - 目标版本: null (最新备份)`)
+      logger.info(`  - 目标备份: ${backupId || '最新备份'}`)
       logger.info(`  - 白名单数组: ${JSON.stringify(preservedPathsArray)}`)
       logger.info(`  - 会话ID: ${sessionId}`)
 
-      const rollbackResult = await this.agent.getDeployManager().rollback(project, null, preservedPathsArray, sessionId)
+      const rollbackResult = await this.agent
+        .getDeployManager()
+        .rollback(project, null, preservedPathsArray, sessionId, {
+          backupId,
+          cancellation: operation.cancellation,
+          batchTaskId
+        })
 
       if (!rollbackResult.success) {
-        throw new Error(`回滚失败: ${rollbackResult.error}`)
+        const rollbackError = rollbackResult.data?.cancelled
+          ? operation.cancellation.createError()
+          : new Error(`回滚失败: ${rollbackResult.error}`)
+        // 钩子执行结果等附加信息随命令结果一起返回给服务端
+        rollbackError.details = rollbackResult.data || null
+        throw rollbackError
       }
 
       this.agent.reportStatus('rollback_success')
@@ -418,13 +959,13 @@ export default class SocketHandler {
         this.sendCommandResult(commandId, true, '回滚成功', {
           operation: 'rollback',
           project,
-          deployPath: rollbackResult.deployPath || null
+          backupId,
+          deployPath: rollbackResult.deployPath || null,
+          restart: rollbackResult.data?.restart || null
         })
       }
 
-      const targetPath =
-        rollbackResult.deployPath ||
-        (project === 'backend' ? this.agent.config.deploy.backendDir : this.agent.config.deploy.frontendDir)
+      const targetPath = rollbackResult.deployPath || this.agent.getDeployManager().getDefaultProjectDir(project)
 
       if (targetPath) {
         this.agent.updateSystemInfoAfterRegistration(targetPath).catch((error) => {
@@ -434,6 +975,11 @@ export default class SocketHandler {
 
       logger.debug('回滚完成')
     } catch (error) {
+      if (isCancelledError(error)) {
+        this.reportOperationCancelled('rollback', { project: data?.project, sessionId, batchTaskId, commandId }, error)
+        return
+      }
+
       ErrorLogger.logError('回滚失败', error, { project: data.project, commandId, batchTaskId })
       this.agent.reportStatus('rollback_failed')
 
@@ -442,13 +988,86 @@ export default class SocketHandler {
       }
 
       if (commandId) {
-        this.sendCommandResult(commandId, false, error.message)
+        const failureData = error.details
+          ? { operation: 'rollback', project: data?.project || null, ...error.details }
+          : null
+        this.sendCommandResult(commandId, false, error.message, failureData)
       }
     } finally {
       if (sessionId) {
         logger.debug(`🧹 清理回滚进度回调: ${sessionId}`)
         this.agent.getDeployManager().removeProgressCallback(sessionId)
       }
+      this.agent.endOperation(operation)
+    }
+  }
+
+  /**
+   * 取消进行中的升级/回滚：下载立即中断，部署在下一个安全点中止
+   * 命令结果只表示取消请求是否被接受，最终结果由被取消的操作通过 cancelled 进度与批量任务状态上报
+   */
+  handleCancelCommand(data, messageId = null) {
+    const commandId = messageId || data?.commandId || null
+    const result = this.agent.cancelOperation({
+      batchTaskId: data?.batchTaskId || null,
+      sessionId: data?.sessionId || null,
+      reason: data?.reason || null
+    })
+
+    if (!result.success) {
+      logger.warn(`取消指令被拒绝: ${result.reason}`)
+      if (commandId) {
+        this.sendCommandResult(commandId, false, result.reason, { operation: 'cancel' })
+      }
+      return
+    }
+
+    const { type, project, sessionId, batchTaskId } = result.operation
+    logger.warn(
+      `⏹️ 收到取消指令 [${type === 'rollback' ? '回滚' : '升级'}] [项目: ${project}] [会话: ${sessionId || 'N/A'}]`
+    )
+    if (commandId) {
+      this.sendCommandResult(commandId, true, '已请求取消，操作将在安全点中止', {
+        operation: 'cancel',
+        target: { type, project, sessionId, batchTaskId }
+      })
+    }
+  }
+
+  /**
+   * 上报升级/回滚已取消：cancelled 进度、设备状态（同时释放操作锁）、批量任务状态和命令结果
+   */
+  reportOperationCancelled(operationType, { project, sessionId, batchTaskId, commandId }, error) {
+    const rolledBack = error.details?.rolledBack ?? null
+    let message = error.message
+    if (rolledBack !== null) {
+      message = rolledBack ? `${error.message}，已恢复部署前版本` : `${error.message}，但未能恢复部署前版本`
+    }
+    logger.warn(`⏹️ ${operationType === 'rollback' ? '回滚' : '升级'}已取消 [项目: ${project}]: ${message}`)
+
+    this.agent.reportStatus(`${operationType}_cancelled`)
+
+    if (sessionId) {
+      const deployManager = this.agent.getDeployManager()
+      deployManager.emitProgress(sessionId, PROGRESS_STEPS.CANCELLED, 100, message, null, {
+        operationType,
+        status: 'cancelled',
+        rolledBack
+      })
+      deployManager.removeProgressCallback(sessionId)
+    }
+
+    if (batchTaskId) {
+      this.reportBatchTaskStatus(batchTaskId, 'cancelled', message, null, rolledBack === null ? null : { rolledBack })
+    }
+
+    if (commandId) {
+      this.sendCommandResult(commandId, false, message, {
+        operation: operationType,
+        project,
+        cancelled: true,
+        rolledBack
+      })
     }
   }
 
@@ -461,11 +1080,16 @@ export default class SocketHandler {
       const systemUptime = await this.getSystemUptime()
       const deployManager = this.agent.getDeployManager()
 
+      const projects = {}
+      for (const project of deployManager.getProjectNames()) {
+        // eslint-disable-next-line no-await-in-loop -- 逐个读取各项目的版本文件
+        projects[project] = await deployManager.getCurrentVersion(project)
+      }
+
       const status = {
         deviceId: this.agent.config.device.id,
         timestamp: DateHelper.getCurrentDate(),
-        frontend: await deployManager.getCurrentVersion('frontend'),
-        backend: await deployManager.getCurrentVersion('backend'),
+        projects,
         system: {
           platform: process.platform,
           arch: process.arch,
@@ -507,13 +1131,22 @@ export default class SocketHandler {
       if (this.socket.connected) {
         try {
           const systemUptime = await this.getSystemUptime()
+          // 最近一次完整性校验摘要，尚未校验时不上报
+          const integrity = this.agent.getDeployManager()?.integrityChecker.getSummary() || null
+          // 升级包缓存内容与预下载状态
+          const packageCache = this.agent.getDownloadManager()?.cache.getSummary() || null
+          // 本机网段与共享地址，服务端据此为同网段设备查找可下载的设备
+          const peer = this.agent.getPeerServer()?.getAnnouncement() || null
 
           this.socket.emit('device:heartbeat', {
             deviceId: this.agent.config.device.id,
             timestamp: Date.now(),
             health: {
               uptimeSeconds: systemUptime
-            }
+            },
+            ...(integrity ? { integrity } : {}),
+            ...(packageCache ? { packageCache } : {}),
+            ...(peer ? { peer } : {})
           })
         } catch (error) {
           ErrorLogger.logError('心跳发送失败', error)
@@ -573,15 +1206,16 @@ export default class SocketHandler {
     try {
       const { project } = parameters
 
-      if (!project || !['frontend', 'backend'].includes(project)) {
+      const deployManager = this.agent.getDeployManager()
+      try {
+        deployManager.assertProject(project)
+      } catch (error) {
         if (commandId) {
-          this.sendCommandResult(commandId, false, '项目类型参数无效，必须是 frontend 或 backend')
+          this.sendCommandResult(commandId, false, error.message)
         }
 
         return
       }
-
-      const deployManager = this.agent.getDeployManager()
       const versionInfo = await deployManager.getCurrentVersion(project)
 
       if (!versionInfo?.success) {
@@ -599,6 +1233,166 @@ export default class SocketHandler {
     }
   }
 
+  /**
+   * 列出项目的全部备份（版本、时间、大小与完整性状态）
+   */
+  async handleListBackupsCommand(parameters, messageId = null) {
+    const commandId = messageId || parameters?.commandId || null
+
+    try {
+      const project = parameters?.project
+      const backups = await this.agent.getDeployManager().listBackups(project)
+
+      if (commandId) {
+        this.sendCommandResult(commandId, true, '获取备份列表成功', { project, backups })
+      }
+    } catch (error) {
+      ErrorLogger.logError('获取备份列表失败', error, { project: parameters?.project, commandId })
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message)
+      }
+    }
+  }
+
+  /**
+   * 删除指定备份，升级或回滚进行中时拒绝，避免删除正在使用的备份
+   */
+  async handleDeleteBackupCommand(parameters, messageId = null) {
+    const commandId = messageId || parameters?.commandId || null
+
+    try {
+      const operationCheck = this.agent.canPerformOperation()
+      if (!operationCheck.canPerform) {
+        throw new Error(operationCheck.reason)
+      }
+
+      const { project, backupId } = parameters || {}
+      if (!backupId) {
+        throw new Error('删除备份命令缺少必需参数: backupId')
+      }
+
+      const result = await this.agent.getDeployManager().deleteBackup(project, backupId)
+      if (commandId) {
+        this.sendCommandResult(commandId, true, '备份已删除', result)
+      }
+    } catch (error) {
+      ErrorLogger.logError('删除备份失败', error, { ...parameters, commandId })
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message)
+      }
+    }
+  }
+
+  /**
+   * 按部署清单校验线上文件，未指定项目时校验所有记录过清单的项目
+   * 升级或回滚进行中时文件处于变化中，拒绝校验
+   */
+  async handleVerifyCommand(parameters, messageId = null) {
+    const commandId = messageId || parameters?.commandId || null
+
+    try {
+      const operationCheck = this.agent.canPerformOperation()
+      if (!operationCheck.canPerform) {
+        throw new Error(operationCheck.reason)
+      }
+
+      const deployManager = this.agent.getDeployManager()
+      const project = parameters?.project
+      const results = project
+        ? [await deployManager.verifyDeployment(project)]
+        : await deployManager.verifyAllDeployments()
+      const summary = deployManager.integrityChecker.getSummary()
+
+      if (commandId) {
+        this.sendCommandResult(commandId, true, '部署文件校验完成', { results, summary })
+      }
+    } catch (error) {
+      ErrorLogger.logError('部署文件校验失败', error, { project: parameters?.project, commandId })
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message)
+      }
+    }
+  }
+
+  /**
+   * 预下载升级包到本机缓存，维护窗口内升级时无需再下载
+   * 命令结果只表示是否已开始，下载进度与结果随心跳的包缓存摘要上报
+   */
+  handlePrefetchCommand(parameters, messageId = null) {
+    const commandId = messageId || parameters?.commandId || null
+
+    try {
+      const { project, fileName } = parameters || {}
+      if (!project || !fileName) {
+        throw new Error('预下载命令缺少必需参数: project, fileName')
+      }
+      if (path.basename(fileName) !== fileName) {
+        throw new Error(`无效的升级包文件名: ${fileName}`)
+      }
+      this.agent.getDeployManager().assertProject(project)
+
+      const result = this.agent.getDownloadManager().prefetchPackage(project, fileName)
+      if (!result.started) {
+        throw new Error(result.reason)
+      }
+
+      logger.info(`📥 开始预下载升级包 [项目: ${project}] [包: ${fileName}]`)
+      if (commandId) {
+        this.sendCommandResult(commandId, true, '已开始预下载', { operation: 'prefetch', project, fileName })
+      }
+    } catch (error) {
+      ErrorLogger.logError('预下载升级包失败', error, { ...parameters, commandId })
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message)
+      }
+    }
+  }
+
+  /**
+   * 收集诊断包（日志、部署配置、版本与备份信息、操作日志、系统信息）并上传到服务端
+   * 命令结果只表示是否已开始，上传失败时以 device:diagnostics 上报原因
+   */
+  handleCollectDiagnosticsCommand(parameters, messageId = null) {
+    const commandId = messageId || parameters?.commandId || null
+
+    try {
+      const { bundleId } = parameters || {}
+      const result = this.agent.getDiagnosticsCollector().start(parameters || {})
+      if (!result.started) {
+        throw new Error(result.reason)
+      }
+
+      logger.info(`🩺 开始收集诊断包: ${bundleId}`)
+      if (commandId) {
+        this.sendCommandResult(commandId, true, '已开始收集诊断包', { operation: 'collectDiagnostics', bundleId })
+      }
+
+      result.promise
+        .then((summary) => {
+          this.sendNotification('device:diagnostics', {
+            deviceId: this.agent.config.device.id,
+            success: true,
+            ...summary
+          })
+          return summary
+        })
+        .catch((error) => {
+          ErrorLogger.logError('收集诊断包失败', error, { bundleId })
+          this.sendNotification('device:diagnostics', {
+            deviceId: this.agent.config.device.id,
+            bundleId,
+            success: false,
+            error: error.message
+          })
+        })
+    } catch (error) {
+      ErrorLogger.logError('收集诊断包失败', error, { bundleId: parameters?.bundleId, commandId })
+      if (commandId) {
+        this.sendCommandResult(commandId, false, error.message)
+      }
+    }
+  }
+
   /**
    * 发送通知到服务器
    */
@@ -618,7 +1412,7 @@ export default class SocketHandler {
   /**
    * 报告批量任务设备状态
    */
-  reportBatchTaskStatus(batchTaskId, status, error = null, progress = null) {
+  reportBatchTaskStatus(batchTaskId, status, error = null, progress = null, result = null) {
     if (!batchTaskId) return
 
     try {
@@ -631,6 +1425,11 @@ export default class SocketHandler {
         timestamp: new Date().toISOString()
       }
 
+      // 附加结果（如升级预览报告）
+      if (result) {
+        statusData.result = result
+      }
+
       this.socket.emit('batch:device_status', statusData)
       logger.debug(`📊 批量任务状态报告: ${batchTaskId} - ${status}`)
     } catch (error) {
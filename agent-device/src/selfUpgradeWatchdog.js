@@ -0,0 +1,241 @@
+// 中文注释：Agent 自升级看门狗入口，由旧版本 Agent 以独立进程启动：node src/selfUpgradeWatchdog.js <状态文件>
+// 切换过程中 node_modules 会被整体替换，这里只依赖 Node 内置模块
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { setTimeout as delay } from 'node:timers/promises'
+import { SELF_UPGRADE_STATUS, readSelfUpgradeState, updateSelfUpgradeState } from './utils/selfUpgradeState.js'
+
+const POLL_INTERVAL = 1000 // 轮询状态文件与进程的间隔
+const TERMINATE_GRACE_PERIOD = 10_000 // SIGTERM 后等待进程退出的时间，超时发送 SIGKILL
+
+const statePath = process.argv[2] && path.resolve(process.argv[2])
+let logFile = null
+
+async function log(message) {
+  const line = `[${new Date().toISOString()}] ${message}\n`
+  process.stdout.write(line)
+  if (!logFile) return
+  try {
+    await fs.mkdir(path.dirname(logFile), { recursive: true })
+    await fs.appendFile(logFile, line)
+  } catch {
+    // 日志写入失败不影响切换
+  }
+}
+
+function isAlive(pid) {
+  if (!pid) return false
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return error.code === 'EPERM'
+  }
+}
+
+async function waitForExit(pid, timeout) {
+  const deadline = Date.now() + timeout
+  while (isAlive(pid) && Date.now() < deadline) {
+    // eslint-disable-next-line no-await-in-loop -- 轮询等待进程退出
+    await delay(200)
+  }
+  return !isAlive(pid)
+}
+
+async function terminate(pid) {
+  if (!isAlive(pid)) return
+  try {
+    process.kill(pid, 'SIGTERM')
+  } catch {
+    return
+  }
+
+  if (!(await waitForExit(pid, TERMINATE_GRACE_PERIOD))) {
+    await log(`进程 ${pid} 未响应 SIGTERM，发送 SIGKILL`)
+    try {
+      process.kill(pid, 'SIGKILL')
+    } catch {
+      // 进程已退出
+    }
+    await waitForExit(pid, TERMINATE_GRACE_PERIOD)
+  }
+}
+
+async function exists(target) {
+  try {
+    await fs.lstat(target)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// 同一文件系统内直接重命名，跨设备时复制后删除
+async function move(from, to) {
+  try {
+    await fs.rename(from, to)
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error
+    await fs.cp(from, to, { recursive: true, verbatimSymlinks: true })
+    await fs.rm(from, { recursive: true, force: true })
+  }
+}
+
+/**
+ * 将新版本条目换入安装目录，旧条目移入 previousDir；中途失败时撤销已完成的移动
+ */
+async function swapIn(state) {
+  const { installDir, stagingDir, previousDir, entries } = state
+  await fs.rm(previousDir, { recursive: true, force: true })
+  await fs.mkdir(previousDir, { recursive: true })
+
+  const done = []
+  try {
+    for (const entry of entries) {
+      const current = path.join(installDir, entry)
+      const next = path.join(stagingDir, entry)
+      // eslint-disable-next-line no-await-in-loop -- 条目逐个切换，失败时按顺序撤销
+      if (await exists(current)) {
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        await move(current, path.join(previousDir, entry))
+        done.push({ entry, movedOut: true })
+      } else {
+        done.push({ entry, movedOut: false })
+      }
+
+      // eslint-disable-next-line no-await-in-loop -- 同上
+      if (await exists(next)) {
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        await move(next, current)
+        done.at(-1).movedIn = true
+      }
+    }
+  } catch (error) {
+    for (const { entry, movedOut, movedIn } of done.reverse()) {
+      const current = path.join(installDir, entry)
+      // eslint-disable-next-line no-await-in-loop -- 按相反顺序撤销
+      if (movedIn) await move(current, path.join(stagingDir, entry)).catch(() => {})
+      // eslint-disable-next-line no-await-in-loop -- 同上
+      if (movedOut) await move(path.join(previousDir, entry), current).catch(() => {})
+    }
+    throw error
+  }
+}
+
+/**
+ * 恢复旧版本：移除新版本条目，把 previousDir 中的旧条目移回安装目录
+ */
+async function revert(state) {
+  const { installDir, previousDir, entries } = state
+  for (const entry of entries) {
+    const current = path.join(installDir, entry)
+    const previous = path.join(previousDir, entry)
+    // eslint-disable-next-line no-await-in-loop -- 条目逐个恢复
+    await fs.rm(current, { recursive: true, force: true })
+    // eslint-disable-next-line no-await-in-loop -- 同上
+    if (await exists(previous)) await move(previous, current)
+  }
+}
+
+// 不受进程管理器托管时由看门狗自行启动 Agent
+function startAgent(state) {
+  const child = spawn(process.execPath, [...state.execArgv, path.join(state.installDir, state.entryScript)], {
+    cwd: state.installDir,
+    env: process.env,
+    detached: true,
+    stdio: 'ignore'
+  })
+  child.unref()
+  return child.pid
+}
+
+async function cleanup(state) {
+  await fs.rm(state.previousDir, { recursive: true, force: true })
+  await fs.rm(state.stagingDir, { recursive: true, force: true })
+}
+
+async function waitForConfirmation(state) {
+  const deadline = Date.now() + state.confirmTimeout
+  while (Date.now() < deadline) {
+    // eslint-disable-next-line no-await-in-loop -- 轮询新版本 Agent 写入的确认状态
+    await delay(POLL_INTERVAL)
+    // eslint-disable-next-line no-await-in-loop -- 同上
+    const latest = await readSelfUpgradeState(statePath)
+    if (latest?.status === SELF_UPGRADE_STATUS.CONFIRMED) return latest
+  }
+  return null
+}
+
+async function main() {
+  let state = await readSelfUpgradeState(statePath)
+  if (state?.status !== SELF_UPGRADE_STATUS.STAGED) {
+    throw new Error(`状态文件无效或不是待切换状态: ${statePath}`)
+  }
+  logFile = state.logFile
+
+  await log(`开始切换 Agent ${state.fromVersion || '未知版本'} -> ${state.toVersion}`)
+  // 给旧版本留出发送命令结果的时间
+  await delay(state.handoverDelay)
+
+  try {
+    await swapIn(state)
+  } catch (error) {
+    await log(`切换文件失败，旧版本继续运行: ${error.message}`)
+    await updateSelfUpgradeState(statePath, {
+      status: SELF_UPGRADE_STATUS.FAILED,
+      error: `切换文件失败: ${error.message}`,
+      finishedAt: new Date().toISOString()
+    })
+    process.exitCode = 1
+    return
+  }
+
+  state = await updateSelfUpgradeState(statePath, {
+    status: SELF_UPGRADE_STATUS.SWAPPED,
+    swappedAt: new Date().toISOString()
+  })
+  await log(`文件已切换，重启 Agent（${state.restartMode}）`)
+
+  // supervisor 模式下旧进程退出后由 PM2 / systemd 拉起新版本
+  await terminate(state.agentPid)
+  if (state.restartMode === 'spawn') {
+    state = await updateSelfUpgradeState(statePath, { newPid: startAgent(state) })
+  }
+
+  const confirmed = await waitForConfirmation(state)
+  if (confirmed) {
+    await cleanup(confirmed)
+    await log(`新版本 ${confirmed.toVersion} 已重新注册，升级完成`)
+    return
+  }
+
+  // 超时后再读一次，新版本可能恰好在最后一轮轮询后确认
+  state = await readSelfUpgradeState(statePath)
+  if (state.status === SELF_UPGRADE_STATUS.CONFIRMED) {
+    await cleanup(state)
+    return
+  }
+
+  const reason = `新版本 ${state.toVersion} 未在 ${Math.round(state.confirmTimeout / 1000)} 秒内重新连接并注册`
+  await log(`${reason}，恢复 ${state.fromVersion || '旧版本'}`)
+  await revert(state)
+  state = await updateSelfUpgradeState(statePath, {
+    status: SELF_UPGRADE_STATUS.REVERTED,
+    error: reason,
+    finishedAt: new Date().toISOString()
+  })
+
+  // 先恢复文件再结束新版本进程，supervisor 模式下重新拉起的就是旧版本
+  await terminate(state.newPid)
+  if (state.restartMode === 'spawn') {
+    await updateSelfUpgradeState(statePath, { newPid: startAgent(state) })
+  }
+  await cleanup(state)
+  await log('已恢复旧版本')
+}
+
+main().catch(async (error) => {
+  await log(`看门狗异常退出: ${error.message}`)
+  process.exitCode = 1
+})
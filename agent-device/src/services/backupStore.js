@@ -0,0 +1,414 @@
+// 中文注释：压缩备份的存储、校验与保留策略
+import fs from 'fs-extra'
+import crypto from 'node:crypto'
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import { writeTarGzip } from '../utils/archive.js'
+import { ErrorLogger, FileHelper } from '../utils/common.js'
+import logger from '../utils/logger.js'
+
+export const BACKUP_ARCHIVE_EXTENSION = '.tar.gz'
+export const BACKUP_METADATA_EXTENSION = '.json'
+
+export const BACKUP_INTEGRITY = {
+  OK: 'ok', // 压缩包与元数据中的 SHA-256 一致
+  CORRUPTED: 'corrupted', // 压缩包损坏或缺少校验信息
+  UNVERIFIED: 'unverified' // 旧版目录备份，没有校验信息
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * 备份存储
+ *
+ * 每个备份由 <name>.tar.gz 压缩包和 <name>.json 元数据组成，元数据最后写入，
+ * 因此没有元数据的压缩包视为未完成的备份，不会出现在备份列表中。
+ * 旧版本留下的目录备份（<name>/backup-info.json）仍可列出、恢复和清理。
+ */
+export default class BackupStore {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.backupDir = config.deploy.backupDir
+    this.maxBackups = config.deploy.maxBackups
+    this.retention = config.deploy.backupRetention || {}
+
+    this.constants = {
+      maxBackupNameLength: 80, // 备份名称最大长度（保留完整版本号）
+      maxNameAttempts: 10, // 生成唯一备份名称的最大重试次数
+      legacyInfoFile: 'backup-info.json' // 旧版目录备份的信息文件
+    }
+
+    // 已通过校验的压缩包（路径 -> 大小与修改时间），文件未变化时不再重复计算 SHA-256
+    this.verifiedArchives = new Map()
+  }
+
+  /**
+   * 项目的保留策略：项目单独配置 > 全局配置，maxCount 未配置时使用 maxBackups
+   * 各项取 0 或未配置表示不限制
+   * @returns {{maxCount: number, maxTotalSize: number, maxAgeDays: number}}
+   */
+  resolvePolicy(project) {
+    const overrides = this.retention.projects?.[project] || {}
+    const pick = (key, fallback) => {
+      const value = Number(overrides[key] ?? this.retention[key] ?? fallback)
+      return Number.isFinite(value) && value > 0 ? value : 0
+    }
+
+    return {
+      maxCount: Math.floor(pick('maxCount', this.maxBackups)),
+      maxTotalSize: pick('maxTotalSize', 0),
+      maxAgeDays: pick('maxAgeDays', 0)
+    }
+  }
+
+  isArchive(backupPath) {
+    return typeof backupPath === 'string' && backupPath.endsWith(BACKUP_ARCHIVE_EXTENSION)
+  }
+
+  getMetadataPath(archivePath) {
+    return `${archivePath.slice(0, -BACKUP_ARCHIVE_EXTENSION.length)}${BACKUP_METADATA_EXTENSION}`
+  }
+
+  /**
+   * 生成唯一的备份名称，并以空文件占位，保证同名备份不会并发冲突
+   * @returns {Promise<{backupName: string, backupPath: string}>}
+   */
+  async reserveArchivePath(project, version) {
+    await fs.ensureDir(this.backupDir)
+
+    const sanitizedVersionRaw = (version || 'unknown').replace(/[^\w.-]/g, '_') || 'unknown'
+    const maxLength = this.constants.maxBackupNameLength
+
+    for (let attempt = 0; attempt <= this.constants.maxNameAttempts; attempt++) {
+      // 包含毫秒和随机数的时间戳，避免命名碰撞
+      const now = new Date()
+      const random = Math.floor(Math.random() * 1000)
+        .toString()
+        .padStart(3, '0')
+      const datePart = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`
+      const timePart = `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}${String(now.getSeconds()).padStart(2, '0')}`
+      const milliPart = String(now.getMilliseconds()).padStart(3, '0')
+      const attemptSuffix = attempt > 0 ? `-${attempt}` : ''
+      const prefix = `${project}-backup-${datePart}-${timePart}-${milliPart}-${random}${attemptSuffix}-from-`
+
+      let sanitizedVersion = sanitizedVersionRaw
+      if (prefix.length + sanitizedVersion.length > maxLength) {
+        sanitizedVersion = sanitizedVersionRaw.slice(0, Math.max(1, maxLength - prefix.length)) || 'u'
+      }
+
+      const backupName = `${prefix}${sanitizedVersion}`
+      const backupPath = path.join(this.backupDir, `${backupName}${BACKUP_ARCHIVE_EXTENSION}`)
+
+      try {
+        // wx 标志保证占位文件的创建是原子的；同名旧版目录备份同样视为冲突
+        // eslint-disable-next-line no-await-in-loop -- 名称冲突时才会重试
+        if (!(await fs.pathExists(path.join(this.backupDir, backupName)))) {
+          // eslint-disable-next-line no-await-in-loop -- 名称冲突时才会重试
+          await fs.writeFile(backupPath, '', { flag: 'wx' })
+          return { backupName, backupPath }
+        }
+      } catch (error) {
+        if (error?.code !== 'EEXIST') throw error
+      }
+
+      // eslint-disable-next-line no-await-in-loop -- 等待毫秒级时间差后重新生成时间戳
+      await new Promise((resolve) => setTimeout(resolve, 10 + attempt * 5))
+    }
+
+    throw new Error(`备份文件创建失败：经过 ${this.constants.maxNameAttempts} 次重试仍无法生成唯一路径`)
+  }
+
+  /**
+   * 将目录打包为压缩备份并写入元数据
+   * @param {string} project - 项目名称
+   * @param {string} sourceDir - 要备份的目录
+   * @param {Object} options
+   * @param {string} options.version - 备份内容的版本号
+   * @param {Function} [options.filter] - (relativePath, stats) => boolean，返回 false 时不打包该条目
+   * @param {Object} [options.extraInfo] - 额外写入元数据的字段
+   * @returns {Promise<{backupName: string, backupPath: string, metadata: Object}>}
+   */
+  async create(project, sourceDir, { version, filter, extraInfo = {} } = {}) {
+    const { backupName, backupPath } = await this.reserveArchivePath(project, version)
+
+    try {
+      const result = await writeTarGzip(sourceDir, backupPath, { filter })
+      const metadata = {
+        ...extraInfo,
+        project,
+        version: version || 'unknown',
+        createdAt: new Date().toISOString(),
+        fileCount: result.fileCount,
+        size: result.size,
+        archiveSize: result.archiveSize,
+        checksum: { algorithm: 'sha256', value: result.sha256 },
+        format: 'tar.gz',
+        sourceDir
+      }
+
+      if (!(await FileHelper.safeWriteJson(this.getMetadataPath(backupPath), metadata))) {
+        throw new Error('写入备份元数据失败')
+      }
+
+      return { backupName, backupPath, metadata }
+    } catch (error) {
+      // 打包失败时删除不完整的压缩包
+      await fs.remove(backupPath)
+      await fs.remove(this.getMetadataPath(backupPath))
+      throw error
+    }
+  }
+
+  /**
+   * 读取备份信息，压缩备份读取元数据文件，旧版目录备份读取 backup-info.json
+   * 返回值统一带有 version、createdAt、sourceDir 字段，读取失败返回 null
+   */
+  async readInfo(backupPath) {
+    const infoPath = this.isArchive(backupPath)
+      ? this.getMetadataPath(backupPath)
+      : path.join(backupPath, this.constants.legacyInfoFile)
+
+    try {
+      const info = await fs.readJson(infoPath)
+      return {
+        ...info,
+        version: info.version ?? info.originalVersion ?? null,
+        createdAt: info.createdAt ?? info.backupTime ?? info.timestamp ?? null,
+        sourceDir: info.sourceDir ?? null
+      }
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * 校验压缩备份的完整性，旧版目录备份无需校验
+   * 在清空部署目录之前调用，避免用损坏的备份覆盖线上版本
+   */
+  async verify(backupPath) {
+    if (!this.isArchive(backupPath)) return
+
+    const info = await this.readInfo(backupPath)
+    const expected = info?.checksum?.value
+    if (!expected) {
+      throw new Error(`备份缺少校验信息: ${path.basename(backupPath)}`)
+    }
+
+    const stats = await fs.stat(backupPath)
+    const fingerprint = `${expected}:${stats.size}:${stats.mtimeMs}`
+    if (this.verifiedArchives.get(backupPath) === fingerprint) return
+
+    const hash = crypto.createHash(info.checksum.algorithm || 'sha256')
+    await pipeline(fs.createReadStream(backupPath), hash)
+    if (hash.digest('hex') !== expected) {
+      this.verifiedArchives.delete(backupPath)
+      throw new Error(`备份校验失败，文件可能已损坏: ${path.basename(backupPath)}`)
+    }
+
+    this.verifiedArchives.set(backupPath, fingerprint)
+  }
+
+  /**
+   * 列出项目的全部备份（按时间倒序）
+   * @returns {Promise<Array<{name: string, path: string, timestamp: string, compressed: boolean}>>}
+   */
+  async list(project) {
+    if (!(await fs.pathExists(this.backupDir))) {
+      return []
+    }
+
+    const files = new Set(await fs.readdir(this.backupDir))
+    const backupPattern = new RegExp(`^${project}-backup-(.+)$`)
+    const backups = []
+
+    for (const file of files) {
+      if (file.endsWith(BACKUP_ARCHIVE_EXTENSION)) {
+        const name = file.slice(0, -BACKUP_ARCHIVE_EXTENSION.length)
+        const match = name.match(backupPattern)
+        // 没有元数据的压缩包是未完成的备份
+        if (match && files.has(`${name}${BACKUP_METADATA_EXTENSION}`)) {
+          backups.push({ name, path: path.join(this.backupDir, file), timestamp: match[1], compressed: true })
+        }
+        continue
+      }
+
+      const match = file.match(backupPattern)
+      if (!match || file.endsWith('-latest') || file.endsWith(BACKUP_METADATA_EXTENSION)) continue
+
+      const fullPath = path.join(this.backupDir, file)
+      // eslint-disable-next-line no-await-in-loop -- 备份数量有限，逐个确认是否为旧版目录备份
+      const stats = await fs.stat(fullPath).catch(() => null)
+      if (stats?.isDirectory()) {
+        backups.push({ name: file, path: fullPath, timestamp: match[1], compressed: false })
+      }
+    }
+
+    return backups.sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+  }
+
+  /**
+   * 按备份 ID（即备份名称）精确查找备份
+   */
+  async find(project, backupId) {
+    if (!backupId || typeof backupId !== 'string') return null
+
+    const backups = await this.list(project)
+    return backups.find((backup) => backup.name === backupId) || null
+  }
+
+  /**
+   * 按元数据中的版本号精确查找最新的备份
+   */
+  async findByVersion(project, version) {
+    for (const backup of await this.list(project)) {
+      // eslint-disable-next-line no-await-in-loop -- 按时间倒序逐个读取，找到即停止
+      const info = await this.readInfo(backup.path)
+      if (info?.version === version) return backup
+    }
+
+    return null
+  }
+
+  /**
+   * 备份详情：版本、时间、大小与完整性状态
+   */
+  async describe(backup) {
+    const info = await this.readInfo(backup.path)
+    let integrity = BACKUP_INTEGRITY.UNVERIFIED
+    let integrityError = null
+
+    if (backup.compressed) {
+      try {
+        await this.verify(backup.path)
+        integrity = BACKUP_INTEGRITY.OK
+      } catch (error) {
+        integrity = BACKUP_INTEGRITY.CORRUPTED
+        integrityError = error.message
+      }
+    }
+
+    return {
+      id: backup.name,
+      project: info?.project || null,
+      version: info?.version || null,
+      createdAt: info?.createdAt || null,
+      timestamp: backup.timestamp,
+      compressed: backup.compressed,
+      fileCount: info?.fileCount ?? null,
+      size: info?.size ?? null,
+      diskUsage: await this.getDiskUsage(backup),
+      integrity,
+      integrityError
+    }
+  }
+
+  /**
+   * 删除一个备份（压缩包与元数据，或旧版目录）
+   */
+  async remove(backup) {
+    this.verifiedArchives.delete(backup.path)
+    await fs.remove(backup.path)
+    if (backup.compressed) {
+      await fs.remove(this.getMetadataPath(backup.path))
+    }
+  }
+
+  /**
+   * 备份占用的磁盘空间，旧版目录备份逐个统计文件大小
+   */
+  async getDiskUsage(backup) {
+    if (backup.compressed) {
+      const stats = await fs.stat(backup.path)
+      return stats.size
+    }
+
+    let total = 0
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐层统计目录大小
+          await walk(fullPath)
+        } else if (entry.isFile()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐个统计文件大小
+          total += (await fs.stat(fullPath)).size
+        }
+      }
+    }
+
+    await walk(backup.path)
+    return total
+  }
+
+  async getCreatedTime(backup) {
+    const info = await this.readInfo(backup.path)
+    const createdAt = Date.parse(info?.createdAt)
+    if (Number.isFinite(createdAt)) return createdAt
+
+    const stats = await fs.stat(backup.path)
+    return stats.mtimeMs
+  }
+
+  /**
+   * 按保留策略清理旧备份，最新的一个备份始终保留以保证可以回滚
+   * @returns {Promise<{kept: number, removed: Array<{name: string, reason: string}>}>}
+   */
+  async applyRetention(project) {
+    const policy = this.resolvePolicy(project)
+    const backups = await this.list(project)
+
+    if (!policy.maxCount && !policy.maxTotalSize && !policy.maxAgeDays) {
+      logger.debug(`🗂 未配置备份保留策略，保留所有 ${project} 备份`)
+      return { kept: backups.length, removed: [] }
+    }
+
+    const now = Date.now()
+    const removed = []
+    let kept = 0
+    let totalSize = 0
+
+    for (const [index, backup] of backups.entries()) {
+      let reason = null
+
+      if (index > 0) {
+        if (policy.maxCount && kept >= policy.maxCount) {
+          reason = 'count'
+        } else if (policy.maxAgeDays) {
+          // eslint-disable-next-line no-await-in-loop -- 按时间顺序逐个判断
+          const createdTime = await this.getCreatedTime(backup)
+          if (now - createdTime > policy.maxAgeDays * DAY_MS) reason = 'age'
+        }
+      }
+
+      if (!reason && policy.maxTotalSize) {
+        // eslint-disable-next-line no-await-in-loop -- 需要按时间顺序累计大小
+        const usage = await this.getDiskUsage(backup)
+        if (index > 0 && totalSize + usage > policy.maxTotalSize) {
+          reason = 'size'
+        } else {
+          totalSize += usage
+        }
+      }
+
+      if (!reason) {
+        kept++
+        continue
+      }
+
+      try {
+        // eslint-disable-next-line no-await-in-loop -- 逐个删除，失败不影响其他备份
+        await this.remove(backup)
+        removed.push({ name: backup.name, reason })
+        logger.debug(`♻️ 已清理旧备份 (${reason}): ${backup.name}`)
+      } catch (error) {
+        kept++
+        ErrorLogger.logWarning('清理备份', error.message, { project, backup: backup.name })
+      }
+    }
+
+    return { kept, removed }
+  }
+}
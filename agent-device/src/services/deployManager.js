@@ -1,12 +1,51 @@
 // 中文注释：ESM 导入
-import AdmZip from 'adm-zip'
 import fs from 'fs-extra'
 import { spawn } from 'node:child_process'
+import fsPromises from 'node:fs/promises'
 import path from 'node:path'
 import { PROGRESS_STEPS, createProgressUpdate } from '../constants/progress.js'
-import { BackupHelper, DateHelper, DeployResult, ErrorLogger, FileHelper, VersionHelper } from '../utils/common.js'
+import { DateHelper, DeployResult, ErrorLogger, FileHelper, VersionHelper } from '../utils/common.js'
+import { isCancelledError } from '../utils/cancellation.js'
 import { defaultPathValidator } from '../utils/pathValidator.js'
+import BackupStore from './backupStore.js'
+import HealthChecker from './healthChecker.js'
+import HookRunner, { HOOK_PHASES } from './hookRunner.js'
+import IntegrityChecker from './integrityChecker.js'
+import OperationJournal, {
+  JOURNAL_PHASES,
+  JOURNAL_PHASE_LABELS,
+  RECOVERY_OUTCOMES,
+  hasReachedPhase
+} from './operationJournal.js'
+import PreflightChecker from './preflightChecker.js'
+import ReleaseManager, { DEPLOY_MODES } from './releaseManager.js'
+import ServiceRestarter from './serviceRestarter.js'
+import {
+  ARCHIVE_FORMATS,
+  detectArchiveFormat,
+  inspectEntrySafety,
+  inspectSymlinkTraversal,
+  normalizeEntryPath,
+  readTarEntries,
+  readZipEntries
+} from '../utils/archive.js'
 import logger from '../utils/logger.js'
+import {
+  DELTA_METADATA_FILE,
+  DELTA_REJECTED,
+  createDeltaError,
+  isSameVersion,
+  readDeltaMetadata,
+  reconcileWithManifest
+} from '../utils/packageDelta.js'
+import { checkManifestRequirements, readManifestFromArchive } from '../utils/packageManifest.js'
+
+// 项目名称规则，与服务端项目注册表一致（项目名会用于备份目录名）
+const PROJECT_NAME_PATTERN = /^[a-z][\da-z-]{0,31}$/
+
+function createUnrecognizedArchiveError(packagePath) {
+  return new Error(`无法识别的压缩包内容: ${path.basename(packagePath)}。仅支持 ZIP、tar、tar.gz/tgz 格式。`)
+}
 
 export default class DeployManager {
   constructor(config, agent = null) {
@@ -31,21 +70,40 @@ export default class DeployManager {
       configDir: config.deploy?.configDir || './config', // 配置文件目录
       deployPathsConfigFile: 'deploy-paths.json', // 部署路径配置文件名
       processTimeout: 60_000, // 子进程超时（60秒）
-      maxBackupNameLength: 80, // 备份名称最大长度（保留完整版本号）
-      backupRetentionDays: 30 // 备份保留天数
+      archiveExtensions: ['.zip', '.tar', '.gz', '.tgz'], // 内容无法识别时视为损坏压缩包的扩展名
+      maxReportedRejections: 100, // 拒绝报告中最多列出的违规条目数
+      maxPreviewPaths: 200 // 部署预览中每类变更最多列出的路径数
     }
 
-    this.frontendDir = config.deploy.frontendDir
-    this.backendDir = config.deploy.backendDir
+    this.rootDir = config.deploy.rootDir
+    this.projectDirs = { ...config.deploy.projectDirs }
+    // 服务端项目注册表（注册成功后下发），未收到前只接受本机配置了目录的项目
+    this.registeredProjects = null
     this.backupDir = config.deploy.backupDir
-    this.maxBackups = config.deploy.maxBackups
 
     // 验证必需的配置
     this.validateConfig()
+
+    // 压缩备份存储与保留策略
+    this.backupStore = new BackupStore(config)
+    // 分阶段部署（暂存目录 + 整体切换）
+    this.releaseManager = new ReleaseManager(config)
+    // 升级包生命周期钩子
+    this.hookRunner = new HookRunner(config)
+    // 部署后健康检查
+    this.healthChecker = new HealthChecker(config)
+    // 部署文件清单与漂移检测
+    this.integrityChecker = new IntegrityChecker(config)
+    // 部署后重启项目服务
+    this.serviceRestarter = new ServiceRestarter(config)
+    // 升级/回滚操作日志，进程中断后启动时据此恢复
+    this.journal = new OperationJournal(config)
+    // 升级前置检查（磁盘空间、写权限、被占用的文件）
+    this.preflightChecker = new PreflightChecker(config)
   }
 
   validateConfig() {
-    const requiredFields = ['deploy.frontendDir', 'deploy.backendDir', 'deploy.backupDir']
+    const requiredFields = ['deploy.rootDir', 'deploy.backupDir']
 
     for (const field of requiredFields) {
       const value = this.getNestedValue(this.config, field)
@@ -59,6 +117,55 @@ export default class DeployManager {
     return path.split('.').reduce((current, key) => current?.[key], obj)
   }
 
+  /**
+   * 更新服务端下发的项目注册表
+   * @param {Array<{name: string, defaultDeployPath: string|null}>} projects
+   */
+  setRegisteredProjects(projects) {
+    if (!Array.isArray(projects)) return
+
+    this.registeredProjects = new Map(
+      projects
+        .filter((project) => project && PROJECT_NAME_PATTERN.test(project.name))
+        .map((project) => [
+          project.name,
+          { defaultDeployPath: project.defaultDeployPath || null, restartStrategy: project.restartStrategy || null }
+        ])
+    )
+    logger.info(`📋 已同步项目注册表: ${[...this.registeredProjects.keys()].join(', ')}`)
+  }
+
+  /**
+   * 本机可部署的全部项目（服务端注册的项目与本机配置了目录的项目）
+   */
+  getProjectNames() {
+    return [...new Set([...Object.keys(this.projectDirs), ...(this.registeredProjects?.keys() || [])])]
+  }
+
+  /**
+   * 校验项目名称，未注册的项目直接拒绝
+   */
+  assertProject(project) {
+    if (!project) {
+      throw new Error('project 参数不能为空')
+    }
+
+    if (!PROJECT_NAME_PATTERN.test(project) || !this.getProjectNames().includes(project)) {
+      throw new Error(`未注册的项目: ${project}`)
+    }
+  }
+
+  /**
+   * 项目的默认部署目录：本机配置 > 服务端注册的默认路径 > <rootDir>/<项目名>
+   */
+  getDefaultProjectDir(project) {
+    return (
+      this.projectDirs[project] ||
+      this.registeredProjects?.get(project)?.defaultDeployPath ||
+      path.join(this.rootDir, project)
+    )
+  }
+
   async initialize() {
     try {
       // 只确保备份目录存在，不创建部署目录
@@ -70,7 +177,7 @@ export default class DeployManager {
 
       logger.info('部署管理器初始化完成', {
         backupDir: this.backupDir,
-        backupPolicy: this.maxBackups > 0 ? `保留最新 ${this.maxBackups} 个` : '保留所有备份',
+        backupPolicy: this.backupStore.resolvePolicy(),
         configFile: path.join(this.constants.configDir, this.constants.deployPathsConfigFile)
       })
     } catch (error) {
@@ -151,26 +258,60 @@ export default class DeployManager {
     }
   }
 
-  async deploy(project, packagePath, version, deployPathOverride = null, preservedPaths = [], sessionId = null) {
+  /**
+   * 部署升级包
+   * @param {string} project - 项目类型
+   * @param {string} packagePath - 升级包路径
+   * @param {string} version - 版本号
+   * @param {string|null} deployPathOverride - 指定的部署目录
+   * @param {Array} preservedPaths - 白名单路径
+   * @param {string|null} sessionId - 会话ID
+   * @param {Object} options - { deployMode: 'inplace' | 'staged'，未指定时使用本地配置；
+   *   delta: { baseVersion }，packagePath 为增量包时传入，增量包不可用时返回 data.code = DELTA_REJECTED；
+   *   cancellation: CancellationToken，取消后返回 data.cancelled = true，已改动部署目录时先恢复部署前版本（data.rolledBack）；
+   *   batchTaskId: 所属批量任务，记录在操作日志中，进程中断后随恢复结果上报 }
+   */
+  async deploy(
+    project,
+    packagePath,
+    version,
+    deployPathOverride = null,
+    preservedPaths = [],
+    sessionId = null,
+    options = {}
+  ) {
     // 参数验证
     if (!project || !packagePath) {
       throw new Error('project 和 packagePath 参数不能为空')
     }
-    if (!['frontend', 'backend'].includes(project)) {
-      throw new Error('project 必须是 frontend 或 backend')
-    }
+    this.assertProject(project)
     logger.debug(`开始部署 ${project} 包: ${packagePath}`)
 
     const operationType = 'upgrade'
     const progressMeta = (extra = {}) => ({ operationType, ...extra })
 
+    // 取消请求在安全点生效：onCancel 负责撤销已做的改动，返回是否已恢复部署前版本
+    const cancellation = options.cancellation || null
+    const cancelAtSafePoint = async (onCancel = null) => {
+      if (!cancellation?.cancelled) return
+      const cancelError = cancellation.createError()
+      const rolledBack = onCancel ? await onCancel() : undefined
+      if (rolledBack !== undefined) {
+        cancelError.rolledBack = rolledBack
+      }
+      throw cancelError
+    }
+
     // 初始化进度会话
     if (sessionId) {
       this.emitProgress(sessionId, PROGRESS_STEPS.PREPARING, 0, '开始部署流程', null, progressMeta())
     }
 
+    // 已应用增量包、尚未切换上线的目录，失败时需要清理
+    let deltaDir = null
+
     try {
-      const defaultTarget = project === 'frontend' ? this.frontendDir : this.backendDir
+      const defaultTarget = this.getDefaultProjectDir(project)
 
       // 安全验证部署路径
       const pathValidation = defaultPathValidator.validateDeployPath(deployPathOverride, defaultTarget)
@@ -188,6 +329,106 @@ export default class DeployManager {
 
       logger.debug(`✅ 使用安全验证后的部署路径: ${targetDir}`)
 
+      // 在备份和清理目录之前校验压缩包条目，存在越界或危险条目时直接中止，不写入任何文件
+      const archiveFormat = await detectArchiveFormat(packagePath)
+      // 扩展名是压缩包但内容无法识别（损坏或不完整）时同样在备份、停服务和清空目录之前中止
+      if (!archiveFormat && this.constants.archiveExtensions.includes(path.extname(packagePath).toLowerCase())) {
+        const formatError = createUnrecognizedArchiveError(packagePath)
+        ErrorLogger.logError('升级包格式识别', formatError, { project, packagePath })
+        if (sessionId) {
+          this.emitProgress(
+            sessionId,
+            PROGRESS_STEPS.FAILED,
+            100,
+            formatError.message,
+            formatError,
+            progressMeta({ status: 'error' })
+          )
+        }
+        return DeployResult.error(formatError)
+      }
+
+      let manifest = null
+      let hooks = {}
+      if (archiveFormat) {
+        const inspection = await this.inspectArchive(packagePath, archiveFormat)
+        if (!inspection.safe) {
+          const rejectError = new Error(
+            `升级包包含 ${inspection.report.totalRejected} 个不安全条目，已拒绝部署`
+          )
+          ErrorLogger.logError('升级包安全校验', rejectError, { project, packagePath })
+          if (sessionId) {
+            this.emitProgress(
+              sessionId,
+              PROGRESS_STEPS.FAILED,
+              100,
+              rejectError.message,
+              rejectError,
+              progressMeta({ status: 'error', rejection: inspection.report })
+            )
+          }
+          return DeployResult.error(rejectError, { rejection: inspection.report })
+        }
+
+        // 清单格式错误时同样在改动任何文件之前中止
+        manifest = await readManifestFromArchive(packagePath, archiveFormat)
+        hooks = this.hookRunner.getHooks(manifest)
+
+        // 服务端下发前已按注册信息校验过，这里以本机实际环境为准再确认一次
+        const incompatible = await this.checkPackageRequirements(project, manifest, targetDir)
+        if (incompatible.length > 0) {
+          const incompatibleError = new Error(
+            `升级包不适用于本设备: ${incompatible.map((item) => item.message).join('；')}`
+          )
+          ErrorLogger.logError('升级包兼容性检查', incompatibleError, { project, packagePath })
+          if (sessionId) {
+            this.emitProgress(
+              sessionId,
+              PROGRESS_STEPS.FAILED,
+              100,
+              incompatibleError.message,
+              incompatibleError,
+              progressMeta({ status: 'error', incompatible })
+            )
+          }
+          return DeployResult.error(incompatibleError, { incompatible })
+        }
+      }
+
+      const healthChecks = this.healthChecker.resolve(project, { requested: options.healthCheck, manifest })
+      const restartStrategy = this.resolveRestartStrategy(project)
+
+      const deployMode = this.releaseManager.resolveMode(options.deployMode)
+      const isStaged = deployMode === DEPLOY_MODES.STAGED
+      await cancelAtSafePoint()
+
+      // 恢复时以本机状态为准，重启策略与健康检查在此时解析好一并记录
+      await this.journal.begin({
+        type: operationType,
+        project,
+        version,
+        previousVersion: await this.readDeployedVersion(targetDir),
+        targetDir,
+        deployMode,
+        preservedPaths,
+        restartStrategy,
+        healthChecks,
+        sessionId,
+        batchTaskId: options.batchTaskId || null
+      })
+
+      // 增量包先在部署目录之外应用并校验，不可用时线上目录和备份都还没有改动
+      if (options.delta) {
+        deltaDir = await this.prepareDeltaTree(project, packagePath, archiveFormat, targetDir, preservedPaths, {
+          baseVersion: options.delta.baseVersion,
+          isStaged,
+          sessionId
+        })
+        if (isStaged) {
+          await this.journal.update({ stagingDir: deltaDir })
+        }
+      }
+
       if (sessionId) {
         this.emitProgress(
           sessionId,
@@ -202,6 +443,10 @@ export default class DeployManager {
       // 1. 先备份当前运行的旧版本（如果存在）
       logger.debug(`🔄 检查并备份当前版本...`)
       const backupResult = await this.backupCurrentVersion(project, targetDir, sessionId, preservedPaths)
+      await this.journal.advance(JOURNAL_PHASES.BACKUP_DONE, {
+        backup: { success: backupResult.success, backupPath: backupResult.backupPath, reason: backupResult.reason }
+      })
+      await cancelAtSafePoint()
 
       if (sessionId) {
         this.emitProgress(
@@ -214,14 +459,63 @@ export default class DeployManager {
         )
       }
 
+      const hookContext = {
+        project,
+        version,
+        deployPath: targetDir,
+        previousVersion: backupResult.originalVersion || (await this.readDeployedVersion(targetDir))
+      }
+
+      // pre-deploy 钩子失败时部署目录尚未改动，直接中止
+      if (this.hookRunner.hasHooks(hooks, HOOK_PHASES.PRE_DEPLOY)) {
+        await fs.ensureDir(targetDir)
+        await this.runHooks(
+          HOOK_PHASES.PRE_DEPLOY,
+          hooks,
+          hookContext,
+          sessionId,
+          PROGRESS_STEPS.DEPLOYING,
+          40,
+          operationType
+        )
+      }
+
+      // 运行时锁定文件的应用在改动部署目录之前停止，停止失败时直接中止
+      const service = this.createServiceState(restartStrategy, hookContext)
+      if (this.serviceRestarter.needsStop(restartStrategy)) {
+        await this.runServiceAction('stop', service, sessionId, progressMeta, 40)
+      }
+      await cancelAtSafePoint(async () => {
+        await this.recoverService(service, sessionId, progressMeta)
+      })
+
       // 2. 解压和部署新版本
-      logger.debug(`🔄 开始部署新版本 ${version}...`)
+      logger.debug(`🔄 开始部署新版本 ${version}（模式: ${deployMode}）...`)
       if (preservedPaths.length > 0) {
         logger.debug(`🛡️ 启用白名单保护，保护路径: ${preservedPaths.join(', ')}`)
       }
-      const deployResult = await this.extractAndDeploy(packagePath, targetDir, project, preservedPaths, sessionId)
+      let deployResult
+      if (deltaDir) {
+        const treeDir = deltaDir
+        deltaDir = null
+        deployResult = await this.deployDeltaTree(project, treeDir, version, packagePath, targetDir, preservedPaths, {
+          isStaged,
+          sessionId
+        })
+      } else {
+        deployResult = isStaged
+          ? await this.deployStaged(project, packagePath, version, targetDir, preservedPaths, sessionId)
+          : await this.extractAndDeploy(packagePath, targetDir, project, preservedPaths, sessionId)
+      }
 
       if (!deployResult.success) {
+        if (isStaged) {
+          // 分阶段部署在切换前失败，线上目录未被改动，无需恢复备份
+          logger.debug('❌ 分阶段部署失败，线上版本保持不变')
+          await this.recoverService(service, sessionId, progressMeta)
+          throw new Error(deployResult.error)
+        }
+
         // 部署失败，尝试恢复备份
         logger.debug('❌ 部署失败，恢复旧版本...')
         if (sessionId) {
@@ -235,6 +529,7 @@ export default class DeployManager {
           )
         }
         await this.restoreBackup(project)
+        await this.recoverService(service, sessionId, progressMeta)
         throw new Error(deployResult.error)
       }
 
@@ -249,11 +544,114 @@ export default class DeployManager {
         )
       }
 
-      // 3. 更新版本信息
-      await this.updateVersionInfo(project, version, packagePath, targetDir)
+      // 新文件已就位，此后取消需要先恢复部署前版本
+      const revertForCancel = () =>
+        this.revertFailedDeploy(project, targetDir, {
+          isStaged,
+          backupResult,
+          preservedPaths,
+          service,
+          sessionId,
+          progressMeta
+        })
+      await cancelAtSafePoint(revertForCancel)
+
+      // 3. 更新版本信息（分阶段部署已在切换前写入暂存目录）
+      if (!isStaged) {
+        await this.updateVersionInfo(project, version, packagePath, targetDir)
+      }
+      await this.journal.advance(JOURNAL_PHASES.VERSION_WRITTEN)
+
+      // post-deploy 钩子失败视为部署失败，恢复到部署前的版本
+      try {
+        await this.runHooks(
+          HOOK_PHASES.POST_DEPLOY,
+          hooks,
+          hookContext,
+          sessionId,
+          PROGRESS_STEPS.VERIFYING,
+          88,
+          operationType
+        )
+      } catch (hookError) {
+        if (sessionId) {
+          this.emitProgress(
+            sessionId,
+            PROGRESS_STEPS.DEPLOYING,
+            90,
+            'post-deploy 钩子失败，正在恢复部署前版本',
+            hookError,
+            progressMeta()
+          )
+        }
+
+        hookError.rolledBack = await this.revertFailedDeploy(project, targetDir, {
+          isStaged,
+          backupResult,
+          preservedPaths,
+          service,
+          sessionId,
+          progressMeta
+        })
+        throw hookError
+      }
+      await cancelAtSafePoint(revertForCancel)
+      await this.journal.advance(JOURNAL_PHASES.HOOKS_DONE)
+      // 服务重启和健康检查有各自的失败恢复流程，开始后不再接受取消
+      cancellation?.lock()
+
+      // 新文件就位后重启服务（stop-start 模式为启动），失败视为部署失败并恢复部署前版本
+      if (restartStrategy) {
+        try {
+          await this.runServiceAction('start', service, sessionId, progressMeta)
+        } catch (restartError) {
+          restartError.rolledBack = await this.revertFailedDeploy(project, targetDir, {
+            isStaged,
+            backupResult,
+            preservedPaths,
+            service,
+            sessionId,
+            progressMeta
+          })
+          throw restartError
+        }
+      }
+
+      // 健康检查不通过时自动回滚到本次部署前的版本
+      if (healthChecks.length > 0) {
+        const healthReport = await this.runHealthChecks(healthChecks, targetDir, sessionId, progressMeta)
+        if (!healthReport.healthy) {
+          if (sessionId) {
+            this.emitProgress(
+              sessionId,
+              PROGRESS_STEPS.VERIFYING,
+              94,
+              '健康检查未通过，正在回滚到部署前版本',
+              null,
+              progressMeta({ healthCheck: healthReport })
+            )
+          }
+
+          const rolledBack = await this.revertFailedDeploy(project, targetDir, {
+            isStaged,
+            backupResult,
+            preservedPaths,
+            service,
+            sessionId,
+            progressMeta
+          })
+          const unhealthyError = new Error(
+            rolledBack ? '部署后健康检查未通过，已回滚到部署前版本' : '部署后健康检查未通过，且未能回滚'
+          )
+          unhealthyError.healthReport = healthReport
+          unhealthyError.rolledBack = rolledBack
+          throw unhealthyError
+        }
+      }
 
       // 4. 更新部署路径配置
       await this.updateDeployPathConfig(project, targetDir, version)
+      await this.recordDeployManifest(project, targetDir, version, preservedPaths)
 
       if (sessionId) {
         this.emitProgress(
@@ -266,10 +664,8 @@ export default class DeployManager {
         )
       }
 
-      // 5. 可选清理旧备份（默认保留所有备份）
-      if (this.maxBackups && this.maxBackups > 0) {
-        await this.cleanupOldBackups(project)
-      }
+      // 5. 按保留策略清理旧备份
+      await this.cleanupOldBackups(project)
 
       if (sessionId) {
         this.emitProgress(
@@ -285,11 +681,37 @@ export default class DeployManager {
       ErrorLogger.logSuccess('部署', { project, version })
       return DeployResult.success('部署成功', {
         deployPath: targetDir,
+        deployMode,
         backupCreated: backupResult.success,
-        backupPath: backupResult.backupPath
+        backupPath: backupResult.backupPath,
+        previousReleasePath: deployResult.data?.previousReleasePath || null,
+        delta: Boolean(options.delta),
+        restart: service.result || null
       })
     } catch (error) {
+      if (deltaDir) {
+        await fs.remove(deltaDir).catch((removeError) => {
+          ErrorLogger.logWarning('清理增量部署目录', removeError.message, { deltaDir })
+        })
+      }
+
+      if (error.code === DELTA_REJECTED) {
+        // 不上报失败进度，调用方会改用完整包继续本次升级
+        ErrorLogger.logWarning('应用增量包', error.message, { project, version, packagePath })
+        return DeployResult.error(error, { code: DELTA_REJECTED })
+      }
+
+      if (isCancelledError(error)) {
+        // 取消进度由调用方统一上报（下载阶段的取消不经过这里）
+        logger.info(`部署已取消: ${project}`, { rolledBack: error.rolledBack ?? null })
+        return DeployResult.error(error, {
+          cancelled: true,
+          ...(error.rolledBack !== undefined && { rolledBack: error.rolledBack })
+        })
+      }
+
       ErrorLogger.logError('部署', error, { project, version, packagePath })
+      const failureData = this.getFailureData(error)
       if (sessionId) {
         this.emitProgress(
           sessionId,
@@ -297,371 +719,595 @@ export default class DeployManager {
           100,
           error?.message || '部署失败',
           error,
-          progressMeta({ status: 'error' })
+          progressMeta({ status: 'error', ...failureData })
         )
       }
-      return DeployResult.error(error)
+      return DeployResult.error(error, failureData)
+    } finally {
+      // 成功、失败和取消都已在进程内处理完毕，只有进程中断时日志才会保留
+      await this.journal.finish()
     }
   }
 
   /**
-   * 备份当前运行的版本（在部署新版本之前）
+   * 执行某个阶段的生命周期钩子，并把输出通过进度事件转发
    */
-  async backupCurrentVersion(project, targetDir, sessionId = null, preservedPaths = []) {
-    // 检查是否已有备份操作正在进行
-    if (this.backupLocks.has(project)) {
-      logger.warn(`🔒 项目 ${project} 的备份操作正在进行中，等待完成...`)
-      try {
-        await this.backupLocks.get(project)
-        logger.debug(`✅ 项目 ${project} 的前一个备份操作已完成`)
-        return { success: false, reason: 'backup_in_progress' }
-      } catch (error) {
-        logger.warn(`⚠️ 项目 ${project} 的前一个备份操作失败: ${error.message}`)
-      }
+  async runHooks(phase, hooks, context, sessionId, step, progress, operationType) {
+    if (!this.hookRunner.hasHooks(hooks, phase)) return []
+
+    const meta = (extra = {}) => ({ operationType, hookPhase: phase, ...extra })
+    if (sessionId) {
+      this.emitProgress(sessionId, step, progress, `执行 ${phase} 钩子`, null, meta())
     }
 
-    // 创建备份锁
-    const backupPromise = this._performBackup(project, targetDir, sessionId, preservedPaths)
-    this.backupLocks.set(project, backupPromise)
+    const onOutput = sessionId
+      ? (lines, hook) => {
+          const lastLine = lines.at(-1)?.line || ''
+          this.emitProgress(
+            sessionId,
+            step,
+            progress,
+            `[${phase}] ${lastLine}`,
+            null,
+            meta({ hookCommand: hook.command, hookOutput: lines })
+          )
+        }
+      : null
 
-    try {
-      const result = await backupPromise
-      return result
-    } finally {
-      // 无论成功还是失败，都要清除锁
-      this.backupLocks.delete(project)
-    }
+    const results = await this.hookRunner.run(phase, hooks, context, onOutput)
+    ErrorLogger.logSuccess(`${phase} 钩子`, { project: context.project, count: results.length })
+    return results
   }
 
-  async _performBackup(project, targetDir, sessionId = null, preservedPaths = []) {
-    try {
-      const progressMeta = (extra = {}) => ({ operationType: 'upgrade', ...extra })
+  /**
+   * 钩子或健康检查失败时随命令结果返回的附加信息
+   * unhealthy 表示新版本已部署但健康检查未通过，与普通部署失败区分
+   */
+  getFailureData(error) {
+    if (!error?.hookResult && !error?.healthReport && !error?.restartResult) return null
 
-      if (sessionId) {
-        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 0, '检查当前版本', null, progressMeta())
-      }
+    return {
+      ...(error.hookResult && { hook: error.hookResult }),
+      ...(error.restartResult && { restart: error.restartResult }),
+      ...(error.healthReport && { unhealthy: true, healthCheck: error.healthReport }),
+      ...(error.rolledBack !== undefined && { rolledBack: error.rolledBack })
+    }
+  }
 
-      // 检查目标目录是否有内容
-      const hasExisting = await this.hasContent(targetDir)
-      if (!hasExisting) {
-        logger.debug(`ℹ️ 部署目录为空，跳过备份: ${targetDir}`)
+  /**
+   * 执行部署后健康检查（VERIFYING 阶段），每次尝试都上报进度
+   */
+  async runHealthChecks(checks, deployPath, sessionId, progressMeta) {
+    if (sessionId) {
+      this.emitProgress(sessionId, PROGRESS_STEPS.VERIFYING, 90, '开始健康检查', null, progressMeta())
+    }
+
+    const report = await this.healthChecker.run(checks, {
+      deployPath,
+      onGracePeriod: (ms) => {
+        if (sessionId) {
+          this.emitProgress(sessionId, PROGRESS_STEPS.VERIFYING, 90, `等待服务启动 ${ms}ms`, null, progressMeta())
+        }
+      },
+      onAttempt: ({ target, attempt, maxAttempts, ok, detail }) => {
         if (sessionId) {
           this.emitProgress(
             sessionId,
-            PROGRESS_STEPS.BACKUP,
-            100,
-            '目录为空，跳过备份',
+            PROGRESS_STEPS.VERIFYING,
+            92,
+            `健康检查 ${target} 第 ${attempt}/${maxAttempts} 次${ok ? '通过' : `失败: ${detail}`}`,
             null,
-            progressMeta({ status: 'completed' })
+            progressMeta()
           )
         }
-        return { success: false, reason: 'target_empty' }
-      }
-
-      if (sessionId) {
-        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 20, '读取当前版本信息', null, progressMeta())
-      }
-
-      // 获取当前版本信息（如果有）
-      let currentVersion = 'unknown'
-      try {
-        const versionFile = path.join(targetDir, 'version.json')
-        if (await fs.pathExists(versionFile)) {
-          const versionInfo = await fs.readJson(versionFile)
-          currentVersion = versionInfo.version || 'unknown'
-        }
-      } catch {
-        // 版本信息读取失败不影响备份
       }
+    })
 
-      // 生成唯一的备份目录名，避免重复创建时报错
-      const { backupName, backupPath } = await this.generateUniqueBackupPath(project, currentVersion)
-
-      if (sessionId) {
-        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 40, '清理旧备份链接', null, progressMeta())
-      }
+    if (report.healthy) {
+      ErrorLogger.logSuccess('健康检查', { deployPath, checks: report.checks.length })
+    } else {
+      ErrorLogger.logWarning('健康检查', '部署后健康检查未通过', { deployPath })
+    }
 
-      // 删除旧的最新备份链接（如果存在）
-      const latestBackupLink = path.join(this.backupDir, `${project}-latest`)
-      if (await fs.pathExists(latestBackupLink)) {
-        await fs.remove(latestBackupLink)
-        logger.debug(`♻️ 已移除旧备份: ${project}-latest`)
-      }
+    return report
+  }
 
-      if (sessionId) {
-        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 60, '备份当前版本文件', null, progressMeta())
-      }
+  /**
+   * post-deploy 钩子、服务重启或健康检查失败后，恢复本次部署前创建的备份（staged 模式切回上一版本）
+   * 配置了重启策略时，恢复完成后让服务重新加载部署前的版本
+   * @returns {Promise<boolean>} 是否已恢复
+   */
+  async revertFailedDeploy(
+    project,
+    targetDir,
+    { isStaged, backupResult, preservedPaths = [], service = null, sessionId = null, progressMeta = null }
+  ) {
+    // stop-start 模式的服务可能已在运行新版本，先停止再恢复文件
+    if (this.serviceRestarter.needsStop(service?.strategy) && ['started', 'unknown'].includes(service.state)) {
+      await this.runServiceAction('stop', service, sessionId, progressMeta, 90).catch((error) => {
+        ErrorLogger.logWarning('恢复前停止服务', error.message, { project })
+      })
+    }
 
-      // 创建新备份（忽略保护白名单文件，因为它们不会被替换）
-      try {
-        if (preservedPaths.length > 0) {
-          logger.debug(`🛡️ 备份时将忽略保护白名单文件: ${preservedPaths.join(', ')}`)
-          await this.copyWithBackupExclusion(targetDir, backupPath, preservedPaths)
-        } else {
-          // 没有白名单，使用安全复制（处理 Git 文件）
-          await this.safeCopyWithGitHandling(targetDir, backupPath)
-        }
-      } catch (copyError) {
-        // 中文注释：复制失败时删除已创建的备份目录，避免残留空目录
-        await fs.remove(backupPath)
-        throw copyError
-      }
-      logger.debug(`📦 已备份旧版本: ${backupName}`)
+    const reverted = await this.restoreBeforeDeploy(project, targetDir, { isStaged, backupResult, preservedPaths })
+    if (reverted) {
+      await this.recoverService(service, sessionId, progressMeta)
+    }
+    return reverted
+  }
 
-      if (sessionId) {
-        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 90, '创建备份链接', null, progressMeta())
+  async restoreBeforeDeploy(project, targetDir, { isStaged, backupResult, preservedPaths }) {
+    try {
+      if (isStaged) {
+        return await this.releaseManager.revert(targetDir)
       }
 
-      // 创建新的最新备份链接（使用软链接）
-      await this.createBackupSymlink(backupPath, latestBackupLink, `${project}-latest`)
-      logger.debug(`🔗 已更新最新备份链接: ${project}-latest`)
-
-      // 记录备份信息
-      const backupInfo = {
-        project,
-        originalVersion: currentVersion,
-        backupTime: new Date().toISOString(),
-        sourceDir: targetDir,
-        backupPath,
-        deviceId: this.config.device.id,
-        type: 'pre-deployment-backup'
+      if (backupResult?.success && backupResult.backupPath) {
+        await this.backupStore.verify(backupResult.backupPath)
+        await this.prepareTargetDirectory(targetDir, preservedPaths, '钩子失败恢复')
+        await this.restoreBackupContents(backupResult.backupPath, targetDir, preservedPaths)
+        return true
       }
-      await FileHelper.safeWriteJson(path.join(backupPath, 'backup-info.json'), backupInfo)
 
-      if (sessionId) {
-        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 100, '备份完成', null, progressMeta({ status: 'completed' }))
+      if (backupResult?.reason === 'target_empty') {
+        // 部署前目录为空，恢复为空目录
+        await this.prepareTargetDirectory(targetDir, preservedPaths, '钩子失败恢复')
+        return true
       }
 
-      return {
-        success: true,
-        backupPath,
-        backupName,
-        originalVersion: currentVersion
-      }
+      logger.warn(`⚠️ 没有本次部署前的备份，无法恢复 ${project}`)
+      return false
     } catch (error) {
-      ErrorLogger.logWarning('备份当前版本', error.message, {
-        project,
-        targetDir
-      })
-      return { success: false, error: error.message }
+      ErrorLogger.logError('钩子失败后恢复部署前版本', error, { project, targetDir })
+      return false
     }
   }
 
   /**
-   * 生成唯一的备份目录信息，避免因重复命名导致 mkdir 抛错
-   * 会在返回前创建空目录以占位，保证同名备份不会并发冲突
-   * @param {string} project - 项目名称
-   * @param {string} currentVersion - 当前运行版本号
-   * @returns {Promise<{backupName: string, backupPath: string}>}
-   */
-  async generateUniqueBackupPath(project, currentVersion) {
-    // 中文注释：预先确保备份根目录存在
-    await fs.ensureDir(this.backupDir)
-
-    const sanitizedVersionRaw = (currentVersion || 'unknown').replace(/[^\w.-]/g, '_') || 'unknown'
-    const maxLength = Number.isInteger(this.constants?.maxBackupNameLength) ? this.constants.maxBackupNameLength : 0
-
-    let attempt = 0
-
-    // 中文注释：包含毫秒和随机数的时间戳，彻底避免命名碰撞
-    // eslint-disable-next-line no-constant-condition -- 通过内部返回或抛错控制循环
-    while (true) {
-      const now = new Date()
-      // 使用高精度时间戳 + 随机数确保唯一性
-      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0')
-      const datePart = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`
-      const timePart = `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}${String(now.getSeconds()).padStart(2, '0')}`
-      const milliPart = String(now.getMilliseconds()).padStart(3, '0')
-      const timestamp = `${datePart}-${timePart}-${milliPart}-${random}`
-      const attemptSuffix = attempt > 0 ? `-${attempt}` : ''
-      const baseName = `${project}-backup-${timestamp}${attemptSuffix}`
-      const prefix = `${baseName}-from-`
-
-      let sanitizedVersion = sanitizedVersionRaw
-      if (maxLength > 0 && prefix.length + sanitizedVersion.length > maxLength) {
-        const allowedLength = Math.max(1, maxLength - prefix.length)
-        sanitizedVersion = sanitizedVersionRaw.slice(0, allowedLength) || 'u'
-      }
-      const backupName = `${prefix}${sanitizedVersion}`
-      const backupPath = path.join(this.backupDir, backupName)
+   * 项目的服务重启策略（本机配置优先，其次为服务端项目注册表下发的策略）
+   * @returns {Object|null} 未配置时为 null
+   */
+  resolveRestartStrategy(project) {
+    return this.serviceRestarter.resolve(project, {
+      registered: this.registeredProjects?.get(project)?.restartStrategy || null
+    })
+  }
 
-      try {
-        // 使用 mkdir 的 exclusive 选项确保原子性创建
-        await fs.mkdir(backupPath, { recursive: false })
-        return { backupName, backupPath }
-      } catch (error) {
-        if (error?.code === 'EEXIST') {
-          attempt += 1
-          // 中文注释：发生冲突时等待更长时间，并增加重试次数限制
-          if (attempt > 10) {
-            throw new Error(`备份目录创建失败：经过 ${attempt} 次重试仍无法生成唯一路径`)
-          }
-          // eslint-disable-next-line no-await-in-loop -- 等待毫秒级时间差后重新生成时间戳
-          await new Promise((resolve) => setTimeout(resolve, 10 + attempt * 5))
-          continue
-        }
-        throw error
-      }
-    }
+  /**
+   * 单次部署/回滚中的服务状态
+   * state: untouched 未操作 / stopped 已停止 / started 已启动或重启 / unknown 操作失败，状态不确定
+   */
+  createServiceState(strategy, context) {
+    return { strategy, context, state: 'untouched', result: null }
   }
 
   /**
-   * 检查目录是否有内容
+   * 停止或启动（重启）项目服务，结果作为单独的 RESTARTING 进度步骤上报
+   * @param {'stop'|'start'} action
+   * @param {Object} service - createServiceState() 的结果，执行后更新 state 并记录 result
    */
-  async hasContent(dirPath) {
-    try {
-      if (!(await fs.pathExists(dirPath))) return false
-      const files = await fs.readdir(dirPath)
-      return files.some((f) => !f.startsWith('.'))
+  async runServiceAction(action, service, sessionId = null, progressMeta = null, progress = 89) {
+    const meta = (extra = {}) => ({ ...(progressMeta ? progressMeta() : {}), ...extra })
+    const target = this.serviceRestarter.describe(service.strategy)
+    let label = '重启服务'
+    if (action === 'stop') {
+      label = '停止服务'
+    } else if (this.serviceRestarter.needsStop(service.strategy)) {
+      label = '启动服务'
+    }
+    if (sessionId) {
+      this.emitProgress(sessionId, PROGRESS_STEPS.RESTARTING, progress, `${label}: ${target}`, null, meta())
+    }
+
+    const result =
+      action === 'stop'
+        ? await this.serviceRestarter.stop(service.strategy, service.context)
+        : await this.serviceRestarter.start(service.strategy, service.context)
+    service.result = result
+
+    if (result.success) {
+      service.state = action === 'stop' ? 'stopped' : 'started'
+      ErrorLogger.logSuccess(label, { project: service.context.project, target, durationMs: result.durationMs })
+    } else {
+      service.state = 'unknown'
+    }
+
+    if (sessionId) {
+      this.emitProgress(
+        sessionId,
+        PROGRESS_STEPS.RESTARTING,
+        progress,
+        `${label}${result.success ? '成功' : `失败: ${result.detail}`}`,
+        null,
+        meta({ restart: result })
+      )
+    }
+
+    if (!result.success) {
+      const error = new Error(`${label}失败: ${target}，${result.detail}`)
+      error.restartResult = result
+      throw error
+    }
+    return result
+  }
+
+  /**
+   * 部署失败恢复旧文件后，让操作过的服务重新加载部署前版本；失败只记录警告
+   */
+  async recoverService(service, sessionId = null, progressMeta = null) {
+    if (!service?.strategy || service.state === 'untouched') return
+
+    // 文件已恢复为部署前版本，命令中的 UPGRADE_VERSION 随之切换
+    const { version, previousVersion } = service.context
+    service.context = { ...service.context, version: previousVersion, previousVersion: version }
+    try {
+      await this.runServiceAction('start', service, sessionId, progressMeta, 95)
+    } catch (error) {
+      ErrorLogger.logWarning('恢复部署前版本后启动服务', error.message, { project: service.context.project })
+    }
+  }
+
+  /**
+   * 启动时检查操作日志：上次升级/回滚在改动部署目录的途中被断电或进程崩溃打断时，完成或撤销该操作
+   * @returns {Promise<Object|null>} 待随注册上报的恢复结果，没有中断的操作时返回 null
+   */
+  async recoverInterruptedOperation() {
+    const entry = await this.journal.read()
+    if (!entry) return null
+    // 上次启动已恢复，但结果还没有上报
+    if (entry.recovery) return entry.recovery
+
+    const label = entry.type === 'rollback' ? '回滚' : '升级'
+    const attempts = await this.journal.markRecoveryAttempt(entry)
+    const extraction = entry.extraction ? `（${entry.extraction.done}/${entry.extraction.total}）` : ''
+    const interruptedAt = `${JOURNAL_PHASE_LABELS[entry.phase] || entry.phase}${extraction}`
+    logger.warn(`⚠️ 检测到中断的${label}: ${entry.project}，中断于${interruptedAt}，开始恢复`)
+
+    let result
+    if (attempts > this.journal.constants.maxRecoveryAttempts) {
+      result = {
+        outcome: RECOVERY_OUTCOMES.FAILED,
+        message: `恢复已尝试 ${attempts - 1} 次仍被中断，需要人工处理`
+      }
+    } else {
+      try {
+        result =
+          entry.type === 'rollback'
+            ? await this.recoverInterruptedRollback(entry)
+            : await this.recoverInterruptedUpgrade(entry)
+      } catch (error) {
+        ErrorLogger.logError(`恢复中断的${label}`, error, { project: entry.project, phase: entry.phase })
+        result = { outcome: RECOVERY_OUTCOMES.FAILED, message: `恢复失败: ${error.message}` }
+      }
+    }
+
+    const report = {
+      type: entry.type,
+      project: entry.project,
+      version: entry.version,
+      previousVersion: entry.previousVersion || null,
+      phase: entry.phase,
+      extraction: entry.extraction || null,
+      outcome: result.outcome,
+      message: `${label}中断于${interruptedAt}，${result.message}`,
+      batchTaskId: entry.batchTaskId || null,
+      sessionId: entry.sessionId || null,
+      startedAt: entry.startedAt,
+      recoveredAt: new Date().toISOString()
+    }
+    await this.journal.saveRecoveryReport(report)
+
+    if (result.outcome === RECOVERY_OUTCOMES.FAILED) {
+      logger.error(`❌ ${report.message}`)
+    } else {
+      logger.info(`♻️ ${report.message}`)
+    }
+    return report
+  }
+
+  /**
+   * 恢复中断的升级：部署目录未改动时只恢复服务；新版本已完整写入且钩子已执行时完成剩余步骤；
+   * 其余情况按记录的备份（staged 模式切回上一版本）恢复部署前版本
+   */
+  async recoverInterruptedUpgrade(entry) {
+    const { project, targetDir, version, previousVersion, preservedPaths = [] } = entry
+    const isStaged = entry.deployMode === DEPLOY_MODES.STAGED
+    const backupResult = entry.backup || null
+    const service = this.createServiceState(entry.restartStrategy || null, {
+      project,
+      version,
+      deployPath: targetDir,
+      previousVersion
+    })
+
+    // rename 策略在两次 rename 之间中断时部署目录不存在，先放回上一版本，暂存目录视为未切换
+    if (isStaged && (await this.releaseManager.restoreInterruptedSwap(targetDir))) {
+      await this.releaseManager.discardStagingDir(entry.stagingDir)
+      if (this.serviceRestarter.needsStop(service.strategy)) {
+        service.state = 'unknown'
+        await this.recoverService(service)
+      }
+      return { outcome: RECOVERY_OUTCOMES.ABORTED, message: '切换中途中断，已恢复部署前目录' }
+    }
+
+    // staged 模式在切换完成、记录阶段之前中断时，以目录的实际指向为准
+    const touched = isStaged
+      ? hasReachedPhase(entry.phase, JOURNAL_PHASES.VERSION_WRITTEN) ||
+        (await this.isStagingActivated(targetDir, entry.stagingDir))
+      : hasReachedPhase(entry.phase, JOURNAL_PHASES.CLEANING_TARGET)
+
+    if (!touched) {
+      await this.releaseManager.discardStagingDir(entry.stagingDir)
+      // 服务可能已在解压前停止，按当前文件重新启动
+      if (this.serviceRestarter.needsStop(service.strategy)) {
+        service.state = 'unknown'
+        await this.recoverService(service)
+      }
+      return { outcome: RECOVERY_OUTCOMES.ABORTED, message: '部署目录未改动' }
+    }
+
+    // 崩溃前服务的状态未知，恢复时都视为可能在运行
+    service.state = 'unknown'
+    const revert = async (reason) => {
+      const reverted = await this.revertFailedDeploy(project, targetDir, {
+        isStaged,
+        backupResult,
+        preservedPaths,
+        service
+      })
+      if (!reverted) {
+        return { outcome: RECOVERY_OUTCOMES.FAILED, message: `${reason}，且没有可用的部署前备份，无法恢复` }
+      }
+      const restored = previousVersion ? `部署前版本 ${previousVersion}` : '部署前版本'
+      return { outcome: RECOVERY_OUTCOMES.REVERTED, message: `${reason}，已恢复${restored}` }
+    }
+
+    if (!hasReachedPhase(entry.phase, JOURNAL_PHASES.HOOKS_DONE)) {
+      return revert('新版本未完整部署')
+    }
+
+    // 文件与 post-deploy 钩子均已完成，只剩重启服务和健康检查
+    if (service.strategy) {
+      try {
+        await this.runServiceAction('start', service)
+      } catch (error) {
+        return revert(`重启服务失败: ${error.message}`)
+      }
+    }
+
+    const healthChecks = entry.healthChecks || []
+    if (healthChecks.length > 0) {
+      const healthReport = await this.healthChecker.run(healthChecks, { deployPath: targetDir })
+      if (!healthReport.healthy) {
+        return revert('健康检查未通过')
+      }
+    }
+
+    await this.updateDeployPathConfig(project, targetDir, version)
+    await this.recordDeployManifest(project, targetDir, version, preservedPaths)
+    await this.cleanupOldBackups(project)
+    return { outcome: RECOVERY_OUTCOMES.COMPLETED, message: `已完成升级到 ${version}` }
+  }
+
+  /**
+   * 恢复中断的回滚：回滚前不备份当前版本，无法撤销，改为按记录的备份重新恢复并完成剩余步骤
+   */
+  async recoverInterruptedRollback(entry) {
+    const { project, targetDir, version, backupPath, preservedPaths = [] } = entry
+    const service = this.createServiceState(entry.restartStrategy || null, {
+      project,
+      version,
+      deployPath: targetDir,
+      previousVersion: entry.previousVersion || null
+    })
+
+    if (!hasReachedPhase(entry.phase, JOURNAL_PHASES.CLEANING_TARGET)) {
+      if (this.serviceRestarter.needsStop(service.strategy)) {
+        service.state = 'unknown'
+        await this.recoverService(service)
+      }
+      return { outcome: RECOVERY_OUTCOMES.ABORTED, message: '部署目录未改动' }
+    }
+
+    if (!hasReachedPhase(entry.phase, JOURNAL_PHASES.VERSION_WRITTEN)) {
+      if (this.serviceRestarter.needsStop(service.strategy)) {
+        service.state = 'unknown'
+        await this.runServiceAction('stop', service).catch((error) => {
+          ErrorLogger.logWarning('恢复回滚前停止服务', error.message, { project })
+        })
+      }
+
+      await this.backupStore.verify(backupPath)
+      await this.prepareTargetDirectory(targetDir, preservedPaths, '恢复中断的回滚')
+      await this.restoreBackupContents(backupPath, targetDir, preservedPaths)
+      await this.ensureRollbackVersionFile(project, targetDir, version)
+      await this.updateDeployPathConfig(project, targetDir, version)
+    }
+
+    if (!hasReachedPhase(entry.phase, JOURNAL_PHASES.HOOKS_DONE)) {
+      await this.runPostRollbackHooks(project, { deployPath: targetDir, version })
+    }
+
+    if (service.strategy) {
+      await this.runServiceAction('start', service)
+    }
+    await this.recordDeployManifest(project, targetDir, version, preservedPaths)
+    return { outcome: RECOVERY_OUTCOMES.COMPLETED, message: `已完成回滚到 ${version}` }
+  }
+
+  /**
+   * staged 模式的暂存目录是否已切换为部署目录（rename 策略下暂存目录已不存在，symlink 策略下部署链接指向它）
+   * 部署目录不存在时暂存目录尚未切换上线（rename 策略的中途状态由 restoreInterruptedSwap 先行处理）
+   */
+  async isStagingActivated(targetDir, stagingDir) {
+    if (!stagingDir) return false
+
+    const livePath = await fs.realpath(targetDir).catch(() => null)
+    if (!livePath) return false
+    return livePath === path.resolve(stagingDir) || !(await fs.pathExists(stagingDir))
+  }
+
+  /**
+   * 读取目录中 version.json 记录的版本号
+   */
+  async readDeployedVersion(dir) {
+    try {
+      const versionInfo = await fs.readJson(path.join(dir, 'version.json'))
+      return versionInfo?.version || null
     } catch {
-      return false
+      return null
     }
   }
 
   /**
-   * 创建备份符号链接（跨平台支持）
-   * @param {string} targetPath - 目标路径（备份目录）
-   * @param {string} linkPath - 符号链接路径
-   * @param {string} linkName - 链接名称（用于日志）
+   * 备份当前运行的版本（在部署新版本之前）
    */
-  async createBackupSymlink(targetPath, linkPath, linkName) {
+  async backupCurrentVersion(project, targetDir, sessionId = null, preservedPaths = []) {
+    // 检查是否已有备份操作正在进行
+    if (this.backupLocks.has(project)) {
+      logger.warn(`🔒 项目 ${project} 的备份操作正在进行中，等待完成...`)
+      try {
+        await this.backupLocks.get(project)
+        logger.debug(`✅ 项目 ${project} 的前一个备份操作已完成`)
+        return { success: false, reason: 'backup_in_progress' }
+      } catch (error) {
+        logger.warn(`⚠️ 项目 ${project} 的前一个备份操作失败: ${error.message}`)
+      }
+    }
+
+    // 创建备份锁
+    const backupPromise = this._performBackup(project, targetDir, sessionId, preservedPaths)
+    this.backupLocks.set(project, backupPromise)
+
     try {
-      // 统一转换为绝对路径，避免符号链接解析出错
-      const absoluteTargetPath = path.isAbsolute(targetPath)
-        ? targetPath
-        : path.resolve(targetPath)
+      const result = await backupPromise
+      return result
+    } finally {
+      // 无论成功还是失败，都要清除锁
+      this.backupLocks.delete(project)
+    }
+  }
 
-      // 检查目标路径是否存在
-      if (!(await fs.pathExists(absoluteTargetPath))) {
-        throw new Error(`目标备份路径不存在: ${absoluteTargetPath}`)
+  async _performBackup(project, targetDir, sessionId = null, preservedPaths = []) {
+    try {
+      const progressMeta = (extra = {}) => ({ operationType: 'upgrade', ...extra })
+
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 0, '检查当前版本', null, progressMeta())
       }
 
-      const cleanExistingLink = async (reason = 'old-link') => {
-        if (!(await fs.pathExists(linkPath))) {
-          return
+      // 检查目标目录是否有内容
+      const hasExisting = await this.hasContent(targetDir)
+      if (!hasExisting) {
+        logger.debug(`ℹ️ 部署目录为空，跳过备份: ${targetDir}`)
+        if (sessionId) {
+          this.emitProgress(
+            sessionId,
+            PROGRESS_STEPS.BACKUP,
+            100,
+            '目录为空，跳过备份',
+            null,
+            progressMeta({ status: 'completed' })
+          )
         }
+        return { success: false, reason: 'target_empty' }
+      }
 
-        try {
-          await fs.remove(linkPath)
-          const reasonLabel = reason === 'old-link' ? '删除旧的备份链接' : '清理冲突的备份链接'
-          logger.debug(`♻️ ${reasonLabel}: ${linkName}`)
-        } catch (cleanupError) {
-          logger.warn(`⚠️ 清理备份链接失败: ${cleanupError.message}`)
-          throw cleanupError
-        }
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 20, '读取当前版本信息', null, progressMeta())
+      }
 
-        if (await fs.pathExists(linkPath)) {
-          const message = '备份链接清理后仍然存在，无法继续创建符号链接'
-          logger.warn(`⚠️ ${message}`)
-          throw new Error(message)
+      // 获取当前版本信息（如果有）
+      let currentVersion = 'unknown'
+      try {
+        const versionFile = path.join(targetDir, 'version.json')
+        if (await fs.pathExists(versionFile)) {
+          const versionInfo = await fs.readJson(versionFile)
+          currentVersion = versionInfo.version || 'unknown'
         }
+      } catch {
+        // 版本信息读取失败不影响备份
       }
 
-      await cleanExistingLink()
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 40, '清理旧备份链接', null, progressMeta())
+      }
 
-      const maxSymlinkAttempts = 3
+      // 备份改为压缩包后不再维护最新备份链接，删除旧版本留下的链接
+      const latestBackupLink = path.join(this.backupDir, `${project}-latest`)
+      if (await fs.pathExists(latestBackupLink)) {
+        await fs.remove(latestBackupLink)
+        logger.debug(`♻️ 已移除旧备份链接: ${project}-latest`)
+      }
 
-      // eslint-disable-next-line no-await-in-loop -- 需要顺序尝试符号链接创建以避免竞态
-      for (let attempt = 0; attempt < maxSymlinkAttempts; attempt += 1) {
-        try {
-          await fs.symlink(absoluteTargetPath, linkPath, 'junction')
-          const linkStats = await fs.lstat(linkPath)
-          if (linkStats.isSymbolicLink()) {
-            logger.debug(`🔗 创建符号链接成功: ${linkName} -> ${path.basename(absoluteTargetPath)}`)
-            logger.debug('✅ 符号链接验证成功')
-            return { success: true, method: 'symlink' }
-          }
-          // 验证失败时直接终止循环，进入回退逻辑
-          logger.warn('⚠️ 符号链接验证失败，准备回退')
-          break
-        } catch (symlinkError) {
-          const retryable = symlinkError?.code === 'EEXIST' || symlinkError?.message?.includes('Cannot overwrite non-directory')
-          if (retryable && attempt < maxSymlinkAttempts - 1) {
-            logger.warn(`⚠️ 符号链接创建失败（第 ${attempt + 1} 次），准备重试: ${symlinkError.message}`)
-            await cleanExistingLink('retry')
-            // eslint-disable-next-line no-await-in-loop -- 重试前等待，避免持续抢占文件句柄
-            await new Promise((resolve) => setTimeout(resolve, 100))
-            continue
-          }
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 60, '压缩备份当前版本文件', null, progressMeta())
+      }
 
-          logger.warn(`⚠️ 符号链接创建失败: ${symlinkError.message}`)
-          break
-        }
+      // 创建压缩备份（忽略保护白名单文件，因为它们不会被替换）
+      if (preservedPaths.length > 0) {
+        logger.debug(`🛡️ 备份时将忽略保护白名单文件: ${preservedPaths.join(', ')}`)
       }
 
-      // Windows 特定的符号链接尝试（在常规重试失败后执行）
-      if (process.platform === 'win32') {
-        try {
-          await cleanExistingLink('windows-retry')
-          await fs.symlink(absoluteTargetPath, linkPath, 'dir')
-          const linkStats = await fs.lstat(linkPath)
-          if (linkStats.isSymbolicLink()) {
-            logger.debug(`🔗 Windows 目录符号链接成功: ${linkName}`)
-            return { success: true, method: 'windows-dir-symlink' }
-          }
-        } catch (winSymlinkError) {
-          logger.warn(`⚠️ Windows 目录符号链接失败: ${winSymlinkError.message}`)
+      const { backupName, backupPath, metadata } = await this.backupStore.create(
+        project,
+        await this.resolveSymlinkSource(targetDir),
+        {
+          version: currentVersion,
+          filter: (relativePath) => this.isBackupEntryIncluded(relativePath, preservedPaths),
+          extraInfo: { deviceId: this.config.device.id, type: 'pre-deployment-backup' }
         }
-      }
+      )
+      logger.debug(
+        `📦 已备份旧版本: ${backupName}（${metadata.fileCount} 个文件，${this.formatFileSize(metadata.size)} → ${this.formatFileSize(metadata.archiveSize)}）`
+      )
 
-      await cleanExistingLink('copy-fallback')
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.BACKUP, 100, '备份完成', null, progressMeta({ status: 'completed' }))
+      }
 
-      // 符号链接失败，回退到硬拷贝（保持原有行为）
-      logger.debug(`📂 回退到文件复制模式: ${linkName}`)
-      await this.safeCopyWithGitHandling(absoluteTargetPath, linkPath)
-      logger.debug(`✅ 文件复制完成: ${linkName}`)
-      return { success: true, method: 'copy' }
+      return {
+        success: true,
+        backupPath,
+        backupName,
+        originalVersion: currentVersion
+      }
     } catch (error) {
-      ErrorLogger.logError('创建备份符号链接失败', error, {
-        targetPath,
-        absoluteTargetPath: path.isAbsolute(targetPath) ? targetPath : path.resolve(targetPath),
-        linkPath,
-        linkName
+      ErrorLogger.logWarning('备份当前版本', error.message, {
+        project,
+        targetDir
       })
-      throw new Error(`无法创建备份链接 ${linkName}: ${error.message}`)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * 检查目录是否有内容
+   */
+  async hasContent(dirPath) {
+    try {
+      if (!(await fs.pathExists(dirPath))) return false
+      const files = await fs.readdir(dirPath)
+      return files.some((f) => !f.startsWith('.'))
+    } catch {
+      return false
     }
   }
 
   async createBackup(project, version, sourceDirOverride = null) {
     // 参数验证
-    if (!project) {
-      throw new Error('project 参数不能为空')
-    }
-    if (!['frontend', 'backend'].includes(project)) {
-      throw new Error('project 必须是 frontend 或 backend')
-    }
-    const defaultSource = project === 'frontend' ? this.frontendDir : this.backendDir
+    this.assertProject(project)
+    const defaultSource = this.getDefaultProjectDir(project)
     const sourceDir = sourceDirOverride || defaultSource
 
-    // 生成带时间戳的备份目录名 - 确保唯一性和可读性
-    const timestamp = new Date().toISOString().replaceAll(/[:.]/g, '-')
-    const versionSuffix = version ? `-v${version}` : ''
-    const backupName = `${project}-backup-${timestamp}${versionSuffix}`
-    const backupPath = path.join(this.backupDir, backupName)
-
     try {
-      if (await FileHelper.safePathExists(sourceDir)) {
-        logger.debug(`📦 创建历史备份: ${backupName}`)
-        await this.safeCopyWithGitHandling(sourceDir, backupPath, {
-          overwrite: false,
-          errorOnExist: false
+      if (await this.hasContent(sourceDir)) {
+        const { backupName, backupPath } = await this.backupStore.create(project, sourceDir, {
+          version,
+          filter: (relativePath) => this.isBackupEntryIncluded(relativePath),
+          extraInfo: { deviceId: this.config.device.id, type: 'manual-backup' }
         })
-
-        // 记录备份信息
-        const backupInfo = BackupHelper.createBackupInfo(project, version, backupPath, sourceDir)
-        await FileHelper.safeWriteJson(path.join(backupPath, 'backup-info.json'), backupInfo)
-
-        // 同时更新"最新备份"链接，用于快速回滚
-        const latestBackupLink = path.join(this.backupDir, `${project}-latest`)
-
-        // 删除旧的最新备份链接
-        if (await fs.pathExists(latestBackupLink)) {
-          await fs.remove(latestBackupLink)
-        }
-
-        // 创建新的最新备份链接（使用软链接）
-        await this.createBackupSymlink(backupPath, latestBackupLink, `${project}-latest`)
-        logger.debug(`🔗 已更新最新备份链接: ${project}-latest`)
+        logger.debug(`📦 创建历史备份: ${backupName}`)
 
         return { success: true, backupPath, backupName }
       }
@@ -674,6 +1320,223 @@ export default class DeployManager {
     }
   }
 
+  /**
+   * 备份时是否打包该条目（排除 Git 文件和保护白名单）
+   * @param {string} relativePath - 相对部署目录的路径
+   * @param {Array} preservedPaths - 保护白名单路径（它们不会被替换，无需备份）
+   */
+  isBackupEntryIncluded(relativePath, preservedPaths = []) {
+    if (this.isGitRelatedPath(relativePath)) {
+      return false
+    }
+
+    return preservedPaths.length === 0 || !this.isPathPreserved(relativePath, preservedPaths)
+  }
+
+  /**
+   * 将备份内容恢复到目标目录：压缩备份直接解压，旧版目录备份按原方式复制
+   * 调用前应先通过 backupStore.verify() 校验备份，再清空目标目录
+   */
+  async restoreBackupContents(backupPath, targetDir, preservedPaths = []) {
+    if (!this.backupStore.isArchive(backupPath)) {
+      await this.copyWithPreservation(backupPath, targetDir, preservedPaths, {
+        overwrite: true,
+        excludeFiles: ['backup-info.json'],
+        logPrefix: '🔄'
+      })
+      return
+    }
+
+    const result = await this.extractArchive(backupPath, targetDir, ARCHIVE_FORMATS.TAR_GZIP, preservedPaths)
+    if (!result.success) {
+      throw new Error(`恢复备份失败: ${result.error}`)
+    }
+  }
+
+  /**
+   * 分阶段部署：解压到同级暂存目录，带入白名单文件并写入版本信息，验证后整体切换
+   * 切换之前的任何失败都只清理暂存目录，线上目录保持原样
+   */
+  async deployStaged(project, packagePath, version, targetDir, preservedPaths = [], sessionId = null) {
+    const progressMeta = (extra = {}) => ({ operationType: 'upgrade', deployMode: DEPLOY_MODES.STAGED, ...extra })
+    let stagingDir = null
+
+    try {
+      stagingDir = await this.releaseManager.createStagingDir(targetDir)
+      await this.journal.update({ stagingDir })
+
+      const extractResult = await this.extractAndDeploy(packagePath, stagingDir, project, preservedPaths, sessionId)
+      if (!extractResult.success) {
+        throw new Error(extractResult.error)
+      }
+
+      // 白名单文件不在升级包中，需要从线上目录复制到新版本
+      await this.copyPreservedPaths(targetDir, stagingDir, preservedPaths)
+      await this.updateVersionInfo(project, version, packagePath, stagingDir)
+
+      if (!(await this.hasContent(stagingDir))) {
+        throw new Error('暂存目录为空，取消切换')
+      }
+
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.DEPLOYING, 82, '暂存版本验证通过，切换到新版本', null, progressMeta())
+      }
+
+      const { previousPath } = await this.releaseManager.activate(targetDir, stagingDir)
+      return DeployResult.success('分阶段部署完成', { previousReleasePath: previousPath })
+    } catch (error) {
+      ErrorLogger.logError('分阶段部署', error, { project, targetDir, stagingDir })
+      await this.releaseManager.discardStagingDir(stagingDir)
+      return DeployResult.error(error)
+    }
+  }
+
+  /**
+   * 复制当前版本到新目录并应用增量包，再按目标完整包的文件清单清理和校验
+   *
+   * staged 模式直接在暂存目录中构建，inplace 模式在下载临时目录中构建；
+   * 当前版本与增量包基础版本不一致或校验不通过时抛出 DELTA_REJECTED 错误。
+   *
+   * @returns {Promise<string>} 已校验的目录
+   */
+  async prepareDeltaTree(project, deltaPath, format, targetDir, preservedPaths, { baseVersion, isStaged, sessionId }) {
+    const progressMeta = () => ({ operationType: 'upgrade', delta: true })
+
+    if (format !== ARCHIVE_FORMATS.TAR_GZIP) {
+      throw createDeltaError('增量包必须是 tar.gz 格式')
+    }
+
+    const currentVersion = await this.readDeployedVersion(targetDir)
+    if (!isSameVersion(currentVersion, baseVersion)) {
+      throw createDeltaError(`当前版本 ${currentVersion || '未知'} 与增量包基础版本 ${baseVersion} 不一致`)
+    }
+
+    const metadata = await readDeltaMetadata(deltaPath, format)
+    if (!isSameVersion(metadata.baseVersion, currentVersion)) {
+      throw createDeltaError(`增量包基础版本 ${metadata.baseVersion} 与当前版本 ${currentVersion} 不一致`)
+    }
+
+    const treeDir = isStaged
+      ? await this.releaseManager.createStagingDir(targetDir)
+      : path.resolve(this.config.download.tempDir, `delta-${project}-${Date.now()}`)
+
+    try {
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.EXTRACTING, 0, '复制当前版本，准备应用增量包', null, progressMeta())
+      }
+
+      // 白名单路径不参与增量比较，切换时按全量部署的方式处理
+      await fs.ensureDir(treeDir)
+      await this.copyWithPreservation(targetDir, treeDir, preservedPaths, { logPrefix: '📦' })
+
+      for (const relativePath of metadata.deletedFiles) {
+        if (this.isPathPreserved(relativePath, preservedPaths)) continue
+        // eslint-disable-next-line no-await-in-loop -- 删除列表中可能同时有目录和其下的文件，按顺序删除
+        await fs.remove(path.join(treeDir, relativePath))
+      }
+
+      const extractResult = await this.extractArchive(deltaPath, treeDir, format, preservedPaths, sessionId)
+      if (!extractResult.success) {
+        throw createDeltaError(`解压失败: ${extractResult.error}`)
+      }
+      await fs.remove(path.join(treeDir, DELTA_METADATA_FILE))
+
+      if (sessionId) {
+        this.emitProgress(sessionId, PROGRESS_STEPS.DEPLOYING, 80, '增量包已应用，校验文件清单', null, progressMeta())
+      }
+
+      // version.json 由部署流程重新写入；Git 与 macOS 元数据文件在全量解压时同样会跳过
+      const problems = await reconcileWithManifest(treeDir, metadata.manifest, {
+        isIgnored: (relativePath) =>
+          relativePath === 'version.json' ||
+          this.isGitRelatedPath(relativePath) ||
+          this.isMacOSMetadata(relativePath) ||
+          this.isPathPreserved(relativePath, preservedPaths)
+      })
+      if (problems.length > 0) {
+        const shown = problems.slice(0, 5).join('；')
+        throw createDeltaError(`与目标版本不一致（${problems.length} 项）: ${shown}${problems.length > 5 ? ' ...' : ''}`)
+      }
+
+      logger.debug(`✅ 增量包校验通过: ${Object.keys(metadata.manifest).length} 个条目`)
+      return treeDir
+    } catch (error) {
+      await fs.remove(treeDir)
+      throw error.code === DELTA_REJECTED ? error : createDeltaError(error.message)
+    }
+  }
+
+  /**
+   * 将已校验的增量部署目录上线（staged 模式切换目录，inplace 模式复制到部署目录）
+   */
+  async deployDeltaTree(project, treeDir, version, packagePath, targetDir, preservedPaths, { isStaged, sessionId }) {
+    const progressMeta = () => ({ operationType: 'upgrade', delta: true })
+
+    try {
+      if (isStaged) {
+        await this.copyPreservedPaths(targetDir, treeDir, preservedPaths)
+        await this.updateVersionInfo(project, version, packagePath, treeDir)
+
+        if (sessionId) {
+          this.emitProgress(sessionId, PROGRESS_STEPS.DEPLOYING, 82, '增量版本验证通过，切换到新版本', null, progressMeta())
+        }
+
+        const { previousPath } = await this.releaseManager.activate(targetDir, treeDir)
+        return DeployResult.success('增量部署完成', { previousReleasePath: previousPath })
+      }
+
+      await this.journal.advance(JOURNAL_PHASES.CLEANING_TARGET)
+      await this.prepareTargetDirectory(targetDir, preservedPaths, '增量部署')
+      await this.journal.advance(JOURNAL_PHASES.TARGET_CLEANED)
+      await this.copyWithPreservation(treeDir, targetDir, preservedPaths, { logPrefix: '📦' })
+      await fs.remove(treeDir)
+      return DeployResult.success('增量部署完成')
+    } catch (error) {
+      ErrorLogger.logError('增量部署', error, { project, targetDir, treeDir })
+      if (isStaged) {
+        await this.releaseManager.discardStagingDir(treeDir)
+      } else {
+        await fs.remove(treeDir).catch((removeError) => {
+          ErrorLogger.logWarning('清理增量部署目录', removeError.message, { treeDir })
+        })
+      }
+      return DeployResult.error(error)
+    }
+  }
+
+  /**
+   * 将线上目录中的白名单路径复制到新目录（分阶段部署与即时回滚使用）
+   * @param {string} sourceDir - 当前线上目录
+   * @param {string} destDir - 新版本目录
+   * @param {Array} preservedPaths - 白名单路径
+   */
+  async copyPreservedPaths(sourceDir, destDir, preservedPaths = []) {
+    if (!preservedPaths || preservedPaths.length === 0) return
+    if (!(await fs.pathExists(sourceDir))) return
+
+    const actualSourceDir = await this.resolveSymlinkSource(sourceDir)
+    const patterns = preservedPaths.map((pattern) => pattern.replace(/\\/g, '/').replace(/\/+$/, ''))
+    let copiedCount = 0
+
+    await this.safeCopyWithGitHandling(actualSourceDir, destDir, {
+      overwrite: true,
+      filter: (src) => {
+        const relativePath = path.relative(actualSourceDir, src).replace(/\\/g, '/')
+        if (!relativePath) return true
+
+        if (this.isPathPreserved(relativePath, preservedPaths)) {
+          copiedCount++
+          return true
+        }
+
+        // 保留通往白名单路径的上级目录
+        return patterns.some((pattern) => pattern.startsWith(`${relativePath}/`))
+      }
+    })
+
+    logger.debug(`🛡️ 已带入白名单文件 ${copiedCount} 个: ${path.basename(actualSourceDir)} -> ${path.basename(destDir)}`)
+  }
+
   async extractAndDeploy(packagePath, targetDir, project, preservedPaths = [], sessionId = null) {
     // 参数验证
     if (!packagePath || !targetDir || !project) {
@@ -682,6 +1545,12 @@ export default class DeployManager {
     try {
       const progressMeta = (extra = {}) => ({ operationType: 'upgrade', ...extra })
 
+      // 根据文件内容（魔数）识别包格式，扩展名仅用于识别失败时的判断；必须在清空目标目录之前确认包可用
+      const archiveFormat = await detectArchiveFormat(packagePath)
+      if (!archiveFormat && this.constants.archiveExtensions.includes(path.extname(packagePath).toLowerCase())) {
+        throw createUnrecognizedArchiveError(packagePath)
+      }
+
       if (sessionId) {
         this.emitProgress(sessionId, PROGRESS_STEPS.EXTRACTING, 0, '准备目标目录', null, progressMeta())
       }
@@ -691,20 +1560,23 @@ export default class DeployManager {
         this.emitProgress(sessionId, step, progress, message, null, progressMeta())
       } : null
 
+      // 原地部署时记录清空部署目录的进度，暂存目录的写入不影响线上版本
+      const journaled = this.journal.isTracking(targetDir)
+      if (journaled) {
+        await this.journal.advance(JOURNAL_PHASES.CLEANING_TARGET)
+      }
       await this.prepareTargetDirectory(targetDir, preservedPaths, '部署', prepareProgressCallback)
+      if (journaled) {
+        await this.journal.advance(JOURNAL_PHASES.TARGET_CLEANED)
+      }
 
       if (sessionId) {
         this.emitProgress(sessionId, PROGRESS_STEPS.EXTRACTING, 20, '开始解压部署包', null, progressMeta())
       }
 
-      // 检查包文件类型
-      const ext = path.extname(packagePath).toLowerCase()
-
       let extractResult
-      if (ext === '.zip') {
-        extractResult = await this.extractZip(packagePath, targetDir, preservedPaths, sessionId)
-      } else if (ext === '.tar' || ext === '.tgz' || ext === '.gz') {
-        throw new Error(`不支持的压缩格式: ${ext}。仅支持 ZIP 格式，请重新打包为 ZIP 文件。`)
+      if (archiveFormat) {
+        extractResult = await this.extractArchive(packagePath, targetDir, archiveFormat, preservedPaths, sessionId)
       } else {
         // 直接复制文件（支持白名单保护）
         const fileName = path.basename(packagePath)
@@ -747,117 +1619,587 @@ export default class DeployManager {
     }
   }
 
-  async extractZip(zipPath, targetDir, preservedPaths = []) {
+  /**
+   * 按升级包清单检查本机的项目、平台、架构、Agent 版本和部署分区可用空间
+   * @returns {Promise<Array>} 不满足的约束列表
+   */
+  async checkPackageRequirements(project, manifest, targetDir) {
+    if (!manifest) return []
+
+    const agentVersion = (await this.agent?.getAgentVersion?.()) || this.config.device?.agentVersion || null
+    return checkManifestRequirements(manifest, {
+      project,
+      platform: process.platform,
+      arch: process.arch,
+      agentVersion,
+      diskFreeBytes: manifest.requiredDiskSpace ? await this.getDiskFreeBytes(targetDir) : null
+    })
+  }
+
+  /**
+   * 获取目录所在分区的可用空间（目录不存在时取最近的已存在上级目录）
+   * @returns {Promise<number|null>} 无法获取时返回 null
+   */
+  async getDiskFreeBytes(dir) {
+    if (typeof fsPromises.statfs !== 'function') return null
+
+    let current = path.resolve(dir)
+    // eslint-disable-next-line no-await-in-loop -- 逐级向上查找，必须串行
+    while (!(await fs.pathExists(current))) {
+      const parent = path.dirname(current)
+      if (parent === current) return null
+      current = parent
+    }
+
     try {
-      logger.debug(`🔧 准备解压ZIP文件:`)
-      logger.debug(`  源文件: ${zipPath}`)
-      logger.debug(`  目标目录: ${targetDir}`)
-      logger.debug(`  使用: adm-zip (跨平台)`)
+      const stats = await fsPromises.statfs(current)
+      return stats.bavail * stats.bsize
+    } catch (error) {
+      ErrorLogger.logWarning('获取磁盘可用空间', error.message, { dir: current })
+      return null
+    }
+  }
 
-      // 验证 ZIP 文件是否存在
-      if (!(await fs.pathExists(zipPath))) {
-        throw new Error(`ZIP 文件不存在: ${zipPath}`)
+  /**
+   * 部署预览（dry-run）：对比升级包与当前部署目录，不改动部署目录和备份
+   *
+   * 按部署流程的实际行为归类：白名单路径保留不动，其余现有文件在部署时被覆盖或删除；
+   * 升级包中的 Git 文件和 macOS 元数据不会写入，不计入变更。
+   *
+   * @param {string} project - 项目名称
+   * @param {string} packagePath - 已下载的完整升级包
+   * @param {string} version - 目标版本
+   * @param {string|null} deployPathOverride - 部署路径，未指定时使用项目默认目录
+   * @param {Array} preservedPaths - 白名单路径
+   * @param {Object} options - { deployMode }
+   * @returns {Promise<Object>} DeployResult，data 为预览报告；ready 为 false 时 problems 列出部署会被拒绝的原因
+   */
+  async previewDeploy(project, packagePath, version, deployPathOverride = null, preservedPaths = [], options = {}) {
+    try {
+      this.assertProject(project)
+
+      const pathValidation = defaultPathValidator.validateDeployPath(
+        deployPathOverride,
+        this.getDefaultProjectDir(project)
+      )
+      const targetDir = pathValidation.path
+      const deployMode = this.releaseManager.resolveMode(options.deployMode)
+      const problems = []
+
+      let rejection = null
+      let incompatible = []
+      let manifest = null
+      let hooks = {}
+      let packageFiles
+
+      const archiveFormat = await detectArchiveFormat(packagePath)
+      if (archiveFormat) {
+        const inspection = await this.inspectArchive(packagePath, archiveFormat)
+        if (inspection.safe) {
+          manifest = await readManifestFromArchive(packagePath, archiveFormat)
+          hooks = this.hookRunner.getHooks(manifest)
+          incompatible = await this.checkPackageRequirements(project, manifest, targetDir)
+          problems.push(...incompatible.map((item) => item.message))
+        } else {
+          rejection = inspection.report
+          problems.push(`升级包包含 ${rejection.totalRejected} 个不安全条目`)
+        }
+
+        packageFiles = await this.collectPackageFiles(packagePath, archiveFormat)
+      } else if (this.constants.archiveExtensions.includes(path.extname(packagePath).toLowerCase())) {
+        throw createUnrecognizedArchiveError(packagePath)
+      } else {
+        // 非压缩包按单个文件复制到部署目录
+        packageFiles = new Map([[path.basename(packagePath), (await fs.stat(packagePath)).size]])
       }
 
-      // 确保目标目录存在
-      await fs.ensureDir(targetDir)
+      const currentFiles = await this.collectDeployedFiles(targetDir)
+      const changes = { added: new Map(), overwritten: new Map(), deleted: new Map(), protected: new Map() }
+      let removedBytes = 0
+      let backupBytes = 0
 
-      // 创建 AdmZip 实例
-      const zip = new AdmZip(zipPath)
-      const zipEntries = zip.getEntries()
+      for (const [relativePath, size] of currentFiles) {
+        if (this.isPathPreserved(relativePath, preservedPaths)) {
+          changes.protected.set(relativePath, size)
+          continue
+        }
 
-      logger.debug(`📦 ZIP 文件包含 ${zipEntries.length} 个条目`)
+        removedBytes += size
+        if (this.isBackupEntryIncluded(relativePath)) {
+          backupBytes += size
+        }
 
-      // 验证 ZIP 文件完整性
-      let hasValidEntries = false
-      for (const entry of zipEntries) {
-        if (!entry.isDirectory && entry.getData().length > 0) {
-          hasValidEntries = true
-          break
+        if (packageFiles.has(relativePath)) {
+          changes.overwritten.set(relativePath, packageFiles.get(relativePath))
+        } else {
+          changes.deleted.set(relativePath, size)
         }
       }
 
-      if (!hasValidEntries) {
-        throw new Error('ZIP 文件为空或损坏')
+      for (const [relativePath, size] of packageFiles) {
+        if (this.isPathPreserved(relativePath, preservedPaths)) {
+          // 升级包中的白名单文件不会写入，沿用设备上的现有文件（如有）
+          if (!changes.protected.has(relativePath)) changes.protected.set(relativePath, 0)
+        } else if (!currentFiles.has(relativePath)) {
+          changes.added.set(relativePath, size)
+        }
       }
 
-      // 解压文件
-      logger.debug(`📂 开始解压到目标目录...`)
+      // 备份按未压缩大小估算（上限）；staged 模式新旧版本同时存在，inplace 模式先删除旧文件再解压
+      const writtenBytes = this.sumSizes(changes.added) + this.sumSizes(changes.overwritten)
+      const estimatedBytes =
+        backupBytes +
+        (deployMode === DEPLOY_MODES.STAGED ? writtenBytes : Math.max(0, writtenBytes - removedBytes))
+      const requiredBytes = Math.max(estimatedBytes, manifest?.requiredDiskSpace || 0)
+      const freeBytes = await this.getDiskFreeBytes(targetDir)
+      const sufficient = freeBytes === null ? null : freeBytes >= requiredBytes
+      if (sufficient === false) {
+        problems.push(
+          `磁盘空间不足: 预计需要 ${this.formatFileSize(requiredBytes)}，可用 ${this.formatFileSize(freeBytes)}`
+        )
+      }
+
+      // 重启策略配置错误会让正式部署直接失败，预览中作为问题列出
+      let restart = null
+      try {
+        const strategy = this.resolveRestartStrategy(project)
+        restart = strategy
+          ? { type: strategy.type, mode: strategy.mode, target: this.serviceRestarter.describe(strategy) }
+          : null
+      } catch (error) {
+        problems.push(`重启策略无效: ${error.message}`)
+      }
+
+      const files = {}
+      for (const [category, entries] of Object.entries(changes)) {
+        const paths = [...entries.keys()].sort()
+        files[category] = {
+          count: paths.length,
+          bytes: this.sumSizes(entries),
+          paths: paths.slice(0, this.constants.maxPreviewPaths),
+          truncated: paths.length > this.constants.maxPreviewPaths
+        }
+      }
+
+      return DeployResult.success('部署预览完成', {
+        project,
+        version: version || null,
+        currentVersion: await this.readDeployedVersion(targetDir),
+        deployPath: targetDir,
+        deployMode,
+        preservedPaths,
+        files,
+        disk: {
+          writtenBytes,
+          backupBytes,
+          requiredBytes,
+          freeBytes,
+          sufficient
+        },
+        hooks: Object.values(HOOK_PHASES).filter((phase) => this.hookRunner.hasHooks(hooks, phase)),
+        restart,
+        rejection,
+        incompatible,
+        ready: problems.length === 0,
+        problems
+      })
+    } catch (error) {
+      ErrorLogger.logError('部署预览', error, { project, packagePath })
+      return DeployResult.error(error)
+    }
+  }
+
+  /**
+   * 升级前置检查：下载之前按部署目录现状估算各分区的空间需求，并检查写权限与被占用的文件
+   *
+   * 部署目录需要的空间：inplace 模式先删除旧文件再解压，为解压后大小减去被删除的文件；
+   * staged 模式新旧版本同时存在，为解压后大小加上带入暂存目录的白名单文件。
+   *
+   * @param {string} project - 项目名称
+   * @param {Object} packageInfo - 服务端返回的包信息（fileSize、uncompressedSize、manifest）
+   * @param {string|null} deployPathOverride - 部署路径，未指定时使用项目默认目录
+   * @param {Array} preservedPaths - 白名单路径
+   * @param {Object} options - { deployMode, downloadBytes: 需要下载的字节数，包已缓存时为 0 }
+   * @returns {Promise<Object>} 检查结果，ready 为 false 时 problems 列出不通过的原因（含错误码）
+   */
+  async preflight(project, packageInfo, deployPathOverride = null, preservedPaths = [], options = {}) {
+    this.assertProject(project)
+
+    const pathValidation = defaultPathValidator.validateDeployPath(
+      deployPathOverride,
+      this.getDefaultProjectDir(project)
+    )
+    const targetDir = pathValidation.path
+    const deployMode = this.releaseManager.resolveMode(options.deployMode)
+    const isStaged = deployMode === DEPLOY_MODES.STAGED
+
+    const currentFiles = await this.collectDeployedFiles(targetDir)
+    const replacedFiles = []
+    let removedBytes = 0
+    let preservedBytes = 0
+    let backupBytes = 0
+    for (const [relativePath, size] of currentFiles) {
+      if (this.isPathPreserved(relativePath, preservedPaths)) {
+        preservedBytes += size
+        continue
+      }
+
+      replacedFiles.push(relativePath)
+      removedBytes += size
+      if (this.isBackupEntryIncluded(relativePath, preservedPaths)) {
+        backupBytes += size
+      }
+    }
+
+    let stopsService = false
+    try {
+      stopsService = this.serviceRestarter.needsStop(this.resolveRestartStrategy(project))
+    } catch {
+      // 重启策略无效时部署本身会失败，预览中会列出，这里按不停止服务处理
+    }
+
+    // 旧版服务端不返回解压后大小，按包大小估算
+    const uncompressedBytes = packageInfo.uncompressedSize ?? packageInfo.fileSize ?? 0
+    const deployBytes = Math.max(
+      isStaged ? uncompressedBytes + preservedBytes : Math.max(0, uncompressedBytes - removedBytes),
+      packageInfo.manifest?.requiredDiskSpace || 0
+    )
+
+    const result = await this.preflightChecker.check({
+      deployDir: isStaged ? path.dirname(path.resolve(targetDir)) : targetDir,
+      deployRoot: await this.resolveSymlinkSource(targetDir),
+      downloadBytes: options.downloadBytes ?? packageInfo.fileSize ?? 0,
+      deployBytes,
+      backupBytes,
+      replacedFiles,
+      // stop-start 重启策略在改动文件前停止服务，此时被占用的文件会被释放；
+      // staged 模式整体切换目录，只有 Windows 上被占用的文件会阻止重命名
+      checkFiles: !stopsService && (!isStaged || process.platform === 'win32')
+    })
+
+    return {
+      project,
+      deployPath: targetDir,
+      deployMode,
+      packageBytes: packageInfo.fileSize ?? null,
+      uncompressedBytes,
+      ...result
+    }
+  }
+
+  /**
+   * 列出升级包中会写入部署目录的文件和符号链接（不写入磁盘）
+   * @returns {Promise<Map<string, number>>} 相对路径 -> 文件大小
+   */
+  async collectPackageFiles(archivePath, format) {
+    const files = new Map()
+    const onEntry = async (entry) => {
+      const entryPath = normalizeEntryPath(entry.path)
+      if (!entryPath || entryPath === '.') return null
+      if (entry.type !== 'file' && entry.type !== 'symlink') return null
+      if (this.isGitRelatedPath(entryPath) || this.isMacOSMetadata(entryPath)) return null
+
+      files.set(entryPath, entry.type === 'file' ? entry.size : 0)
+      return null
+    }
+
+    await (format === ARCHIVE_FORMATS.ZIP
+      ? readZipEntries(archivePath, { onEntry })
+      : readTarEntries(archivePath, { gzip: format === ARCHIVE_FORMATS.TAR_GZIP, onEntry }))
+
+    return files
+  }
+
+  /**
+   * 列出部署目录中的文件和符号链接（symlink 切换模式下读取链接指向的版本目录）
+   * @returns {Promise<Map<string, number>>} 以 / 分隔的相对路径 -> 文件大小
+   */
+  async collectDeployedFiles(targetDir) {
+    const files = new Map()
+    if (!(await fs.pathExists(targetDir))) return files
+
+    const rootDir = await this.resolveSymlinkSource(targetDir)
+    const walk = async (dir, relativeDir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐层遍历，避免同时打开大量目录句柄
+          await walk(fullPath, relativePath)
+        } else if (entry.isSymbolicLink()) {
+          files.set(relativePath, 0)
+        } else if (entry.isFile()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐个读取文件大小
+          files.set(relativePath, (await fs.stat(fullPath)).size)
+        }
+      }
+    }
+
+    await walk(rootDir, '')
+    return files
+  }
+
+  // 累加路径 -> 大小映射中的字节数
+  sumSizes(entries) {
+    let total = 0
+    for (const size of entries.values()) total += size
+    return total
+  }
+
+  /**
+   * 解压前校验压缩包内所有条目（不写入磁盘）
+   * 拒绝绝对路径、路径穿越、指向部署目录之外的符号链接、硬链接和设备文件，
+   * 以及经过压缩包内符号链接的条目（需要全部条目读完后才能判断，链接可能出现在后面）
+   * @param {string} archivePath - 压缩包路径
+   * @param {string} format - ARCHIVE_FORMATS 中的格式
+   * @returns {Promise<{safe: boolean, report: Object|null}>}
+   */
+  async inspectArchive(archivePath, format) {
+    const rejectedEntries = []
+    let totalRejected = 0
+    const entries = []
+    const symlinkPaths = new Set()
+
+    const reject = (entry, violation) => {
+      totalRejected++
+      if (rejectedEntries.length < this.constants.maxReportedRejections) {
+        rejectedEntries.push({
+          path: entry.path,
+          type: entry.type,
+          reason: violation.reason,
+          detail: violation.detail
+        })
+      }
+    }
+
+    const onEntry = async (entry) => {
+      const violation = inspectEntrySafety(entry)
+      if (violation) {
+        reject(entry, violation)
+        return null
+      }
+
+      entries.push({ path: entry.path, type: entry.type, linkPath: entry.linkPath })
+      if (entry.type === 'symlink') {
+        symlinkPaths.add(path.posix.normalize(normalizeEntryPath(entry.path)))
+      }
+      return null
+    }
+
+    const { entryCount } =
+      format === ARCHIVE_FORMATS.ZIP
+        ? await readZipEntries(archivePath, { onEntry })
+        : await readTarEntries(archivePath, { gzip: format === ARCHIVE_FORMATS.TAR_GZIP, onEntry })
+
+    for (const entry of entries) {
+      const violation = inspectSymlinkTraversal(entry, symlinkPaths)
+      if (violation) reject(entry, violation)
+    }
+
+    if (totalRejected === 0) {
+      return { safe: true, report: null }
+    }
+
+    return {
+      safe: false,
+      report: {
+        code: 'UNSAFE_ARCHIVE_ENTRIES',
+        archive: path.basename(archivePath),
+        format,
+        entryCount,
+        totalRejected,
+        entries: rejectedEntries,
+        truncated: totalRejected > rejectedEntries.length
+      }
+    }
+  }
+
+  /**
+   * 流式解压压缩包（ZIP / tar / tar.gz）
+   * 逐个条目写入磁盘，跳过 Git 文件、macOS 元数据和白名单路径，并按条目上报解压进度。
+   * 符号链接在所有文件写入后才创建，写入文件时按真实路径确认仍位于目标目录内
+   * @param {string} archivePath - 压缩包路径
+   * @param {string} targetDir - 目标目录
+   * @param {string} format - ARCHIVE_FORMATS 中的格式
+   * @param {Array} preservedPaths - 白名单路径
+   * @param {string|null} sessionId - 会话ID
+   */
+  async extractArchive(archivePath, targetDir, format, preservedPaths = [], sessionId = null) {
+    const formatLabel = format === ARCHIVE_FORMATS.ZIP ? 'ZIP' : format
+
+    try {
+      logger.debug(`🔧 准备解压 ${formatLabel} 文件:`)
+      logger.debug(`  源文件: ${archivePath}`)
+      logger.debug(`  目标目录: ${targetDir}`)
+
+      if (!(await fs.pathExists(archivePath))) {
+        throw new Error(`${formatLabel} 文件不存在: ${archivePath}`)
+      }
+
+      await fs.ensureDir(targetDir)
+      const realTargetDir = await fs.realpath(targetDir)
+      const checkedDirs = new Set()
+      const symlinkEntries = []
+
+      // 目标目录中已有的符号链接（如白名单保留的路径）可能指向外部，写入前按真实路径确认
+      const assertInsideTarget = async (outputPath) => {
+        const dir = path.dirname(outputPath)
+        if (checkedDirs.has(dir)) return
+
+        let existingDir = dir
+        // eslint-disable-next-line no-await-in-loop -- 逐级向上查找已存在的目录，必须串行
+        while (!(await fs.pathExists(existingDir))) {
+          existingDir = path.dirname(existingDir)
+        }
+        const realDir = await fs.realpath(existingDir)
+        if (realDir !== realTargetDir && !realDir.startsWith(realTargetDir + path.sep)) {
+          throw new Error(`拒绝不安全的条目 ${path.relative(targetDir, outputPath)}: 所在目录解析到目标目录之外`)
+        }
+        checkedDirs.add(dir)
+      }
 
       // 始终使用安全解压模式，排除 Git 文件、macOS 元数据和白名单文件
-      logger.debug(`🛡️ 使用安全解压模式`)
       if (preservedPaths.length > 0) {
         logger.debug(`🛡️ 保护路径: ${preservedPaths.join(', ')}`)
       }
 
       let extractedCount = 0
       let skippedCount = 0
+      let hasValidEntries = false
       const skippedFiles = []
       const loggedWhitelistEntries = new Set()
+      let lastReportedProgress = -1
+
+      const onEntry = async (entry) => {
+        // 解压前已整体校验过，这里再次拦截，防止在未校验的调用路径上写出部署目录
+        const violation = inspectEntrySafety(entry)
+        if (violation) {
+          throw new Error(`拒绝不安全的条目 ${entry.path}: ${violation.detail}`)
+        }
+
+        // tar 条目常以 ./ 开头，统一为相对路径后再应用过滤规则
+        const entryPath = normalizeEntryPath(entry.path)
+        if (!entryPath || entryPath === '.') return null
 
-      for (const entry of zipEntries) {
-        const entryPath = entry.entryName
+        if (entry.type === 'file' && entry.size > 0) {
+          hasValidEntries = true
+        }
 
         // 跳过 Git 文件
         if (this.isGitRelatedPath(entryPath)) {
           skippedCount++
           skippedFiles.push(entryPath)
           logger.debug(`⚠️ 跳过 Git 文件: ${entryPath}`)
-          continue
+          return null
         }
 
         // 跳过 macOS 元数据文件和目录
         if (this.isMacOSMetadata(entryPath)) {
           skippedCount++
           skippedFiles.push(entryPath)
-          continue
+          return null
         }
 
         // 检查是否为白名单路径（仅在有白名单时检查）
         if (preservedPaths.length > 0 && this.isPathPreserved(entryPath, preservedPaths)) {
-            skippedCount++
-            skippedFiles.push(entryPath)
-            const topLevelEntry = this.getTopLevelEntry(entryPath)
-            if (!loggedWhitelistEntries.has(topLevelEntry)) {
-              logger.debug(`🛡️ 跳过白名单路径: ${topLevelEntry}`)
-              loggedWhitelistEntries.add(topLevelEntry)
-            }
-            continue
+          skippedCount++
+          skippedFiles.push(entryPath)
+          const topLevelEntry = this.getTopLevelEntry(entryPath)
+          if (!loggedWhitelistEntries.has(topLevelEntry)) {
+            logger.debug(`🛡️ 跳过白名单路径: ${topLevelEntry}`)
+            loggedWhitelistEntries.add(topLevelEntry)
           }
+          return null
+        }
 
-          // 解压非白名单文件
-          try {
-            if (entry.isDirectory) {
-              // 创建目录
-              const dirPath = path.join(targetDir, entryPath)
-              // eslint-disable-next-line no-await-in-loop -- 需要顺序创建目录结构，避免并发冲突
-              await fs.ensureDir(dirPath)
-            } else {
-              // 解压文件
-              const filePath = path.join(targetDir, entryPath)
-              const fileDir = path.dirname(filePath)
-              // eslint-disable-next-line no-await-in-loop -- 需要在写入前确保父目录存在
-              await fs.ensureDir(fileDir)
-              const content = entry.getData()
-              // eslint-disable-next-line no-await-in-loop -- 顺序写入以降低文件系统竞争风险
-              await fs.writeFile(filePath, content)
-            }
-            extractedCount++
-          } catch (extractError) {
-            logger.error(`❌ 解压文件失败: ${entryPath} - ${extractError.message}`)
-            // 继续解压其他文件，不中断整个过程
-          }
+        const outputPath = path.join(targetDir, entryPath)
+
+        if (entry.type === 'symlink') {
+          symlinkEntries.push({ entry, entryPath, outputPath })
+          return null
+        }
+
+        if (entry.type === 'directory') {
+          await assertInsideTarget(outputPath)
+          await fs.ensureDir(outputPath)
+          extractedCount++
+          return null
+        }
+
+        if (entry.type !== 'file') {
+          skippedCount++
+          skippedFiles.push(entryPath)
+          logger.warn(`⚠️ 跳过不支持的条目类型 (${entry.type}): ${entryPath}`)
+          return null
         }
 
-        logger.debug(`✅ 安全解压完成:`)
-        logger.debug(`  📁 解压文件数: ${extractedCount}`)
-        logger.debug(`  🛡️ 跳过文件数: ${skippedCount}`)
+        await assertInsideTarget(outputPath)
+        extractedCount++
+        return outputPath
+      }
+
+      // 解压进度映射到 EXTRACTING 阶段的 20%~80% 区间（ZIP 按条目数，tar 按已读取字节数）
+      const onProgress = (done, total) => {
+        if (!total) return
+        this.journal.recordExtraction(targetDir, done, total)
+        if (!sessionId) return
+        const progress = 20 + Math.floor((done / total) * 60)
+        if (progress === lastReportedProgress) return
+        lastReportedProgress = progress
+        this.emitProgress(sessionId, PROGRESS_STEPS.EXTRACTING, progress, `正在解压 ${formatLabel} 包`, null, {
+          operationType: 'upgrade'
+        })
+      }
 
-        if (skippedFiles.length > 0 && skippedFiles.length <= 10) {
-          logger.debug(`  🛡️ 跳过的文件: ${skippedFiles.join(', ')}`)
-        } else if (skippedFiles.length > 10) {
-          logger.debug(`  🛡️ 跳过的文件: ${skippedFiles.slice(0, 10).join(', ')} ... 还有${skippedFiles.length - 10}个`)
+      logger.debug(`📂 开始解压到目标目录...`)
+      const { entryCount } =
+        format === ARCHIVE_FORMATS.ZIP
+          ? await readZipEntries(archivePath, { onEntry, onProgress })
+          : await readTarEntries(archivePath, { gzip: format === ARCHIVE_FORMATS.TAR_GZIP, onEntry, onProgress })
+
+      logger.debug(`📦 ${formatLabel} 文件包含 ${entryCount} 个条目`)
+
+      // 最后创建符号链接：写入文件时链接尚不存在，文件不会经过链接写出目标目录
+      const symlinkPaths = new Set(symlinkEntries.map((item) => path.posix.normalize(item.entryPath)))
+      for (const { entry } of symlinkEntries) {
+        const violation = inspectSymlinkTraversal(entry, symlinkPaths)
+        if (violation) {
+          throw new Error(`拒绝不安全的条目 ${entry.path}: ${violation.detail}`)
+        }
+      }
+      for (const { entry, entryPath, outputPath } of symlinkEntries) {
+        // 目标已确认位于部署目录内；Windows 等无权限创建链接的环境跳过该条目
+        try {
+          // eslint-disable-next-line no-await-in-loop -- 按条目顺序逐个创建
+          await assertInsideTarget(outputPath)
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await fs.ensureDir(path.dirname(outputPath))
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await fs.remove(outputPath)
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await fs.symlink(entry.linkPath.replaceAll('\\', '/'), outputPath)
+          extractedCount++
+        } catch (linkError) {
+          if (linkError.message.startsWith('拒绝不安全的条目')) throw linkError
+          skippedCount++
+          skippedFiles.push(entryPath)
+          logger.warn(`⚠️ 创建符号链接失败，已跳过: ${entryPath} - ${linkError.message}`)
         }
+      }
+
+      if (!hasValidEntries) {
+        throw new Error(`${formatLabel} 文件为空或损坏`)
+      }
+
+      logger.debug(`✅ 安全解压完成:`)
+      logger.debug(`  📁 解压文件数: ${extractedCount}`)
+      logger.debug(`  🛡️ 跳过文件数: ${skippedCount}`)
+
+      if (skippedFiles.length > 0 && skippedFiles.length <= 10) {
+        logger.debug(`  🛡️ 跳过的文件: ${skippedFiles.join(', ')}`)
+      } else if (skippedFiles.length > 10) {
+        logger.debug(`  🛡️ 跳过的文件: ${skippedFiles.slice(0, 10).join(', ')} ... 还有${skippedFiles.length - 10}个`)
+      }
 
       // 验证解压结果
       const afterFiles = await fs.readdir(targetDir)
@@ -867,16 +2209,16 @@ export default class DeployManager {
         throw new Error('解压完成但目标目录为空')
       }
 
-      logger.debug(`✅ ZIP 解压成功，目录总文件数: ${totalFiles}`)
+      logger.debug(`✅ ${formatLabel} 解压成功，目录总文件数: ${totalFiles}`)
 
       // 显示解压的主要文件
       const displayFiles = afterFiles.slice(0, 5)
       logger.debug(`📋 主要文件: ${displayFiles.join(', ')}${totalFiles > 5 ? ' ...' : ''}`)
 
-      return DeployResult.success('ZIP 解压完成')
+      return DeployResult.success(`${formatLabel} 解压完成`)
     } catch (error) {
-      logger.error(`❌ ZIP 解压失败: ${error.message}`)
-      ErrorLogger.logError('ZIP 解压', error, { zipPath, targetDir })
+      logger.error(`❌ ${formatLabel} 解压失败: ${error.message}`)
+      ErrorLogger.logError(`${formatLabel} 解压`, error, { archivePath, targetDir })
       return DeployResult.error(error)
     }
   }
@@ -886,7 +2228,7 @@ export default class DeployManager {
     if (!project || !version || !packagePath) {
       throw new Error('project, version 和 packagePath 参数不能为空')
     }
-    const defaultTarget = project === 'frontend' ? this.frontendDir : this.backendDir
+    const defaultTarget = this.getDefaultProjectDir(project)
     const targetDir = targetDirOverride || defaultTarget
     const versionFile = path.join(targetDir, 'version.json')
 
@@ -1342,53 +2684,6 @@ export default class DeployManager {
     return { copiedCount, skippedCount }
   }
 
-  /**
-   * 备份时的文件复制方法（排除保护白名单文件）
-   * @param {string} sourceDir - 源目录
-   * @param {string} targetDir - 目标目录
-   * @param {Array} preservedPaths - 保护白名单路径（备份时要排除的）
-   */
-  async copyWithBackupExclusion(sourceDir, targetDir, preservedPaths = []) {
-    // 解析符号链接，获取实际的源路径
-    const actualSourceDir = await this.resolveSymlinkSource(sourceDir)
-
-    logger.debug(`📦 备份复制文件: ${path.basename(actualSourceDir)} -> ${path.basename(targetDir)}`)
-    logger.debug(`🛡️ 将排除保护白名单文件: ${preservedPaths.join(', ')}`)
-
-    let copiedCount = 0
-    let excludedCount = 0
-    const loggedWhitelistEntries = new Set()
-
-    await this.safeCopyWithGitHandling(actualSourceDir, targetDir, {
-      overwrite: true,
-      filter: (src) => {
-        const relativePath = path.relative(actualSourceDir, src)
-
-        // 排除备份信息文件
-        if (src.endsWith('backup-info.json')) {
-          return false
-        }
-
-        // 排除保护白名单文件（它们不会被替换，所以无需备份）
-        if (this.isPathPreserved(relativePath, preservedPaths)) {
-          const topLevelEntry = this.getTopLevelEntry(relativePath)
-          if (!loggedWhitelistEntries.has(topLevelEntry)) {
-            logger.debug(`🛡️ 备份时排除保护路径: ${topLevelEntry}`)
-            loggedWhitelistEntries.add(topLevelEntry)
-          }
-          excludedCount++
-          return false
-        }
-
-        copiedCount++
-        return true
-      }
-    })
-
-    logger.debug(`✅ 备份完成: 复制了 ${copiedCount} 个文件，排除了 ${excludedCount} 个保护文件`)
-    return { copiedCount, excludedCount }
-  }
-
   /**
    * 准备目标目录（创建、清空、验证）
    * @param {string} targetDir - 目标目录路径
@@ -1573,11 +2868,29 @@ export default class DeployManager {
     })
   }
 
-  async rollback(project, targetVersion = null, preservedPaths = [], sessionId = null) {
+  /**
+   * 回滚到备份版本
+   * @param {string} project - 项目名称
+   * @param {string|null} targetVersion - 目标版本号（与备份记录的版本精确匹配），为空时使用最新备份
+   * @param {Array} preservedPaths - 白名单路径
+   * @param {string|null} sessionId - 会话ID
+   * @param {Object} [options]
+   * @param {string|null} [options.backupId] - 指定的备份 ID（listBackups 返回的 id），优先于 targetVersion
+   * @param {CancellationToken|null} [options.cancellation] - 取消令牌，只在开始恢复文件之前生效
+   * @param {string|null} [options.batchTaskId] - 所属批量任务，记录在操作日志中
+   */
+  async rollback(
+    project,
+    targetVersion = null,
+    preservedPaths = [],
+    sessionId = null,
+    { backupId = null, cancellation = null, batchTaskId = null } = {}
+  ) {
     // 📋 详细的回滚参数接收日志
     logger.info(`🎯 deployManager.rollback() 接收参数:`)
     logger.info(`  - 项目: ${project}`)
     logger.info(`  - 目标版本: ${targetVersion || '最新备份'}`)
+    logger.info(`  - 指定备份: ${backupId || 'N/A'}`)
     logger.info(`  - preservedPaths 原始值: ${JSON.stringify(preservedPaths)}`)
     logger.info(`  - preservedPaths 类型: ${typeof preservedPaths}`)
     logger.info(`  - preservedPaths 是否为数组: ${Array.isArray(preservedPaths)}`)
@@ -1585,12 +2898,7 @@ export default class DeployManager {
     logger.info(`  - sessionId: ${sessionId || 'N/A'}`)
 
     // 参数验证
-    if (!project) {
-      throw new Error('project 参数不能为空')
-    }
-    if (!['frontend', 'backend'].includes(project)) {
-      throw new Error('project 必须是 frontend 或 backend')
-    }
+    this.assertProject(project)
     logger.debug(`开始回滚 ${project} 到版本: ${targetVersion || '最新备份'}`)
     if (preservedPaths.length > 0) {
       logger.info(`🛡️ 回滚白名单保护生效: ${preservedPaths.join(', ')}`)
@@ -1605,65 +2913,126 @@ export default class DeployManager {
       this.emitProgress(sessionId, PROGRESS_STEPS.PREPARING, 0, '开始回滚流程', null, progressMeta())
     }
 
+    let service = null
     try {
-      // 优先使用最新备份链接进行快速回滚
-      const latestBackupDir = path.join(this.backupDir, `${project}-latest`)
+      // 运行时锁定文件的应用在恢复文件之前停止
+      service = this.createServiceState(this.resolveRestartStrategy(project), {
+        project,
+        version: targetVersion,
+        deployPath: (await this.getActualDeployPath(project)) || this.getDefaultProjectDir(project)
+      })
+      if (this.serviceRestarter.needsStop(service.strategy)) {
+        await this.runServiceAction('stop', service, sessionId, progressMeta, 30)
+      }
+
+      // 分阶段部署模式下优先切回保留的上一版本（无需复制文件）
+      if (!targetVersion && !backupId && this.releaseManager.resolveMode() === DEPLOY_MODES.STAGED) {
+        // 即时回滚只是一次目录切换，开始后不再接受取消
+        cancellation?.lock()
+        const instantResult = await this.rollbackToPreviousRelease(project, preservedPaths, sessionId)
+        if (instantResult) {
+          await this.restartAfterRollback(service, instantResult, sessionId, progressMeta)
+          if (sessionId) {
+            this.emitProgress(
+              sessionId,
+              PROGRESS_STEPS.COMPLETED,
+              100,
+              '回滚成功完成',
+              null,
+              progressMeta({ status: 'completed' })
+            )
+          }
 
-      let backupPath
-      if (!targetVersion && (await fs.pathExists(latestBackupDir))) {
-        // 使用最新备份
-        backupPath = latestBackupDir
-        logger.debug(`📂 使用最新备份: ${project}-latest`)
-        if (sessionId) {
-          this.emitProgress(
-            sessionId,
-            PROGRESS_STEPS.PREPARING,
-            20,
-            '已定位最新回滚备份',
-            null,
-            progressMeta()
-          )
-        }
-      } else {
-        // 查找指定版本或历史备份
-        const availableBackups = await this.getAvailableBackups(project)
-        if (availableBackups.length === 0) {
-          throw new Error('没有可用的备份版本')
+          const { deployPath, version } = instantResult.data
+          await this.recordDeployManifest(project, deployPath, version, preservedPaths)
+          return instantResult
         }
+      }
 
-        logger.debug(`📋 找到 ${availableBackups.length} 个历史备份:`)
-        for (const [index, backup] of availableBackups.entries()) {
-          logger.debug(`  ${index + 1}. ${backup.name} (${backup.timestamp})`)
-        }
+      // 查找指定版本或最新的备份
+      const availableBackups = await this.getAvailableBackups(project)
+      if (availableBackups.length === 0) {
+        throw new Error('没有可用的备份版本')
+      }
 
-        if (targetVersion) {
-          // 查找指定版本的备份
-          const targetBackup = availableBackups.find((backup) => backup.name.includes(`-v${targetVersion}`))
-          if (!targetBackup) {
-            throw new Error(`未找到版本 ${targetVersion} 的备份`)
-          }
+      logger.debug(`📋 找到 ${availableBackups.length} 个历史备份:`)
+      for (const [index, backup] of availableBackups.entries()) {
+        logger.debug(`  ${index + 1}. ${backup.name} (${backup.timestamp})`)
+      }
 
-          backupPath = targetBackup.path
-          logger.debug(`🎯 使用指定版本备份: ${targetBackup.name}`)
-        } else {
-          // 使用最新的历史备份
-          backupPath = availableBackups[0].path
-          logger.debug(`🔄 使用最新历史备份: ${availableBackups[0].name}`)
+      let backupPath
+      if (backupId) {
+        // 使用指定的备份
+        const targetBackup = await this.backupStore.find(project, backupId)
+        if (!targetBackup) {
+          throw new Error(`备份不存在: ${backupId}`)
         }
 
-        if (sessionId) {
-          this.emitProgress(
-            sessionId,
-            PROGRESS_STEPS.PREPARING,
-            25,
-            '已选择历史备份版本',
-            null,
-            progressMeta()
-          )
+        backupPath = targetBackup.path
+        logger.debug(`🎯 使用指定备份: ${targetBackup.name}`)
+      } else if (targetVersion) {
+        // 查找指定版本的最新备份
+        const targetBackup = await this.backupStore.findByVersion(project, targetVersion)
+        if (!targetBackup) {
+          throw new Error(`未找到版本 ${targetVersion} 的备份`)
         }
+
+        backupPath = targetBackup.path
+        logger.debug(`🎯 使用指定版本备份: ${targetBackup.name}`)
+      } else {
+        // 使用最新的备份
+        backupPath = availableBackups[0].path
+        logger.debug(`🔄 使用最新备份: ${availableBackups[0].name}`)
+      }
+
+      if (sessionId) {
+        this.emitProgress(
+          sessionId,
+          PROGRESS_STEPS.PREPARING,
+          25,
+          backupId || targetVersion ? '已选择历史备份版本' : '已定位最新回滚备份',
+          null,
+          progressMeta()
+        )
       }
 
+      const rollbackDir = await this.resolveRollbackTargetDir(project, backupPath)
+      const rollbackVersion = await this.resolveRollbackVersion(project, backupPath)
+      const currentHooks = await this.hookRunner.loadFromDir(rollbackDir)
+      await this.runHooks(
+        HOOK_PHASES.PRE_ROLLBACK,
+        currentHooks,
+        {
+          project,
+          version: rollbackVersion,
+          deployPath: rollbackDir,
+          previousVersion: await this.readDeployedVersion(rollbackDir)
+        },
+        sessionId,
+        PROGRESS_STEPS.PREPARING,
+        30,
+        operationType
+      )
+
+      // 开始清空目录并恢复备份后不再接受取消，之前收到的取消请求在这里生效
+      cancellation?.lock()
+      await this.journal.begin({
+        type: operationType,
+        project,
+        version: rollbackVersion,
+        previousVersion: await this.readDeployedVersion(rollbackDir),
+        targetDir: rollbackDir,
+        backupPath,
+        preservedPaths,
+        restartStrategy: service.strategy,
+        sessionId,
+        batchTaskId
+      })
       const result = await this.performRollback(project, backupPath, preservedPaths, sessionId)
+      await this.runPostRollbackHooks(project, result.data, sessionId)
+      await this.journal.advance(JOURNAL_PHASES.HOOKS_DONE)
+      await this.restartAfterRollback(service, result, sessionId, progressMeta)
+      await this.recordDeployManifest(project, result.data.deployPath, result.data.version, preservedPaths)
 
       if (sessionId) {
         this.emitProgress(
@@ -1678,7 +3047,18 @@ export default class DeployManager {
 
       return result
     } catch (error) {
+      // 回滚中途失败时，已停止的服务按当前目录中的文件重新启动
+      if (service?.state === 'stopped') {
+        await this.recoverService(service, sessionId, progressMeta)
+      }
+
+      if (isCancelledError(error)) {
+        logger.info(`回滚已取消: ${project}，部署目录未改动`)
+        return DeployResult.error(error, { cancelled: true })
+      }
+
       ErrorLogger.logError('回滚', error, { project, targetVersion })
+      const failureData = this.getFailureData(error)
       if (sessionId) {
         this.emitProgress(
           sessionId,
@@ -1686,30 +3066,128 @@ export default class DeployManager {
           100,
           error?.message || '回滚失败',
           error,
-          progressMeta({ status: 'error' })
+          progressMeta({ status: 'error', ...failureData })
         )
       }
-      return DeployResult.error(error)
+      return DeployResult.error(error, failureData)
+    } finally {
+      await this.journal.finish()
     }
   }
 
   /**
-   * 解析回滚目标版本号
+   * 回滚文件恢复后重启服务，让进程加载恢复的版本；失败时本次回滚报告为失败
    */
-  async resolveRollbackVersion(project, backupPath) {
-    let backupInfo = null
-    let version = null
+  async restartAfterRollback(service, result, sessionId = null, progressMeta = null) {
+    if (!service?.strategy) return
+
+    service.context = { ...service.context, version: result.data.version, deployPath: result.data.deployPath }
+    await this.runServiceAction('start', service, sessionId, progressMeta, 90)
+    result.data.restart = service.result
+  }
+
+  /**
+   * 即时回滚：切换回分阶段部署保留的上一版本
+   * @returns {Promise<Object|null>} 没有可用的上一版本时返回 null，由调用方回退到备份回滚
+   */
+  async rollbackToPreviousRelease(project, preservedPaths = [], sessionId = null) {
+    const defaultTarget = this.getDefaultProjectDir(project)
+    const targetDir = (await this.getActualDeployPath(project)) || defaultTarget
+    const previousPath = await this.releaseManager.getPreviousRelease(targetDir)
+    if (!previousPath) {
+      logger.debug('📋 未找到保留的上一版本，使用备份回滚')
+      return null
+    }
+
+    const rollbackVersion = await this.resolveRollbackVersion(project, previousPath)
+    await this.runHooks(
+      HOOK_PHASES.PRE_ROLLBACK,
+      await this.hookRunner.loadFromDir(targetDir),
+      {
+        project,
+        version: rollbackVersion,
+        deployPath: targetDir,
+        previousVersion: await this.readDeployedVersion(targetDir)
+      },
+      sessionId,
+      PROGRESS_STEPS.PREPARING,
+      30,
+      'rollback'
+    )
+
+    const progressMeta = (extra = {}) => ({ operationType: 'rollback', ...extra })
+    if (sessionId) {
+      this.emitProgress(sessionId, PROGRESS_STEPS.DEPLOYING, 50, '切换到上一版本', null, progressMeta())
+    }
+
+    // 白名单文件以线上为准，切换前同步到上一版本目录
+    await this.copyPreservedPaths(targetDir, previousPath, preservedPaths)
+    await this.releaseManager.activatePrevious(targetDir)
+
+    if (sessionId) {
+      this.emitProgress(sessionId, PROGRESS_STEPS.VERIFYING, 85, '同步版本信息', null, progressMeta())
+    }
+    await this.ensureRollbackVersionFile(project, targetDir, rollbackVersion)
+    await this.updateDeployPathConfig(project, targetDir, rollbackVersion)
+
+    ErrorLogger.logSuccess('即时回滚', { project, previousPath })
+    const result = DeployResult.success('回滚成功', {
+      deployPath: targetDir,
+      version: rollbackVersion,
+      instant: true
+    })
+    await this.runPostRollbackHooks(project, result.data, sessionId)
+    return result
+  }
+
+  /**
+   * 回滚完成后执行恢复版本清单中的 post-rollback 钩子
+   * 文件已经恢复，钩子失败只会让本次回滚报告为失败
+   */
+  async runPostRollbackHooks(project, rollbackData, sessionId = null) {
+    const deployPath = rollbackData?.deployPath
+    if (!deployPath) return
+
+    await this.runHooks(
+      HOOK_PHASES.POST_ROLLBACK,
+      await this.hookRunner.loadFromDir(deployPath),
+      { project, version: rollbackData.version, deployPath, previousVersion: null },
+      sessionId,
+      PROGRESS_STEPS.VERIFYING,
+      90,
+      'rollback'
+    )
+  }
 
+  /**
+   * 解析备份回滚的目标目录：优先使用配置记录的部署路径，其次使用备份记录的来源目录
+   */
+  async resolveRollbackTargetDir(project, backupPath) {
+    const defaultTarget = this.getDefaultProjectDir(project)
     try {
-      const infoPath = path.join(backupPath, 'backup-info.json')
-      if (await fs.pathExists(infoPath)) {
-        backupInfo = await fs.readJson(infoPath)
-        version = backupInfo?.originalVersion || null
+      const actualDeployPath = await this.getActualDeployPath(project)
+      if (actualDeployPath) {
+        logger.debug(`📋 使用配置记录的部署路径: ${actualDeployPath}`)
+        return actualDeployPath
       }
-    } catch (error) {
-      logger.warn(`读取备份信息失败: ${error.message}`)
+
+      const sourceDir = (await this.backupStore.readInfo(backupPath))?.sourceDir
+      logger.debug(`📋 使用${sourceDir ? '备份记录的' : '默认'}部署路径: ${sourceDir || defaultTarget}`)
+      return sourceDir || defaultTarget
+    } catch {
+      logger.debug(`📋 使用默认部署路径: ${defaultTarget}`)
+      return defaultTarget
     }
+  }
+
+  /**
+   * 解析回滚目标版本号
+   */
+  async resolveRollbackVersion(project, backupPath) {
+    const backupInfo = await this.backupStore.readInfo(backupPath)
+    let version = backupInfo?.version || null
 
+    // 旧版目录备份以其中的 version.json 为准（压缩备份的版本号在备份时已从中读取）
     try {
       const versionFile = path.join(backupPath, 'version.json')
       if (await fs.pathExists(versionFile)) {
@@ -1723,7 +3201,7 @@ export default class DeployManager {
     }
 
     if (!version || version === 'unknown' || version === 'error') {
-      const referenceTime = backupInfo?.backupTime || Date.now()
+      const referenceTime = backupInfo?.createdAt || Date.now()
       version = DateHelper.formatToYYYYMMDDHHmm(referenceTime)
     }
 
@@ -1763,25 +3241,7 @@ export default class DeployManager {
    */
   async performRollback(project, backupPath, preservedPaths = [], sessionId = null) {
     const rollbackVersion = await this.resolveRollbackVersion(project, backupPath)
-    let targetDir
-    try {
-      // 优先使用当前配置的部署路径
-      const actualDeployPath = await this.getActualDeployPath(project)
-
-      if (actualDeployPath) {
-        targetDir = actualDeployPath
-        logger.debug(`📋 使用配置记录的部署路径: ${targetDir}`)
-      } else {
-        // 尝试从备份信息中获取原始目标目录
-        const info = await fs.readJson(path.join(backupPath, 'backup-info.json')).catch(() => ({}))
-        const defaultTarget = project === 'frontend' ? this.frontendDir : this.backendDir
-        targetDir = info.sourceDir || defaultTarget
-        logger.debug(`📋 使用${info.sourceDir ? '备份记录的' : '默认'}部署路径: ${targetDir}`)
-      }
-    } catch {
-      targetDir = project === 'frontend' ? this.frontendDir : this.backendDir
-      logger.debug(`📋 使用默认部署路径: ${targetDir}`)
-    }
+    const targetDir = await this.resolveRollbackTargetDir(project, backupPath)
 
     logger.debug(`📂 目标目录: ${targetDir}`)
 
@@ -1796,21 +3256,22 @@ export default class DeployManager {
           }
         : null
 
+      // 清空目录前先校验备份，损坏的备份不会影响当前线上版本
+      await this.backupStore.verify(backupPath)
+
       if (sessionId) {
         this.emitProgress(sessionId, PROGRESS_STEPS.CLEANING, 35, '准备回滚目录', null, progressMeta())
       }
 
+      await this.journal.advance(JOURNAL_PHASES.CLEANING_TARGET)
       await this.prepareTargetDirectory(targetDir, preservedPaths, '回滚', prepareProgressCallback)
+      await this.journal.advance(JOURNAL_PHASES.TARGET_CLEANED)
 
-      // 恢复备份版本（使用通用方法，支持白名单保护）
+      // 恢复备份版本（支持白名单保护）
       if (sessionId) {
         this.emitProgress(sessionId, PROGRESS_STEPS.DEPLOYING, 70, '恢复备份文件', null, progressMeta())
       }
-      await this.copyWithPreservation(backupPath, targetDir, preservedPaths, {
-        overwrite: true,
-        excludeFiles: ['backup-info.json'],
-        logPrefix: '🔄'
-      })
+      await this.restoreBackupContents(backupPath, targetDir, preservedPaths)
 
       // 回滚后检查目录状态，确保与升级流程一致
       try {
@@ -1827,6 +3288,7 @@ export default class DeployManager {
       }
       await this.ensureRollbackVersionFile(project, targetDir, rollbackVersion)
       await this.updateDeployPathConfig(project, targetDir, rollbackVersion)
+      await this.journal.advance(JOURNAL_PHASES.VERSION_WRITTEN)
 
       return DeployResult.success('回滚成功', {
         deployPath: targetDir,
@@ -1843,116 +3305,85 @@ export default class DeployManager {
    */
   async getAvailableBackups(project) {
     try {
-      if (!(await fs.pathExists(this.backupDir))) {
-        return []
-      }
-
-      const files = await fs.readdir(this.backupDir)
-      const backupPattern = new RegExp(`^${project}-backup-(.+)$`)
-
-      const backups = files
-        .filter((file) => backupPattern.test(file) && !file.endsWith('-latest'))
-        .map((file) => {
-          const match = file.match(backupPattern)
-          const timestamp = match[1]
-          return {
-            name: file,
-            path: path.join(this.backupDir, file),
-            timestamp
-          }
-        })
-        .sort((a, b) => b.timestamp.localeCompare(a.timestamp)) // 按时间倒序排列
-
-      return backups
+      const backups = await this.backupStore.list(project)
+      return backups.map(({ name, path: backupPath, timestamp }) => ({ name, path: backupPath, timestamp }))
     } catch (error) {
       logger.warn(`获取备份列表失败: ${error.message}`)
       return []
     }
   }
 
-  async findBackupForRollback(project, targetVersion) {
-    try {
-      const backups = await fs.readdir(this.backupDir)
-      const projectBackups = backups.filter((name) => name.startsWith(`${project}-`))
+  /**
+   * 列出项目的全部备份详情（版本、时间、大小、完整性状态），供服务端选择回滚目标
+   */
+  async listBackups(project) {
+    this.assertProject(project)
 
-      if (projectBackups.length === 0) {
-        return null
-      }
+    const backups = []
+    for (const backup of await this.backupStore.list(project)) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个校验，避免同时读取多个压缩包
+      backups.push(await this.backupStore.describe(backup))
+    }
 
-      // 如果指定了版本，查找对应版本的备份
-      if (targetVersion) {
-        const versionBackup = projectBackups.find((name) => name.includes(`-v${targetVersion}`))
-        if (versionBackup) {
-          return path.join(this.backupDir, versionBackup)
-        }
-      }
+    return backups
+  }
 
-      // 否则返回最新的备份（按时间戳排序）
-      projectBackups.sort((a, b) => {
-        const timeA = a.split('-')[1]
-        const timeB = b.split('-')[1]
-        return Number.parseInt(timeB) - Number.parseInt(timeA)
-      })
+  /**
+   * 删除指定的备份
+   */
+  async deleteBackup(project, backupId) {
+    this.assertProject(project)
 
-      return path.join(this.backupDir, projectBackups[0])
-    } catch (error) {
-      ErrorLogger.logError('查找备份', error, { project, targetVersion })
+    const backup = await this.backupStore.find(project, backupId)
+    if (!backup) {
+      throw new Error(`备份不存在: ${backupId}`)
+    }
+
+    await this.backupStore.remove(backup)
+    logger.info(`🗑️ 已删除备份: ${backup.name}`)
+    return { project, backupId: backup.name }
+  }
+
+  async findBackupForRollback(project, targetVersion) {
+    const backups = await this.getAvailableBackups(project)
+    if (backups.length === 0) {
       return null
     }
+
+    // 如果指定了版本，查找对应版本的备份，否则返回最新的备份
+    const versionBackup = targetVersion ? await this.backupStore.findByVersion(project, targetVersion) : null
+    return (versionBackup || backups[0]).path
   }
 
   async restoreBackup(project) {
     const backupPath = await this.findBackupForRollback(project)
     if (backupPath) {
-      try {
-        // 优先使用当前配置的部署路径
-        const actualDeployPath = await this.getActualDeployPath(project)
-        let targetDir
+      await this.backupStore.verify(backupPath)
 
-        if (actualDeployPath) {
-          targetDir = actualDeployPath
-        } else {
-          const infoPath = path.join(backupPath, 'backup-info.json')
-          const info = await fs.readJson(infoPath).catch(() => ({}))
-          const defaultTarget = project === 'frontend' ? this.frontendDir : this.backendDir
-          targetDir = info.sourceDir || defaultTarget
-        }
+      try {
+        // 优先使用当前配置的部署路径，其次使用备份记录的来源目录
+        const targetDir = await this.resolveRollbackTargetDir(project, backupPath)
 
         // 准备目标目录（无白名单保护）
         await this.prepareTargetDirectory(targetDir, [], '备份恢复')
-
-        // 使用通用复制方法
-        await this.copyWithPreservation(backupPath, targetDir, [], {
-          overwrite: true,
-          excludeFiles: ['backup-info.json'],
-          logPrefix: '🔄'
-        })
+        await this.restoreBackupContents(backupPath, targetDir)
       } catch {
-        const defaultTarget = project === 'frontend' ? this.frontendDir : this.backendDir
+        const defaultTarget = this.getDefaultProjectDir(project)
         const targetDir = (await this.getActualDeployPath(project).catch(() => defaultTarget)) || defaultTarget
 
         // 备用恢复方法
-        await this.copyWithPreservation(backupPath, targetDir, [], {
-          overwrite: true,
-          excludeFiles: ['backup-info.json'],
-          logPrefix: '🔄'
-        })
+        await this.restoreBackupContents(backupPath, targetDir)
       }
     }
   }
 
   async getCurrentVersion(project) {
     // 参数验证
-    if (!project) {
-      throw new Error('project 参数不能为空')
-    }
-    if (!['frontend', 'backend'].includes(project)) {
-      throw new Error('project 必须是 frontend 或 backend')
-    }
+    this.assertProject(project)
     try {
       // 获取实际配置的部署路径
       const actualDeployPath = await this.getActualDeployPath(project)
-      const targetDir = actualDeployPath || (project === 'frontend' ? this.frontendDir : this.backendDir)
+      const targetDir = actualDeployPath || this.getDefaultProjectDir(project)
       const versionFile = path.join(targetDir, 'version.json')
 
       if (await fs.pathExists(versionFile)) {
@@ -1977,7 +3408,7 @@ export default class DeployManager {
         project,
         version: 'error',
         deployPath: await this.getActualDeployPath(project).catch(() =>
-          project === 'frontend' ? this.frontendDir : this.backendDir
+          this.getDefaultProjectDir(project)
         ),
         error: error.message
       }
@@ -2134,8 +3565,8 @@ export default class DeployManager {
   }
 
   /**
-   * 清理旧备份（可选功能）
-   * 只有在配置了 maxBackups 且大于0时才会执行清理
+   * 按保留策略（数量、总大小、最长保留天数）清理旧备份
+   * 策略可按项目配置，均未配置时保留所有备份
    */
   async cleanupOldBackups(project) {
     // 参数验证
@@ -2143,41 +3574,9 @@ export default class DeployManager {
       throw new Error('project 参数不能为空')
     }
     try {
-      if (!this.maxBackups || this.maxBackups <= 0) {
-        logger.debug(`🗂 未配置备份数量限制，保留所有 ${project} 备份`)
-        return
-      }
-
-      const availableBackups = await this.getAvailableBackups(project)
-
-      // 排除最新备份链接，只清理历史备份
-      const historicalBackups = availableBackups.filter((backup) => !backup.name.endsWith('-latest'))
-
-      // 保留最新的 maxBackups 个备份，删除其余的
-      if (historicalBackups.length > this.maxBackups) {
-        const toDelete = historicalBackups.slice(this.maxBackups)
-
-        logger.debug(`🗑 开始清理 ${project} 的旧备份，保留最新 ${this.maxBackups} 个备份`)
-
-        // 并行删除旧备份，提高性能
-        const deletePromises = toDelete.map(async (backup) => {
-          try {
-            await fs.remove(backup.path)
-            logger.debug(`♻️ 已清理旧备份: ${backup.name}`)
-            return { success: true, backup: backup.name }
-          } catch (error) {
-            logger.error(`❌ 清理备份失败 ${backup.name}:`, error.message)
-            return { success: false, backup: backup.name, error: error.message }
-          }
-        })
-
-        const results = await Promise.allSettled(deletePromises)
-        const successCount = results.filter((r) => r.status === 'fulfilled' && r.value.success).length
-        const failCount = results.length - successCount
-
-        logger.debug(`✅ 备份清理完成: 成功 ${successCount} 个，失败 ${failCount} 个`)
-      } else {
-        logger.debug(`ℹ️ ${project} 备份数量 (${historicalBackups.length}) 未超过限制 (${this.maxBackups})，无需清理`)
+      const { kept, removed } = await this.backupStore.applyRetention(project)
+      if (removed.length > 0) {
+        logger.debug(`✅ ${project} 备份清理完成: 保留 ${kept} 个，清理 ${removed.length} 个`)
       }
     } catch (error) {
       ErrorLogger.logWarning('清理旧备份', error.message, { project })
@@ -2194,13 +3593,11 @@ export default class DeployManager {
     }
     try {
       const availableBackups = await this.getAvailableBackups(project)
-      const latestBackupPath = path.join(this.backupDir, `${project}-latest`)
-      const hasLatestBackup = await fs.pathExists(latestBackupPath)
 
       return {
         project,
         totalBackups: availableBackups.length,
-        hasLatestBackup,
+        hasLatestBackup: availableBackups.length > 0,
         latestBackup: availableBackups.length > 0 ? availableBackups[0].name : null,
         backups: availableBackups.slice(0, 5), // 只返回最新的5个备份信息
         backupDir: this.backupDir
@@ -2215,6 +3612,59 @@ export default class DeployManager {
     }
   }
 
+  /**
+   * 部署或回滚成功后记录文件清单，失败只记录警告，不影响本次操作结果
+   */
+  async recordDeployManifest(project, deployPath, version, preservedPaths = []) {
+    try {
+      await this.integrityChecker.record(project, {
+        deployPath,
+        rootDir: await this.resolveSymlinkSource(deployPath),
+        version,
+        preservedPaths,
+        isExcluded: (relativePath) => this.isIntegrityExcluded(relativePath, preservedPaths)
+      })
+    } catch (error) {
+      ErrorLogger.logWarning('记录部署清单', error.message, { project, deployPath })
+    }
+  }
+
+  // 不纳入完整性校验的路径：Git、macOS 元数据和白名单（运行时允许变化）
+  isIntegrityExcluded(relativePath, preservedPaths = []) {
+    return (
+      this.isGitRelatedPath(relativePath) ||
+      this.isMacOSMetadata(relativePath) ||
+      (preservedPaths.length > 0 && this.isPathPreserved(relativePath, preservedPaths))
+    )
+  }
+
+  /**
+   * 按部署清单校验项目的线上文件
+   * @returns {Promise<Object>} 校验报告（status: clean / drifted / unknown）
+   */
+  async verifyDeployment(project) {
+    this.assertProject(project)
+    return this.integrityChecker.verify(project, {
+      resolveRoot: (deployPath) => this.resolveSymlinkSource(deployPath),
+      isExcluded: (relativePath, manifest) => this.isIntegrityExcluded(relativePath, manifest.preservedPaths || [])
+    })
+  }
+
+  /**
+   * 校验本机所有记录过部署清单的项目
+   * @returns {Promise<Array<Object>>} 各项目的校验报告
+   */
+  async verifyAllDeployments() {
+    const reports = []
+    for (const project of this.getProjectNames()) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个项目校验，避免同时读取大量文件
+      if (!(await this.integrityChecker.readManifest(project))) continue
+      // eslint-disable-next-line no-await-in-loop -- 逐个项目校验，避免同时读取大量文件
+      reports.push(await this.verifyDeployment(project))
+    }
+    return reports
+  }
+
   /**
    * 检查路径是否为 Git 相关文件或目录
    * @param {string} filePath - 要检查的路径
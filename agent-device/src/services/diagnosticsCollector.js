@@ -0,0 +1,322 @@
+// 中文注释：远程诊断包，收集日志、部署配置、版本与备份信息、操作日志和系统信息，打包后上传到服务端
+import axios from 'axios'
+import fs from 'fs-extra'
+import os from 'node:os'
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import si from 'systeminformation'
+import { writeTarGzip } from '../utils/archive.js'
+import logger from '../utils/logger.js'
+
+// 服务端生成的诊断包 ID，用于拼接上传地址和临时文件名
+const BUNDLE_ID_PATTERN = /^[\w-]{1,64}$/
+
+// 配置目录中收集的文件：部署路径、进行中或中断的升级/回滚操作日志、Agent 自升级状态
+const CONFIG_FILES = ['deploy-paths.json', 'operation-journal.json', 'self-upgrade.json']
+
+/**
+ * 运行配置摘要：只取部署模式、项目名、缓存配额、超时与间隔等不含敏感信息的字段
+ * 重启命令、健康检查命令与地址、服务端地址、签名公钥和局域网分发地址等来自环境变量的内容一律不收集
+ */
+function summarizeConfig(config) {
+  const { download = {}, deploy = {} } = config
+  const configuredProjects = (items) =>
+    Object.entries(items || {})
+      .filter(([, value]) => value)
+      .map(([project]) => project)
+
+  return {
+    deploy: {
+      mode: deploy.mode,
+      swapStrategy: deploy.swapStrategy,
+      projects: Object.keys(deploy.projectDirs || {}),
+      maxBackups: deploy.maxBackups,
+      backupRetention: {
+        maxTotalSize: deploy.backupRetention?.maxTotalSize,
+        maxAgeDays: deploy.backupRetention?.maxAgeDays
+      },
+      preflightEnabled: deploy.preflight?.enabled,
+      hooksEnabled: deploy.hooks?.enabled,
+      hookTimeout: deploy.hooks?.timeout,
+      restartTimeout: deploy.restart?.timeout,
+      restartProjects: configuredProjects(deploy.restart?.strategies),
+      healthCheckProjects: configuredProjects(deploy.healthChecks)
+    },
+    download: {
+      chunkSize: download.chunkSize,
+      concurrency: download.concurrency,
+      maxRetries: download.maxRetries,
+      retryDelay: download.retryDelay,
+      cacheQuota: download.cacheQuota,
+      peerDownload: download.peer?.download,
+      peerShare: download.peer?.share,
+      signatureRequired: !download.signature?.allowUnsigned
+    },
+    integrityCheckInterval: config.integrity?.checkInterval,
+    selfUpgradeConfirmTimeout: config.selfUpgrade?.confirmTimeout,
+    logLevel: config.log?.level
+  }
+}
+
+/**
+ * 诊断包收集
+ *
+ * 各项内容先写入临时目录再整体打包为 tar.gz，然后以 PUT 上传到服务端（携带下发命令时给出的上传令牌）。
+ * 日志文件仍在被写入，只复制每个文件末尾的一段，避免打包时文件大小变化。
+ * 单项收集失败只记录在 manifest.json 的 errors 中，不影响其他内容；临时文件在上传结束后删除。
+ * 诊断包不包含环境变量与 .env 文件，运行配置只收集 summarizeConfig 列出的字段。
+ */
+export default class DiagnosticsCollector {
+  constructor(config, agent) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.config = config
+    this.agent = agent
+    this.serverUrl = config.server.url
+    this.tempDir = config.download.tempDir
+    this.logDir = path.dirname(config.log.file)
+    this.configDir = config.deploy?.configDir || './config'
+    this.running = null // 进行中的诊断包 ID，同一时间只收集一个
+
+    this.constants = {
+      maxLogBytes: 5 * 1024 * 1024, // 每个日志文件最多收集末尾的字节数
+      maxLogFiles: 20, // 最多收集的日志文件数（按修改时间从新到旧）
+      uploadTimeout: 300_000 // 上传超时（毫秒）
+    }
+  }
+
+  /**
+   * 开始收集并上传，命令结果只表示是否已开始，收集结果以 device:diagnostics 上报
+   * @param {Object} options
+   * @param {string} options.bundleId - 服务端生成的诊断包 ID
+   * @param {string} options.uploadToken - 上传令牌
+   * @param {number} [options.maxLogBytes] - 每个日志文件最多收集的字节数
+   * @param {number} [options.maxSize] - 服务端接受的最大诊断包大小
+   * @returns {{started: boolean, reason?: string, promise?: Promise<Object>}}
+   */
+  start({ bundleId, uploadToken, maxLogBytes, maxSize }) {
+    if (!BUNDLE_ID_PATTERN.test(bundleId || '') || !uploadToken) {
+      return { started: false, reason: '诊断命令缺少必需参数: bundleId, uploadToken' }
+    }
+    if (this.running) {
+      return { started: false, reason: `诊断包 ${this.running} 正在收集，请稍后重试` }
+    }
+
+    this.running = bundleId
+    const promise = this.run({ bundleId, uploadToken, maxLogBytes, maxSize }).finally(() => {
+      this.running = null
+    })
+    return { started: true, promise }
+  }
+
+  async run({ bundleId, uploadToken, maxLogBytes, maxSize }) {
+    const stagingDir = path.resolve(this.tempDir, `diagnostics-${bundleId}`)
+    const archivePath = `${stagingDir}.tar.gz`
+
+    try {
+      const manifest = await this.collect(stagingDir, bundleId, {
+        maxLogBytes: Number(maxLogBytes) > 0 ? Number(maxLogBytes) : this.constants.maxLogBytes
+      })
+      const archive = await writeTarGzip(stagingDir, archivePath)
+      if (maxSize && archive.archiveSize > maxSize) {
+        throw new Error(`诊断包大小 ${archive.archiveSize} 字节超过服务端限制 ${maxSize} 字节`)
+      }
+
+      await this.upload(bundleId, archivePath, archive, uploadToken)
+      logger.info(`🩺 诊断包已上传: ${bundleId}（${archive.fileCount} 个文件，${archive.archiveSize} 字节）`)
+      return {
+        bundleId,
+        fileCount: archive.fileCount,
+        size: archive.archiveSize,
+        sha256: archive.sha256,
+        errors: manifest.errors
+      }
+    } finally {
+      await fs.remove(stagingDir).catch(() => {})
+      await fs.remove(archivePath).catch(() => {})
+    }
+  }
+
+  /**
+   * 把各项内容写入临时目录，返回 manifest
+   */
+  async collect(stagingDir, bundleId, { maxLogBytes }) {
+    await fs.emptyDir(stagingDir)
+
+    const manifest = {
+      bundleId,
+      deviceId: this.config.device.id,
+      deviceName: this.config.device.name,
+      agentVersion: await this.agent.getAgentVersion(),
+      collectedAt: new Date().toISOString(),
+      logs: [],
+      errors: []
+    }
+
+    const steps = [
+      ['logs', () => this.collectLogs(path.join(stagingDir, 'logs'), maxLogBytes, manifest)],
+      ['config', () => this.collectConfigFiles(path.join(stagingDir, 'config'))],
+      ['versions', () => this.collectVersions(path.join(stagingDir, 'versions.json'))],
+      ['backups', () => this.collectBackups(path.join(stagingDir, 'backups.json'))],
+      ['agent', () => this.collectAgentState(path.join(stagingDir, 'agent.json'))],
+      ['system', () => this.collectSystemInfo(path.join(stagingDir, 'system.json'))]
+    ]
+    for (const [item, collectItem] of steps) {
+      try {
+        // eslint-disable-next-line no-await-in-loop -- 逐项收集，避免同时读取大量文件
+        await collectItem()
+      } catch (error) {
+        logger.warn(`收集诊断信息失败 [${item}]: ${error.message}`)
+        manifest.errors.push({ item, error: error.message })
+      }
+    }
+
+    await fs.writeJson(path.join(stagingDir, 'manifest.json'), manifest, { spaces: 2 })
+    return manifest
+  }
+
+  /**
+   * 复制日志目录中最近修改的日志文件，超过上限时只保留末尾部分
+   */
+  async collectLogs(targetDir, maxLogBytes, manifest) {
+    await fs.ensureDir(targetDir)
+    if (!(await fs.pathExists(this.logDir))) return
+
+    const files = []
+    for (const name of await fs.readdir(this.logDir)) {
+      // eslint-disable-next-line no-await-in-loop -- 日志文件数量有限
+      const stats = await fs.stat(path.join(this.logDir, name)).catch(() => null)
+      if (stats?.isFile()) files.push({ name, stats })
+    }
+
+    files.sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs)
+    for (const { name } of files.slice(0, this.constants.maxLogFiles)) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个复制
+      const result = await this.copyTail(path.join(this.logDir, name), path.join(targetDir, name), maxLogBytes)
+      manifest.logs.push({ name, ...result })
+    }
+  }
+
+  /**
+   * 复制文件末尾最多 maxBytes 字节（以复制开始时的大小为准，之后追加的内容不复制）
+   */
+  async copyTail(sourcePath, targetPath, maxBytes) {
+    const { size, mtime } = await fs.stat(sourcePath)
+    const start = Math.max(0, size - maxBytes)
+    if (size === 0) {
+      await fs.writeFile(targetPath, '')
+    } else {
+      await pipeline(fs.createReadStream(sourcePath, { start, end: size - 1 }), fs.createWriteStream(targetPath))
+    }
+    return { size, collectedBytes: size - start, truncated: start > 0, modifiedAt: mtime.toISOString() }
+  }
+
+  async collectConfigFiles(targetDir) {
+    await fs.ensureDir(targetDir)
+    for (const name of CONFIG_FILES) {
+      const sourcePath = path.join(this.configDir, name)
+      // eslint-disable-next-line no-await-in-loop -- 文件数量固定
+      if (await fs.pathExists(sourcePath)) {
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        await fs.copy(sourcePath, path.join(targetDir, name))
+      }
+    }
+  }
+
+  /**
+   * 各项目部署目录中 version.json 记录的版本
+   */
+  async collectVersions(targetPath) {
+    const deployManager = this.agent.getDeployManager()
+    const versions = {}
+    for (const project of deployManager.getProjectNames()) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个项目读取
+      versions[project] = await deployManager.getCurrentVersion(project).catch((error) => ({ error: error.message }))
+    }
+    await fs.writeJson(targetPath, versions, { spaces: 2 })
+  }
+
+  /**
+   * 各项目的备份列表（版本、时间、大小与完整性状态）
+   */
+  async collectBackups(targetPath) {
+    const deployManager = this.agent.getDeployManager()
+    const backups = {}
+    for (const project of deployManager.getProjectNames()) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个项目校验备份，避免同时读取多个压缩包
+      backups[project] = await deployManager.listBackups(project).catch((error) => ({ error: error.message }))
+    }
+    await fs.writeJson(targetPath, backups, { spaces: 2 })
+  }
+
+  /**
+   * Agent 运行状态：进行中的操作、待上报的中断恢复结果、包缓存与完整性校验摘要
+   */
+  async collectAgentState(targetPath) {
+    const { activeOperation } = this.agent
+    const state = {
+      operationStatus: this.agent.currentOperationStatus,
+      activeOperation: activeOperation
+        ? {
+            type: activeOperation.type,
+            project: activeOperation.project,
+            sessionId: activeOperation.sessionId,
+            batchTaskId: activeOperation.batchTaskId,
+            startedAt: activeOperation.startedAt
+          }
+        : null,
+      pendingRecovery: this.agent.pendingRecovery,
+      connected: this.agent.isConnected,
+      registered: this.agent.isRegistered,
+      packageCache: this.agent.getDownloadManager()?.cache.getSummary() || null,
+      integrity: this.agent.getDeployManager()?.integrityChecker.getSummary() || null,
+      config: summarizeConfig(this.config)
+    }
+    await fs.writeJson(targetPath, state, { spaces: 2 })
+  }
+
+  async collectSystemInfo(targetPath) {
+    const [osInfo, disks] = await Promise.all([si.osInfo().catch(() => null), si.fsSize().catch(() => [])])
+    const info = {
+      hostname: os.hostname(),
+      platform: process.platform,
+      arch: process.arch,
+      release: os.release(),
+      os: osInfo,
+      uptimeSeconds: Math.floor(os.uptime()),
+      loadavg: os.loadavg(),
+      cpus: { count: os.cpus().length, model: os.cpus()[0]?.model || null },
+      memory: { totalBytes: os.totalmem(), freeBytes: os.freemem() },
+      disks,
+      process: {
+        pid: process.pid,
+        nodeVersion: process.version,
+        cwd: process.cwd(),
+        uptimeSeconds: Math.floor(process.uptime()),
+        memoryUsage: process.memoryUsage()
+      }
+    }
+    await fs.writeJson(targetPath, info, { spaces: 2 })
+  }
+
+  async upload(bundleId, archivePath, archive, uploadToken) {
+    const url = `${this.serverUrl}/devices/${encodeURIComponent(this.config.device.id)}/diagnostics/${bundleId}/upload`
+    try {
+      await axios.put(url, fs.createReadStream(archivePath), {
+        headers: {
+          'Content-Type': 'application/gzip',
+          'Content-Length': archive.archiveSize,
+          'X-Upload-Token': uploadToken,
+          'X-Content-SHA256': archive.sha256
+        },
+        maxBodyLength: Infinity,
+        timeout: this.constants.uploadTimeout
+      })
+    } catch (error) {
+      // 优先使用服务端返回的原因（令牌无效、超过大小限制等）
+      throw new Error(`上传诊断包失败: ${error.response?.data?.error || error.message}`)
+    }
+  }
+}
@@ -2,9 +2,53 @@
 import axios from 'axios'
 import fs from 'fs-extra'
 import crypto from 'node:crypto'
+import fsPromises from 'node:fs/promises'
 import path from 'node:path'
+import { setTimeout as delay } from 'node:timers/promises'
 import { ErrorLogger } from '../utils/common.js'
 import logger from '../utils/logger.js'
+import PackageCache from './packageCache.js'
+import {
+  SIGNATURE_ERRORS,
+  createSignatureError,
+  isSignatureError,
+  loadSigningPublicKey,
+  verifyPackageSignature
+} from '../utils/packageSignature.js'
+
+// 下载过程中服务端文件被替换（ETag 或大小变化），已下载的分片不能再用
+const PACKAGE_CHANGED = 'PACKAGE_CHANGED'
+
+function createPackageChangedError() {
+  const error = new Error('下载过程中服务端升级包已变化，请重新下发')
+  error.code = PACKAGE_CHANGED
+  return error
+}
+
+/**
+ * 分片失败是否值得重试：网络错误、超时、数据不完整和 5xx / 408 / 429 重试，其余 4xx 与文件变化不重试
+ */
+function isRetryableChunkError(error) {
+  if (error.code === PACKAGE_CHANGED || error.retryable === false) return false
+
+  const status = error.response?.status
+  if (status) return status >= 500 || status === 408 || status === 429
+  return true
+}
+
+// 一次下载最多尝试的其他设备数量
+const MAX_PEER_SOURCES = 3
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`
+}
+
+function formatDuration(seconds) {
+  const total = Math.ceil(seconds)
+  if (total < 60) return `${total} 秒`
+  if (total < 3600) return `${Math.floor(total / 60)} 分 ${total % 60} 秒`
+  return `${Math.floor(total / 3600)} 小时 ${Math.floor((total % 3600) / 60)} 分`
+}
 
 export default class DownloadManager {
   constructor(config) {
@@ -17,14 +61,22 @@ export default class DownloadManager {
     this.serverUrl = config.server.url
     this.tempDir = config.download.tempDir
     this.packageDir = config.download.packageDir
-    this.maxRetries = config.download.maxRetries
-    this.retryDelay = config.download.retryDelay
+    this.chunkSize = config.download.chunkSize || 1024 * 1024
+    this.concurrency = Math.max(1, config.download.concurrency || 1)
+    this.maxRetries = config.download.maxRetries ?? 3
+    this.retryDelay = config.download.retryDelay ?? 1000
+    this.signatureConfig = config.download.signature || {}
+    this.peerOptions = config.download.peer || {}
+    this.signingKeyPromise = null
+    this.cache = new PackageCache(config)
+    this.activeDownloads = new Map() // 包文件 -> 进行中的下载，同一个包的下载串行执行
 
     // 常量配置
     this.constants = {
       tempFileMaxAge: 24 * 60 * 60 * 1000, // 24小时
       downloadTimeout: 30_000, // 30秒下载超时
-      progressUpdateInterval: 1000 // 进度更新间隔1秒
+      progressUpdateInterval: 1000, // 进度更新间隔1秒
+      resumeStateSuffix: '.resume.json' // 续传状态文件后缀（记录 ETag、包 MD5 与已完成的分片）
     }
 
     // 验证必需的配置
@@ -46,13 +98,56 @@ export default class DownloadManager {
     return path.split('.').reduce((current, key) => current?.[key], obj)
   }
 
-  async downloadPackage(project, fileName, progressCallback = null) {
+  /**
+   * 加载包缓存索引，超出配额时清理旧包
+   */
+  async initialize() {
+    await this.cache.initialize()
+    await this.cache.enforceQuota()
+  }
+
+  getPackagePath(project, fileName, resource = 'packages') {
+    return resource === 'deltas'
+      ? path.join(this.packageDir, project, 'deltas', fileName)
+      : path.join(this.packageDir, project, fileName)
+  }
+
+  /**
+   * 下载升级包，包的 SHA-256 与签名校验通过后才返回文件路径
+   * 签名校验失败时返回 code（SIGNATURE_ERRORS 中的错误码）
+   * @param {Object} [options]
+   * @param {string} [options.resource='packages'] - 服务端资源类型：packages（完整包）或 deltas（增量包）
+   * @param {AbortSignal} [options.signal] - 取消信号，取消后返回 cancelled: true，临时文件保留用于续传
+   * @param {boolean} [options.prefetch=false] - 是否为预下载（记录到缓存摘要中）
+   * @param {Array<{deviceId: string, url: string}>} [options.peers] - 优先尝试的同网段设备（批量任务的种子设备）
+   */
+  async downloadPackage(project, fileName, progressCallback = null, options = {}) {
     // 参数验证
     if (!project || !fileName) {
       throw new Error('project 和 fileName 参数不能为空')
     }
 
-    logger.debug(`开始下载包: ${project}/${fileName}`)
+    // 同一个包已在下载时（如预下载未完成就收到升级命令）等待其结束，之后直接命中缓存
+    const targetPath = this.getPackagePath(project, fileName, options.resource)
+    const previous = this.activeDownloads.get(targetPath) || Promise.resolve()
+    const current = previous
+      .catch(() => {})
+      .then(() => this.downloadPackageExclusive(project, fileName, progressCallback, options))
+    this.activeDownloads.set(targetPath, current)
+    try {
+      return await current
+    } finally {
+      if (this.activeDownloads.get(targetPath) === current) {
+        this.activeDownloads.delete(targetPath)
+      }
+    }
+  }
+
+  async downloadPackageExclusive(project, fileName, progressCallback, options) {
+    const resource = options.resource || 'packages'
+    const signal = options.signal || null
+    const cacheRecord = { project, fileName, resource, prefetched: Boolean(options.prefetch) }
+    logger.debug(`开始下载${resource === 'deltas' ? '增量' : ''}包: ${project}/${fileName}`)
 
     try {
       // 报告开始下载进度
@@ -61,16 +156,20 @@ export default class DownloadManager {
       }
 
       // 1. 获取包信息
-      const packageInfo = await this.getPackageInfo(project, fileName)
+      const packageInfo = await this.getPackageInfo(project, fileName, resource, signal)
       if (!packageInfo) {
         throw new Error('包信息不存在')
       }
 
-      const targetPath = path.join(this.packageDir, project, fileName)
+      const targetPath = this.getPackagePath(project, fileName, resource)
+      cacheRecord.version = packageInfo.version || null
 
-      // 2. 检查是否已存在且完整
-      const expectedMd5 = packageInfo.fileMD5
-      if (await this.isFileComplete(targetPath, expectedMd5)) {
+      // 2. 检查是否已存在且完整，已缓存的包同样校验签名
+      const verifyTarget = { resource, project, fileName }
+      const cachedHashes = await this.getCompleteFileHashes(targetPath, packageInfo.fileMD5)
+      if (cachedHashes) {
+        await this.verifyPackage(targetPath, packageInfo, verifyTarget, cachedHashes.sha256)
+        await this.cache.record(targetPath, { ...cacheRecord, sha256: cachedHashes.sha256 })
         logger.debug('文件已存在且完整，跳过下载')
         if (progressCallback) {
           progressCallback('downloading', 100, '文件已存在，跳过下载')
@@ -86,35 +185,99 @@ export default class DownloadManager {
         progressCallback('downloading', 10, '开始下载升级包...')
       }
 
-      // 3. 执行断点续传下载
-      const downloadResult = await this.downloadWithResume(project, fileName, packageInfo, targetPath, progressCallback)
-
+      // 3. 超出缓存配额时先清理旧包（不删除正在下载的包），再执行断点续传下载
+      await this.cache.enforceQuota({ reserveBytes: packageInfo.fileSize || 0, keep: [...this.activeDownloads.keys()] })
+      const downloadResult = await this.downloadWithResume(
+        project,
+        fileName,
+        packageInfo,
+        targetPath,
+        progressCallback,
+        resource,
+        signal,
+        options.peers
+      )
+
+      await this.cache.record(targetPath, { ...cacheRecord, sha256: downloadResult.sha256 })
       return downloadResult
     } catch (error) {
+      if (signal?.aborted) {
+        logger.info(`下载已取消: ${project}/${fileName}`)
+        return {
+          success: false,
+          cancelled: true,
+          error: '下载已取消'
+        }
+      }
+
       ErrorLogger.logError('下载失败', error, { project, fileName })
       if (progressCallback) {
         progressCallback('downloading', 100, `下载失败: ${error.message}`, error)
       }
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...(isSignatureError(error) && { code: error.code })
       }
     }
   }
 
-  async getPackageInfo(project, fileName) {
+  /**
+   * 在后台预下载升级包到缓存，升级时直接使用；结果随心跳的包缓存摘要上报
+   * @returns {{started: boolean, reason?: string}}
+   */
+  prefetchPackage(project, fileName) {
+    const targetPath = this.getPackagePath(project, fileName)
+    const target = { project, fileName }
+    if (!this.cache.beginPrefetch(targetPath, target)) {
+      return { started: false, reason: '该升级包正在预下载' }
+    }
+
+    this.runPrefetch(targetPath, target).catch((error) => {
+      ErrorLogger.logError('预下载升级包', error, target)
+    })
+    return { started: true }
+  }
+
+  async runPrefetch(targetPath, { project, fileName }) {
+    let result
+    try {
+      result = await this.downloadPackage(project, fileName, null, { prefetch: true })
+    } catch (error) {
+      result = { success: false, error: error.message }
+    }
+
+    this.cache.finishPrefetch(targetPath, { project, fileName }, result)
+    if (result.success) {
+      logger.info(`📦 升级包已预下载到缓存: ${project}/${fileName}${result.cached ? '（已存在）' : ''}`)
+    } else {
+      logger.warn(`升级包预下载失败: ${project}/${fileName}: ${result.error}`)
+    }
+  }
+
+  /**
+   * 记录项目部署成功使用的包，该包与上一次部署的包不会因超出配额被删除
+   */
+  async markDeployed(project, filePath) {
+    await this.cache.markDeployed(project, filePath)
+  }
+
+  async getPackageInfo(project, fileName, resource = 'packages', signal = null) {
     if (!project || !fileName) {
       throw new Error('project 和 fileName 参数不能为空')
     }
 
     try {
-      const url = `${this.serverUrl}/packages/${project}/${fileName}`
+      const url = `${this.serverUrl}/${resource}/${project}/${fileName}`
       const response = await axios.get(url, {
-        timeout: this.constants.downloadTimeout
+        // 带上设备 ID 时服务端一并返回同网段已缓存该包的设备
+        ...(this.peerOptions.download && { params: { deviceId: this.config.device.id } }),
+        timeout: this.constants.downloadTimeout,
+        ...(signal && { signal })
       })
 
       if (response.data.success) {
-        return response.data.package || response.data.data
+        return response.data.package || response.data.delta || response.data.data
       }
 
       throw new Error(response.data.error || '获取包信息失败')
@@ -124,157 +287,475 @@ export default class DownloadManager {
     }
   }
 
-  async downloadWithResume(project, fileName, packageInfo, targetPath, progressCallback = null) {
-    logger.debug('开始断点续传下载...')
+  /**
+   * 升级前置检查需要的包信息，以及还需下载的字节数（包已完整缓存时为 0）
+   * @returns {Promise<{packageInfo: Object, downloadBytes: number}|null>} 获取包信息失败时返回 null
+   */
+  async getPreflightInfo(project, fileName, signal = null) {
+    const packageInfo = await this.getPackageInfo(project, fileName, 'packages', signal)
+    if (!packageInfo) return null
+
+    const stats = await fs.stat(this.getPackagePath(project, fileName)).catch(() => null)
+    const cached = Boolean(stats?.isFile()) && stats.size === packageInfo.fileSize
+    return { packageInfo, downloadBytes: cached ? 0 : packageInfo.fileSize || 0 }
+  }
+
+  /**
+   * 下载来源：同网段已缓存同一个包的设备（命令指定的种子设备优先，其次是服务端查找到的设备），最后是服务端
+   * 从其他设备下载时要求 ETag 与服务端给出的 SHA-256 一致，且只重试一次，尽快改用下一个来源
+   */
+  getDownloadSources(project, fileName, resource, packageInfo, commandPeers = []) {
+    const server = {
+      label: '服务端',
+      url: `${this.serverUrl}/${resource}/${project}/${fileName}/download`,
+      etag: null,
+      timeout: this.constants.downloadTimeout,
+      maxRetries: this.maxRetries,
+      peer: false
+    }
+    if (!this.peerOptions.download || !packageInfo.fileSHA256) {
+      return [server]
+    }
+
+    const seen = new Set()
+    const peers = [...(Array.isArray(commandPeers) ? commandPeers : []), ...(packageInfo.peers || [])]
+      .filter((peer) => typeof peer?.url === 'string' && /^https?:\/\//.test(peer.url))
+      .filter((peer) => !seen.has(peer.url) && seen.add(peer.url))
+      .slice(0, MAX_PEER_SOURCES)
+      .map((peer) => ({
+        label: `局域网设备（${peer.deviceId || peer.url}）`,
+        url: `${peer.url.replace(/\/+$/, '')}/${resource}/${encodeURIComponent(project)}/${encodeURIComponent(fileName)}/download`,
+        etag: `"${packageInfo.fileSHA256}"`,
+        timeout: this.peerOptions.timeout || 10_000,
+        maxRetries: 1,
+        peer: true
+      }))
+
+    return [...peers, server]
+  }
+
+  /**
+   * 分片并发下载到临时文件，校验 MD5 与签名后移入包存储目录
+   * 已完成的分片记录在续传状态文件中，中断或重启后只下载剩余分片；从其他设备下载失败时改用下一个来源继续
+   */
+  async downloadWithResume(
+    project,
+    fileName,
+    packageInfo,
+    targetPath,
+    progressCallback = null,
+    resource = 'packages',
+    signal = null,
+    peers = []
+  ) {
+    logger.debug('开始分片下载...')
+
+    const totalBytes = packageInfo.fileSize
+    if (!Number.isSafeInteger(totalBytes) || totalBytes < 0) {
+      throw new Error('包信息缺少文件大小，无法分片下载')
+    }
 
     const temporaryPath = path.join(this.tempDir, `${project}-${fileName}`)
+    const resumeStatePath = `${temporaryPath}${this.constants.resumeStateSuffix}`
+    const sources = this.getDownloadSources(project, fileName, resource, packageInfo, peers)
     await fs.ensureDir(path.dirname(temporaryPath))
     await fs.ensureDir(path.dirname(targetPath))
 
-    let writeStream = null
+    const state = await this.loadChunkState(temporaryPath, resumeStatePath, packageInfo, totalBytes)
+    let usedSource = null
+    for (const [index, source] of sources.entries()) {
+      // ETag 只在同一来源内比较，分片内容由最终的 MD5 与签名校验保证
+      if (state.source !== source.url) {
+        state.source = source.url
+        state.etag = source.etag
+      }
+
+      try {
+        // eslint-disable-next-line no-await-in-loop -- 按顺序尝试下载来源，上一个失败后才改用下一个
+        await this.downloadChunks(source, temporaryPath, resumeStatePath, state, progressCallback, signal)
+        usedSource = source
+        break
+      } catch (error) {
+        // 包信息（MD5、签名）对应的是旧文件，已下载的分片一并丢弃，由下次下载重新获取包信息
+        if (error.code === PACKAGE_CHANGED && !source.peer) {
+          // eslint-disable-next-line no-await-in-loop -- 随后即抛出错误
+          await this.discardPartialDownload(temporaryPath, resumeStatePath)
+        }
+        if (signal?.aborted || index === sources.length - 1) {
+          throw error
+        }
+        // 其他设备返回的 ETag 与服务端的 SHA-256 不一致，说明它缓存的是另一个包
+        const reason = source.peer && error.code === PACKAGE_CHANGED ? '缓存的包与服务端不一致' : error.message
+        logger.warn(`从${source.label}下载失败（${reason}），改从${sources[index + 1].label}下载`)
+      }
+    }
+
+    if (usedSource.peer) {
+      logger.info(`📡 已从${usedSource.label}下载升级包: ${project}/${fileName}`)
+    }
 
+    logger.debug('下载完成，验证文件完整性...')
+    if (progressCallback) {
+      progressCallback('downloading', 90, '验证文件完整性...')
+    }
+
+    // 验证 MD5
+    const hashes = await this.calculateHashes(temporaryPath)
+    const expectedMd5 = packageInfo.fileMD5
+    if (hashes.md5 !== expectedMd5) {
+      // 校验失败的临时文件不能再用于续传
+      await this.discardPartialDownload(temporaryPath, resumeStatePath)
+      throw new Error(`文件校验失败，期望: ${expectedMd5}，实际: ${hashes.md5}`)
+    }
+
+    // 签名不通过的包不放入包存储目录
     try {
-      // 检查是否存在未完成的下载
-      const existingSize = await this.getFileSize(temporaryPath)
-      let downloadedBytes = 0
+      await this.verifyPackage(temporaryPath, packageInfo, { resource, project, fileName }, hashes.sha256)
+    } catch (error) {
+      await this.discardPartialDownload(temporaryPath, resumeStatePath)
+      throw error
+    }
 
-      if (existingSize > 0) {
-        logger.debug(`检测到未完成下载，继续从 ${existingSize} 字节开始`)
-        downloadedBytes = existingSize
-      }
+    // 移动到最终位置
+    await fs.move(temporaryPath, targetPath, { overwrite: true })
+    await fs.remove(resumeStatePath).catch(() => {})
 
-      const downloadUrl = `${this.serverUrl}/packages/${project}/${fileName}/download`
+    logger.debug('文件下载并验证成功')
+    if (progressCallback) {
+      progressCallback('downloading', 100, '下载完成')
+    }
+    return {
+      success: true,
+      filePath: targetPath,
+      cached: false,
+      sha256: hashes.sha256
+    }
+  }
 
-      // 设置下载请求头
-      const headers = {}
-      if (downloadedBytes > 0) {
-        headers.Range = `bytes=${downloadedBytes}-`
-      }
+  /**
+   * 读取分片进度；只有同一个包（MD5、大小、分片大小一致）且临时文件完整预分配时才续传
+   * @returns {Promise<Object>} { fileMD5, source, etag, totalBytes, chunkSize, completedChunks }
+   */
+  async loadChunkState(temporaryPath, resumeStatePath, packageInfo, totalBytes) {
+    const state = await this.readResumeState(resumeStatePath)
+    const resumable =
+      state?.fileMD5 === packageInfo.fileMD5 &&
+      state.totalBytes === totalBytes &&
+      state.chunkSize === this.chunkSize &&
+      Array.isArray(state.completedChunks) &&
+      (await this.getFileSize(temporaryPath)) === totalBytes
+
+    if (resumable) {
+      logger.debug(`检测到未完成下载，已完成 ${state.completedChunks.length} 个分片`)
+      return state
+    }
 
-      // 执行下载
-      const response = await axios({
-        method: 'GET',
-        url: downloadUrl,
-        headers,
-        responseType: 'stream',
-        timeout: this.constants.downloadTimeout
-      })
+    if (state || (await fs.pathExists(temporaryPath))) {
+      logger.debug('临时文件与当前升级包不匹配，重新下载')
+      await this.discardPartialDownload(temporaryPath, resumeStatePath)
+    }
 
-      const totalBytes = Number.parseInt(response.headers['content-length'] || '0') + downloadedBytes
-
-      return new Promise((resolve, reject) => {
-        // 中文注释：统一处理失败，确保不会重复执行 reject
-        let hasFailed = false
-        const finalizeFailure = (error) => {
-          if (hasFailed) return
-          hasFailed = true
-          try {
-            if (writeStream) {
-              writeStream.destroy()
-            }
-          } catch {
-            // 写入流销毁失败忽略
-          }
-          reject(error)
-        }
+    return {
+      fileMD5: packageInfo.fileMD5,
+      source: null, // 下载来源地址，etag 属于该来源
+      etag: null,
+      totalBytes,
+      chunkSize: this.chunkSize,
+      completedChunks: []
+    }
+  }
 
-        // 正确创建写入流
-        writeStream =
-          downloadedBytes > 0
-            ? fs.createWriteStream(temporaryPath, { flags: 'a' })
-            : fs.createWriteStream(temporaryPath)
+  /**
+   * 按分片并发下载到预分配的临时文件，每个分片写入并落盘后记录完成状态
+   * 任一分片重试耗尽后停止其余分片并抛出错误，已完成的分片保留用于续传
+   */
+  async downloadChunks(source, temporaryPath, resumeStatePath, state, progressCallback, signal) {
+    const { totalBytes, chunkSize } = state
+    const chunkCount = Math.ceil(totalBytes / chunkSize)
+    const completed = new Set(state.completedChunks)
+    const pending = []
+    for (let index = 0; index < chunkCount; index++) {
+      if (!completed.has(index)) pending.push(index)
+    }
 
-        response.data.pipe(writeStream)
+    const handle = await fsPromises.open(temporaryPath, completed.size > 0 ? 'r+' : 'w')
+    // 任一分片失败或外部取消时中断所有进行中的请求
+    const controller = new AbortController()
+    const handleAbort = () => controller.abort(signal.reason)
+    if (signal?.aborted) {
+      handleAbort()
+    } else {
+      signal?.addEventListener('abort', handleAbort, { once: true })
+    }
 
-        let receivedBytes = downloadedBytes
-        let lastProgressTime = 0
+    const tracker = this.createProgressTracker(totalBytes, completed.size * chunkSize, progressCallback)
+    let stateWriting = Promise.resolve()
+    const saveState = () => {
+      const snapshot = { ...state, completedChunks: [...completed].sort((a, b) => a - b) }
+      stateWriting = stateWriting.then(() => this.writeResumeState(resumeStatePath, snapshot))
+      return stateWriting
+    }
 
-        response.data.on('data', (chunk) => {
-          receivedBytes += chunk.length
+    let failure = null
+    const worker = async () => {
+      while (pending.length > 0 && !controller.signal.aborted) {
+        const index = pending.shift()
+        const start = index * chunkSize
+        const end = Math.min(start + chunkSize, totalBytes) - 1
+        try {
+          // eslint-disable-next-line no-await-in-loop -- 每个 worker 顺序处理分配到的分片，并发度由 worker 数量控制
+          const data = await this.fetchChunkWithRetry(source, start, end, state, controller.signal, tracker)
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await handle.write(data, 0, data.length, start)
+          // eslint-disable-next-line no-await-in-loop -- 分片数据落盘后才记录完成，重启后不会跳过未写入的数据
+          await handle.datasync()
+          completed.add(index)
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await saveState()
+        } catch (error) {
+          failure ||= error
+          controller.abort(error)
+        }
+      }
+    }
 
-          // 限制进度更新频率
-          const now = Date.now()
-          if (now - lastProgressTime > this.constants.progressUpdateInterval) {
-            const progress = Math.min(90, Math.max(10, ((receivedBytes / totalBytes) * 80) + 10)) // 10-90% 范围，为验证预留进度
-            if (progressCallback) {
-              progressCallback('downloading', progress, `下载中... ${(receivedBytes / (1024 * 1024)).toFixed(1)}MB/${(totalBytes / (1024 * 1024)).toFixed(1)}MB`)
-            }
-            lastProgressTime = now
-          }
-        })
+    try {
+      await handle.truncate(totalBytes)
+      await saveState()
+      const workerCount = Math.min(this.concurrency, pending.length)
+      await Promise.all(Array.from({ length: workerCount }, worker))
+      await stateWriting
+    } finally {
+      signal?.removeEventListener('abort', handleAbort)
+      await handle.close()
+    }
 
-        writeStream.on('finish', async () => {
-          if (hasFailed) {
-            return
-          }
+    if (signal?.aborted) throw signal.reason
+    if (failure) throw failure
+    if (completed.size < chunkCount) {
+      throw new Error(`下载未完成: ${completed.size}/${chunkCount} 个分片`)
+    }
 
-          logger.debug('\n下载完成，验证文件完整性...')
-          if (progressCallback) {
-            progressCallback('downloading', 90, '验证文件完整性...')
-          }
+    logger.debug(`分片下载完成: ${chunkCount} 个分片，${tracker.summary()}`)
+  }
 
-          try {
-            // 验证 MD5
-            const fileMd5 = await this.calculateMd5(temporaryPath)
-            const expectedMd5 = packageInfo.fileMD5
-            if (fileMd5 !== expectedMd5) {
-              throw new Error(`文件校验失败，期望: ${expectedMd5}，实际: ${fileMd5}`)
-            }
-
-            if (!(await fs.pathExists(temporaryPath))) {
-              throw new Error('临时文件丢失，无法完成下载')
-            }
-
-            // 移动到最终位置
-            await fs.move(temporaryPath, targetPath, { overwrite: true })
-
-            logger.debug('文件下载并验证成功')
-            if (progressCallback) {
-              progressCallback('downloading', 100, '下载完成')
-            }
-            resolve({
-              success: true,
-              filePath: targetPath,
-              cached: false
-            })
-          } catch (error) {
-            finalizeFailure(error)
-          }
+  /**
+   * 下载单个分片，失败时按指数退避重试（服务端文件变化、请求被拒绝或取消时不重试）
+   * @returns {Promise<Buffer>}
+   */
+  async fetchChunkWithRetry(source, start, end, state, signal, tracker) {
+    for (let attempt = 0; ; attempt++) {
+      let received = 0
+      try {
+        // eslint-disable-next-line no-await-in-loop -- 重试必须等待上一次请求结束
+        return await this.fetchChunk(source, start, end, state, signal, (bytes) => {
+          received += bytes
+          tracker.add(bytes)
         })
+      } catch (error) {
+        // 失败分片已计入的字节在重试时重新下载
+        tracker.add(-received)
+        if (signal.aborted || !isRetryableChunkError(error) || attempt >= source.maxRetries) {
+          throw error
+        }
 
-        writeStream.on('error', (error) => {
-          ErrorLogger.logError('写入流错误', error, { temporaryPath })
-          finalizeFailure(error)
-        })
+        const backoff = this.retryDelay * 2 ** attempt
+        logger.debug(`分片 ${start}-${end} 下载失败（${error.message}），${backoff}ms 后第 ${attempt + 1} 次重试`)
+        // eslint-disable-next-line no-await-in-loop -- 退避等待
+        await delay(backoff, undefined, { signal })
+      }
+    }
+  }
 
-        response.data.on('error', (error) => {
-          ErrorLogger.logError('下载流错误', error, { downloadUrl })
-          finalizeFailure(error)
-        })
-      })
-    } catch (error) {
-      // 确保清理资源
-      if (writeStream) {
-        writeStream.destroy()
+  /**
+   * 请求单个分片（Range + If-Range），校验返回范围与 ETag
+   */
+  async fetchChunk(source, start, end, state, signal, onBytes) {
+    const response = await axios({
+      method: 'GET',
+      url: source.url,
+      headers: {
+        Range: `bytes=${start}-${end}`,
+        ...(state.etag && { 'If-Range': state.etag })
+      },
+      responseType: 'stream',
+      timeout: source.timeout,
+      signal,
+      validateStatus: (status) => status === 200 || status === 206 || status === 416
+    })
+
+    // 416 或带 If-Range 时返回 200：服务端文件已更换（其他设备上则是缓存了不同的包）
+    if (response.status !== 206) {
+      response.data.destroy()
+      if (response.status === 416 || state.etag) {
+        throw createPackageChangedError()
       }
-      await fs.remove(temporaryPath).catch(() => {})
+      const error = new Error('服务端不支持分片下载（未按 Range 返回）')
+      error.retryable = false
       throw error
     }
+
+    const contentRange = this.parseContentRange(response.headers['content-range'])
+    const etag = response.headers.etag || null
+    if (contentRange?.total !== state.totalBytes || (state.etag && etag && etag !== state.etag)) {
+      response.data.destroy()
+      throw createPackageChangedError()
+    }
+    if (contentRange.start !== start || contentRange.end !== end) {
+      response.data.destroy()
+      throw new Error(`服务端返回的分片范围不一致: ${contentRange.start}-${contentRange.end}`)
+    }
+    state.etag ||= etag
+
+    const buffers = []
+    let length = 0
+    await new Promise((resolve, reject) => {
+      response.data.on('data', (chunk) => {
+        buffers.push(chunk)
+        length += chunk.length
+        onBytes(chunk.length)
+      })
+      response.data.on('end', resolve)
+      response.data.on('error', reject)
+    })
+
+    if (length !== end - start + 1) {
+      throw new Error(`分片数据不完整: ${length}/${end - start + 1} 字节`)
+    }
+    return Buffer.concat(buffers, length)
   }
 
-  async isFileComplete(filePath, expectedMd5) {
+  /**
+   * 下载进度、吞吐量与剩余时间（吞吐量只统计本次运行下载的字节）
+   */
+  createProgressTracker(totalBytes, initialBytes, progressCallback) {
+    const startedAt = Date.now()
+    let doneBytes = initialBytes
+    let lastReportAt = 0
+
+    const speed = () => {
+      const elapsed = (Date.now() - startedAt) / 1000
+      return elapsed > 0 ? (doneBytes - initialBytes) / elapsed : 0
+    }
+
+    return {
+      add: (bytes) => {
+        doneBytes += bytes
+        const now = Date.now()
+        if (!progressCallback || now - lastReportAt < this.constants.progressUpdateInterval) return
+        lastReportAt = now
+
+        const bytesPerSecond = speed()
+        const remaining = bytesPerSecond > 0 ? formatDuration((totalBytes - doneBytes) / bytesPerSecond) : '计算中'
+        const progress = Math.min(90, Math.max(10, (doneBytes / totalBytes) * 80 + 10)) // 10-90% 范围，为验证预留进度
+        progressCallback(
+          'downloading',
+          progress,
+          `下载中... ${formatMegabytes(doneBytes)}/${formatMegabytes(totalBytes)}，${formatMegabytes(bytesPerSecond)}/s，剩余 ${remaining}`
+        )
+      },
+      summary: () => `平均 ${formatMegabytes(speed())}/s`
+    }
+  }
+
+  /**
+   * 解析 Content-Range 响应头（bytes start-end/total）
+   */
+  parseContentRange(contentRange) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(contentRange || '')
+    if (!match) return null
+
+    return {
+      start: Number.parseInt(match[1], 10),
+      end: Number.parseInt(match[2], 10),
+      total: Number.parseInt(match[3], 10)
+    }
+  }
+
+  async readResumeState(resumeStatePath) {
+    try {
+      return await fs.readJson(resumeStatePath)
+    } catch {
+      return null
+    }
+  }
+
+  async writeResumeState(resumeStatePath, state) {
+    try {
+      await fs.writeJson(resumeStatePath, { ...state, updatedAt: new Date().toISOString() })
+    } catch (error) {
+      // 续传状态写入失败只影响下次续传，不中断下载
+      ErrorLogger.logWarning('写入续传状态失败', error.message, { resumeStatePath })
+    }
+  }
+
+  async discardPartialDownload(temporaryPath, resumeStatePath) {
+    await fs.remove(temporaryPath).catch(() => {})
+    await fs.remove(resumeStatePath).catch(() => {})
+  }
+
+  /**
+   * 已下载的包存在且 MD5 一致时返回其哈希，否则返回 null
+   * @returns {Promise<{md5: string, sha256: string}|null>}
+   */
+  async getCompleteFileHashes(filePath, expectedMd5) {
     try {
       if (!(await fs.pathExists(filePath))) {
-        return false
+        return null
       }
 
-      const fileMd5 = await this.calculateMd5(filePath)
-      return fileMd5 === expectedMd5
+      const hashes = await this.calculateHashes(filePath)
+      return hashes.md5 === expectedMd5 ? hashes : null
     } catch {
-      return false
+      return null
     }
   }
 
+  /**
+   * 获取本机配置的签名公钥（只加载一次）
+   */
+  getSigningKey() {
+    this.signingKeyPromise ||= loadSigningPublicKey(this.signatureConfig)
+    return this.signingKeyPromise
+  }
+
+  /**
+   * 校验包的 SHA-256 与签名，不通过时抛出签名错误
+   * 签名内容使用设备端请求的资源、项目、文件名和实际计算的大小与哈希，服务端返回的信息只用于提示
+   * @param {string} filePath - 包文件
+   * @param {Object} packageInfo - 服务端返回的包信息（fileSHA256、signature）
+   * @param {Object} target - { resource, project, fileName }
+   * @param {string} sha256 - 文件实际的 SHA-256
+   */
+  async verifyPackage(filePath, packageInfo, target, sha256) {
+    const signingKey = await this.getSigningKey()
+    if (!signingKey) {
+      if (this.signatureConfig.allowUnsigned) {
+        logger.warn(`⚠️ 未配置签名公钥，跳过升级包签名校验: ${target.project}/${target.fileName}`)
+        return
+      }
+      throw createSignatureError(
+        SIGNATURE_ERRORS.KEY_NOT_CONFIGURED,
+        '未配置升级包签名公钥（PACKAGE_SIGNING_PUBLIC_KEY），拒绝使用升级包'
+      )
+    }
+
+    if (!packageInfo.fileSHA256 || !packageInfo.signature) {
+      throw createSignatureError(SIGNATURE_ERRORS.MISSING, '服务端未提供升级包签名')
+    }
+
+    if (packageInfo.fileSHA256 !== sha256) {
+      throw createSignatureError(
+        SIGNATURE_ERRORS.CHECKSUM_MISMATCH,
+        `升级包 SHA-256 不一致，期望: ${packageInfo.fileSHA256}，实际: ${sha256}`
+      )
+    }
+
+    const { size } = await fs.stat(filePath)
+    verifyPackageSignature(signingKey, { ...target, fileSize: size, sha256 }, packageInfo.signature)
+    logger.debug(`升级包签名校验通过: ${target.project}/${target.fileName}（密钥 ${signingKey.keyId}）`)
+  }
+
   async getFileSize(filePath) {
     try {
       const stats = await fs.stat(filePath)
@@ -284,13 +765,21 @@ export default class DownloadManager {
     }
   }
 
-  async calculateMd5(filePath) {
+  /**
+   * 一次读取同时计算 MD5（续传与缓存匹配）和 SHA-256（签名校验）
+   * @returns {Promise<{md5: string, sha256: string}>}
+   */
+  async calculateHashes(filePath) {
     return new Promise((resolve, reject) => {
-      const hash = crypto.createHash('md5')
+      const md5 = crypto.createHash('md5')
+      const sha256 = crypto.createHash('sha256')
       const stream = fs.createReadStream(filePath)
 
-      stream.on('data', (data) => hash.update(data))
-      stream.on('end', () => resolve(hash.digest('hex')))
+      stream.on('data', (data) => {
+        md5.update(data)
+        sha256.update(data)
+      })
+      stream.on('end', () => resolve({ md5: md5.digest('hex'), sha256: sha256.digest('hex') }))
       stream.on('error', reject)
     })
   }
@@ -0,0 +1,299 @@
+// 中文注释：部署后健康检查（HTTP / TCP / 命令），失败由 DeployManager 自动回滚
+import { spawn } from 'node:child_process'
+import net from 'node:net'
+import path from 'node:path'
+import axios from 'axios'
+import logger from '../utils/logger.js'
+
+export const HEALTH_CHECK_TYPES = {
+  HTTP: 'http', // GET 本地地址，校验状态码和响应内容
+  TCP: 'tcp', // 端口可连接
+  COMMAND: 'command' // 命令退出码为 0
+}
+
+/**
+ * 健康检查执行器
+ *
+ * 检查定义来源优先级：升级命令参数 > 升级包清单 healthCheck 字段 > 设备本地配置。
+ * 每项检查在宽限期后开始，失败时按 interval 间隔重试 retries 次，全部检查通过才算健康。
+ */
+export default class HealthChecker {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.definitions = config.deploy?.healthChecks || {}
+
+    this.constants = {
+      defaultRetries: 3, // 首次失败后的重试次数
+      defaultInterval: 3000, // 重试间隔（毫秒）
+      defaultGracePeriod: 5000, // 部署完成到首次检查的等待时间（毫秒）
+      defaultTimeout: 5000, // 单次检查超时（毫秒）
+      maxBodyBytes: 64 * 1024, // HTTP 检查读取的最大响应体
+      maxDetailLength: 200 // 结果中保留的失败详情长度
+    }
+  }
+
+  /**
+   * 确定本次部署要执行的健康检查
+   * @param {string} project - 项目类型
+   * @param {Object} sources - { requested: 命令参数, manifest: 升级包清单 }
+   * @returns {Array} 规范化后的检查列表，未配置时为空数组
+   */
+  resolve(project, { requested = null, manifest = null } = {}) {
+    const declared = requested || manifest?.healthCheck || this.definitions[project] || null
+    if (!declared) return []
+
+    const items = Array.isArray(declared) ? declared : [declared]
+    return items.map((item) => this.normalize(item))
+  }
+
+  normalize(spec) {
+    if (!spec || typeof spec !== 'object') {
+      throw new Error('健康检查定义必须是对象')
+    }
+
+    const check = {
+      type: spec.type,
+      retries: spec.retries ?? this.constants.defaultRetries,
+      interval: spec.interval ?? this.constants.defaultInterval,
+      gracePeriod: spec.gracePeriod ?? this.constants.defaultGracePeriod,
+      timeout: spec.timeout ?? this.constants.defaultTimeout
+    }
+
+    for (const key of ['retries', 'interval', 'gracePeriod', 'timeout']) {
+      if (!Number.isInteger(check[key]) || check[key] < 0) {
+        throw new Error(`健康检查 ${key} 必须是非负整数`)
+      }
+    }
+
+    switch (spec.type) {
+      case HEALTH_CHECK_TYPES.HTTP: {
+        if (typeof spec.url !== 'string' || !/^https?:\/\//.test(spec.url)) {
+          throw new Error('HTTP 健康检查需要有效的 url')
+        }
+
+        const expectStatus = spec.expectStatus ?? 200
+        return {
+          ...check,
+          url: spec.url,
+          expectStatus: Array.isArray(expectStatus) ? expectStatus : [expectStatus],
+          expectBody: typeof spec.expectBody === 'string' ? spec.expectBody : null
+        }
+      }
+
+      case HEALTH_CHECK_TYPES.TCP: {
+        const port = Number(spec.port)
+        if (!Number.isInteger(port) || port <= 0 || port > 65_535) {
+          throw new Error('TCP 健康检查需要有效的 port')
+        }
+
+        return { ...check, host: spec.host || '127.0.0.1', port }
+      }
+
+      case HEALTH_CHECK_TYPES.COMMAND: {
+        if (typeof spec.command !== 'string' || spec.command.trim().length === 0) {
+          throw new Error('命令健康检查需要 command')
+        }
+
+        return { ...check, command: spec.command.trim(), cwd: spec.cwd || '.' }
+      }
+
+      default: {
+        throw new Error(`不支持的健康检查类型: ${spec.type}`)
+      }
+    }
+  }
+
+  describe(check) {
+    if (check.type === HEALTH_CHECK_TYPES.HTTP) return `GET ${check.url}`
+    if (check.type === HEALTH_CHECK_TYPES.TCP) return `${check.host}:${check.port}`
+    return check.command
+  }
+
+  /**
+   * 依次执行检查，任意一项在重试耗尽后仍失败即判定为不健康
+   * @param {Array} checks - resolve() 的结果
+   * @param {Object} options
+   * @param {string} options.deployPath - 部署目录（命令检查的工作目录）
+   * @param {Function} [options.onAttempt] - 每次尝试后的回调 ({ check, target, attempt, maxAttempts, ok, detail })
+   * @param {Function} [options.onGracePeriod] - 宽限期开始时的回调 (ms)
+   * @returns {Promise<{healthy: boolean, checks: Array, startedAt: string, finishedAt: string}>}
+   */
+  async run(checks, { deployPath, onAttempt = null, onGracePeriod = null } = {}) {
+    const startedAt = new Date().toISOString()
+    const gracePeriod = Math.max(0, ...checks.map((check) => check.gracePeriod))
+    if (gracePeriod > 0) {
+      if (onGracePeriod) onGracePeriod(gracePeriod)
+      await this.delay(gracePeriod)
+    }
+
+    const results = []
+    for (const check of checks) {
+      // eslint-disable-next-line no-await-in-loop -- 检查按定义顺序执行，前一项失败即停止
+      const result = await this.runCheck(check, deployPath, onAttempt)
+      results.push(result)
+      if (!result.healthy) break
+    }
+
+    return {
+      healthy: results.length === checks.length && results.every((result) => result.healthy),
+      checks: results,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    }
+  }
+
+  async runCheck(check, deployPath, onAttempt) {
+    const target = this.describe(check)
+    const maxAttempts = check.retries + 1
+    const startTime = Date.now()
+    let detail = ''
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let ok = false
+      try {
+        // eslint-disable-next-line no-await-in-loop -- 重试必须串行
+        detail = await this.probe(check, deployPath)
+        ok = true
+      } catch (error) {
+        detail = String(error.message || error).slice(0, this.constants.maxDetailLength)
+      }
+
+      logger.info(`🩺 健康检查 ${target} 第 ${attempt}/${maxAttempts} 次: ${ok ? '通过' : `失败 - ${detail}`}`)
+      if (onAttempt) onAttempt({ check, target, attempt, maxAttempts, ok, detail })
+
+      if (ok) {
+        return {
+          type: check.type,
+          target,
+          healthy: true,
+          attempts: attempt,
+          detail,
+          durationMs: Date.now() - startTime
+        }
+      }
+
+      if (attempt < maxAttempts) {
+        // eslint-disable-next-line no-await-in-loop -- 重试间隔
+        await this.delay(check.interval)
+      }
+    }
+
+    return {
+      type: check.type,
+      target,
+      healthy: false,
+      attempts: maxAttempts,
+      detail,
+      durationMs: Date.now() - startTime
+    }
+  }
+
+  /**
+   * 执行一次检查，通过时返回简短说明，失败时抛错
+   */
+  async probe(check, deployPath) {
+    if (check.type === HEALTH_CHECK_TYPES.HTTP) {
+      const response = await axios.get(check.url, {
+        timeout: check.timeout,
+        responseType: 'text',
+        maxContentLength: this.constants.maxBodyBytes,
+        validateStatus: () => true
+      })
+
+      if (!check.expectStatus.includes(response.status)) {
+        throw new Error(`状态码 ${response.status}，期望 ${check.expectStatus.join('/')}`)
+      }
+
+      if (check.expectBody && !String(response.data).includes(check.expectBody)) {
+        throw new Error(`响应内容不包含 "${check.expectBody}"`)
+      }
+
+      return `状态码 ${response.status}`
+    }
+
+    if (check.type === HEALTH_CHECK_TYPES.TCP) {
+      await this.probeTcp(check.host, check.port, check.timeout)
+      return '端口可连接'
+    }
+
+    await this.probeCommand(check, deployPath)
+    return '退出码 0'
+  }
+
+  probeTcp(host, port, timeout) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port })
+      socket.setTimeout(timeout)
+      socket.once('connect', () => {
+        socket.end()
+        resolve()
+      })
+      socket.once('timeout', () => {
+        socket.destroy()
+        reject(new Error(`连接 ${host}:${port} 超时`))
+      })
+      socket.once('error', (error) => {
+        socket.destroy()
+        reject(new Error(`连接 ${host}:${port} 失败: ${error.code || error.message}`))
+      })
+    })
+  }
+
+  probeCommand(check, deployPath) {
+    const cwd = path.resolve(deployPath, check.cwd)
+    const relativeCwd = path.relative(path.resolve(deployPath), cwd)
+    if (relativeCwd.startsWith('..') || path.isAbsolute(relativeCwd)) {
+      return Promise.reject(new Error(`健康检查 cwd 超出部署目录: ${check.cwd}`))
+    }
+
+    return new Promise((resolve, reject) => {
+      const isWindows = process.platform === 'win32'
+      const child = spawn(check.command, {
+        cwd,
+        shell: true,
+        stdio: ['ignore', 'ignore', 'pipe'],
+        // 独立进程组，超时时连同 shell 启动的子进程一起结束
+        detached: !isWindows,
+        windowsHide: true
+      })
+      let stderr = ''
+      const timer = setTimeout(() => {
+        try {
+          if (isWindows) {
+            child.kill('SIGKILL')
+          } else {
+            process.kill(-child.pid, 'SIGKILL')
+          }
+        } catch {
+          // 进程已退出
+        }
+        reject(new Error(`命令超时（${check.timeout}ms）`))
+      }, check.timeout)
+
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk.toString()).slice(-this.constants.maxDetailLength)
+      })
+      child.on('error', (error) => {
+        clearTimeout(timer)
+        reject(error)
+      })
+      child.on('close', (code) => {
+        clearTimeout(timer)
+        if (code === 0) {
+          resolve()
+        } else {
+          reject(new Error(`退出码 ${code}${stderr ? `: ${stderr.trim()}` : ''}`))
+        }
+      })
+    })
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => {
+      setTimeout(resolve, ms)
+    })
+  }
+}
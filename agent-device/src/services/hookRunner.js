@@ -0,0 +1,273 @@
+// 中文注释：升级包生命周期钩子（部署/回滚前后执行包内声明的命令）
+import { spawn } from 'node:child_process'
+import path from 'node:path'
+import { ErrorLogger } from '../utils/common.js'
+import logger from '../utils/logger.js'
+import { MANIFEST_FILE_NAME, readManifestFromDir } from '../utils/packageManifest.js'
+
+export const HOOK_PHASES = {
+  PRE_DEPLOY: 'preDeploy', // 部署目录被改动之前
+  POST_DEPLOY: 'postDeploy', // 新版本文件和版本信息就位之后，失败会回滚部署
+  PRE_ROLLBACK: 'preRollback', // 回滚改动目录之前（使用当前版本的清单）
+  POST_ROLLBACK: 'postRollback' // 回滚完成之后（使用恢复版本的清单）
+}
+
+// 清单中也允许使用短横线写法，如 post-deploy
+const PHASE_ALIASES = {
+  'pre-deploy': HOOK_PHASES.PRE_DEPLOY,
+  'post-deploy': HOOK_PHASES.POST_DEPLOY,
+  'pre-rollback': HOOK_PHASES.PRE_ROLLBACK,
+  'post-rollback': HOOK_PHASES.POST_ROLLBACK
+}
+
+/**
+ * 钩子执行器
+ *
+ * 清单 upgrade-manifest.json 位于升级包根目录，hooks 字段中每个阶段可以是命令字符串、
+ * { command, timeout, cwd, env } 对象或它们组成的数组，按顺序执行，任意一个失败即停止。
+ */
+export default class HookRunner {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.enabled = config.deploy?.hooks?.enabled !== false
+    this.defaultTimeout = config.deploy?.hooks?.timeout || 300_000
+
+    this.constants = {
+      outputTailLines: 20, // 失败时随结果返回的输出行数
+      outputFlushInterval: 500, // 输出合并上报间隔（毫秒）
+      killGracePeriod: 5000 // 超时后 SIGTERM 到 SIGKILL 的等待时间
+    }
+  }
+
+  /**
+   * 从已部署目录的清单读取钩子声明
+   * @param {string} dir - 部署目录
+   * @returns {Promise<Object>}
+   */
+  async loadFromDir(dir) {
+    try {
+      return this.getHooks(await readManifestFromDir(dir))
+    } catch (error) {
+      // 已部署版本的清单损坏不应阻止回滚
+      ErrorLogger.logWarning('读取部署目录中的钩子清单', error.message, { dir })
+      return {}
+    }
+  }
+
+  /**
+   * 规范化清单中的 hooks 字段
+   * @param {Object|null} manifest - 已解析的清单
+   * @returns {Object} { [phase]: Array<{command, timeout, cwd, env}> }，未声明时为空对象
+   */
+  getHooks(manifest) {
+    const declared = manifest?.hooks
+    if (!declared) return {}
+    if (typeof declared !== 'object' || Array.isArray(declared)) {
+      throw new Error(`${MANIFEST_FILE_NAME} 中 hooks 必须是对象`)
+    }
+
+    const hooks = {}
+    for (const [key, value] of Object.entries(declared)) {
+      const phase = PHASE_ALIASES[key] || key
+      if (!Object.values(HOOK_PHASES).includes(phase)) {
+        throw new Error(`不支持的钩子阶段: ${key}`)
+      }
+
+      const items = Array.isArray(value) ? value : [value]
+      hooks[phase] = [...(hooks[phase] || []), ...items.map((item) => this.normalizeHook(item, phase))]
+    }
+
+    return hooks
+  }
+
+  normalizeHook(item, phase) {
+    const hook = typeof item === 'string' ? { command: item } : item
+    if (!hook || typeof hook.command !== 'string' || hook.command.trim().length === 0) {
+      throw new Error(`钩子 ${phase} 缺少 command`)
+    }
+
+    if (hook.timeout != null && !(Number.isFinite(hook.timeout) && hook.timeout > 0)) {
+      throw new Error(`钩子 ${phase} 的 timeout 必须是正数（毫秒）`)
+    }
+
+    if (hook.cwd != null && typeof hook.cwd !== 'string') {
+      throw new Error(`钩子 ${phase} 的 cwd 必须是字符串`)
+    }
+
+    const env = hook.env || {}
+    if (typeof env !== 'object' || Array.isArray(env) || Object.values(env).some((v) => typeof v !== 'string')) {
+      throw new Error(`钩子 ${phase} 的 env 必须是字符串键值对`)
+    }
+
+    return {
+      command: hook.command.trim(),
+      timeout: hook.timeout || this.defaultTimeout,
+      cwd: hook.cwd || '.',
+      env
+    }
+  }
+
+  hasHooks(hooks, phase) {
+    return Array.isArray(hooks?.[phase]) && hooks[phase].length > 0
+  }
+
+  /**
+   * 按顺序执行某个阶段的全部钩子
+   * @param {string} phase - HOOK_PHASES 中的阶段
+   * @param {Object} hooks - 规范化后的钩子表
+   * @param {Object} context - { project, version, deployPath, previousVersion }
+   * @param {Function} [onOutput] - 输出回调 (lines: Array<{stream, line}>, hook) => void
+   * @returns {Promise<Array>} 每个钩子的执行结果；失败时抛出的错误带有 hookResult
+   */
+  async run(phase, hooks, context, onOutput = null) {
+    if (!this.hasHooks(hooks, phase)) return []
+
+    if (!this.enabled) {
+      logger.warn(`⚠️ 升级包声明了 ${phase} 钩子，但本机已禁用钩子执行，跳过`)
+      return []
+    }
+
+    const results = []
+    for (const hook of hooks[phase]) {
+      // eslint-disable-next-line no-await-in-loop -- 钩子必须按声明顺序串行执行
+      const result = await this.runHook(phase, hook, context, onOutput)
+      results.push(result)
+
+      if (!result.success) {
+        const reason = result.timedOut ? `超时（${hook.timeout}ms）` : `退出码 ${result.exitCode ?? result.signal}`
+        const error = new Error(`${phase} 钩子执行失败: ${hook.command}，${reason}`)
+        error.hookResult = result
+        throw error
+      }
+    }
+
+    return results
+  }
+
+  runHook(phase, hook, context, onOutput) {
+    const deployPath = path.resolve(context.deployPath)
+    const cwd = path.resolve(deployPath, hook.cwd)
+    const relativeCwd = path.relative(deployPath, cwd)
+    if (relativeCwd.startsWith('..') || path.isAbsolute(relativeCwd)) {
+      return Promise.reject(new Error(`钩子 ${phase} 的 cwd 超出部署目录: ${hook.cwd}`))
+    }
+
+    const env = {
+      ...process.env,
+      ...hook.env,
+      UPGRADE_HOOK_PHASE: phase,
+      UPGRADE_PROJECT: context.project || '',
+      UPGRADE_VERSION: context.version || '',
+      UPGRADE_DEPLOY_PATH: deployPath,
+      UPGRADE_PREVIOUS_VERSION: context.previousVersion || ''
+    }
+
+    logger.info(`🪝 执行 ${phase} 钩子: ${hook.command}（cwd: ${cwd}）`)
+    const startTime = Date.now()
+
+    return new Promise((resolve, reject) => {
+      const isWindows = process.platform === 'win32'
+      const child = spawn(hook.command, {
+        cwd,
+        env,
+        shell: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // 独立进程组，超时时连同子进程一起结束
+        detached: !isWindows,
+        windowsHide: true
+      })
+
+      const tail = []
+      let pending = []
+      let timedOut = false
+      let killTimer = null
+
+      const flush = () => {
+        if (pending.length === 0) return
+        const lines = pending
+        pending = []
+        if (onOutput) {
+          try {
+            onOutput(lines, hook)
+          } catch (error) {
+            logger.warn(`钩子输出回调失败: ${error.message}`)
+          }
+        }
+      }
+
+      const flushTimer = setInterval(flush, this.constants.outputFlushInterval)
+
+      const collect = (stream) => {
+        let buffered = ''
+        child[stream].on('data', (chunk) => {
+          buffered += chunk.toString()
+          const lines = buffered.split(/\r?\n/)
+          buffered = lines.pop()
+          for (const line of lines) {
+            pushLine(stream, line)
+          }
+        })
+        child[stream].on('end', () => {
+          if (buffered) pushLine(stream, buffered)
+        })
+      }
+
+      const pushLine = (stream, line) => {
+        logger.debug(`🪝 [${phase}] ${line}`)
+        pending.push({ stream, line })
+        tail.push(`${stream === 'stderr' ? '! ' : ''}${line}`)
+        if (tail.length > this.constants.outputTailLines) tail.shift()
+      }
+
+      const killChild = (signal) => {
+        try {
+          if (isWindows) {
+            child.kill(signal)
+          } else {
+            process.kill(-child.pid, signal)
+          }
+        } catch {
+          // 进程已退出
+        }
+      }
+
+      const timeoutTimer = setTimeout(() => {
+        timedOut = true
+        logger.warn(`⏰ ${phase} 钩子超时，终止进程: ${hook.command}`)
+        killChild('SIGTERM')
+        killTimer = setTimeout(() => killChild('SIGKILL'), this.constants.killGracePeriod)
+      }, hook.timeout)
+
+      collect('stdout')
+      collect('stderr')
+
+      child.on('error', (error) => {
+        clearTimeout(timeoutTimer)
+        clearTimeout(killTimer)
+        clearInterval(flushTimer)
+        reject(new Error(`${phase} 钩子无法启动: ${error.message}`))
+      })
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timeoutTimer)
+        clearTimeout(killTimer)
+        clearInterval(flushTimer)
+        flush()
+
+        resolve({
+          phase,
+          command: hook.command,
+          success: exitCode === 0 && !timedOut,
+          exitCode,
+          signal,
+          timedOut,
+          durationMs: Date.now() - startTime,
+          outputTail: tail
+        })
+      })
+    })
+  }
+}
@@ -0,0 +1,269 @@
+// 中文注释：部署文件清单与线上文件漂移（篡改）检测
+import fs from 'fs-extra'
+import crypto from 'node:crypto'
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import logger from '../utils/logger.js'
+
+export const INTEGRITY_STATUS = {
+  CLEAN: 'clean', // 与部署清单一致
+  DRIFTED: 'drifted', // 存在被修改、缺失或多出的文件
+  UNKNOWN: 'unknown' // 没有部署清单或部署目录不可读
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256')
+  await pipeline(fs.createReadStream(filePath), hash)
+  return hash.digest('hex')
+}
+
+/**
+ * 部署完整性检查
+ *
+ * 每次部署或回滚成功后记录部署目录的文件清单（大小 + SHA-256），清单保存在配置目录下，
+ * 不放进部署目录，避免被一起篡改。校验时重新计算哈希，报告被修改、缺失和清单外多出的文件。
+ * 白名单路径、Git 和 macOS 元数据由调用方通过 isExcluded 排除，既不记录也不校验。
+ */
+export default class IntegrityChecker {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.manifestDir = path.join(config.deploy?.configDir || './config', 'manifests')
+
+    this.constants = {
+      algorithm: 'sha256',
+      maxReportedPaths: 100 // 校验报告中每类差异最多列出的路径数
+    }
+
+    // 各项目最近一次的校验结果（项目 -> 报告），用于心跳上报
+    this.lastReports = new Map()
+  }
+
+  getManifestPath(project) {
+    return path.join(this.manifestDir, `${project}.json`)
+  }
+
+  /**
+   * 遍历部署目录，生成 相对路径 -> 条目 的映射
+   * @param {string} rootDir - 实际文件所在目录（symlink 切换模式下为链接指向的版本目录）
+   * @param {Function} isExcluded - (relativePath) => boolean
+   */
+  async scan(rootDir, isExcluded) {
+    const files = {}
+    const walk = async (dir, relativeDir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+        if (isExcluded(relativePath)) continue
+
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐层遍历，避免同时打开大量目录句柄
+          await walk(fullPath, relativePath)
+        } else if (entry.isSymbolicLink()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐个读取链接目标
+          files[relativePath] = { type: 'symlink', linkPath: await fs.readlink(fullPath) }
+        } else if (entry.isFile()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐个计算哈希，避免同时打开大量文件
+          const [stats, sha256] = await Promise.all([fs.stat(fullPath), hashFile(fullPath)])
+          files[relativePath] = { size: stats.size, sha256 }
+        }
+      }
+    }
+
+    await walk(rootDir, '')
+    return files
+  }
+
+  /**
+   * 记录部署清单
+   * @param {string} project - 项目类型
+   * @param {Object} options - { deployPath, rootDir, version, preservedPaths, isExcluded }
+   * @returns {Promise<Object>} 写入的清单
+   */
+  async record(project, { deployPath, rootDir = deployPath, version = null, preservedPaths = [], isExcluded }) {
+    const manifest = {
+      project,
+      version,
+      deployPath,
+      preservedPaths,
+      createdAt: new Date().toISOString(),
+      algorithm: this.constants.algorithm,
+      files: await this.scan(rootDir, isExcluded)
+    }
+
+    await fs.ensureDir(this.manifestDir)
+    // 先写临时文件再重命名，避免进程中断留下半个清单
+    const manifestPath = this.getManifestPath(project)
+    const tempPath = `${manifestPath}.tmp`
+    await fs.writeJson(tempPath, manifest, { spaces: 2 })
+    await fs.move(tempPath, manifestPath, { overwrite: true })
+
+    logger.info(`📝 已记录 ${project} 部署清单: ${Object.keys(manifest.files).length} 个文件`)
+
+    // 刚部署完成的目录视为一致，无需等下次校验
+    this.lastReports.set(project, {
+      project,
+      version,
+      deployPath,
+      checkedAt: manifest.createdAt,
+      status: INTEGRITY_STATUS.CLEAN,
+      counts: { modified: 0, missing: 0, unexpected: 0 }
+    })
+    return manifest
+  }
+
+  async readManifest(project) {
+    const manifestPath = this.getManifestPath(project)
+    if (!(await fs.pathExists(manifestPath))) return null
+    return fs.readJson(manifestPath)
+  }
+
+  async removeManifest(project) {
+    await fs.remove(this.getManifestPath(project))
+    this.lastReports.delete(project)
+  }
+
+  /**
+   * 按清单校验部署目录
+   * @param {string} project - 项目类型
+   * @param {Object} options - { resolveRoot: (deployPath) => 实际目录, isExcluded: (relativePath, manifest) => boolean }
+   * @returns {Promise<Object>} 校验报告
+   */
+  async verify(project, { resolveRoot = async (deployPath) => deployPath, isExcluded }) {
+    const checkedAt = new Date().toISOString()
+    const manifest = await this.readManifest(project)
+    if (!manifest) {
+      return this.saveReport(project, {
+        project,
+        version: null,
+        deployPath: null,
+        checkedAt,
+        status: INTEGRITY_STATUS.UNKNOWN,
+        error: '没有部署清单，请先完成一次部署'
+      })
+    }
+
+    const base = { project, version: manifest.version, deployPath: manifest.deployPath, checkedAt }
+    let actual
+    try {
+      const rootDir = await resolveRoot(manifest.deployPath)
+      actual = await this.scanForCompare(rootDir, manifest, (relativePath) => isExcluded(relativePath, manifest))
+    } catch (error) {
+      return this.saveReport(project, {
+        ...base,
+        status: INTEGRITY_STATUS.UNKNOWN,
+        error: `部署目录读取失败: ${error.message}`
+      })
+    }
+
+    const modified = []
+    const missing = []
+    for (const [relativePath, expected] of Object.entries(manifest.files)) {
+      const current = actual.get(relativePath)
+      if (!current) {
+        missing.push(relativePath)
+      } else if (!this.isSameEntry(expected, current)) {
+        modified.push(relativePath)
+      }
+    }
+    const unexpected = [...actual.keys()].filter((relativePath) => !manifest.files[relativePath])
+
+    const limit = this.constants.maxReportedPaths
+    const counts = { modified: modified.length, missing: missing.length, unexpected: unexpected.length }
+    return this.saveReport(project, {
+      ...base,
+      status:
+        counts.modified + counts.missing + counts.unexpected > 0 ? INTEGRITY_STATUS.DRIFTED : INTEGRITY_STATUS.CLEAN,
+      counts,
+      modified: modified.slice(0, limit),
+      missing: missing.slice(0, limit),
+      unexpected: unexpected.slice(0, limit),
+      truncated: Object.values(counts).some((count) => count > limit)
+    })
+  }
+
+  /**
+   * 遍历部署目录，大小与清单一致的文件才计算哈希
+   * @returns {Promise<Map<string, Object>>} 相对路径 -> 条目
+   */
+  async scanForCompare(rootDir, manifest, isExcluded) {
+    const entries = new Map()
+    const walk = async (dir, relativeDir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+        if (isExcluded(relativePath)) continue
+
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐层遍历，避免同时打开大量目录句柄
+          await walk(fullPath, relativePath)
+        } else if (entry.isSymbolicLink()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐个读取链接目标
+          entries.set(relativePath, { type: 'symlink', linkPath: await fs.readlink(fullPath) })
+        } else if (entry.isFile()) {
+          // eslint-disable-next-line no-await-in-loop -- 逐个读取文件大小
+          const { size } = await fs.stat(fullPath)
+          const expected = manifest.files[relativePath]
+          // 大小不同已可判定为修改，省去哈希计算
+          const sha256 =
+            expected && !expected.type && expected.size === size
+              ? // eslint-disable-next-line no-await-in-loop -- 逐个计算哈希，避免同时打开大量文件
+                await hashFile(fullPath)
+              : null
+          entries.set(relativePath, { size, sha256 })
+        }
+      }
+    }
+
+    await walk(rootDir, '')
+    return entries
+  }
+
+  isSameEntry(expected, current) {
+    if (expected.type === 'symlink' || current.type === 'symlink') {
+      return expected.type === current.type && expected.linkPath === current.linkPath
+    }
+    return expected.size === current.size && expected.sha256 === current.sha256
+  }
+
+  saveReport(project, report) {
+    this.lastReports.set(project, report)
+    if (report.status === INTEGRITY_STATUS.DRIFTED) {
+      const { modified, missing, unexpected } = report.counts
+      logger.warn(`⚠️ ${project} 部署文件与清单不一致: 修改 ${modified}，缺失 ${missing}，多出 ${unexpected}`)
+    }
+    return report
+  }
+
+  /**
+   * 最近一次校验结果的摘要（只含计数），随心跳上报
+   * @returns {Object|null} 尚未校验过任何项目时返回 null
+   */
+  getSummary() {
+    if (this.lastReports.size === 0) return null
+
+    const projects = {}
+    let checkedAt = null
+    for (const [project, report] of this.lastReports) {
+      projects[project] = {
+        status: report.status,
+        version: report.version,
+        checkedAt: report.checkedAt,
+        ...report.counts
+      }
+      if (!checkedAt || report.checkedAt > checkedAt) checkedAt = report.checkedAt
+    }
+
+    const statuses = Object.values(projects).map((item) => item.status)
+    let status = INTEGRITY_STATUS.CLEAN
+    if (statuses.includes(INTEGRITY_STATUS.DRIFTED)) {
+      status = INTEGRITY_STATUS.DRIFTED
+    } else if (statuses.includes(INTEGRITY_STATUS.UNKNOWN)) {
+      status = INTEGRITY_STATUS.UNKNOWN
+    }
+
+    return { status, checkedAt, projects }
+  }
+}
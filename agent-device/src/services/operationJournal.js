@@ -0,0 +1,233 @@
+// 中文注释：升级/回滚操作日志，进程崩溃或断电后据此在启动时完成或撤销中断的操作
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { ErrorLogger } from '../utils/common.js'
+
+// 按顺序排列，recovery 根据最后记录的阶段判断部署目录的状态
+export const JOURNAL_PHASES = {
+  STARTED: 'started', // 已开始，部署目录未改动
+  BACKUP_DONE: 'backup_done', // 部署前版本已备份
+  CLEANING_TARGET: 'cleaning_target', // 开始清空部署目录，此后目录处于半写入状态
+  TARGET_CLEANED: 'target_cleaned', // 部署目录已清空
+  EXTRACTING: 'extracting', // 正在写入新文件（extraction 记录 n/N）
+  VERSION_WRITTEN: 'version_written', // 新文件与 version.json 已全部写入（staged 模式为已切换）
+  HOOKS_DONE: 'hooks_done' // post-deploy / post-rollback 钩子已执行，只剩重启服务与健康检查
+}
+
+export const JOURNAL_PHASE_LABELS = {
+  [JOURNAL_PHASES.STARTED]: '准备阶段',
+  [JOURNAL_PHASES.BACKUP_DONE]: '备份完成后',
+  [JOURNAL_PHASES.CLEANING_TARGET]: '清空部署目录时',
+  [JOURNAL_PHASES.TARGET_CLEANED]: '部署目录清空后',
+  [JOURNAL_PHASES.EXTRACTING]: '写入文件时',
+  [JOURNAL_PHASES.VERSION_WRITTEN]: '版本信息写入后',
+  [JOURNAL_PHASES.HOOKS_DONE]: '重启服务或健康检查时'
+}
+
+const PHASE_ORDER = Object.values(JOURNAL_PHASES)
+
+// 恢复结果
+export const RECOVERY_OUTCOMES = {
+  COMPLETED: 'completed', // 已完成中断的操作
+  REVERTED: 'reverted', // 已恢复到操作前的版本
+  ABORTED: 'aborted', // 中断时部署目录未改动，无需处理
+  FAILED: 'failed' // 无法自动恢复，需要人工处理
+}
+
+/**
+ * 比较两个阶段的先后
+ * @returns {boolean} phase 是否已到达 reference 阶段
+ */
+export function hasReachedPhase(phase, reference) {
+  return PHASE_ORDER.indexOf(phase) >= PHASE_ORDER.indexOf(reference)
+}
+
+/**
+ * 操作日志
+ *
+ * 同一时间只有一个升级或回滚（由 DeviceAgent 的操作锁保证），日志只保存进行中的那一个。
+ * 每次写入都先写临时文件并 fsync，再重命名覆盖，断电后读到的要么是旧记录要么是新记录。
+ * 操作正常结束（包括进程内已处理的失败和取消）时删除日志；启动时仍存在的日志即为中断的操作。
+ */
+export default class OperationJournal {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.journalPath = path.resolve(config.deploy?.configDir || './config', 'operation-journal.json')
+    this.current = null
+    this.writing = Promise.resolve() // 串行写入，避免解压进度与阶段记录交错
+    this.lastExtractionWrite = 0
+
+    this.constants = {
+      extractionWriteInterval: 1000, // 解压进度最多每秒落盘一次
+      maxRecoveryAttempts: 3 // 恢复过程本身反复中断时，超过次数后放弃自动恢复
+    }
+  }
+
+  /**
+   * 读取日志文件
+   * @returns {Promise<Object|null>} 不存在或内容损坏时返回 null
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.journalPath, 'utf8'))
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * 开始记录一次操作，写入失败时抛出（此时还未改动任何文件）
+   * @param {Object} entry - { type, project, targetDir, version, deployMode, preservedPaths, sessionId, batchTaskId, ... }
+   */
+  async begin(entry) {
+    const now = new Date().toISOString()
+    this.current = {
+      ...entry,
+      phase: JOURNAL_PHASES.STARTED,
+      phases: [{ phase: JOURNAL_PHASES.STARTED, at: now }],
+      startedAt: now,
+      updatedAt: now
+    }
+    this.lastExtractionWrite = 0
+    await this.enqueueWrite()
+  }
+
+  /**
+   * 记录进入新阶段；写入失败只记录警告，不中断正在改动文件的操作
+   */
+  async advance(phase, fields = {}) {
+    if (!this.current) return
+
+    const now = new Date().toISOString()
+    this.current = {
+      ...this.current,
+      ...fields,
+      phase,
+      phases: [...this.current.phases, { phase, at: now }],
+      updatedAt: now
+    }
+    await this.enqueueWrite().catch((error) => {
+      ErrorLogger.logWarning('写入操作日志', error.message, { phase })
+    })
+  }
+
+  /**
+   * 合并字段但不改变阶段（如记录暂存目录）
+   */
+  async update(fields) {
+    if (!this.current) return
+
+    this.current = { ...this.current, ...fields, updatedAt: new Date().toISOString() }
+    await this.enqueueWrite().catch((error) => {
+      ErrorLogger.logWarning('写入操作日志', error.message)
+    })
+  }
+
+  /**
+   * 记录解压进度（n/N），只跟踪正在原地写入的部署目录，暂存目录与其他目录的解压忽略
+   */
+  recordExtraction(targetDir, done, total) {
+    if (!this.isTracking(targetDir)) return
+    if (!hasReachedPhase(this.current.phase, JOURNAL_PHASES.TARGET_CLEANED)) return
+    if (hasReachedPhase(this.current.phase, JOURNAL_PHASES.VERSION_WRITTEN)) return
+
+    const now = Date.now()
+    if (done < total && now - this.lastExtractionWrite < this.constants.extractionWriteInterval) return
+    this.lastExtractionWrite = now
+
+    const firstProgress = this.current.phase !== JOURNAL_PHASES.EXTRACTING
+    this.current = {
+      ...this.current,
+      phase: JOURNAL_PHASES.EXTRACTING,
+      phases: firstProgress
+        ? [...this.current.phases, { phase: JOURNAL_PHASES.EXTRACTING, at: new Date(now).toISOString() }]
+        : this.current.phases,
+      extraction: { done, total },
+      updatedAt: new Date(now).toISOString()
+    }
+    this.enqueueWrite().catch((error) => {
+      ErrorLogger.logWarning('写入解压进度', error.message)
+    })
+  }
+
+  /**
+   * 操作结束（成功、失败或取消均已在进程内处理完毕）后删除日志
+   */
+  async finish() {
+    if (!this.current) return
+    await this.clear()
+  }
+
+  /**
+   * 是否正在原地改动该目录（暂存目录和其他目录的写入不记录）
+   */
+  isTracking(targetDir) {
+    return Boolean(this.current) && path.resolve(targetDir) === path.resolve(this.current.targetDir)
+  }
+
+  /**
+   * 启动恢复前记录一次尝试，返回累计次数
+   */
+  async markRecoveryAttempt(entry) {
+    const attempts = (entry.recoveryAttempts || 0) + 1
+    this.current = { ...entry, recoveryAttempts: attempts, updatedAt: new Date().toISOString() }
+    await this.enqueueWrite()
+    return attempts
+  }
+
+  /**
+   * 恢复结束后保存待上报的结果，注册成功后调用 clear() 删除
+   */
+  async saveRecoveryReport(report) {
+    this.current = { ...this.current, recovery: report, updatedAt: new Date().toISOString() }
+    await this.enqueueWrite()
+    this.current = null
+  }
+
+  /**
+   * 删除日志（操作结束，或恢复结果已随注册上报）
+   */
+  async clear() {
+    this.current = null
+    await this.writing.catch(() => {})
+    await fs.rm(this.journalPath, { force: true })
+  }
+
+  enqueueWrite() {
+    const snapshot = this.current
+    this.writing = this.writing.catch(() => {}).then(() => this.writeDurable(snapshot))
+    return this.writing
+  }
+
+  /**
+   * 先写临时文件并 fsync，再重命名覆盖并同步目录项
+   */
+  async writeDurable(state) {
+    if (!state) return
+
+    await fs.mkdir(path.dirname(this.journalPath), { recursive: true })
+    const tempPath = `${this.journalPath}.${process.pid}.tmp`
+    const handle = await fs.open(tempPath, 'w')
+    try {
+      await handle.writeFile(JSON.stringify(state, null, 2))
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await fs.rename(tempPath, this.journalPath)
+
+    try {
+      const dirHandle = await fs.open(path.dirname(this.journalPath), 'r')
+      try {
+        await dirHandle.sync()
+      } finally {
+        await dirHandle.close()
+      }
+    } catch {
+      // Windows 不支持对目录 fsync
+    }
+  }
+}
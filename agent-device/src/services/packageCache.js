@@ -0,0 +1,328 @@
+// 中文注释：升级包缓存，按磁盘配额以最久未使用优先的顺序清理包存储目录
+import fs from 'fs-extra'
+import path from 'node:path'
+import { ErrorLogger } from '../utils/common.js'
+import logger from '../utils/logger.js'
+
+const INDEX_FILE = '.cache-index.json'
+const DELTA_DIR = 'deltas'
+
+/**
+ * 升级包缓存
+ *
+ * 包按 <packageDir>/<项目>/<文件名> 存放（增量包在 <项目>/deltas/ 下），索引记录每个包的大小与最近使用时间。
+ * 每个项目当前部署的包和上一次部署的包（回滚到的版本）受保护，超出配额时从其余包中最久未使用的开始删除。
+ * 索引丢失或损坏时按目录内容重建，以文件修改时间作为最近使用时间。
+ */
+export default class PackageCache {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.packageDir = path.resolve(config.download.packageDir)
+    this.indexPath = path.join(this.packageDir, INDEX_FILE)
+    this.quota = config.download.cacheQuota || 0 // 配额（字节），0 表示不限制
+    this.entries = new Map() // 相对路径 -> { project, fileName, resource, size, sha256, version, addedAt, lastUsedAt, prefetchedAt }
+    this.deployed = {} // 项目 -> { current, previous }，值为包的相对路径
+    this.prefetching = new Map() // 相对路径 -> { project, fileName, startedAt }
+    this.lastPrefetch = null
+    this.updatedAt = null
+    this.loading = null
+    this.writing = Promise.resolve() // 串行写入索引
+  }
+
+  /**
+   * 加载索引并与目录内容对齐（只执行一次）
+   */
+  initialize() {
+    this.loading ||= this.load().catch((error) => {
+      ErrorLogger.logWarning('加载升级包缓存索引', error.message)
+    })
+    return this.loading
+  }
+
+  async load() {
+    await fs.ensureDir(this.packageDir)
+    const index = await fs.readJson(this.indexPath).catch(() => null)
+    const indexed = new Map((index?.entries || []).map((entry) => [entry.key, entry]))
+
+    for (const file of await this.scanPackages()) {
+      const entry = indexed.get(file.key)
+      this.entries.set(file.key, {
+        key: file.key,
+        project: file.project,
+        fileName: file.fileName,
+        resource: file.resource,
+        size: file.size,
+        // 文件在索引之外被改动（大小不一致）时不再视为已校验
+        sha256: entry?.size === file.size ? entry.sha256 || null : null,
+        version: entry?.version || null,
+        addedAt: entry?.addedAt || file.mtime,
+        lastUsedAt: entry?.lastUsedAt || file.mtime,
+        prefetchedAt: entry?.prefetchedAt || null
+      })
+    }
+
+    this.deployed = index?.deployed && typeof index.deployed === 'object' ? index.deployed : {}
+    await this.save()
+    logger.debug(`升级包缓存: ${this.entries.size} 个包，共 ${this.getUsedBytes()} 字节`)
+  }
+
+  /**
+   * 列出包存储目录中的全部包
+   */
+  async scanPackages() {
+    const files = []
+    const collect = async (dir, project, resource) => {
+      const names = await fs.readdir(dir).catch(() => [])
+      for (const fileName of names) {
+        if (fileName.startsWith('.')) continue
+        const filePath = path.join(dir, fileName)
+        // eslint-disable-next-line no-await-in-loop -- 逐个读取文件信息，包数量有限
+        const stats = await fs.stat(filePath).catch(() => null)
+        if (!stats?.isFile()) continue
+        files.push({
+          key: this.getKey(filePath),
+          project,
+          fileName,
+          resource,
+          size: stats.size,
+          mtime: stats.mtime.toISOString()
+        })
+      }
+    }
+
+    const projects = await fs.readdir(this.packageDir, { withFileTypes: true })
+    for (const dirent of projects) {
+      if (!dirent.isDirectory() || dirent.name.startsWith('.')) continue
+      const projectDir = path.join(this.packageDir, dirent.name)
+      // eslint-disable-next-line no-await-in-loop -- 逐个项目扫描
+      await collect(projectDir, dirent.name, 'packages')
+      // eslint-disable-next-line no-await-in-loop -- 同上
+      await collect(path.join(projectDir, DELTA_DIR), dirent.name, 'deltas')
+    }
+    return files
+  }
+
+  /**
+   * 包文件相对包存储目录的路径，作为索引键；不在包存储目录内时返回 null
+   */
+  getKey(filePath) {
+    const relative = path.relative(this.packageDir, path.resolve(filePath))
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null
+    return relative.split(path.sep).join('/')
+  }
+
+  getUsedBytes() {
+    let total = 0
+    for (const entry of this.entries.values()) total += entry.size
+    return total
+  }
+
+  /**
+   * 受保护的包：各项目当前部署的包和上一次部署的包
+   */
+  getProtectedKeys() {
+    const keys = new Map()
+    for (const refs of Object.values(this.deployed)) {
+      if (refs?.previous) keys.set(refs.previous, 'previous')
+      if (refs?.current) keys.set(refs.current, 'current')
+    }
+    return keys
+  }
+
+  /**
+   * 记录包被下载或复用，更新最近使用时间
+   * @param {string} filePath - 包文件
+   * @param {Object} [options] - { project, fileName, resource, sha256: 校验通过的 SHA-256, version, prefetched: 是否为预下载 }
+   */
+  async record(
+    filePath,
+    { project, fileName, resource = 'packages', sha256 = null, version = null, prefetched = false } = {}
+  ) {
+    await this.initialize()
+    const key = this.getKey(filePath)
+    if (!key) return
+
+    try {
+      const { size } = await fs.stat(filePath)
+      const now = new Date().toISOString()
+      const previous = this.entries.get(key)
+      this.entries.set(key, {
+        key,
+        project,
+        fileName,
+        resource,
+        size,
+        sha256: sha256 || (previous?.size === size ? previous.sha256 : null),
+        version: version || previous?.version || null,
+        addedAt: previous && previous.size === size ? previous.addedAt : now,
+        lastUsedAt: now,
+        prefetchedAt: prefetched ? now : previous?.prefetchedAt || null
+      })
+      await this.save()
+    } catch (error) {
+      ErrorLogger.logWarning('记录升级包缓存', error.message, { filePath })
+    }
+  }
+
+  /**
+   * 查找可共享给其他设备的包：已在缓存中且记录了校验通过的 SHA-256
+   * @returns {Object|null} 缓存条目
+   */
+  getVerifiedEntry(resource, project, fileName) {
+    const key = resource === 'deltas' ? `${project}/${DELTA_DIR}/${fileName}` : `${project}/${fileName}`
+    const entry = this.entries.get(key)
+    return entry?.sha256 ? entry : null
+  }
+
+  getFilePath(entry) {
+    return path.join(this.packageDir, entry.key)
+  }
+
+  /**
+   * 记录项目部署成功使用的包，原先部署的包成为回滚保护的包
+   */
+  async markDeployed(project, filePath) {
+    await this.initialize()
+    const key = filePath ? this.getKey(filePath) : null
+    if (!project || !key) return
+
+    const refs = this.deployed[project] || {}
+    if (refs.current !== key) {
+      this.deployed[project] = { current: key, previous: refs.current || null }
+    }
+    const entry = this.entries.get(key)
+    if (entry) entry.lastUsedAt = new Date().toISOString()
+    await this.save()
+  }
+
+  /**
+   * 超出配额时按最近使用时间从旧到新删除未受保护的包
+   * @param {Object} [options]
+   * @param {number} [options.reserveBytes=0] - 即将下载的包需要的空间
+   * @param {string[]} [options.keep=[]] - 本次不能删除的包文件（如正在下载或使用的包）
+   * @returns {Promise<{evicted: string[], usedBytes: number}>}
+   */
+  async enforceQuota({ reserveBytes = 0, keep = [] } = {}) {
+    await this.initialize()
+    const evicted = []
+    if (!this.quota || this.getUsedBytes() + reserveBytes <= this.quota) {
+      return { evicted, usedBytes: this.getUsedBytes() }
+    }
+
+    const protectedKeys = this.getProtectedKeys()
+    const keepKeys = new Set([...keep.map((filePath) => this.getKey(filePath)), ...this.prefetching.keys()])
+    const candidates = [...this.entries.values()]
+      .filter((entry) => !protectedKeys.has(entry.key) && !keepKeys.has(entry.key))
+      .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt))
+
+    for (const entry of candidates) {
+      if (this.getUsedBytes() + reserveBytes <= this.quota) break
+      try {
+        // eslint-disable-next-line no-await-in-loop -- 按顺序删除，空间足够后停止
+        await fs.remove(path.join(this.packageDir, entry.key))
+        this.entries.delete(entry.key)
+        evicted.push(entry.key)
+        logger.info(`🧹 升级包缓存超出配额，已删除: ${entry.key}（${entry.size} 字节）`)
+      } catch (error) {
+        ErrorLogger.logWarning('删除缓存的升级包', error.message, { key: entry.key })
+      }
+    }
+
+    const usedBytes = this.getUsedBytes()
+    if (usedBytes + reserveBytes > this.quota) {
+      logger.warn(
+        `⚠️ 升级包缓存仍超出配额（已用 ${usedBytes} 字节，配额 ${this.quota} 字节），剩余的包均受保护或正在使用`
+      )
+    }
+    if (evicted.length > 0) {
+      await this.save()
+    }
+    return { evicted, usedBytes }
+  }
+
+  /**
+   * 登记预下载，同一个包已在预下载时返回 false
+   */
+  beginPrefetch(filePath, { project, fileName }) {
+    const key = this.getKey(filePath)
+    if (!key || this.prefetching.has(key)) return false
+
+    this.prefetching.set(key, { project, fileName, startedAt: new Date().toISOString() })
+    this.updatedAt = new Date().toISOString()
+    return true
+  }
+
+  /**
+   * 记录预下载结果，随心跳上报
+   */
+  finishPrefetch(filePath, { project, fileName }, result) {
+    this.prefetching.delete(this.getKey(filePath))
+    this.lastPrefetch = {
+      project,
+      fileName,
+      success: Boolean(result?.success),
+      cached: Boolean(result?.cached),
+      error: result?.success ? null : result?.error || '预下载失败',
+      finishedAt: new Date().toISOString()
+    }
+    this.updatedAt = this.lastPrefetch.finishedAt
+  }
+
+  /**
+   * 缓存摘要（随心跳上报），索引尚未加载时返回 null
+   */
+  getSummary() {
+    if (!this.updatedAt) return null
+
+    const protectedKeys = this.getProtectedKeys()
+    return {
+      quotaBytes: this.quota || null,
+      usedBytes: this.getUsedBytes(),
+      count: this.entries.size,
+      updatedAt: this.updatedAt,
+      packages: [...this.entries.values()]
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+        .map((entry) => ({
+          project: entry.project,
+          fileName: entry.fileName,
+          resource: entry.resource,
+          size: entry.size,
+          sha256: entry.sha256,
+          version: entry.version,
+          lastUsedAt: entry.lastUsedAt,
+          prefetchedAt: entry.prefetchedAt,
+          protected: protectedKeys.get(entry.key) || null
+        })),
+      prefetching: [...this.prefetching.values()],
+      lastPrefetch: this.lastPrefetch
+    }
+  }
+
+  /**
+   * 保存索引（先写临时文件再重命名），写入失败只影响下次启动时的最近使用时间
+   */
+  save() {
+    this.updatedAt = new Date().toISOString()
+    const snapshot = {
+      entries: [...this.entries.values()],
+      deployed: this.deployed,
+      updatedAt: this.updatedAt
+    }
+
+    this.writing = this.writing.then(() => this.writeIndex(snapshot))
+    return this.writing
+  }
+
+  async writeIndex(snapshot) {
+    try {
+      const tempPath = `${this.indexPath}.tmp`
+      await fs.writeJson(tempPath, snapshot, { spaces: 2 })
+      await fs.rename(tempPath, this.indexPath)
+    } catch (error) {
+      ErrorLogger.logWarning('写入升级包缓存索引', error.message)
+    }
+  }
+}
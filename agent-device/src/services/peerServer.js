@@ -0,0 +1,226 @@
+// 中文注释：局域网分发，向同网段的其他设备提供本机缓存中已校验的升级包
+import fs from 'fs-extra'
+import http from 'node:http'
+import os from 'node:os'
+import { pipeline } from 'node:stream/promises'
+import { ErrorLogger } from '../utils/common.js'
+import logger from '../utils/logger.js'
+
+// 与服务端下载地址一致：/<资源类型>/<项目>/<文件名>/download
+const DOWNLOAD_PATH_PATTERN = /^\/(packages|deltas)\/([^/]+)\/([^/]+)\/download$/
+
+function parseIPv4(address) {
+  return address.split('.').reduce((total, part) => total * 256 + Number(part), 0) >>> 0
+}
+
+function getSubnetMask(prefixLength) {
+  return prefixLength === 0 ? 0 : (0xff_ff_ff_ff << (32 - prefixLength)) >>> 0
+}
+
+/**
+ * 由 IPv4 地址与前缀长度计算网段（如 192.168.1.23/24 -> 192.168.1.0/24）
+ */
+function getSubnet(address, prefixLength) {
+  const network = (parseIPv4(address) & getSubnetMask(prefixLength)) >>> 0
+  return `${[24, 16, 8, 0].map((shift) => (network >>> shift) & 0xff).join('.')}/${prefixLength}`
+}
+
+/**
+ * 判断对端地址是否在本机网段内（IPv4 映射的 IPv6 地址如 ::ffff:192.168.1.5 按 IPv4 处理）
+ */
+function isInSubnet(remoteAddress, subnet) {
+  const address = String(remoteAddress || '').replace(/^::ffff:/i, '')
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) return false
+
+  const [network, prefixLength] = subnet.split('/')
+  const mask = getSubnetMask(Number(prefixLength))
+  return (parseIPv4(address) & mask) >>> 0 === parseIPv4(network)
+}
+
+/**
+ * 本机局域网地址与所在网段：优先使用配置的地址所在的网卡，否则使用首个非内网 IPv4
+ * @returns {{address: string, interfaceAddress: string, subnet: string}|null}
+ *   address 为告知其他设备的地址，interfaceAddress 为共享时监听的网卡地址
+ */
+function getLanAddress(preferredAddress = null) {
+  const candidates = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && !iface.internal && iface.family === 'IPv4')
+  const iface = candidates.find((item) => item.address === preferredAddress) || candidates[0]
+  if (!iface) return null
+
+  const prefixLength = Number.parseInt(iface.cidr?.split('/')[1], 10)
+  return {
+    address: preferredAddress || iface.address,
+    interfaceAddress: iface.address,
+    subnet: getSubnet(iface.address, Number.isInteger(prefixLength) ? prefixLength : 24)
+  }
+}
+
+/**
+ * 解析单个 Range（bytes=start-end / bytes=start- / bytes=-suffix）
+ * @returns {{start: number, end: number}|null} 格式不支持时返回 null，超出范围时返回 { start: -1 }
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '')
+  if (!match || (!match[1] && !match[2])) return null
+
+  let start
+  let end
+  if (match[1]) {
+    start = Number.parseInt(match[1], 10)
+    end = match[2] ? Math.min(Number.parseInt(match[2], 10), size - 1) : size - 1
+  } else {
+    start = Math.max(0, size - Number.parseInt(match[2], 10))
+    end = size - 1
+  }
+
+  return start > end || start >= size ? { start: -1, end: -1 } : { start, end }
+}
+
+/**
+ * 局域网分发
+ *
+ * 开启共享时只在局域网网卡上监听 HTTP 端口并只响应同网段的请求，
+ * 只提供包缓存中记录了校验通过的 SHA-256 的包，ETag 即该 SHA-256。
+ * 接口与服务端的分片下载一致（Range + If-Range），下载方仍按服务端返回的包信息校验 MD5、SHA-256 与签名，
+ * 因此无需信任提供包的设备。未开启共享时只计算本机网段，随心跳上报，供服务端为本机查找同网段的设备。
+ */
+export default class PeerServer {
+  constructor(config, cache) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.options = config.download.peer || {}
+    this.cache = cache
+    this.server = null
+    this.lanAddress = null
+    this.url = null
+    this.activeUploads = 0
+  }
+
+  async start() {
+    this.lanAddress = getLanAddress(this.options.address)
+    if (!this.options.share) return
+    if (!this.lanAddress) {
+      logger.warn('⚠️ 未找到局域网 IPv4 地址，不对其他设备共享升级包')
+      return
+    }
+
+    const server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch((error) => {
+        ErrorLogger.logWarning('响应局域网下载请求', error.message, { url: request.url })
+        if (!response.headersSent) {
+          response.writeHead(500)
+        }
+        response.end()
+      })
+    })
+
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject)
+        // 只监听局域网网卡，不在其他网卡（如公网、VPN）上暴露缓存中的包
+        server.listen(this.options.port, this.lanAddress.interfaceAddress, () => {
+          server.off('error', reject)
+          resolve()
+        })
+      })
+    } catch (error) {
+      // 端口被占用等情况只影响共享，本机升级照常从服务端或其他设备下载
+      ErrorLogger.logWarning('启动局域网分发', error.message, {
+        address: this.lanAddress.interfaceAddress,
+        port: this.options.port
+      })
+      return
+    }
+
+    this.server = server
+    this.url = `http://${this.lanAddress.address}:${this.options.port}`
+    logger.info(`📡 已开启局域网分发: ${this.url}（网段 ${this.lanAddress.subnet}）`)
+  }
+
+  /**
+   * 随心跳上报的局域网信息，未找到局域网地址时返回 null
+   * @returns {{subnet: string, url: string|null}|null} url 为 null 表示本机不共享
+   */
+  getAnnouncement() {
+    if (!this.lanAddress) return null
+    return { subnet: this.lanAddress.subnet, url: this.url }
+  }
+
+  async handleRequest(request, response) {
+    // 监听地址所在网卡上也可能收到经路由转发的请求，只服务同网段的设备
+    if (!isInSubnet(request.socket.remoteAddress, this.lanAddress.subnet)) {
+      response.writeHead(403)
+      response.end()
+      return
+    }
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' })
+      response.end()
+      return
+    }
+
+    const match = DOWNLOAD_PATH_PATTERN.exec(new URL(request.url, 'http://localhost').pathname)
+    const [resource, project, fileName] = match ? match.slice(1).map((part) => decodeURIComponent(part)) : []
+    const entry = match ? this.cache.getVerifiedEntry(resource, project, fileName) : null
+    const filePath = entry ? this.cache.getFilePath(entry) : null
+    const stats = filePath ? await fs.stat(filePath).catch(() => null) : null
+    if (!stats?.isFile() || stats.size !== entry.size) {
+      response.writeHead(404)
+      response.end()
+      return
+    }
+
+    if (this.activeUploads >= (this.options.maxUploads || 4)) {
+      response.writeHead(503, { 'Retry-After': '5' })
+      response.end()
+      return
+    }
+
+    const etag = `"${entry.sha256}"`
+    const ifRange = request.headers['if-range']
+    const range = ifRange && ifRange !== etag ? null : parseRange(request.headers.range, stats.size)
+    if (range?.start === -1) {
+      response.writeHead(416, { 'Content-Range': `bytes */${stats.size}`, ETag: etag })
+      response.end()
+      return
+    }
+
+    const { start, end } = range || { start: 0, end: stats.size - 1 }
+    response.writeHead(range ? 206 : 200, {
+      'Accept-Ranges': 'bytes',
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': end - start + 1,
+      ETag: etag,
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${stats.size}` })
+    })
+    if (request.method === 'HEAD' || stats.size === 0) {
+      response.end()
+      return
+    }
+
+    this.activeUploads++
+    try {
+      await pipeline(fs.createReadStream(filePath, { start, end }), response)
+      logger.debug(`局域网分发: ${entry.key} ${start}-${end} -> ${request.socket.remoteAddress}`)
+    } catch (error) {
+      // 下载方改用其他来源或取消下载时会提前断开
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error
+    } finally {
+      this.activeUploads--
+    }
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close()
+      this.server.closeAllConnections?.()
+      this.server = null
+      this.url = null
+    }
+  }
+}
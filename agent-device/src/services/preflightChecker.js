@@ -0,0 +1,304 @@
+// 中文注释：升级前置检查，下载之前确认各分区空间、目录写权限与部署目录中被占用的文件
+import fs from 'fs-extra'
+import fsPromises from 'node:fs/promises'
+import path from 'node:path'
+import { ErrorLogger } from '../utils/common.js'
+
+// 前置检查不通过的错误码：FAILED 随命令结果上报，其余为 problems 中各项问题的错误码
+export const PREFLIGHT_ERRORS = {
+  FAILED: 'PREFLIGHT_FAILED', // 前置检查未通过，升级已中止（部署目录未改动）
+  DISK_SPACE: 'DISK_SPACE_INSUFFICIENT', // 分区可用空间不足
+  NOT_WRITABLE: 'DIRECTORY_NOT_WRITABLE', // 目录不可写
+  FILE_LOCKED: 'FILE_LOCKED', // 文件被运行中的进程占用
+  FILE_READ_ONLY: 'FILE_READ_ONLY' // 文件只读，无法删除或覆盖
+}
+
+const PURPOSE_LABELS = {
+  download: '下载临时目录',
+  package: '包存储目录',
+  backup: '备份目录',
+  deploy: '部署目录'
+}
+
+// Windows 上被其他进程占用的文件以读写方式打开时返回 EBUSY，此时也无法删除或覆盖
+const LOCKED_CODES = new Set(['EBUSY'])
+// Windows 上只读属性或共享冲突都会阻止删除
+const READ_ONLY_CODES = new Set(['EACCES', 'EPERM'])
+
+/**
+ * 创建前置检查未通过的错误，检查结果放在 details 中随命令结果与批量任务状态上报
+ * @param {Object} result - PreflightChecker.check() 的返回值
+ * @returns {Error}
+ */
+export function createPreflightError(result) {
+  const reasons = result.problems.map((problem) => problem.message).join('；')
+  const error = new Error(`升级前置检查未通过: ${reasons}（${PREFLIGHT_ERRORS.FAILED}）`)
+  error.code = PREFLIGHT_ERRORS.FAILED
+  error.details = { code: PREFLIGHT_ERRORS.FAILED, preflight: result }
+  return error
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B'
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1)
+  return `${Number.parseFloat((bytes / 1024 ** index).toFixed(1))} ${units[index]}`
+}
+
+/**
+ * 升级前置检查
+ *
+ * 在下载之前执行，任何一项不通过都中止升级，此时部署目录、备份和包缓存都没有改动：
+ * - 磁盘空间：下载临时目录、包存储目录、备份目录与部署目录按所在分区合并需求，与分区可用空间比较；
+ * - 写权限：在上述目录（不存在时为最近的已存在上级目录）中创建并删除探测文件；
+ * - 被占用的文件：以读写方式打开部署时会被删除或覆盖的文件，找出被运行中的进程占用或只读的文件
+ *   （Linux 上删除与重命名不受打开的文件影响，只检查所在目录是否可写）。
+ *
+ * 空间需求为上限估算（备份按未压缩大小计算），宁可提前拒绝也不在清空部署目录之后才失败。
+ */
+export default class PreflightChecker {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.tempDir = config.download.tempDir
+    this.packageDir = config.download.packageDir
+    this.backupDir = config.deploy.backupDir
+
+    this.constants = {
+      maxReportedFiles: 20, // 最多列出的被占用或只读文件数
+      probePrefix: '.preflight-' // 写权限探测文件的前缀
+    }
+  }
+
+  /**
+   * 执行前置检查
+   * @param {Object} plan - 部署计划（由 DeployManager.preflight 根据部署目录现状生成）
+   * @param {string} plan.deployDir - 部署时写入的目录（staged 模式为部署目录的上级目录）
+   * @param {string} plan.deployRoot - 当前部署内容所在目录（symlink 切换时为链接指向的版本目录）
+   * @param {number} plan.downloadBytes - 需要下载的字节数，包已在缓存中时为 0
+   * @param {number} plan.deployBytes - 部署目录所在分区需要的字节数
+   * @param {number} plan.backupBytes - 备份需要的字节数
+   * @param {string[]} plan.replacedFiles - 部署时会被删除或覆盖的文件（相对 deployRoot）
+   * @param {boolean} plan.checkFiles - 是否检查 replacedFiles
+   * @returns {Promise<Object>} { ready, disk, permissions, files, problems, checkedAt }
+   */
+  async check(plan) {
+    const problems = []
+
+    const disk = await this.checkDiskSpace(
+      [
+        { purpose: 'download', dir: this.tempDir, bytes: plan.downloadBytes },
+        { purpose: 'package', dir: this.packageDir, bytes: plan.downloadBytes },
+        { purpose: 'backup', dir: this.backupDir, bytes: plan.backupBytes },
+        { purpose: 'deploy', dir: plan.deployDir, bytes: plan.deployBytes }
+      ],
+      problems
+    )
+
+    const permissions = await this.checkWritable(
+      [
+        { purpose: 'download', dir: this.tempDir },
+        { purpose: 'package', dir: this.packageDir },
+        { purpose: 'backup', dir: this.backupDir },
+        { purpose: 'deploy', dir: plan.deployDir }
+      ],
+      problems
+    )
+
+    const files = plan.checkFiles
+      ? await this.checkReplacedFiles(plan.deployRoot, plan.replacedFiles, problems)
+      : { checked: 0, blocked: [], blockedCount: 0, truncated: false }
+
+    return {
+      ready: problems.length === 0,
+      disk,
+      permissions,
+      files,
+      problems,
+      checkedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * 目录不存在时（部署时才创建）返回最近的已存在上级目录
+   */
+  async findExistingDir(dir) {
+    let current = path.resolve(dir)
+    // eslint-disable-next-line no-await-in-loop -- 逐级向上查找，必须串行
+    while (!(await fs.pathExists(current))) {
+      const parent = path.dirname(current)
+      if (parent === current) return null
+      current = parent
+    }
+    return current
+  }
+
+  /**
+   * 按分区合并各目录的空间需求后与可用空间比较
+   * 下载临时目录与包存储目录在同一分区时，下载完成后是移动而不是复制，只计算一次
+   */
+  async checkDiskSpace(requirements, problems) {
+    const volumes = new Map() // 设备号 -> 分区信息
+    for (const requirement of requirements) {
+      // eslint-disable-next-line no-await-in-loop -- 各目录数量固定，逐个解析所在分区
+      const existingDir = await this.findExistingDir(requirement.dir)
+      // eslint-disable-next-line no-await-in-loop -- 同上
+      const stats = existingDir ? await fs.stat(existingDir).catch(() => null) : null
+      if (!stats) continue
+
+      const key = String(stats.dev)
+      if (!volumes.has(key)) {
+        volumes.set(key, { path: existingDir, purposes: [], dirs: [], requiredBytes: 0 })
+      }
+
+      const volume = volumes.get(key)
+      const movedFromTemp = requirement.purpose === 'package' && volume.purposes.includes('download')
+      volume.purposes.push(requirement.purpose)
+      volume.dirs.push(path.resolve(requirement.dir))
+      volume.requiredBytes += movedFromTemp ? 0 : requirement.bytes || 0
+    }
+
+    const results = []
+    for (const volume of volumes.values()) {
+      // eslint-disable-next-line no-await-in-loop -- 分区数量很少
+      const freeBytes = await this.getFreeBytes(volume.path)
+      const sufficient = freeBytes === null ? null : freeBytes >= volume.requiredBytes
+      results.push({ ...volume, freeBytes, sufficient })
+
+      if (sufficient === false) {
+        problems.push({
+          code: PREFLIGHT_ERRORS.DISK_SPACE,
+          purposes: volume.purposes,
+          path: volume.path,
+          requiredBytes: volume.requiredBytes,
+          freeBytes,
+          message: `${volume.purposes.map((purpose) => PURPOSE_LABELS[purpose]).join('、')}所在分区空间不足: 需要 ${formatBytes(volume.requiredBytes)}，可用 ${formatBytes(freeBytes)}`
+        })
+      }
+    }
+
+    return results
+  }
+
+  async getFreeBytes(dir) {
+    if (typeof fsPromises.statfs !== 'function') return null
+
+    try {
+      const stats = await fsPromises.statfs(dir)
+      return stats.bavail * stats.bsize
+    } catch (error) {
+      ErrorLogger.logWarning('获取磁盘可用空间', error.message, { dir })
+      return null
+    }
+  }
+
+  /**
+   * 在目录中创建并删除探测文件，确认当前进程可以写入
+   */
+  async checkWritable(targets, problems) {
+    const results = []
+    for (const { purpose, dir } of targets) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个目录探测
+      const existingDir = await this.findExistingDir(dir)
+      const result = { purpose, dir: path.resolve(dir), checkedDir: existingDir, writable: false, error: null }
+
+      if (existingDir) {
+        const probePath = path.join(existingDir, `${this.constants.probePrefix}${process.pid}-${Date.now()}`)
+        try {
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await fs.writeFile(probePath, '', { flag: 'wx' })
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await fs.remove(probePath)
+          result.writable = true
+        } catch (error) {
+          result.error = error.code || error.message
+        }
+      } else {
+        result.error = 'ENOENT'
+      }
+
+      results.push(result)
+      if (!result.writable) {
+        problems.push({
+          code: PREFLIGHT_ERRORS.NOT_WRITABLE,
+          purpose,
+          path: existingDir || result.dir,
+          error: result.error,
+          message: `${PURPOSE_LABELS[purpose]}不可写: ${existingDir || result.dir}（${result.error}）`
+        })
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * 检查部署时会被删除或覆盖的文件
+   * Windows 上以读写方式打开（不修改内容），被占用或只读的文件无法删除；
+   * 其他平台删除文件只需要所在目录可写，按目录判断
+   */
+  async checkReplacedFiles(deployRoot, replacedFiles, problems) {
+    const blocked = []
+    const checkedDirs = new Map() // 目录 -> 是否可写
+
+    for (const relativePath of replacedFiles) {
+      const filePath = path.join(deployRoot, relativePath)
+
+      if (process.platform === 'win32') {
+        try {
+          // eslint-disable-next-line no-await-in-loop -- 逐个打开，避免同时占用大量文件句柄
+          const handle = await fsPromises.open(filePath, 'r+')
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await handle.close()
+        } catch (error) {
+          if (LOCKED_CODES.has(error.code)) {
+            blocked.push({ path: relativePath, reason: 'locked', code: error.code })
+          } else if (READ_ONLY_CODES.has(error.code)) {
+            blocked.push({ path: relativePath, reason: 'readOnly', code: error.code })
+          }
+        }
+        continue
+      }
+
+      const dir = path.dirname(filePath)
+      if (!checkedDirs.has(dir)) {
+        // eslint-disable-next-line no-await-in-loop -- 每个目录只检查一次
+        const writable = await fs.access(dir, fs.constants.W_OK).then(
+          () => true,
+          () => false
+        )
+        checkedDirs.set(dir, writable)
+      }
+      if (!checkedDirs.get(dir)) {
+        blocked.push({ path: relativePath, reason: 'readOnly', code: 'EACCES' })
+      }
+    }
+
+    const lockedCount = blocked.filter((item) => item.reason === 'locked').length
+    const readOnlyCount = blocked.length - lockedCount
+    if (lockedCount > 0) {
+      problems.push({
+        code: PREFLIGHT_ERRORS.FILE_LOCKED,
+        count: lockedCount,
+        message: `${lockedCount} 个文件被运行中的进程占用`
+      })
+    }
+    if (readOnlyCount > 0) {
+      problems.push({
+        code: PREFLIGHT_ERRORS.FILE_READ_ONLY,
+        count: readOnlyCount,
+        message: `${readOnlyCount} 个文件只读或所在目录不可写，无法删除或覆盖`
+      })
+    }
+
+    return {
+      checked: replacedFiles.length,
+      blocked: blocked.slice(0, this.constants.maxReportedFiles),
+      blockedCount: blocked.length,
+      truncated: blocked.length > this.constants.maxReportedFiles
+    }
+  }
+}
@@ -0,0 +1,328 @@
+// 中文注释：分阶段部署的发布目录管理（暂存目录、整体切换、上一版本保留）
+import fs from 'fs-extra'
+import path from 'node:path'
+import { DateHelper, ErrorLogger } from '../utils/common.js'
+import logger from '../utils/logger.js'
+
+export const DEPLOY_MODES = {
+  INPLACE: 'inplace', // 清空部署目录后原地解压（默认，兼容旧行为）
+  STAGED: 'staged' // 解压到同级暂存目录，验证后整体切换
+}
+
+export const SWAP_STRATEGIES = {
+  RENAME: 'rename', // 目录重命名切换（两次 rename，非原子），上一版本保留为 .<name>.previous
+  SYMLINK: 'symlink' // 部署目录为指向 .<name>.releases/<release> 的符号链接，切换时原子替换链接
+}
+
+/**
+ * 发布目录管理器
+ *
+ * 所有暂存、发布目录都创建在部署目录的同级位置，保证与部署目录处于同一文件系统，
+ * 从而可以用 rename 完成切换。
+ */
+export default class ReleaseManager {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.mode = config.deploy?.mode || DEPLOY_MODES.INPLACE
+    this.swapStrategy = config.deploy?.swapStrategy || SWAP_STRATEGIES.RENAME
+
+    this.constants = {
+      stagingSuffix: '.staging', // 暂存目录后缀
+      previousSuffix: '.previous', // rename 策略下上一版本目录后缀
+      releasesSuffix: '.releases', // symlink 策略下发布目录后缀
+      stateFileName: 'release-state.json' // symlink 策略的发布状态文件
+    }
+
+    if (!Object.values(DEPLOY_MODES).includes(this.mode)) {
+      throw new Error(`不支持的部署模式: ${this.mode}`)
+    }
+
+    if (!Object.values(SWAP_STRATEGIES).includes(this.swapStrategy)) {
+      throw new Error(`不支持的切换策略: ${this.swapStrategy}`)
+    }
+  }
+
+  /**
+   * 解析本次部署使用的模式（命令参数优先于本地配置）
+   * @param {string|null} requestedMode - 命令中指定的部署模式
+   * @returns {string}
+   */
+  resolveMode(requestedMode = null) {
+    if (requestedMode && Object.values(DEPLOY_MODES).includes(requestedMode)) {
+      return requestedMode
+    }
+
+    return this.mode
+  }
+
+  getSiblingPath(targetDir, suffix) {
+    const resolved = path.resolve(targetDir)
+    return path.join(path.dirname(resolved), `.${path.basename(resolved)}${suffix}`)
+  }
+
+  getPreviousPath(targetDir) {
+    return this.getSiblingPath(targetDir, this.constants.previousSuffix)
+  }
+
+  getReleasesDir(targetDir) {
+    return this.getSiblingPath(targetDir, this.constants.releasesSuffix)
+  }
+
+  /**
+   * 创建本次部署的暂存目录
+   * @param {string} targetDir - 部署目录
+   * @returns {Promise<string>} 暂存目录路径
+   */
+  async createStagingDir(targetDir) {
+    const parentDir = path.dirname(path.resolve(targetDir))
+    await fs.ensureDir(parentDir)
+
+    try {
+      await fs.access(parentDir, fs.constants.W_OK)
+    } catch {
+      throw new Error(`部署目录的上级目录不可写，无法使用分阶段部署: ${parentDir}`)
+    }
+
+    // 发布名：时间（便于人工识别）+ 毫秒时间戳（保证唯一）
+    const releaseName = `${DateHelper.formatToYYYYMMDDHHmm(new Date())}-${Date.now()}`
+
+    const stagingDir =
+      this.swapStrategy === SWAP_STRATEGIES.SYMLINK
+        ? path.join(this.getReleasesDir(targetDir), releaseName)
+        : `${this.getSiblingPath(targetDir, this.constants.stagingSuffix)}-${releaseName}`
+
+    await fs.remove(stagingDir)
+    await fs.ensureDir(stagingDir)
+    logger.debug(`📁 创建暂存目录: ${stagingDir}`)
+    return stagingDir
+  }
+
+  /**
+   * 丢弃未切换的暂存目录
+   */
+  async discardStagingDir(stagingDir) {
+    if (!stagingDir) return
+
+    try {
+      await fs.remove(stagingDir)
+      logger.debug(`🗑️ 已清理暂存目录: ${stagingDir}`)
+    } catch (error) {
+      ErrorLogger.logWarning('清理暂存目录', error.message, { stagingDir })
+    }
+  }
+
+  /**
+   * 将暂存目录切换为部署目录，原部署内容保留为上一版本
+   * @param {string} targetDir - 部署目录
+   * @param {string} stagingDir - 已验证的暂存目录
+   * @returns {Promise<{previousPath: string|null, releasePath: string}>}
+   */
+  async activate(targetDir, stagingDir) {
+    if (!targetDir || !stagingDir) {
+      throw new Error('targetDir 和 stagingDir 参数不能为空')
+    }
+
+    return this.swapStrategy === SWAP_STRATEGIES.SYMLINK
+      ? this.activateBySymlink(targetDir, stagingDir)
+      : this.activateByRename(targetDir, stagingDir)
+  }
+
+  /**
+   * 依次把部署目录重命名为上一版本、把暂存目录重命名为部署目录
+   *
+   * 两次 rename 之间部署目录不存在，此时崩溃会留下上一版本与暂存目录而没有部署目录，
+   * 重启后由 restoreInterruptedSwap 把上一版本放回原处。需要原子切换时使用 symlink 策略。
+   */
+  async activateByRename(targetDir, stagingDir) {
+    const livePath = path.resolve(targetDir)
+    const previousPath = this.getPreviousPath(targetDir)
+    const hasLive = await fs.pathExists(livePath)
+
+    // 只保留一个上一版本
+    await fs.remove(previousPath)
+
+    if (hasLive) {
+      await fs.rename(livePath, previousPath)
+    }
+
+    try {
+      await fs.rename(stagingDir, livePath)
+    } catch (error) {
+      // 切换失败时把原版本放回原处
+      if (hasLive) {
+        await fs.rename(previousPath, livePath).catch((restoreError) => {
+          ErrorLogger.logError('切换失败后恢复原部署目录', restoreError, { livePath, previousPath })
+        })
+      }
+
+      throw error
+    }
+
+    logger.info(`🔀 部署目录已切换: ${path.basename(stagingDir)} -> ${livePath}`)
+    return { previousPath: hasLive ? previousPath : null, releasePath: livePath }
+  }
+
+  /**
+   * rename 策略下两次 rename 之间中断时部署目录不存在，把上一版本放回原处
+   * @param {string} targetDir - 部署目录
+   * @returns {Promise<boolean>} 是否执行了恢复
+   */
+  async restoreInterruptedSwap(targetDir) {
+    if (this.swapStrategy !== SWAP_STRATEGIES.RENAME) return false
+
+    const livePath = path.resolve(targetDir)
+    const previousPath = this.getPreviousPath(targetDir)
+    if ((await fs.lstat(livePath).catch(() => null)) || !(await fs.pathExists(previousPath))) {
+      return false
+    }
+
+    await fs.rename(previousPath, livePath)
+    logger.warn(`🔀 部署目录在切换中途缺失，已恢复上一版本: ${previousPath} -> ${livePath}`)
+    return true
+  }
+
+  async activateBySymlink(targetDir, releasePath) {
+    const livePath = path.resolve(targetDir)
+    const releasesDir = this.getReleasesDir(targetDir)
+    const state = await this.readReleaseState(targetDir)
+    let previousPath = null
+
+    const liveStat = await fs.lstat(livePath).catch(() => null)
+    if (liveStat?.isSymbolicLink()) {
+      previousPath = path.resolve(path.dirname(livePath), await fs.readlink(livePath))
+    } else if (liveStat) {
+      // 首次使用 symlink 策略：把现有目录迁移为一个发布，再改为链接（仅此一次非原子）
+      previousPath = path.join(releasesDir, `${Date.now()}-initial`)
+      await fs.rename(livePath, previousPath)
+      logger.info(`📦 已将现有部署目录迁移为发布: ${previousPath}`)
+    }
+
+    // 先在同级创建临时链接，再 rename 覆盖部署目录链接，切换是原子的
+    const temporaryLink = this.getSiblingPath(targetDir, `.link-${Date.now()}`)
+    await fs.remove(temporaryLink)
+    await fs.symlink(releasePath, temporaryLink, process.platform === 'win32' ? 'junction' : 'dir')
+    try {
+      await fs.rename(temporaryLink, livePath)
+    } catch (error) {
+      await fs.remove(temporaryLink).catch(() => {})
+      if (previousPath && !liveStat?.isSymbolicLink()) {
+        await fs.rename(previousPath, livePath).catch(() => {})
+      }
+
+      throw error
+    }
+
+    await this.writeReleaseState(targetDir, {
+      current: releasePath,
+      previous: previousPath || state?.current || null
+    })
+    await this.pruneReleases(targetDir)
+
+    logger.info(`🔀 部署链接已切换: ${livePath} -> ${releasePath}`)
+    return { previousPath, releasePath }
+  }
+
+  /**
+   * 获取可用于即时回滚的上一版本目录
+   * @param {string} targetDir - 部署目录
+   * @returns {Promise<string|null>}
+   */
+  async getPreviousRelease(targetDir) {
+    const previousPath =
+      this.swapStrategy === SWAP_STRATEGIES.SYMLINK
+        ? (await this.readReleaseState(targetDir))?.previous
+        : this.getPreviousPath(targetDir)
+
+    if (previousPath && (await fs.pathExists(previousPath))) {
+      return previousPath
+    }
+
+    return null
+  }
+
+  /**
+   * 切换回上一版本（当前版本成为新的上一版本，可再次切回）
+   * @param {string} targetDir - 部署目录
+   * @returns {Promise<{previousPath: string|null, releasePath: string}|null>} 无上一版本时返回 null
+   */
+  async activatePrevious(targetDir) {
+    const previousPath = await this.getPreviousRelease(targetDir)
+    if (!previousPath) {
+      return null
+    }
+
+    if (this.swapStrategy === SWAP_STRATEGIES.SYMLINK) {
+      return this.activateBySymlink(targetDir, previousPath)
+    }
+
+    // rename 策略：previous 与当前目录互换
+    const livePath = path.resolve(targetDir)
+    const swapPath = `${this.getSiblingPath(targetDir, this.constants.stagingSuffix)}-${Date.now()}`
+    await fs.rename(previousPath, swapPath)
+    return this.activateByRename(livePath, swapPath)
+  }
+
+  /**
+   * 撤销刚完成的切换：切回上一版本并丢弃失败的发布，避免之后的即时回滚又切回它
+   * @param {string} targetDir - 部署目录
+   * @returns {Promise<boolean>} 没有上一版本可切回时返回 false
+   */
+  async revert(targetDir) {
+    const switched = await this.activatePrevious(targetDir)
+    if (!switched?.previousPath) {
+      return false
+    }
+
+    await fs.remove(switched.previousPath)
+    if (this.swapStrategy === SWAP_STRATEGIES.SYMLINK) {
+      const state = await this.readReleaseState(targetDir)
+      await this.writeReleaseState(targetDir, { current: state?.current || null, previous: null })
+    }
+
+    logger.info(`↩️ 已撤销切换并丢弃失败的发布: ${switched.previousPath}`)
+    return true
+  }
+
+  async readReleaseState(targetDir) {
+    try {
+      return await fs.readJson(path.join(this.getReleasesDir(targetDir), this.constants.stateFileName))
+    } catch {
+      return null
+    }
+  }
+
+  async writeReleaseState(targetDir, state) {
+    const releasesDir = this.getReleasesDir(targetDir)
+    await fs.ensureDir(releasesDir)
+    await fs.writeJson(
+      path.join(releasesDir, this.constants.stateFileName),
+      { ...state, updatedAt: new Date().toISOString() },
+      { spaces: 2 }
+    )
+  }
+
+  /**
+   * 清理当前与上一版本之外的发布目录
+   */
+  async pruneReleases(targetDir) {
+    const releasesDir = this.getReleasesDir(targetDir)
+    const state = await this.readReleaseState(targetDir)
+    const keep = new Set([state?.current, state?.previous].filter(Boolean).map((item) => path.resolve(item)))
+
+    try {
+      const entries = await fs.readdir(releasesDir, { withFileTypes: true })
+      const removals = entries
+        .filter((entry) => entry.isDirectory() && !keep.has(path.join(releasesDir, entry.name)))
+        .map(async (entry) => {
+          await fs.remove(path.join(releasesDir, entry.name))
+          logger.debug(`🗑️ 清理旧发布: ${entry.name}`)
+        })
+      await Promise.all(removals)
+    } catch (error) {
+      ErrorLogger.logWarning('清理旧发布', error.message, { releasesDir })
+    }
+  }
+}
@@ -0,0 +1,355 @@
+// 中文注释：Agent 自升级：准备新版本代理并交给看门狗切换、重启，新版本未按时注册时由看门狗恢复旧版本
+import fs from 'fs-extra'
+import { spawn } from 'node:child_process'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { detectArchiveFormat } from '../utils/archive.js'
+import logger from '../utils/logger.js'
+import {
+  SELF_UPGRADE_ACTIVE_STATUSES,
+  SELF_UPGRADE_STATUS,
+  readSelfUpgradeState,
+  updateSelfUpgradeState,
+  writeSelfUpgradeState
+} from '../utils/selfUpgradeState.js'
+
+// 服务端项目注册表中存放 Agent 升级包的内置项目
+export const AGENT_PROJECT = 'device-agent'
+
+export const RESTART_MODES = {
+  SUPERVISOR: 'supervisor', // 旧进程退出后由 PM2 / systemd 等进程管理器拉起
+  SPAWN: 'spawn' // 看门狗自行启动新进程
+}
+
+const WATCHDOG_SCRIPT = fileURLToPath(new URL('../selfUpgradeWatchdog.js', import.meta.url))
+
+/**
+ * Agent 自升级
+ *
+ * 新版本解压到安装目录旁的暂存目录（.<目录名>-staging），只替换代码条目（src、package.json、node_modules 等），
+ * 配置、部署、备份、下载和日志等运行数据目录原地保留。切换、重启与超时恢复由独立的看门狗进程完成，
+ * 双方通过配置目录下的 self-upgrade.json 交换状态。
+ */
+export default class SelfUpdater {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.config = config
+    const options = config.selfUpgrade || {}
+    this.installDir = path.resolve(options.installDir || '.')
+    const parentDir = path.dirname(this.installDir)
+    const baseName = path.basename(this.installDir)
+    this.stagingDir = path.join(parentDir, `.${baseName}-staging`)
+    this.previousDir = path.join(parentDir, `.${baseName}-previous`)
+    this.statePath = path.resolve(config.deploy?.configDir || './config', 'self-upgrade.json')
+
+    this.confirmTimeout = options.confirmTimeout || 120_000
+    this.installCommand = options.installCommand || 'npm ci --omit=dev'
+    this.installTimeout = options.installTimeout || 600_000
+    this.restartMode = options.restartMode || this.detectRestartMode()
+
+    this.constants = {
+      handoverDelay: 1000 // 看门狗开始切换前的等待时间，供旧版本发送命令结果
+    }
+  }
+
+  // PM2 与 systemd 托管时进程退出后会被自动拉起，看门狗再启动一次会出现两个 Agent
+  detectRestartMode() {
+    return process.env.pm_id || process.env.INVOCATION_ID ? RESTART_MODES.SUPERVISOR : RESTART_MODES.SPAWN
+  }
+
+  /**
+   * 安装目录下需要原地保留的运行数据条目（顶层名称）
+   */
+  getProtectedEntries() {
+    const { download, deploy, log } = this.config
+    const runtimePaths = [
+      download?.tempDir,
+      download?.packageDir,
+      deploy?.rootDir,
+      ...Object.values(deploy?.projectDirs || {}),
+      deploy?.backupDir,
+      deploy?.configDir || './config',
+      log?.file && path.dirname(log.file)
+    ]
+
+    const entries = new Set(['.env'])
+    for (const runtimePath of runtimePaths.filter(Boolean)) {
+      const relativePath = path.relative(this.installDir, path.resolve(runtimePath))
+      if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) continue
+      entries.add(relativePath.split(path.sep)[0])
+    }
+    return [...entries]
+  }
+
+  async readPackageJson(dir) {
+    const packageJsonPath = path.join(dir, 'package.json')
+    if (!(await fs.pathExists(packageJsonPath))) return null
+    return fs.readJson(packageJsonPath)
+  }
+
+  async readState() {
+    return readSelfUpgradeState(this.statePath)
+  }
+
+  async isInProgress() {
+    const state = await this.readState()
+    return Boolean(state && SELF_UPGRADE_ACTIVE_STATUSES.has(state.status))
+  }
+
+  /**
+   * 解压并校验新版本代理，准备依赖
+   * @param {string} packagePath - 已下载的代理升级包
+   * @param {Object} options - { version: 期望的版本号, deployManager: 复用其安全检查与解压 }
+   * @returns {Promise<Object>} { version, entries, dependencies }
+   */
+  async stage(packagePath, { version = null, deployManager }) {
+    const format = await detectArchiveFormat(packagePath)
+    if (!format) {
+      throw new Error('代理升级包不是支持的压缩格式（zip、tar、tar.gz）')
+    }
+
+    const inspection = await deployManager.inspectArchive(packagePath, format)
+    if (!inspection.safe) {
+      throw new Error(`代理升级包包含 ${inspection.report.totalRejected} 个不安全条目`)
+    }
+
+    await fs.remove(this.stagingDir)
+    // 运行数据目录按白名单跳过，包内即使带有 config、logs 等目录也不会覆盖设备上的数据
+    const protectedEntries = this.getProtectedEntries()
+    const extractResult = await deployManager.extractArchive(packagePath, this.stagingDir, format, protectedEntries)
+    if (!extractResult.success) {
+      throw new Error(`解压代理升级包失败: ${extractResult.error}`)
+    }
+    await this.unwrapSingleDirectory()
+
+    const [currentPackage, nextPackage] = await Promise.all([
+      this.readPackageJson(this.installDir),
+      this.readPackageJson(this.stagingDir)
+    ])
+    if (!nextPackage) {
+      throw new Error('代理升级包缺少 package.json')
+    }
+    if (currentPackage?.name && nextPackage.name !== currentPackage.name) {
+      throw new Error(`代理升级包名称不匹配: ${nextPackage.name}，当前为 ${currentPackage.name}`)
+    }
+    if (!nextPackage.version) {
+      throw new Error('代理升级包的 package.json 缺少 version')
+    }
+    if (version && nextPackage.version !== version.replace(/^v/, '')) {
+      throw new Error(`代理升级包版本 ${nextPackage.version} 与命令指定的 ${version} 不一致`)
+    }
+
+    const entryScript = nextPackage.main || 'src/app.js'
+    if (!(await fs.pathExists(path.join(this.stagingDir, entryScript)))) {
+      throw new Error(`代理升级包缺少入口文件: ${entryScript}`)
+    }
+
+    const dependencies = await this.prepareDependencies()
+
+    // 新包中的条目与当前安装的代码条目一起切换，旧版本有而新版本没有的条目也会移走
+    const [nextEntries, currentEntries] = await Promise.all([fs.readdir(this.stagingDir), fs.readdir(this.installDir)])
+    const entries = [...new Set([...nextEntries, ...currentEntries])].filter(
+      (entry) => !protectedEntries.includes(entry)
+    )
+
+    logger.info(`📦 新版本代理 ${nextPackage.version} 已就绪（依赖: ${dependencies}）`)
+    return { version: nextPackage.version, entryScript, entries, dependencies }
+  }
+
+  // 打包时常带一层顶级目录（如 device-agent/），将其内容提到暂存目录根部
+  async unwrapSingleDirectory() {
+    if (await fs.pathExists(path.join(this.stagingDir, 'package.json'))) return
+
+    const children = await fs.readdir(this.stagingDir)
+    const wrapperDir = path.join(this.stagingDir, children[0] || '')
+    if (children.length !== 1 || !(await fs.stat(wrapperDir)).isDirectory()) return
+
+    const unwrappedDir = `${this.stagingDir}.unwrap`
+    await fs.remove(unwrappedDir)
+    await fs.move(wrapperDir, unwrappedDir)
+    await fs.remove(this.stagingDir)
+    await fs.move(unwrappedDir, this.stagingDir)
+  }
+
+  /**
+   * 准备新版本的依赖：包内自带 node_modules 时直接使用；锁文件与当前版本一致时复制当前依赖；否则执行安装命令
+   * @returns {Promise<string>} bundled / copied / installed
+   */
+  async prepareDependencies() {
+    if (await fs.pathExists(path.join(this.stagingDir, 'node_modules'))) return 'bundled'
+
+    const readLock = (dir) => fs.readFile(path.join(dir, 'package-lock.json'), 'utf8').catch(() => null)
+    const [currentLock, nextLock] = await Promise.all([readLock(this.installDir), readLock(this.stagingDir)])
+    const currentModules = path.join(this.installDir, 'node_modules')
+    if (currentLock && currentLock === nextLock && (await fs.pathExists(currentModules))) {
+      await fs.copy(currentModules, path.join(this.stagingDir, 'node_modules'))
+      return 'copied'
+    }
+
+    await this.runInstallCommand()
+    return 'installed'
+  }
+
+  runInstallCommand() {
+    logger.info(`📥 安装新版本代理依赖: ${this.installCommand}`)
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.installCommand, {
+        cwd: this.stagingDir,
+        shell: true,
+        stdio: ['ignore', 'ignore', 'pipe'],
+        windowsHide: true
+      })
+
+      let stderr = ''
+      child.stderr.on('data', (chunk) => {
+        stderr = `${stderr}${chunk}`.slice(-2000)
+      })
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL')
+        reject(new Error(`安装依赖超时（${this.installTimeout}ms）`))
+      }, this.installTimeout)
+
+      child.on('error', (error) => {
+        clearTimeout(timer)
+        reject(new Error(`无法执行安装命令: ${error.message}`))
+      })
+      child.on('exit', (exitCode) => {
+        clearTimeout(timer)
+        if (exitCode === 0) {
+          resolve()
+        } else {
+          reject(new Error(`安装依赖失败（退出码 ${exitCode}）: ${stderr.trim().split('\n').at(-1) || ''}`))
+        }
+      })
+    })
+  }
+
+  /**
+   * 写入状态文件并启动看门狗，之后由看门狗结束当前进程
+   * @param {Object} staged - stage() 的结果
+   * @param {Object} context - { fromVersion, commandId, batchTaskId, sessionId }
+   * @returns {Promise<ChildProcess>} 看门狗进程，切换失败时以非 0 退出码结束
+   */
+  async handOver(staged, context) {
+    await writeSelfUpgradeState(this.statePath, {
+      status: SELF_UPGRADE_STATUS.STAGED,
+      fromVersion: context.fromVersion || null,
+      toVersion: staged.version,
+      installDir: this.installDir,
+      stagingDir: this.stagingDir,
+      previousDir: this.previousDir,
+      entries: staged.entries,
+      entryScript: staged.entryScript,
+      execArgv: process.execArgv,
+      agentPid: process.pid,
+      newPid: null,
+      restartMode: this.restartMode,
+      confirmTimeout: this.confirmTimeout,
+      handoverDelay: this.constants.handoverDelay,
+      logFile: path.resolve(path.dirname(this.config.log?.file || './logs/agent.log'), 'self-upgrade.log'),
+      commandId: context.commandId || null,
+      batchTaskId: context.batchTaskId || null,
+      sessionId: context.sessionId || null,
+      startedAt: new Date().toISOString(),
+      error: null,
+      reported: false
+    })
+
+    const watchdog = spawn(process.execPath, [WATCHDOG_SCRIPT, this.statePath], {
+      cwd: path.dirname(this.installDir),
+      env: process.env,
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: true
+    })
+    watchdog.unref()
+
+    logger.info(`🐕 已启动自升级看门狗（PID ${watchdog.pid}，重启方式: ${this.restartMode}）`)
+    return watchdog
+  }
+
+  /**
+   * 启动时调用：新版本进程记录自己的 PID，看门狗超时恢复时据此结束它
+   */
+  async resume(currentVersion) {
+    const state = await this.readState()
+    if (state?.status !== SELF_UPGRADE_STATUS.SWAPPED || state.toVersion !== currentVersion) return state
+
+    logger.info(`🔄 已切换到新版本代理 ${currentVersion}，注册成功后确认升级`)
+    return updateSelfUpgradeState(this.statePath, { newPid: process.pid })
+  }
+
+  /**
+   * 注册成功后调用：确认升级（新版本）并取出尚未上报的结果
+   * @returns {Promise<Object|null>} 待上报的自升级结果
+   */
+  async confirmAndTakeReport(currentVersion) {
+    let state = await this.readState()
+    if (!state) return null
+
+    if (state.status === SELF_UPGRADE_STATUS.SWAPPED && state.toVersion === currentVersion) {
+      state = await updateSelfUpgradeState(this.statePath, {
+        status: SELF_UPGRADE_STATUS.CONFIRMED,
+        finishedAt: new Date().toISOString()
+      })
+      logger.info(`✅ 代理已升级到 ${currentVersion}`)
+    }
+
+    if (SELF_UPGRADE_ACTIVE_STATUSES.has(state.status) || state.reported) return null
+
+    await updateSelfUpgradeState(this.statePath, { reported: true })
+    return this.toReport(state)
+  }
+
+  toReport(state) {
+    return {
+      status: state.status,
+      fromVersion: state.fromVersion,
+      toVersion: state.toVersion,
+      error: state.error || null,
+      startedAt: state.startedAt,
+      finishedAt: state.finishedAt || null,
+      batchTaskId: state.batchTaskId,
+      sessionId: state.sessionId
+    }
+  }
+
+  /**
+   * 切换前失败（下载、解压、校验或安装依赖）时记录结果并清理暂存目录，旧版本继续运行
+   * @param {string} message - 失败原因
+   * @param {Object} context - { fromVersion, toVersion, batchTaskId, sessionId }
+   */
+  async markFailed(message, context = {}) {
+    const state = await writeSelfUpgradeState(this.statePath, {
+      status: SELF_UPGRADE_STATUS.FAILED,
+      fromVersion: context.fromVersion || null,
+      toVersion: context.toVersion || null,
+      batchTaskId: context.batchTaskId || null,
+      sessionId: context.sessionId || null,
+      startedAt: context.startedAt || new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      error: message,
+      reported: true
+    })
+    await fs.remove(this.stagingDir).catch(() => {})
+    return this.toReport(state)
+  }
+
+  /**
+   * 看门狗切换文件失败时（旧版本仍在运行）取出失败结果
+   * @returns {Promise<Object|null>}
+   */
+  async takeHandOverFailure() {
+    const state = await this.readState()
+    if (state?.status !== SELF_UPGRADE_STATUS.FAILED || state.reported) return null
+
+    await updateSelfUpgradeState(this.statePath, { reported: true })
+    await fs.remove(this.stagingDir).catch(() => {})
+    return this.toReport(state)
+  }
+}
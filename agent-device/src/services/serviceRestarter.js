@@ -0,0 +1,299 @@
+// 中文注释：部署后重启项目服务（命令 / 信号 / PM2），让运行中的进程加载新版本
+import fs from 'fs-extra'
+import { spawn } from 'node:child_process'
+import os from 'node:os'
+import path from 'node:path'
+import logger from '../utils/logger.js'
+
+export const RESTART_TYPES = {
+  COMMAND: 'command', // 执行重启命令，stop-start 模式下分别执行 stop / start 命令
+  SIGNAL: 'signal', // 向 PID 文件中的进程发送信号（如 SIGHUP 触发重载）
+  PM2: 'pm2' // 重启 PM2 中的应用（可指定 ecosystem 配置文件）
+}
+
+export const RESTART_MODES = {
+  RESTART: 'restart', // 新文件就位后重启
+  STOP_START: 'stop-start' // 改动文件前停止、新文件就位后启动（运行时锁定文件的应用）
+}
+
+// PM2 应用名称同时作为命令参数，只允许常见字符
+const PM2_NAME_PATTERN = /^[\w.@-]{1,64}$/
+
+/**
+ * 服务重启执行器
+ *
+ * 策略来源优先级：本机配置 deploy.restart.strategies > 服务端项目注册表下发的 restartStrategy。
+ * 命令在部署目录下执行（cwd 为相对部署目录的路径），并带有 UPGRADE_* 环境变量，与生命周期钩子一致。
+ */
+export default class ServiceRestarter {
+  constructor(config) {
+    if (!config) {
+      throw new Error('配置参数不能为空')
+    }
+
+    this.definitions = config.deploy?.restart?.strategies || {}
+    this.defaultTimeout = config.deploy?.restart?.timeout || 60_000
+    this.pm2Command = config.deploy?.restart?.pm2Command || 'pm2'
+
+    this.constants = {
+      outputTailLines: 20, // 结果中保留的输出行数
+      killGracePeriod: 5000 // 超时后 SIGTERM 到 SIGKILL 的等待时间
+    }
+  }
+
+  /**
+   * 确定项目的重启策略
+   * @param {string} project - 项目类型
+   * @param {Object} sources - { registered: 服务端项目注册表下发的策略 }
+   * @returns {Object|null} 规范化后的策略，未配置时为 null
+   */
+  resolve(project, { registered = null } = {}) {
+    const declared = this.definitions[project] || registered || null
+    return declared ? this.normalize(declared) : null
+  }
+
+  normalize(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error('重启策略必须是对象')
+    }
+
+    const mode = spec.mode || RESTART_MODES.RESTART
+    if (!Object.values(RESTART_MODES).includes(mode)) {
+      throw new Error(`不支持的重启模式: ${mode}`)
+    }
+
+    const timeout = spec.timeout ?? this.defaultTimeout
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      throw new Error('重启策略 timeout 必须是正整数（毫秒）')
+    }
+
+    if (spec.cwd != null && typeof spec.cwd !== 'string') {
+      throw new Error('重启策略 cwd 必须是字符串')
+    }
+
+    const strategy = { type: spec.type, mode, timeout, cwd: spec.cwd || '.' }
+    const requireString = (key) => {
+      if (typeof spec[key] !== 'string' || spec[key].trim().length === 0) {
+        throw new Error(`${spec.type} 重启策略需要 ${key}`)
+      }
+      return spec[key].trim()
+    }
+
+    switch (spec.type) {
+      case RESTART_TYPES.COMMAND: {
+        if (mode === RESTART_MODES.STOP_START) {
+          return { ...strategy, stop: requireString('stop'), start: requireString('start') }
+        }
+        return { ...strategy, command: requireString('command') }
+      }
+
+      case RESTART_TYPES.SIGNAL: {
+        if (mode === RESTART_MODES.STOP_START) {
+          throw new Error('signal 重启策略不支持 stop-start 模式')
+        }
+
+        const signal = spec.signal || 'SIGHUP'
+        if (!Object.hasOwn(os.constants.signals, signal)) {
+          throw new Error(`不支持的信号: ${signal}`)
+        }
+        return { ...strategy, pidFile: requireString('pidFile'), signal }
+      }
+
+      case RESTART_TYPES.PM2: {
+        const name = requireString('name')
+        if (!PM2_NAME_PATTERN.test(name)) {
+          throw new Error(`PM2 应用名称无效: ${name}`)
+        }
+        if (spec.ecosystem != null && typeof spec.ecosystem !== 'string') {
+          throw new Error('PM2 重启策略 ecosystem 必须是字符串')
+        }
+        return { ...strategy, name, ecosystem: spec.ecosystem?.trim() || null }
+      }
+
+      default: {
+        throw new Error(`不支持的重启策略类型: ${spec.type}`)
+      }
+    }
+  }
+
+  describe(strategy) {
+    if (strategy.type === RESTART_TYPES.SIGNAL) return `${strategy.signal} -> ${strategy.pidFile}`
+    if (strategy.type === RESTART_TYPES.PM2) return `pm2 ${strategy.name}`
+    return strategy.mode === RESTART_MODES.STOP_START ? `${strategy.stop} / ${strategy.start}` : strategy.command
+  }
+
+  needsStop(strategy) {
+    return strategy?.mode === RESTART_MODES.STOP_START
+  }
+
+  /**
+   * 停止服务（仅 stop-start 模式）
+   * @param {Object} strategy - resolve() 的结果
+   * @param {Object} context - { project, version, deployPath, previousVersion }
+   * @returns {Promise<Object>} 执行结果 { action, type, target, success, exitCode, timedOut, durationMs, outputTail, detail }
+   */
+  async stop(strategy, context) {
+    if (strategy.type === RESTART_TYPES.PM2) {
+      return this.runProcess('stop', strategy, context, this.pm2Command, ['stop', strategy.name])
+    }
+    return this.runProcess('stop', strategy, context, strategy.stop)
+  }
+
+  /**
+   * 启动服务：stop-start 模式执行启动，restart 模式执行重启
+   */
+  async start(strategy, context) {
+    const action = this.needsStop(strategy) ? 'start' : 'restart'
+
+    switch (strategy.type) {
+      case RESTART_TYPES.SIGNAL: {
+        return this.sendSignal(strategy, context)
+      }
+
+      case RESTART_TYPES.PM2: {
+        // 有 ecosystem 文件时用 startOrRestart，应用不在 PM2 列表中也能启动
+        const args = strategy.ecosystem
+          ? ['startOrRestart', strategy.ecosystem, '--only', strategy.name]
+          : [action, strategy.name]
+        return this.runProcess(action, strategy, context, this.pm2Command, args)
+      }
+
+      default: {
+        return this.runProcess(action, strategy, context, action === 'start' ? strategy.start : strategy.command)
+      }
+    }
+  }
+
+  resolveCwd(strategy, context) {
+    return path.resolve(context.deployPath, strategy.cwd)
+  }
+
+  async sendSignal(strategy, context) {
+    const startTime = Date.now()
+    const result = {
+      action: 'restart',
+      type: strategy.type,
+      target: this.describe(strategy),
+      success: false,
+      durationMs: 0,
+      detail: ''
+    }
+
+    try {
+      const pidFile = path.resolve(this.resolveCwd(strategy, context), strategy.pidFile)
+      const pid = Number.parseInt((await fs.readFile(pidFile, 'utf8')).trim(), 10)
+      if (!Number.isInteger(pid) || pid <= 0) {
+        throw new Error(`PID 文件内容无效: ${pidFile}`)
+      }
+
+      process.kill(pid, strategy.signal)
+      logger.info(`🔁 已向进程 ${pid} 发送 ${strategy.signal}`)
+      result.success = true
+      result.detail = `已向进程 ${pid} 发送 ${strategy.signal}`
+    } catch (error) {
+      result.detail = error.code === 'ESRCH' ? 'PID 文件中的进程不存在' : error.message
+    }
+
+    result.durationMs = Date.now() - startTime
+    return result
+  }
+
+  runProcess(action, strategy, context, command, args = null) {
+    const cwd = this.resolveCwd(strategy, context)
+    const isWindows = process.platform === 'win32'
+    const env = {
+      ...process.env,
+      UPGRADE_RESTART_ACTION: action,
+      UPGRADE_PROJECT: context.project || '',
+      UPGRADE_VERSION: context.version || '',
+      UPGRADE_DEPLOY_PATH: path.resolve(context.deployPath),
+      UPGRADE_PREVIOUS_VERSION: context.previousVersion || ''
+    }
+    const displayCommand = args ? [command, ...args].join(' ') : command
+
+    logger.info(`🔁 ${action} 服务: ${displayCommand}（cwd: ${cwd}）`)
+    const startTime = Date.now()
+
+    return new Promise((resolve) => {
+      // 未传参数时按 shell 命令执行；PM2 在 Windows 上是 .cmd 脚本，同样需要 shell
+      const child = spawn(command, args || [], {
+        cwd,
+        env,
+        shell: !args || isWindows,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // 独立进程组，超时时连同子进程一起结束
+        detached: !isWindows,
+        windowsHide: true
+      })
+
+      const tail = []
+      let timedOut = false
+      let killTimer = null
+
+      const collect = (stream) => {
+        child[stream].on('data', (chunk) => {
+          for (const line of chunk.toString().split(/\r?\n/)) {
+            if (!line) continue
+            logger.debug(`🔁 [${action}] ${line}`)
+            tail.push(`${stream === 'stderr' ? '! ' : ''}${line}`)
+            if (tail.length > this.constants.outputTailLines) tail.shift()
+          }
+        })
+      }
+
+      const killChild = (signal) => {
+        try {
+          if (isWindows) {
+            child.kill(signal)
+          } else {
+            process.kill(-child.pid, signal)
+          }
+        } catch {
+          // 进程已退出
+        }
+      }
+
+      const timeoutTimer = setTimeout(() => {
+        timedOut = true
+        logger.warn(`⏰ ${action} 服务超时，终止进程: ${displayCommand}`)
+        killChild('SIGTERM')
+        killTimer = setTimeout(() => killChild('SIGKILL'), this.constants.killGracePeriod)
+      }, strategy.timeout)
+
+      const finish = (extra) => {
+        clearTimeout(timeoutTimer)
+        clearTimeout(killTimer)
+        resolve({
+          action,
+          type: strategy.type,
+          target: displayCommand,
+          durationMs: Date.now() - startTime,
+          outputTail: tail,
+          timedOut,
+          ...extra
+        })
+      }
+
+      collect('stdout')
+      collect('stderr')
+
+      child.on('error', (error) => {
+        finish({ success: false, exitCode: null, detail: `无法启动: ${error.message}` })
+      })
+
+      // 以 exit 而不是 close 判断结束：启动命令拉起的后台进程可能继承输出管道，close 不会触发
+      child.on('exit', (exitCode, signal) => {
+        child.stdout.destroy()
+        child.stderr.destroy()
+        const success = exitCode === 0 && !timedOut
+        let detail = '退出码 0'
+        if (timedOut) {
+          detail = `超时（${strategy.timeout}ms）`
+        } else if (!success) {
+          detail = `退出码 ${exitCode ?? signal}`
+        }
+        finish({ success, exitCode, detail })
+      })
+    })
+  }
+}
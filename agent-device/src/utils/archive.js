@@ -0,0 +1,1052 @@
+// 中文注释：压缩包格式识别、zip / tar 流式读取与 tar.gz 打包（不依赖第三方库）
+import fs from 'fs-extra'
+import crypto from 'node:crypto'
+import path from 'node:path'
+import { once } from 'node:events'
+import os from 'node:os'
+import { Readable, Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import zlib from 'node:zlib'
+
+export const ARCHIVE_FORMATS = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZIP: 'tar.gz'
+}
+
+const TAR_BLOCK_SIZE = 512
+// 识别 gzip 内部是否为 tar 时最多读取的压缩数据量
+const GZIP_PEEK_BYTES = 64 * 1024
+// PAX 扩展头与 GNU 长文件名/长链接名整体读入内存解析，声明的大小超过上限时直接拒绝压缩包
+const TAR_METADATA_MAX_BYTES = 1024 * 1024
+
+// ZIP 结构签名与常量
+const ZIP_EOCD_SIGNATURE = 0x06_05_4b_50
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07_06_4b_50
+const ZIP64_EOCD_SIGNATURE = 0x06_06_4b_50
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02_01_4b_50
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04_03_4b_50
+const ZIP_EOCD_MIN_SIZE = 22
+const ZIP_MAX_COMMENT_SIZE = 0xff_ff
+const ZIP_CENTRAL_HEADER_SIZE = 46
+const ZIP_LOCAL_HEADER_SIZE = 30
+const ZIP_METHOD_STORED = 0
+const ZIP_METHOD_DEFLATED = 8
+const ZIP_HOST_UNIX = 3
+// 中央目录按块读取，单块大小固定，内存占用不随包大小增长
+const ZIP_DIRECTORY_READ_SIZE = 64 * 1024
+
+const S_IFMT = 0o170_000
+const UNIX_FILE_TYPES = {
+  [0o100_000]: 'file',
+  [0o040_000]: 'directory',
+  [0o120_000]: 'symlink',
+  [0o020_000]: 'character-device',
+  [0o060_000]: 'block-device',
+  [0o010_000]: 'fifo',
+  [0o140_000]: 'socket'
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xed_b8_83_20 ^ (c >>> 1) : c >>> 1
+    }
+
+    table[n] = c >>> 0
+  }
+
+  return table
+})()
+
+// 条目被拒绝的原因代码（随拒绝报告返回给服务端）
+export const ENTRY_REJECT_REASONS = {
+  PATH_TRAVERSAL: 'path_traversal',
+  ABSOLUTE_PATH: 'absolute_path',
+  INVALID_PATH: 'invalid_path',
+  SYMLINK_ESCAPE: 'symlink_escape',
+  HARDLINK: 'hardlink',
+  DEVICE_FILE: 'device_file',
+  SPECIAL_FILE: 'special_file',
+  UNSUPPORTED_TYPE: 'unsupported_type'
+}
+
+// ZIP 中符号链接条目的内容即链接目标，读取时的长度上限
+const ZIP_SYMLINK_MAX_LENGTH = 4096
+
+const TAR_ENTRY_TYPES = {
+  '0': 'file',
+  '\0': 'file',
+  '7': 'file',
+  '1': 'hardlink',
+  '2': 'symlink',
+  '3': 'character-device',
+  '4': 'block-device',
+  '5': 'directory',
+  '6': 'fifo'
+}
+
+/**
+ * 校验 512 字节块是否为合法的 tar 头（通过头部校验和判断，兼容 ustar 与 v7 格式）
+ * @param {Buffer} block - 数据块
+ * @returns {boolean}
+ */
+function isTarHeader(block) {
+  if (!block || block.length < TAR_BLOCK_SIZE) return false
+
+  const storedChecksum = parseOctal(block.subarray(148, 156))
+  if (storedChecksum === null) return false
+
+  // 校验和计算时 chksum 字段按 8 个空格处理
+  let checksum = 8 * 0x20
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+    if (i < 148 || i >= 156) checksum += block[i]
+  }
+
+  return checksum === storedChecksum
+}
+
+function isZeroBlock(block) {
+  for (const byte of block) {
+    if (byte !== 0) return false
+  }
+
+  return true
+}
+
+function parseOctal(field) {
+  const text = field.toString('ascii').replaceAll('\0', ' ').trim()
+  if (!text) return 0
+  if (!/^[0-7]+$/.test(text)) return null
+  return Number.parseInt(text, 8)
+}
+
+// GNU 扩展：最高位为 1 时数值以 base-256 编码（用于超过 8GB 的文件大小）
+function parseNumeric(field) {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i]
+    }
+
+    return value
+  }
+
+  return parseOctal(field)
+}
+
+function parseString(field) {
+  const end = field.indexOf(0)
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8')
+}
+
+/**
+ * 解析 PAX 扩展头记录（格式：`<len> <key>=<value>\n`）
+ */
+function parsePaxRecords(buffer) {
+  const records = {}
+  let offset = 0
+
+  while (offset < buffer.length) {
+    const spaceIndex = buffer.indexOf(0x20, offset)
+    if (spaceIndex === -1) break
+
+    const length = Number.parseInt(buffer.subarray(offset, spaceIndex).toString('ascii'), 10)
+    if (!Number.isFinite(length) || length <= 0) break
+
+    const record = buffer.subarray(spaceIndex + 1, offset + length - 1).toString('utf8')
+    const equalsIndex = record.indexOf('=')
+    if (equalsIndex > 0) {
+      records[record.slice(0, equalsIndex)] = record.slice(equalsIndex + 1)
+    }
+
+    offset += length
+  }
+
+  return records
+}
+
+function parseTarHeader(block) {
+  if (!isTarHeader(block)) {
+    throw new Error('tar 头部校验失败，压缩包可能已损坏')
+  }
+
+  const name = parseString(block.subarray(0, 100))
+  const magic = block.subarray(257, 263).toString('ascii')
+  const prefix = magic.startsWith('ustar') ? parseString(block.subarray(345, 500)) : ''
+  const size = parseNumeric(block.subarray(124, 136))
+
+  if (size === null) {
+    throw new Error(`tar 条目大小无效: ${name}`)
+  }
+
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    mode: parseOctal(block.subarray(100, 108)) || 0,
+    size,
+    mtime: parseOctal(block.subarray(136, 148)) || 0,
+    typeFlag: String.fromCodePoint(block[156]),
+    linkName: parseString(block.subarray(157, 257))
+  }
+}
+
+/**
+ * 规范化条目路径：统一分隔符为 /，去掉开头的 ./
+ * @param {string} entryPath - 压缩包内的条目路径
+ * @returns {string}
+ */
+export function normalizeEntryPath(entryPath) {
+  return String(entryPath || '')
+    .replaceAll('\\', '/')
+    .replace(/^(\.\/)+/, '')
+}
+
+/**
+ * 检查条目是否可以安全解压到部署根目录
+ *
+ * 只做字面路径判断，不访问磁盘，因此可以在写入任何文件之前对整个压缩包完成校验。
+ * 符号链接的目标按其所在目录解析，必须仍位于部署根目录内。
+ *
+ * @param {Object} entry - 条目 { path, type, linkPath }
+ * @returns {{reason: string, detail: string}|null} 不安全时返回原因，安全时返回 null
+ */
+export function inspectEntrySafety(entry) {
+  const rawPath = String(entry?.path || '')
+  const entryPath = normalizeEntryPath(rawPath)
+
+  if (rawPath.includes('\0')) {
+    return { reason: ENTRY_REJECT_REASONS.INVALID_PATH, detail: '路径包含空字符' }
+  }
+
+  if (isAbsoluteEntryPath(entryPath)) {
+    return { reason: ENTRY_REJECT_REASONS.ABSOLUTE_PATH, detail: '条目使用绝对路径' }
+  }
+
+  if (escapesRoot(entryPath)) {
+    return { reason: ENTRY_REJECT_REASONS.PATH_TRAVERSAL, detail: '条目路径超出部署目录' }
+  }
+
+  switch (entry?.type) {
+    case 'file':
+    case 'directory': {
+      return null
+    }
+
+    case 'symlink': {
+      const linkPath = String(entry.linkPath || '').replaceAll('\\', '/')
+      if (!linkPath) {
+        return { reason: ENTRY_REJECT_REASONS.SYMLINK_ESCAPE, detail: '符号链接目标为空' }
+      }
+
+      if (isAbsoluteEntryPath(linkPath)) {
+        return { reason: ENTRY_REJECT_REASONS.SYMLINK_ESCAPE, detail: `符号链接指向绝对路径: ${linkPath}` }
+      }
+
+      const resolvedTarget = path.posix.join(path.posix.dirname(entryPath), linkPath)
+      if (escapesRoot(resolvedTarget)) {
+        return { reason: ENTRY_REJECT_REASONS.SYMLINK_ESCAPE, detail: `符号链接指向部署目录之外: ${linkPath}` }
+      }
+
+      return null
+    }
+
+    case 'hardlink': {
+      return { reason: ENTRY_REJECT_REASONS.HARDLINK, detail: `硬链接: ${entry.linkPath || ''}` }
+    }
+
+    case 'character-device':
+    case 'block-device': {
+      return { reason: ENTRY_REJECT_REASONS.DEVICE_FILE, detail: `设备文件 (${entry.type})` }
+    }
+
+    case 'fifo':
+    case 'socket': {
+      return { reason: ENTRY_REJECT_REASONS.SPECIAL_FILE, detail: `特殊文件 (${entry.type})` }
+    }
+
+    default: {
+      return { reason: ENTRY_REJECT_REASONS.UNSUPPORTED_TYPE, detail: `未知条目类型 (${entry?.type})` }
+    }
+  }
+}
+
+/**
+ * 检查条目是否经过同一压缩包中的符号链接
+ *
+ * inspectEntrySafety 按字面路径判断，无法发现链接组合后的越界（如 a -> . 与 d/e -> ../a/..，
+ * 再写入 d/e/pwn）。因此拒绝上级目录是压缩包内符号链接的条目，以及目标路径中间经过
+ * 压缩包内符号链接的符号链接（目标本身是符号链接时，该链接已单独校验，允许）。
+ *
+ * @param {Object} entry - 条目 { path, type, linkPath }
+ * @param {Set<string>} symlinkPaths - 压缩包中全部符号链接条目的规范化路径
+ * @returns {{reason: string, detail: string}|null} 不安全时返回原因，安全时返回 null
+ */
+export function inspectSymlinkTraversal(entry, symlinkPaths) {
+  if (symlinkPaths.size === 0) return null
+
+  const segments = path.posix.normalize(normalizeEntryPath(entry?.path)).split('/')
+  for (let index = 1; index < segments.length; index++) {
+    const parentPath = segments.slice(0, index).join('/')
+    if (symlinkPaths.has(parentPath)) {
+      return { reason: ENTRY_REJECT_REASONS.SYMLINK_ESCAPE, detail: `条目路径经过压缩包中的符号链接: ${parentPath}` }
+    }
+  }
+
+  if (entry?.type !== 'symlink') return null
+
+  // 从链接所在目录开始逐段解析目标，不做整体规范化，避免 a/.. 这类片段被提前消去
+  const current = segments.slice(0, -1).filter((segment) => segment && segment !== '.')
+  const linkSegments = String(entry.linkPath || '')
+    .replaceAll('\\', '/')
+    .split('/')
+  for (const [index, segment] of linkSegments.entries()) {
+    if (!segment || segment === '.') continue
+    if (segment === '..') {
+      current.pop()
+      continue
+    }
+
+    current.push(segment)
+    if (index < linkSegments.length - 1 && symlinkPaths.has(current.join('/'))) {
+      return {
+        reason: ENTRY_REJECT_REASONS.SYMLINK_ESCAPE,
+        detail: `符号链接目标经过压缩包中的符号链接: ${entry.linkPath}`
+      }
+    }
+  }
+
+  return null
+}
+
+function isAbsoluteEntryPath(entryPath) {
+  return entryPath.startsWith('/') || /^[A-Za-z]:/.test(entryPath)
+}
+
+function escapesRoot(relativePath) {
+  const normalized = path.posix.normalize(relativePath)
+  return normalized === '..' || normalized.startsWith('../')
+}
+
+/**
+ * 根据文件头部魔数识别压缩包格式
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string|null>} ARCHIVE_FORMATS 中的值，无法识别时返回 null
+ */
+export async function detectArchiveFormat(filePath) {
+  if (!filePath) {
+    throw new Error('filePath 参数不能为空')
+  }
+
+  const handle = await fs.promises.open(filePath, 'r')
+  try {
+    const header = Buffer.alloc(Math.max(TAR_BLOCK_SIZE, GZIP_PEEK_BYTES))
+    const { bytesRead } = await handle.read(header, 0, header.length, 0)
+    const head = header.subarray(0, bytesRead)
+
+    // ZIP：本地文件头 PK\x03\x04 或空包的中央目录结束记录 PK\x05\x06
+    if (head.length >= 4 && head[0] === 0x50 && head[1] === 0x4b && [0x03, 0x05].includes(head[2])) {
+      return ARCHIVE_FORMATS.ZIP
+    }
+
+    // gzip：仅当解压后的首个数据块为 tar 头时才视为 tar.gz
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+      try {
+        const inflated = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+        return isTarHeader(inflated.subarray(0, TAR_BLOCK_SIZE)) ? ARCHIVE_FORMATS.TAR_GZIP : null
+      } catch {
+        return null
+      }
+    }
+
+    if (isTarHeader(head.subarray(0, TAR_BLOCK_SIZE))) {
+      return ARCHIVE_FORMATS.TAR
+    }
+
+    return null
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * 流式遍历 tar / tar.gz 条目
+ *
+ * 每个条目依次回调 onEntry(entry)，回调返回可写文件路径时将条目内容写入该路径，
+ * 返回 null/undefined 则跳过内容。整个过程只在内存中保留当前数据块。
+ *
+ * @param {string} filePath - 压缩包路径
+ * @param {Object} options
+ * @param {boolean} [options.gzip=false] - 是否为 gzip 压缩
+ * @param {Function} options.onEntry - 条目回调 (entry) => Promise<string|null>
+ * @param {Function} [options.onProgress] - 进度回调 (bytesRead, totalBytes)
+ * @returns {Promise<{entryCount: number}>}
+ */
+export async function readTarEntries(filePath, { gzip = false, onEntry, onProgress } = {}) {
+  if (!filePath || typeof onEntry !== 'function') {
+    throw new Error('filePath 和 onEntry 参数必须有效')
+  }
+
+  const { size: totalBytes } = await fs.stat(filePath)
+  const fileStream = fs.createReadStream(filePath)
+  const source = gzip ? fileStream.pipe(zlib.createGunzip()) : fileStream
+  if (gzip) {
+    fileStream.on('error', (error) => source.destroy(error))
+  }
+
+  let buffer = Buffer.alloc(0)
+  let current = null // 当前正在读取内容的条目
+  let pendingPax = {}
+  let pendingLongName = null
+  let pendingLongLink = null
+  let entryCount = 0
+  let ended = false
+
+  const closeWriter = async () => {
+    if (current?.writer) {
+      current.writer.end()
+      await once(current.writer, 'close')
+    }
+  }
+
+  const finishEntry = async () => {
+    await closeWriter()
+
+    if (current.meta) {
+      const content = Buffer.concat(current.chunks)
+      if (current.meta === 'x') {
+        pendingPax = { ...pendingPax, ...parsePaxRecords(content) }
+      } else if (current.meta === 'L') {
+        pendingLongName = parseString(content)
+      } else if (current.meta === 'K') {
+        pendingLongLink = parseString(content)
+      }
+    }
+
+    current = null
+  }
+
+  try {
+    for await (const chunk of source) {
+      if (ended) continue
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk
+
+      while (!ended) {
+        if (current) {
+          // 读取条目内容（含 512 字节对齐填充）
+          const take = Math.min(current.remaining, buffer.length)
+          if (take > 0) {
+            const dataEnd = Math.min(take, Math.max(0, current.remaining - current.padding))
+            const data = buffer.subarray(0, dataEnd)
+            if (data.length > 0) {
+              if (current.meta) {
+                current.chunks.push(Buffer.from(data))
+              } else if (current.writer && !current.writer.write(data)) {
+                // eslint-disable-next-line no-await-in-loop -- 按写入背压顺序消费数据流
+                await once(current.writer, 'drain')
+              }
+            }
+
+            buffer = buffer.subarray(take)
+            current.remaining -= take
+          }
+
+          if (current.remaining > 0) break
+          // eslint-disable-next-line no-await-in-loop -- 条目必须按顺序完成写入
+          await finishEntry()
+          continue
+        }
+
+        if (buffer.length < TAR_BLOCK_SIZE) break
+
+        const block = buffer.subarray(0, TAR_BLOCK_SIZE)
+        buffer = buffer.subarray(TAR_BLOCK_SIZE)
+
+        if (isZeroBlock(block)) {
+          ended = true
+          break
+        }
+
+        const header = parseTarHeader(block)
+        const padding = (TAR_BLOCK_SIZE - (header.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE
+        const remaining = header.size + padding
+
+        // 元数据条目：PAX 扩展头、GNU 长文件名、GNU 长链接名
+        if (['x', 'L', 'K'].includes(header.typeFlag)) {
+          if (header.size > TAR_METADATA_MAX_BYTES) {
+            throw new Error(
+              `tar 元数据条目 (${header.typeFlag}) 声明的大小 ${header.size} 字节超过上限 ${TAR_METADATA_MAX_BYTES} 字节，压缩包可能被篡改`
+            )
+          }
+
+          current = { meta: header.typeFlag, chunks: [], remaining, padding }
+          continue
+        }
+
+        // 全局 PAX 头与其他未知元数据条目直接跳过
+        if (header.typeFlag === 'g') {
+          current = { remaining, padding }
+          continue
+        }
+
+        const entry = {
+          path: pendingPax.path || pendingLongName || header.name,
+          linkPath: pendingPax.linkpath || pendingLongLink || header.linkName,
+          type: TAR_ENTRY_TYPES[header.typeFlag] || 'unknown',
+          size: pendingPax.size ? Number.parseInt(pendingPax.size, 10) : header.size,
+          mode: header.mode,
+          mtime: pendingPax.mtime ? Number.parseFloat(pendingPax.mtime) : header.mtime
+        }
+        pendingPax = {}
+        pendingLongName = null
+        pendingLongLink = null
+        entryCount++
+
+        // eslint-disable-next-line no-await-in-loop -- 条目回调需按归档顺序执行
+        const outputPath = await onEntry(entry)
+        let writer = null
+        if (outputPath && entry.type === 'file') {
+          // eslint-disable-next-line no-await-in-loop -- 写入前确保父目录存在
+          await fs.ensureDir(path.dirname(outputPath))
+          writer = fs.createWriteStream(outputPath)
+        }
+
+        const entryPadding = (TAR_BLOCK_SIZE - (entry.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE
+        current = { writer, remaining: entry.size + entryPadding, padding: entryPadding }
+        if (current.remaining === 0) {
+          // eslint-disable-next-line no-await-in-loop -- 空文件同样需要完成写入
+          await finishEntry()
+        }
+      }
+
+      if (onProgress) {
+        onProgress(fileStream.bytesRead, totalBytes)
+      }
+    }
+
+    if (current) {
+      throw new Error('tar 压缩包被截断，条目内容不完整')
+    }
+
+    return { entryCount }
+  } catch (error) {
+    if (current?.writer) {
+      current.writer.destroy()
+    }
+
+    throw error
+  } finally {
+    fileStream.destroy()
+  }
+}
+
+/**
+ * 计算数据流 CRC32 的透传流
+ */
+class Crc32Stream extends Transform {
+  constructor() {
+    super()
+    this.crc = 0xff_ff_ff_ff
+    this.bytes = 0
+  }
+
+  _transform(chunk, _encoding, callback) {
+    let { crc } = this
+    for (const byte of chunk) {
+      crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+    }
+
+    this.crc = crc
+    this.bytes += chunk.length
+    callback(null, chunk)
+  }
+
+  get value() {
+    return (this.crc ^ 0xff_ff_ff_ff) >>> 0
+  }
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length)
+  const { bytesRead } = await handle.read(buffer, 0, length, position)
+  return buffer.subarray(0, bytesRead)
+}
+
+/**
+ * 定位中央目录（EOCD 位于文件末尾，最多带 64KB 注释）
+ */
+async function locateZipCentralDirectory(handle, fileSize) {
+  if (fileSize < ZIP_EOCD_MIN_SIZE) {
+    throw new Error('ZIP 文件过小，缺少中央目录')
+  }
+
+  const tailSize = Math.min(fileSize, ZIP_EOCD_MIN_SIZE + ZIP_MAX_COMMENT_SIZE)
+  const tailStart = fileSize - tailSize
+  const tail = await readAt(handle, tailStart, tailSize)
+
+  let eocdOffset = -1
+  for (let i = tail.length - ZIP_EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocdOffset = i
+      break
+    }
+  }
+
+  if (eocdOffset === -1) {
+    throw new Error('未找到 ZIP 中央目录，文件可能已损坏')
+  }
+
+  let entryCount = tail.readUInt16LE(eocdOffset + 10)
+  let directorySize = tail.readUInt32LE(eocdOffset + 12)
+  let directoryOffset = tail.readUInt32LE(eocdOffset + 16)
+
+  // ZIP64：EOCD 之前紧邻 ZIP64 定位记录
+  const locatorOffset = eocdOffset - 20
+  if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const zip64EocdPosition = Number(tail.readBigUInt64LE(locatorOffset + 8))
+    const zip64Eocd = await readAt(handle, zip64EocdPosition, 56)
+    if (zip64Eocd.length < 56 || zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('ZIP64 中央目录记录损坏')
+    }
+
+    entryCount = Number(zip64Eocd.readBigUInt64LE(32))
+    directorySize = Number(zip64Eocd.readBigUInt64LE(40))
+    directoryOffset = Number(zip64Eocd.readBigUInt64LE(48))
+  }
+
+  if (directoryOffset + directorySize > fileSize) {
+    throw new Error('ZIP 中央目录超出文件范围，文件可能已损坏')
+  }
+
+  return { entryCount, directorySize, directoryOffset }
+}
+
+/**
+ * 从 ZIP64 扩展字段中读取被 0xFFFFFFFF 占位的大小与偏移
+ */
+function applyZip64Extra(extra, record) {
+  let offset = 0
+  while (offset + 4 <= extra.length) {
+    const headerId = extra.readUInt16LE(offset)
+    const dataSize = extra.readUInt16LE(offset + 2)
+    if (headerId === 0x00_01) {
+      let cursor = offset + 4
+      for (const field of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+        if (record[field] === 0xff_ff_ff_ff && cursor + 8 <= offset + 4 + dataSize) {
+          record[field] = Number(extra.readBigUInt64LE(cursor))
+          cursor += 8
+        }
+      }
+
+      return
+    }
+
+    offset += 4 + dataSize
+  }
+}
+
+function parseZipCentralHeader(buffer, offset) {
+  if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+    throw new Error('ZIP 中央目录条目签名无效，文件可能已损坏')
+  }
+
+  const versionMadeBy = buffer.readUInt16LE(offset + 4)
+  const nameLength = buffer.readUInt16LE(offset + 28)
+  const extraLength = buffer.readUInt16LE(offset + 30)
+  const commentLength = buffer.readUInt16LE(offset + 32)
+  const externalAttributes = buffer.readUInt32LE(offset + 38)
+  const nameStart = offset + ZIP_CENTRAL_HEADER_SIZE
+
+  const record = {
+    flags: buffer.readUInt16LE(offset + 8),
+    method: buffer.readUInt16LE(offset + 10),
+    crc32: buffer.readUInt32LE(offset + 16),
+    compressedSize: buffer.readUInt32LE(offset + 20),
+    uncompressedSize: buffer.readUInt32LE(offset + 24),
+    localHeaderOffset: buffer.readUInt32LE(offset + 42),
+    name: buffer.subarray(nameStart, nameStart + nameLength).toString('utf8'),
+    mode: versionMadeBy >> 8 === ZIP_HOST_UNIX ? externalAttributes >>> 16 : 0,
+    recordLength: ZIP_CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength
+  }
+
+  applyZip64Extra(buffer.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), record)
+
+  let type = record.name.endsWith('/') ? 'directory' : 'file'
+  const unixType = UNIX_FILE_TYPES[record.mode & S_IFMT]
+  if (unixType && unixType !== 'file') {
+    type = unixType
+  }
+
+  record.type = type
+  return record
+}
+
+/**
+ * 按中央目录顺序逐个产出 ZIP 条目记录，每次只读取固定大小的目录块
+ */
+async function* iterateZipCentralDirectory(handle, { entryCount, directorySize, directoryOffset }) {
+  const directoryEnd = directoryOffset + directorySize
+  let position = directoryOffset
+  let buffer = Buffer.alloc(0)
+  let produced = 0
+
+  while (produced < entryCount) {
+    if (buffer.length < ZIP_CENTRAL_HEADER_SIZE || buffer.length < peekZipRecordLength(buffer)) {
+      if (position >= directoryEnd) {
+        throw new Error('ZIP 中央目录不完整，文件可能已损坏')
+      }
+
+      // eslint-disable-next-line no-await-in-loop -- 中央目录需按顺序分块读取
+      const chunk = await readAt(handle, position, Math.min(ZIP_DIRECTORY_READ_SIZE, directoryEnd - position))
+      position += chunk.length
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk
+      continue
+    }
+
+    const record = parseZipCentralHeader(buffer, 0)
+    buffer = buffer.subarray(record.recordLength)
+    produced++
+    yield record
+  }
+}
+
+function peekZipRecordLength(buffer) {
+  return (
+    ZIP_CENTRAL_HEADER_SIZE + buffer.readUInt16LE(28) + buffer.readUInt16LE(30) + buffer.readUInt16LE(32)
+  )
+}
+
+/**
+ * 定位 ZIP 条目数据的起始偏移（本地文件头之后）
+ */
+async function locateZipRecordData(handle, record) {
+  if (record.flags & 0x1) {
+    throw new Error(`不支持加密的 ZIP 条目: ${record.name}`)
+  }
+
+  if (![ZIP_METHOD_STORED, ZIP_METHOD_DEFLATED].includes(record.method)) {
+    throw new Error(`不支持的 ZIP 压缩方式 (${record.method}): ${record.name}`)
+  }
+
+  const localHeader = await readAt(handle, record.localHeaderOffset, ZIP_LOCAL_HEADER_SIZE)
+  if (localHeader.length < ZIP_LOCAL_HEADER_SIZE || localHeader.readUInt32LE(0) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`ZIP 本地文件头无效: ${record.name}`)
+  }
+
+  return record.localHeaderOffset + ZIP_LOCAL_HEADER_SIZE + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28)
+}
+
+/**
+ * 读取 ZIP 符号链接条目的目标路径
+ */
+async function readZipSymlinkTarget(handle, record) {
+  if (record.compressedSize > ZIP_SYMLINK_MAX_LENGTH || record.uncompressedSize > ZIP_SYMLINK_MAX_LENGTH) {
+    throw new Error(`ZIP 符号链接条目过大: ${record.name}`)
+  }
+
+  const dataStart = await locateZipRecordData(handle, record)
+  const data = await readAt(handle, dataStart, record.compressedSize)
+  const content = record.method === ZIP_METHOD_DEFLATED ? zlib.inflateRawSync(data) : data
+  return content.toString('utf8')
+}
+
+/**
+ * 将单个 ZIP 条目解压写入目标文件，并校验 CRC32 与解压后大小
+ */
+async function extractZipRecord(handle, filePath, record, outputPath) {
+  const dataStart = await locateZipRecordData(handle, record)
+
+  await fs.ensureDir(path.dirname(outputPath))
+  const crcStream = new Crc32Stream()
+  const streams = []
+
+  if (record.compressedSize > 0) {
+    streams.push(fs.createReadStream(filePath, { start: dataStart, end: dataStart + record.compressedSize - 1 }))
+    if (record.method === ZIP_METHOD_DEFLATED) {
+      streams.push(zlib.createInflateRaw())
+    }
+  } else {
+    // 空文件：以空流驱动管道，保证目标文件被创建
+    streams.push(Readable.from([]))
+  }
+
+  await pipeline(...streams, crcStream, fs.createWriteStream(outputPath))
+
+  if (crcStream.bytes !== record.uncompressedSize || crcStream.value !== record.crc32) {
+    throw new Error(`ZIP 条目校验失败: ${record.name}`)
+  }
+}
+
+/**
+ * 流式遍历 ZIP 条目
+ *
+ * 读取中央目录后按顺序回调 onEntry(entry)，回调返回文件路径时把该条目解压写入该路径，
+ * 返回 null/undefined 则跳过。任意时刻只有一个条目在解压，内存占用与包大小无关。
+ *
+ * @param {string} filePath - 压缩包路径
+ * @param {Object} options
+ * @param {Function} options.onEntry - 条目回调 (entry) => Promise<string|null>
+ * @param {Function} [options.onProgress] - 进度回调 (processedEntries, totalEntries)
+ * @returns {Promise<{entryCount: number}>}
+ */
+export async function readZipEntries(filePath, { onEntry, onProgress } = {}) {
+  if (!filePath || typeof onEntry !== 'function') {
+    throw new Error('filePath 和 onEntry 参数必须有效')
+  }
+
+  const { size: fileSize } = await fs.stat(filePath)
+  const handle = await fs.promises.open(filePath, 'r')
+
+  try {
+    const directory = await locateZipCentralDirectory(handle, fileSize)
+    let processed = 0
+
+    for await (const record of iterateZipCentralDirectory(handle, directory)) {
+      const entry = {
+        path: record.name,
+        linkPath: record.type === 'symlink' ? await readZipSymlinkTarget(handle, record) : '',
+        type: record.type,
+        size: record.uncompressedSize,
+        mode: record.mode & 0o7777
+      }
+
+      const outputPath = await onEntry(entry)
+      if (outputPath && entry.type === 'file') {
+        await extractZipRecord(handle, filePath, record, outputPath)
+      }
+
+      processed++
+      if (onProgress) {
+        onProgress(processed, directory.entryCount)
+      }
+    }
+
+    return { entryCount: directory.entryCount }
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * 读取压缩包中单个小文件的内容（如包内清单），不解压其他条目
+ * @param {string} filePath - 压缩包路径
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @param {string} entryPath - 包内相对路径
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - 允许读取的最大字节数，超出时抛错
+ * @returns {Promise<Buffer|null>} 条目不存在时返回 null
+ */
+export async function readArchiveEntry(filePath, format, entryPath, { maxBytes = 1024 * 1024 } = {}) {
+  const wanted = normalizeEntryPath(entryPath)
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-entry-'))
+  const outputPath = path.join(tempDir, path.basename(wanted))
+  let found = false
+
+  const onEntry = async (entry) => {
+    if (found || entry.type !== 'file' || normalizeEntryPath(entry.path) !== wanted) return null
+
+    if (entry.size > maxBytes) {
+      throw new Error(`${wanted} 超过允许的大小 ${maxBytes} 字节`)
+    }
+
+    found = true
+    return outputPath
+  }
+
+  try {
+    await (format === ARCHIVE_FORMATS.ZIP
+      ? readZipEntries(filePath, { onEntry })
+      : readTarEntries(filePath, { gzip: format === ARCHIVE_FORMATS.TAR_GZIP, onEntry }))
+
+    return found ? await fs.readFile(outputPath) : null
+  } finally {
+    await fs.remove(tempDir)
+  }
+}
+
+// tar 头部 name / linkname 字段长度，超出时改用 PAX 扩展头
+const TAR_NAME_MAX_BYTES = 100
+// 12 字节的八进制 size 字段可表示的最大值，更大的文件通过 PAX 扩展头记录大小
+const TAR_OCTAL_SIZE_LIMIT = 0o77_777_777_777
+
+function writeOctalField(block, offset, length, value) {
+  const digits = Math.trunc(value).toString(8)
+  block.write(`${digits.padStart(length - 1, '0')}\0`, offset, length, 'ascii')
+}
+
+function createTarHeader({ name, mode, size, mtime, typeFlag, linkName = '' }) {
+  const block = Buffer.alloc(TAR_BLOCK_SIZE)
+  block.write(name, 0, TAR_NAME_MAX_BYTES, 'utf8')
+  writeOctalField(block, 100, 8, mode)
+  writeOctalField(block, 108, 8, 0)
+  writeOctalField(block, 116, 8, 0)
+  writeOctalField(block, 124, 12, size)
+  writeOctalField(block, 136, 12, mtime)
+  block.write(typeFlag, 156, 1, 'ascii')
+  block.write(linkName, 157, TAR_NAME_MAX_BYTES, 'utf8')
+  block.write('ustar\0', 257, 6, 'ascii')
+  block.write('00', 263, 2, 'ascii')
+
+  // 校验和计算时 chksum 字段按 8 个空格处理
+  block.fill(0x20, 148, 156)
+  let checksum = 0
+  for (const byte of block) {
+    checksum += byte
+  }
+
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii')
+  return block
+}
+
+// PAX 记录长度字段包含自身的位数，需要迭代求解
+function createPaxRecord(key, value) {
+  const body = ` ${key}=${value}\n`
+  const bodyLength = Buffer.byteLength(body)
+  let length = bodyLength + 1
+  while (String(length).length + bodyLength !== length) {
+    length = String(length).length + bodyLength
+  }
+
+  return `${length}${body}`
+}
+
+function tarPadding(size) {
+  return Buffer.alloc((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE)
+}
+
+/**
+ * 生成条目的头部数据块（路径、链接目标过长或文件超过 8GB 时在前面加 PAX 扩展头）
+ */
+function createTarHeaderBlocks(header) {
+  const pax = {}
+  if (Buffer.byteLength(header.name) > TAR_NAME_MAX_BYTES) pax.path = header.name
+  if (Buffer.byteLength(header.linkName || '') > TAR_NAME_MAX_BYTES) pax.linkpath = header.linkName
+  if (header.size > TAR_OCTAL_SIZE_LIMIT) pax.size = String(header.size)
+
+  const main = createTarHeader({ ...header, size: pax.size ? 0 : header.size })
+  if (Object.keys(pax).length === 0) return [main]
+
+  const records = Buffer.from(
+    Object.entries(pax)
+      .map(([key, value]) => createPaxRecord(key, value))
+      .join(''),
+    'utf8'
+  )
+  const paxHeader = createTarHeader({
+    name: `PaxHeader/${path.posix.basename(header.name)}`.slice(0, TAR_NAME_MAX_BYTES),
+    mode: 0o644,
+    size: records.length,
+    mtime: header.mtime,
+    typeFlag: 'x'
+  })
+
+  return [paxHeader, records, tarPadding(records.length), main]
+}
+
+/**
+ * 将目录流式打包为 tar.gz，文件内容不整体读入内存
+ *
+ * 只打包普通文件、目录和符号链接（链接本身，不跟随），其他类型的条目跳过。
+ * 文件在打包过程中大小发生变化时抛错，避免生成内容不完整的归档。
+ *
+ * @param {string} sourceDir - 源目录
+ * @param {string} outputPath - 输出文件路径
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - (relativePath, stats) => boolean，返回 false 时跳过该条目（目录连同其内容）
+ * @returns {Promise<{fileCount: number, size: number, archiveSize: number, sha256: string}>}
+ *   打包的文件数、文件内容总字节数，以及生成的压缩包大小和 SHA-256
+ */
+export async function writeTarGzip(sourceDir, outputPath, { filter } = {}) {
+  if (!sourceDir || !outputPath) {
+    throw new Error('sourceDir 和 outputPath 参数不能为空')
+  }
+
+  const gzip = zlib.createGzip()
+  const hash = crypto.createHash('sha256')
+  let archiveSize = 0
+  const digest = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk)
+      archiveSize += chunk.length
+      callback(null, chunk)
+    }
+  })
+  const finished = pipeline(gzip, digest, fs.createWriteStream(outputPath))
+  // 写入过程中的错误由下面的 write 抛出，这里避免未处理的拒绝
+  finished.catch(() => {})
+
+  let fileCount = 0
+  let size = 0
+
+  const write = async (chunk) => {
+    if (!gzip.write(chunk)) {
+      await once(gzip, 'drain')
+    }
+  }
+
+  const writeAll = async (chunks) => {
+    for (const chunk of chunks) {
+      // eslint-disable-next-line no-await-in-loop -- 按顺序写入并遵循背压
+      await write(chunk)
+    }
+  }
+
+  const addEntry = async (relativePath) => {
+    const fullPath = path.join(sourceDir, relativePath)
+    const stats = await fs.lstat(fullPath)
+    if (filter && !filter(relativePath, stats)) return
+
+    const header = { name: relativePath, mode: stats.mode & 0o7777, size: 0, mtime: Math.floor(stats.mtimeMs / 1000) }
+
+    if (stats.isDirectory()) {
+      await writeAll(createTarHeaderBlocks({ ...header, name: `${relativePath}/`, typeFlag: '5' }))
+      for (const name of (await fs.readdir(fullPath)).sort()) {
+        // eslint-disable-next-line no-await-in-loop -- 归档条目必须按顺序写入
+        await addEntry(`${relativePath}/${name}`)
+      }
+      return
+    }
+
+    if (stats.isSymbolicLink()) {
+      const linkName = (await fs.readlink(fullPath)).replaceAll('\\', '/')
+      await writeAll(createTarHeaderBlocks({ ...header, typeFlag: '2', linkName }))
+      return
+    }
+
+    if (!stats.isFile()) return
+
+    await writeAll(createTarHeaderBlocks({ ...header, size: stats.size, typeFlag: '0' }))
+    let written = 0
+    if (stats.size > 0) {
+      for await (const chunk of fs.createReadStream(fullPath, { end: stats.size - 1 })) {
+        await write(chunk)
+        written += chunk.length
+      }
+    }
+
+    if (written !== stats.size) {
+      throw new Error(`文件在打包过程中发生变化: ${relativePath}`)
+    }
+
+    await write(tarPadding(stats.size))
+    fileCount++
+    size += stats.size
+  }
+
+  try {
+    for (const name of (await fs.readdir(sourceDir)).sort()) {
+      // eslint-disable-next-line no-await-in-loop -- 归档条目必须按顺序写入
+      await addEntry(name)
+    }
+
+    // 归档结尾为两个全零数据块
+    gzip.end(Buffer.alloc(TAR_BLOCK_SIZE * 2))
+    await finished
+    return { fileCount, size, archiveSize, sha256: hash.digest('hex') }
+  } catch (error) {
+    gzip.destroy()
+    await finished.catch(() => {})
+    throw error
+  }
+}
@@ -0,0 +1,60 @@
+// 中文注释：升级/回滚的取消令牌，取消请求只在部署流程的安全点生效
+export const OPERATION_CANCELLED = 'OPERATION_CANCELLED'
+
+/**
+ * 判断错误是否由取消请求引起
+ */
+export function isCancelledError(error) {
+  return error?.code === OPERATION_CANCELLED
+}
+
+export class CancellationToken {
+  constructor() {
+    this.controller = new AbortController()
+    this.reason = null
+    this.locked = false // 已进入不可取消的阶段（服务重启、健康检查）
+  }
+
+  // 传给 axios 等支持 AbortSignal 的调用，取消时立即中断
+  get signal() {
+    return this.controller.signal
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted
+  }
+
+  /**
+   * 请求取消
+   * @param {string} [reason] - 取消原因，作为取消错误的消息
+   * @returns {boolean} 已进入不可取消阶段时返回 false
+   */
+  cancel(reason = '操作已取消') {
+    if (this.locked) return false
+    if (!this.cancelled) {
+      this.reason = reason
+      this.controller.abort(this.createError())
+    }
+    return true
+  }
+
+  createError() {
+    const error = new Error(this.reason || '操作已取消')
+    error.code = OPERATION_CANCELLED
+    return error
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw this.createError()
+    }
+  }
+
+  /**
+   * 进入不可取消阶段，此前收到的取消请求在这里最后生效一次
+   */
+  lock() {
+    this.throwIfCancelled()
+    this.locked = true
+  }
+}
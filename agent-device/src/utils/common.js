@@ -215,13 +215,15 @@ export const DeployResult = {
   /**
    * 构造错误结果
    * @param {string|Error} error - 错误信息或错误对象
+   * @param {*} data - 附加数据（如拒绝报告）
    * @returns {Object}
    */
-  error(error) {
+  error(error, data = null) {
     const message = error instanceof Error ? error.message : error
     return {
       success: false,
-      error: message
+      error: message,
+      ...(data && { data })
     }
   }
 }
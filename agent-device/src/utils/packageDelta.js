@@ -0,0 +1,175 @@
+// 中文注释：增量包的读取与校验（增量包由服务端根据两个完整包生成，格式见服务端 utils/packageDelta.js）
+import crypto from 'node:crypto'
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import fs from 'fs-extra'
+import { normalizeEntryPath, readArchiveEntry } from './archive.js'
+
+export const DELTA_METADATA_FILE = '.upgrade-delta.json'
+
+// 增量包无法使用时的错误码：此时部署目录尚未改动，调用方应改用完整包
+export const DELTA_REJECTED = 'DELTA_REJECTED'
+
+// 支持的描述文件格式版本
+const DELTA_FORMAT_VERSION = 1
+
+// 描述文件包含目标包的完整文件清单，文件很多时可能较大
+const MAX_METADATA_BYTES = 32 * 1024 * 1024
+
+/**
+ * 创建增量包被拒绝的错误
+ * @param {string} message - 原因
+ * @returns {Error}
+ */
+export function createDeltaError(message) {
+  const error = new Error(`增量包不可用: ${message}`)
+  error.code = DELTA_REJECTED
+  return error
+}
+
+/**
+ * 比较版本号（忽略 v 前缀）
+ */
+export function isSameVersion(a, b) {
+  const normalize = (version) =>
+    String(version || '')
+      .trim()
+      .replace(/^v/, '')
+  return Boolean(normalize(a)) && normalize(a) === normalize(b)
+}
+
+/**
+ * 读取并校验增量包描述文件
+ * @param {string} deltaPath - 增量包路径
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @returns {Promise<{baseVersion: string, targetVersion: string, deletedFiles: string[], manifest: Object}>}
+ */
+export async function readDeltaMetadata(deltaPath, format) {
+  let metadata
+  try {
+    const content = await readArchiveEntry(deltaPath, format, DELTA_METADATA_FILE, { maxBytes: MAX_METADATA_BYTES })
+    if (!content) {
+      throw new Error(`缺少 ${DELTA_METADATA_FILE}`)
+    }
+    metadata = JSON.parse(content.toString('utf8'))
+  } catch (error) {
+    throw createDeltaError(`描述文件无法读取: ${error.message}`)
+  }
+
+  if (metadata?.formatVersion !== DELTA_FORMAT_VERSION) {
+    throw createDeltaError(`不支持的描述文件格式版本 ${metadata?.formatVersion}`)
+  }
+
+  if (!Array.isArray(metadata.deletedFiles) || !metadata.manifest || typeof metadata.manifest !== 'object') {
+    throw createDeltaError('描述文件缺少删除列表或文件清单')
+  }
+
+  // 清单路径统一为相对路径，越界路径视为增量包损坏
+  const manifest = {}
+  for (const [entryPath, entry] of Object.entries(metadata.manifest)) {
+    manifest[toSafeRelativePath(entryPath)] = entry
+  }
+
+  return {
+    ...metadata,
+    deletedFiles: metadata.deletedFiles.map((entryPath) => toSafeRelativePath(entryPath)),
+    manifest
+  }
+}
+
+function toSafeRelativePath(entryPath) {
+  const normalized = normalizeEntryPath(String(entryPath)).replace(/\/+$/, '')
+  const isAbsolute = path.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized)
+  if (!normalized || normalized === '.' || isAbsolute || normalized.split('/').includes('..')) {
+    throw createDeltaError(`描述文件包含无效路径: ${entryPath}`)
+  }
+  return normalized
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256')
+  await pipeline(fs.createReadStream(filePath), hash)
+  return hash.digest('hex')
+}
+
+/**
+ * 校验单个清单条目
+ * @returns {Promise<string|null>} 不一致时返回说明
+ */
+async function verifyEntry(rootDir, relativePath, expected) {
+  const fullPath = path.join(rootDir, relativePath)
+  let stats
+  try {
+    stats = await fs.lstat(fullPath)
+  } catch {
+    return `${relativePath} 缺失`
+  }
+
+  if (expected.type === 'directory') {
+    return stats.isDirectory() ? null : `${relativePath} 应为目录`
+  }
+
+  if (expected.type === 'symlink') {
+    const linkPath = stats.isSymbolicLink() ? await fs.readlink(fullPath) : null
+    return linkPath === String(expected.linkPath).replaceAll('\\', '/') ? null : `${relativePath} 链接目标不一致`
+  }
+
+  if (!stats.isFile() || stats.size !== expected.size) {
+    return `${relativePath} 大小不一致`
+  }
+
+  return (await hashFile(fullPath)) === expected.sha256 ? null : `${relativePath} 内容校验不一致`
+}
+
+/**
+ * 删除不属于目标版本的条目，目录递归处理
+ * @returns {Promise<boolean>} 条目是否保留
+ */
+async function pruneEntry(rootDir, relativePath, manifest, isIgnored) {
+  if (isIgnored(relativePath)) return true
+
+  const fullPath = path.join(rootDir, relativePath)
+  const stats = await fs.lstat(fullPath)
+  let keep = Boolean(manifest[relativePath])
+
+  if (stats.isDirectory()) {
+    let remaining = 0
+    for (const name of await fs.readdir(fullPath)) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个处理，避免同时打开大量文件句柄
+      if (await pruneEntry(rootDir, `${relativePath}/${name}`, manifest, isIgnored)) remaining++
+    }
+    // 压缩包里常省略目录条目，仍有内容的目录保留
+    keep ||= remaining > 0
+  }
+
+  if (!keep) {
+    await fs.remove(fullPath)
+  }
+  return keep
+}
+
+/**
+ * 删除目录中不属于目标版本的文件，并逐项校验清单（文件大小与 SHA-256、链接目标、目录）
+ * @param {string} rootDir - 已应用增量包的目录
+ * @param {Object} manifest - 目标完整包的文件清单
+ * @param {Object} options
+ * @param {Function} options.isIgnored - (relativePath) => boolean，白名单等不参与清理和校验的路径
+ * @returns {Promise<string[]>} 不一致的条目说明，为空表示与完整包一致
+ */
+export async function reconcileWithManifest(rootDir, manifest, { isIgnored }) {
+  for (const name of await fs.readdir(rootDir)) {
+    // eslint-disable-next-line no-await-in-loop -- 逐个处理，避免同时打开大量文件句柄
+    await pruneEntry(rootDir, name, manifest, isIgnored)
+  }
+
+  const problems = []
+  for (const [relativePath, expected] of Object.entries(manifest)) {
+    if (isIgnored(relativePath)) continue
+
+    // eslint-disable-next-line no-await-in-loop -- 逐个计算文件哈希，控制内存和文件句柄占用
+    const problem = await verifyEntry(rootDir, relativePath, expected)
+    if (problem) problems.push(problem)
+  }
+
+  return problems
+}
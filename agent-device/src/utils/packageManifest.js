@@ -0,0 +1,165 @@
+// 中文注释：升级包清单 upgrade-manifest.json 的读取（钩子、健康检查等声明都来自这里）
+import path from 'node:path'
+import fs from 'fs-extra'
+import { readArchiveEntry } from './archive.js'
+
+export const MANIFEST_FILE_NAME = 'upgrade-manifest.json'
+
+// 清单文件大小上限，防止把大文件当作清单读入内存
+const MAX_MANIFEST_BYTES = 64 * 1024
+
+/**
+ * 解析清单文本
+ * @param {string} text - JSON 文本
+ * @returns {Object}
+ */
+export function parseManifest(text) {
+  let manifest
+  try {
+    manifest = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`${MANIFEST_FILE_NAME} 不是有效的 JSON: ${error.message}`)
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`${MANIFEST_FILE_NAME} 必须是 JSON 对象`)
+  }
+
+  return manifest
+}
+
+/**
+ * 从升级包根目录读取清单（不解压其他文件）
+ * @param {string} archivePath - 升级包路径
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @returns {Promise<Object|null>} 包内没有清单时返回 null，清单无效时抛错
+ */
+export async function readManifestFromArchive(archivePath, format) {
+  const content = await readArchiveEntry(archivePath, format, MANIFEST_FILE_NAME, { maxBytes: MAX_MANIFEST_BYTES })
+  return content ? parseManifest(content.toString('utf8')) : null
+}
+
+/**
+ * 从已部署目录读取清单
+ * @param {string} dir - 部署目录
+ * @returns {Promise<Object|null>} 没有清单时返回 null，清单无效时抛错
+ */
+export async function readManifestFromDir(dir) {
+  if (!dir) return null
+
+  const manifestPath = path.join(dir, MANIFEST_FILE_NAME)
+  if (!(await fs.pathExists(manifestPath))) return null
+
+  const { size } = await fs.stat(manifestPath)
+  if (size > MAX_MANIFEST_BYTES) {
+    throw new Error(`${MANIFEST_FILE_NAME} 超过允许的大小 ${MAX_MANIFEST_BYTES} 字节`)
+  }
+
+  return parseManifest(await fs.readFile(manifestPath, 'utf8'))
+}
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([\dA-Za-z.-]+))?(?:\+[\dA-Za-z.-]+)?$/
+
+// 比较语义化版本号，任一无法解析时返回 null
+function compareVersions(a, b) {
+  const left = VERSION_PATTERN.exec(String(a || '').trim())
+  const right = VERSION_PATTERN.exec(String(b || '').trim())
+  if (!left || !right) return null
+
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(left[i]) - Number(right[i])
+    if (diff !== 0) return diff
+  }
+
+  if (left[4] === right[4]) return 0
+  if (!left[4]) return 1
+  if (!right[4]) return -1
+  return left[4] < right[4] ? -1 : 1
+}
+
+function toLowerList(value, field) {
+  if (value == null) return null
+
+  const items = Array.isArray(value) ? value : [value]
+  if (items.length === 0 || items.some((item) => typeof item !== 'string' || item.trim().length === 0)) {
+    throw new Error(`${MANIFEST_FILE_NAME} 中 ${field} 必须是非空字符串或字符串数组`)
+  }
+
+  return items.map((item) => item.trim().toLowerCase())
+}
+
+/**
+ * 检查本机是否满足清单声明的约束（project、platform、arch、minAgentVersion、requiredDiskSpace）
+ * @param {Object|null} manifest - 已解析的清单
+ * @param {Object} environment - { project, platform, arch, agentVersion, diskFreeBytes }，diskFreeBytes 未知时为 null
+ * @returns {Array<{constraint: string, expected: *, actual: *, message: string}>} 不满足的约束，兼容时为空数组
+ */
+export function checkManifestRequirements(manifest, environment) {
+  if (!manifest) return []
+
+  const { project, platform, arch, agentVersion, diskFreeBytes = null } = environment
+  const platforms = toLowerList(manifest.platform, 'platform')
+  const arches = toLowerList(manifest.arch, 'arch')
+  const problems = []
+
+  if (manifest.project != null && manifest.project !== project) {
+    problems.push({
+      constraint: 'project',
+      expected: manifest.project,
+      actual: project,
+      message: `升级包属于 ${manifest.project}，不能部署到 ${project}`
+    })
+  }
+
+  if (platforms && !platforms.includes(String(platform).toLowerCase())) {
+    problems.push({
+      constraint: 'platform',
+      expected: platforms,
+      actual: platform,
+      message: `平台 ${platform} 不在支持列表 ${platforms.join('/')} 中`
+    })
+  }
+
+  if (arches && !arches.includes(String(arch).toLowerCase())) {
+    problems.push({
+      constraint: 'arch',
+      expected: arches,
+      actual: arch,
+      message: `架构 ${arch} 不在支持列表 ${arches.join('/')} 中`
+    })
+  }
+
+  if (manifest.minAgentVersion != null) {
+    if (compareVersions(manifest.minAgentVersion, '0.0.0') === null) {
+      throw new Error(`${MANIFEST_FILE_NAME} 中 minAgentVersion 不是合法的版本号: ${manifest.minAgentVersion}`)
+    }
+
+    const diff = compareVersions(agentVersion, manifest.minAgentVersion)
+    if (diff === null || diff < 0) {
+      problems.push({
+        constraint: 'minAgentVersion',
+        expected: manifest.minAgentVersion,
+        actual: agentVersion || null,
+        message: `Agent 版本 ${agentVersion || '未知'} 低于要求的 ${manifest.minAgentVersion}`
+      })
+    }
+  }
+
+  if (manifest.requiredDiskSpace != null) {
+    const required = manifest.requiredDiskSpace
+    if (!(Number.isSafeInteger(required) && required >= 0)) {
+      throw new Error(`${MANIFEST_FILE_NAME} 中 requiredDiskSpace 必须是非负整数（字节）`)
+    }
+
+    if (diskFreeBytes != null && diskFreeBytes < required) {
+      problems.push({
+        constraint: 'requiredDiskSpace',
+        expected: required,
+        actual: diskFreeBytes,
+        message: `可用磁盘空间 ${diskFreeBytes} 字节不足 ${required} 字节`
+      })
+    }
+  }
+
+  return problems
+}
@@ -0,0 +1,102 @@
+// 中文注释：升级包签名校验（服务端 utils/packageSigning.js 用 Ed25519 私钥签名，设备端只信任本机配置的公钥）
+import crypto from 'node:crypto'
+import fs from 'fs-extra'
+
+export const SIGNATURE_ALGORITHM = 'ed25519'
+
+// 签名内容的格式版本，与服务端保持一致
+const PAYLOAD_VERSION = 'upgrade-package-signature/v1'
+
+// 校验失败的错误码，随下载结果与命令结果上报
+export const SIGNATURE_ERRORS = {
+  KEY_NOT_CONFIGURED: 'SIGNING_KEY_NOT_CONFIGURED', // 本机未配置签名公钥
+  MISSING: 'SIGNATURE_MISSING', // 服务端未返回签名或 SHA-256
+  KEY_MISMATCH: 'SIGNING_KEY_MISMATCH', // 签名不是由本机公钥对应的私钥签发
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH', // 文件 SHA-256 与包信息不一致
+  INVALID: 'SIGNATURE_INVALID' // 签名校验不通过
+}
+
+/**
+ * 创建签名校验失败的错误，错误码附在消息末尾便于在任务详情中识别
+ * @param {string} code - SIGNATURE_ERRORS 中的错误码
+ * @param {string} message - 原因
+ * @returns {Error}
+ */
+export function createSignatureError(code, message) {
+  const error = new Error(`${message}（${code}）`)
+  error.code = code
+  return error
+}
+
+/**
+ * 判断错误是否为签名校验失败
+ */
+export function isSignatureError(error) {
+  return Object.values(SIGNATURE_ERRORS).includes(error?.code)
+}
+
+/**
+ * 构造签名内容（与服务端一致）：资源类型、项目、文件名、大小与 SHA-256 按行拼接
+ * @param {Object} info - { resource, project, fileName, fileSize, sha256 }
+ * @returns {Buffer}
+ */
+export function buildSignaturePayload({ resource, project, fileName, fileSize, sha256 }) {
+  return Buffer.from([PAYLOAD_VERSION, resource, project, fileName, String(fileSize), sha256].join('\n'), 'utf8')
+}
+
+/**
+ * 加载本机配置的签名公钥
+ * @param {Object} options - { publicKey: Base64（SPKI DER）或 PEM, publicKeyFile: PEM 文件路径 }
+ * @returns {Promise<{key: crypto.KeyObject, keyId: string}|null>} 未配置时返回 null
+ */
+export async function loadSigningPublicKey({ publicKey = null, publicKeyFile = null } = {}) {
+  const text = publicKey || (publicKeyFile ? await fs.readFile(publicKeyFile, 'utf8') : null)
+  if (!text?.trim()) return null
+
+  let key
+  try {
+    key = text.includes('-----BEGIN')
+      ? crypto.createPublicKey(text)
+      : crypto.createPublicKey({ key: Buffer.from(text.trim(), 'base64'), format: 'der', type: 'spki' })
+  } catch (error) {
+    throw new Error(`签名公钥格式无效: ${error.message}`)
+  }
+
+  if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new Error(`签名公钥不是 Ed25519 公钥: ${key.asymmetricKeyType}`)
+  }
+
+  const der = key.export({ type: 'spki', format: 'der' })
+  return {
+    key,
+    keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16)
+  }
+}
+
+/**
+ * 校验包签名，不通过时抛出签名错误
+ * @param {{key: crypto.KeyObject, keyId: string}} publicKey - loadSigningPublicKey 的返回值
+ * @param {Object} info - { resource, project, fileName, fileSize, sha256 }，均为设备端实际请求与计算的值
+ * @param {Object} signature - 服务端返回的 { algorithm, keyId, value }
+ */
+export function verifyPackageSignature(publicKey, info, signature) {
+  if (!signature?.value) {
+    throw createSignatureError(SIGNATURE_ERRORS.MISSING, '服务端未提供升级包签名')
+  }
+
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    throw createSignatureError(SIGNATURE_ERRORS.INVALID, `不支持的签名算法: ${signature.algorithm}`)
+  }
+
+  if (signature.keyId && signature.keyId !== publicKey.keyId) {
+    throw createSignatureError(
+      SIGNATURE_ERRORS.KEY_MISMATCH,
+      `升级包由未知密钥签名（${signature.keyId}），本机信任的密钥为 ${publicKey.keyId}`
+    )
+  }
+
+  const valid = crypto.verify(null, buildSignaturePayload(info), publicKey.key, Buffer.from(signature.value, 'base64'))
+  if (!valid) {
+    throw createSignatureError(SIGNATURE_ERRORS.INVALID, '升级包签名校验失败')
+  }
+}
@@ -0,0 +1,47 @@
+// 中文注释：Agent 自升级状态文件读写（看门狗进程同样使用，只依赖 Node 内置模块）
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+export const SELF_UPGRADE_STATUS = {
+  STAGED: 'staged', // 新版本已准备好，等待看门狗切换
+  SWAPPED: 'swapped', // 文件已切换，等待新版本重新连接并注册
+  CONFIRMED: 'confirmed', // 新版本已注册，升级完成
+  REVERTED: 'reverted', // 新版本未按时注册，已恢复旧版本
+  FAILED: 'failed' // 切换前失败，旧版本继续运行
+}
+
+// 看门狗仍在处理中的状态，此时不接受新的自升级命令
+export const SELF_UPGRADE_ACTIVE_STATUSES = new Set([SELF_UPGRADE_STATUS.STAGED, SELF_UPGRADE_STATUS.SWAPPED])
+
+/**
+ * 读取状态文件
+ * @returns {Promise<Object|null>} 不存在或内容损坏时返回 null
+ */
+export async function readSelfUpgradeState(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 写入状态文件（先写临时文件再重命名，Agent 与看门狗并发读取时不会读到半个文件）
+ */
+export async function writeSelfUpgradeState(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true })
+  const tempPath = `${statePath}.${process.pid}.tmp`
+  await fs.writeFile(tempPath, JSON.stringify(state, null, 2))
+  await fs.rename(tempPath, statePath)
+  return state
+}
+
+/**
+ * 在最新状态上合并字段后写回
+ * @returns {Promise<Object|null>} 状态文件不存在时返回 null
+ */
+export async function updateSelfUpgradeState(statePath, fields) {
+  const state = await readSelfUpgradeState(statePath)
+  if (!state) return null
+  return writeSelfUpgradeState(statePath, { ...state, ...fields, updatedAt: new Date().toISOString() })
+}
@@ -17,10 +17,13 @@ import swaggerSpec from './config/swagger.js'
 import { initializeBatchTaskManager } from './controllers/batchController.js'
 import { setupSocketHandlers } from './controllers/socketController.js'
 import createTimeFormatter from './middleware/timeFormatter.js'
+import { getProjects } from './models/projectRegistry.js'
 import batchRouter from './routes/batch.js'
+import deltaRouter from './routes/deltas.js'
 import deviceRouter from './routes/devices.js'
 import docsRouter from './routes/docs.js'
 import packageRouter from './routes/packages.js'
+import projectRouter from './routes/projects.js'
 import uploadRouter from './routes/upload.js'
 import versionRouter from './routes/versions.js'
 import logger, { patchConsole } from './utils/logger.js'
@@ -223,6 +226,8 @@ const businessRouters = [
   docsRouter,
   uploadRouter,
   packageRouter,
+  deltaRouter,
+  projectRouter,
   deviceRouter,
   versionRouter,
   batchRouter
@@ -241,11 +246,13 @@ setupSocketHandlers(io)
 
 // 中文注释：启动服务前确保必要目录存在
 async function ensureDirectories() {
+  const projects = await getProjects()
   const directories = [
     'config',
     'logs',
-    'uploads/packages/frontend',
-    'uploads/packages/backend',
+    // 每个已注册项目一个上传目录
+    ...projects.map(({ name }) => `uploads/packages/${name}`),
+    'uploads/deltas',
     'public',
     'public/web',
     'public/webadmin'
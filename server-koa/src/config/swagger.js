@@ -61,8 +61,7 @@ const swaggerOptions = {
           properties: {
             project: {
               type: 'string',
-              enum: ['frontend', 'backend'],
-              description: '项目类型'
+              description: '项目名称'
             },
             fileName: {
               type: 'string',
@@ -76,13 +75,146 @@ const swaggerOptions = {
               type: 'string',
               description: '文件 MD5 哈希值'
             },
+            fileSHA256: {
+              type: 'string',
+              description: '文件 SHA-256 哈希值'
+            },
+            signature: {
+              $ref: '#/components/schemas/PackageSignature'
+            },
             packagePath: {
               type: 'string',
               description: '包文件路径'
+            },
+            manifest: {
+              $ref: '#/components/schemas/PackageManifest'
             }
           }
         },
 
+        // 升级包签名，签名内容为 upgrade-package-signature/v1、资源类型、项目、文件名、大小与 SHA-256 按行拼接
+        PackageSignature: {
+          type: 'object',
+          properties: {
+            algorithm: { type: 'string', enum: ['ed25519'], description: '签名算法' },
+            keyId: { type: 'string', description: '签名公钥指纹（SPKI DER 的 SHA-256 前 16 位）' },
+            value: { type: 'string', description: '签名（Base64）' },
+            signedAt: { type: 'string', format: 'date-time', description: '签名时间' }
+          }
+        },
+
+        // 项目注册表记录
+        Project: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              pattern: '^[a-z][\\da-z-]{0,31}$',
+              description: '项目名称，同时用作上传目录名和设备端配置键，创建后不可修改'
+            },
+            description: { type: 'string', description: '项目说明' },
+            defaultDeployPath: {
+              type: 'string',
+              nullable: true,
+              description: '默认部署路径，升级请求未指定 deployPath 时使用'
+            },
+            allowedExtensions: {
+              type: 'array',
+              items: { type: 'string', enum: ['.zip', '.tar', '.tar.gz', '.tgz'] },
+              description: '允许上传的压缩包扩展名'
+            },
+            defaultPreservedPaths: {
+              type: 'array',
+              items: { type: 'string' },
+              description: '默认白名单（部署目录内的相对路径），升级/回滚未指定且设备无已保存白名单时使用'
+            },
+            restartStrategy: {
+              allOf: [{ $ref: '#/components/schemas/RestartStrategy' }],
+              nullable: true,
+              description: '部署/回滚后的服务重启策略，设备本机配置了同名项目的策略时以本机为准'
+            },
+            builtIn: { type: 'boolean', description: '内置项目（frontend、backend）不可删除' },
+            createdAt: { type: 'string', format: 'date-time', description: '创建时间' },
+            updatedAt: { type: 'string', format: 'date-time', description: '更新时间' }
+          }
+        },
+
+        // 部署后重启服务的方式，由设备端在解压完成、健康检查之前执行
+        RestartStrategy: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['command', 'signal', 'pm2'],
+              description: 'command：执行命令；signal：向 PID 文件中的进程发送信号；pm2：重启 PM2 应用'
+            },
+            mode: {
+              type: 'string',
+              enum: ['restart', 'stop-start'],
+              default: 'restart',
+              description: 'restart：新文件就位后重启；stop-start：解压前停止、解压后启动（signal 不支持）'
+            },
+            command: { type: 'string', description: 'command + restart：重启命令' },
+            stop: { type: 'string', description: 'command + stop-start：停止命令' },
+            start: { type: 'string', description: 'command + stop-start：启动命令' },
+            pidFile: { type: 'string', description: 'signal：PID 文件路径（相对 cwd）' },
+            signal: { type: 'string', default: 'SIGHUP', description: 'signal：发送的信号' },
+            name: { type: 'string', description: 'pm2：应用名称' },
+            ecosystem: { type: 'string', description: 'pm2：ecosystem 配置文件，指定后使用 startOrRestart' },
+            cwd: { type: 'string', default: '.', description: '执行目录（相对部署目录）' },
+            timeout: { type: 'integer', description: '超时时间（毫秒），默认取设备端 RESTART_TIMEOUT' }
+          }
+        },
+
+        // 由两个完整包派生的增量包
+        Delta: {
+          type: 'object',
+          properties: {
+            project: { type: 'string', description: '项目名称' },
+            fileName: { type: 'string', description: '增量包文件名' },
+            fileSize: { type: 'integer', description: '增量包大小（字节）' },
+            fileMD5: { type: 'string', description: '增量包 MD5' },
+            fileSHA256: { type: 'string', description: '增量包 SHA-256' },
+            signature: { $ref: '#/components/schemas/PackageSignature' },
+            baseFileName: { type: 'string', description: '基础版本完整包文件名' },
+            baseVersion: { type: 'string', description: '基础版本，设备当前版本与之一致时才会下发增量包' },
+            baseFileMD5: { type: 'string', description: '基础版本完整包 MD5' },
+            targetFileName: { type: 'string', description: '目标版本完整包文件名' },
+            targetVersion: { type: 'string', description: '目标版本' },
+            targetFileMD5: { type: 'string', description: '目标版本完整包 MD5' },
+            targetFileSize: { type: 'integer', description: '目标版本完整包大小（字节）' },
+            changedFileCount: { type: 'integer', description: '新增或变更的文件数' },
+            deletedFileCount: { type: 'integer', description: '需要删除的文件数' },
+            manifestEntryCount: { type: 'integer', description: '目标完整包文件清单的条目数' },
+            createdAt: { type: 'string', format: 'date-time', description: '生成时间' }
+          }
+        },
+
+        // 升级包清单 upgrade-manifest.json 中的声明（包内无清单时为 null）
+        PackageManifest: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            project: { type: 'string', nullable: true, description: '清单声明的项目类型' },
+            version: { type: 'string', nullable: true, description: '清单声明的版本号' },
+            platform: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'string' },
+              description: '支持的平台（process.platform，如 linux、win32、darwin），null 表示不限'
+            },
+            arch: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'string' },
+              description: '支持的架构（process.arch，如 x64、arm64），null 表示不限'
+            },
+            minAgentVersion: { type: 'string', nullable: true, description: '要求的最低 Agent 版本' },
+            requiredDiskSpace: { type: 'integer', nullable: true, description: '部署所需的可用磁盘空间（字节）' }
+          }
+        },
+
         // 设备信息（扁平化结构）
         Device: {
           type: 'object',
@@ -187,9 +319,35 @@ const swaggerOptions = {
               type: 'object',
               description:
                 '命令数据（随命令变化）。支持的命令详见 /docs/device-commands 文档。常用命令：cmd:upgrade, cmd:rollback, cmd:status, getCurrentVersion'
+            },
+            queueUntil: {
+              type: 'string',
+              format: 'date-time',
+              description: '设备离线时排队到该时间（最长 7 天），设备重新注册后按顺序下发；未指定时离线设备直接返回 404',
+              example: '2025-01-02T08:00:00.000Z'
             }
           },
           required: ['command']
+        },
+
+        // 设备诊断包
+        DiagnosticsBundle: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: '诊断包ID', example: 'diag_1735689600000_3f9a1c2b' },
+            deviceId: { type: 'string', description: '设备ID' },
+            status: {
+              type: 'string',
+              enum: ['collecting', 'ready', 'failed'],
+              description: 'collecting 等待设备上传；ready 可下载；failed 收集或上传失败'
+            },
+            requestedAt: { type: 'string', format: 'date-time', description: '下发收集命令的时间' },
+            completedAt: { type: 'string', format: 'date-time', nullable: true, description: '上传完成或失败的时间' },
+            fileName: { type: 'string', nullable: true, description: '诊断包文件名' },
+            size: { type: 'integer', nullable: true, description: '诊断包大小（字节）' },
+            sha256: { type: 'string', nullable: true, description: '诊断包 SHA-256' },
+            error: { type: 'string', nullable: true, description: '失败原因' }
+          }
         }
       },
 
@@ -200,10 +358,9 @@ const swaggerOptions = {
           in: 'path',
           required: true,
           schema: {
-            type: 'string',
-            enum: ['frontend', 'backend']
+            type: 'string'
           },
-          description: '项目类型'
+          description: '项目名称（须已在 /projects 注册）'
         },
         FileNameParam: {
           name: 'fileName',
@@ -235,6 +392,14 @@ const swaggerOptions = {
         name: 'Packages',
         description: '包管理'
       },
+      {
+        name: 'Deltas',
+        description: '增量包（两个版本完整包之间的文件级差异）'
+      },
+      {
+        name: 'Projects',
+        description: '项目注册表（设备上独立部署、独立版本的组件）'
+      },
       {
         name: 'Devices',
         description: '设备管理'
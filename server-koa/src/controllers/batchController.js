@@ -1,8 +1,10 @@
 // 批量操作控制器 - 处理批量升级和回滚相关的API请求
-import BatchTaskManager, { TASK_STATUS, TASK_TYPE } from '../models/batchTaskManager.js'
+import BatchTaskManager, { DEPLOY_MODE, TASK_STATUS, TASK_TYPE } from '../models/batchTaskManager.js'
 import deviceManager from '../models/deviceManager.js'
+import { resolveQueueDeadline } from '../models/commandQueue.js'
 import { getPackageConfig } from '../models/packageConfig.js'
 import { getDevicePreservedPaths } from '../models/deviceStorage.js'
+import { AGENT_PROJECT, getProject, isAgentProject } from '../models/projectRegistry.js'
 import { ErrorLogger } from '../utils/common.js'
 
 // 全局批量任务管理器实例
@@ -46,6 +48,13 @@ async function createBatchUpgrade(ctx) {
       project,
       deployPath: rawDeployPath,
       preservedPaths: rawPreservedPaths,
+      deployMode = null,
+      healthCheck = null,
+      dryRun = false,
+      preflightOnly = false,
+      seedDeviceIds = [],
+      autoSeed = false,
+      queueUntil = null,
       sessionId
     } = ctx.request.body
 
@@ -68,25 +77,92 @@ async function createBatchUpgrade(ctx) {
       return
     }
 
-    if (!project || !['frontend', 'backend'].includes(project)) {
+    const projectInfo = await getProject(project)
+    if (!projectInfo) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: '项目类型必须是 frontend 或 backend'
+        error: `未注册的项目: ${project}`
       }
       return
     }
 
-    // 验证设备ID有效性
+    if (isAgentProject(project)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '设备端代理只能通过代理自升级（/api/batch/agent-upgrade）更新'
+      }
+      return
+    }
+
+    if (deployMode != null && !Object.values(DEPLOY_MODE).includes(deployMode)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '部署模式必须是 inplace 或 staged'
+      }
+      return
+    }
+
+    if (healthCheck != null && typeof healthCheck !== 'object') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '健康检查定义必须是对象或数组'
+      }
+      return
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: 'dryRun 必须是布尔值'
+      }
+      return
+    }
+
+    if (typeof preflightOnly !== 'boolean' || (preflightOnly && dryRun)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: 'preflightOnly 必须是布尔值，且不能与 dryRun 同时开启'
+      }
+      return
+    }
+
+    if (!Array.isArray(seedDeviceIds) || seedDeviceIds.some(id => typeof id !== 'string') || typeof autoSeed !== 'boolean') {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: 'seedDeviceIds 必须是设备ID数组，autoSeed 必须是布尔值'
+      }
+      return
+    }
+
+    let queueDeadline
+    try {
+      queueDeadline = resolveQueueDeadline(queueUntil)
+    } catch (error) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: error.message
+      }
+      return
+    }
+
+    // 验证设备ID有效性（指定排队截止时间时，已注册过的离线设备也作为目标，命令排队到设备上线）
     const onlineDevices = deviceManager.getOnlineDevices()
     const onlineDeviceIds = new Set(onlineDevices.map(d => d.deviceId))
-    const validDeviceIds = deviceIds.filter(id => onlineDeviceIds.has(id))
+    const validDeviceIds = deviceIds.filter(id => onlineDeviceIds.has(id) || (queueDeadline && deviceManager.getDevice(id)))
 
     if (validDeviceIds.length === 0) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: '没有有效的在线设备'
+        error: queueDeadline ? '没有有效的设备' : '没有有效的在线设备'
       }
       return
     }
@@ -104,29 +180,55 @@ async function createBatchUpgrade(ctx) {
       return
     }
 
+    // 未指定部署路径和白名单时使用项目注册的默认值
     const deployPath = typeof rawDeployPath === 'string' && rawDeployPath.trim().length > 0
       ? rawDeployPath.trim()
-      : null
+      : projectInfo.defaultDeployPath
 
-    const preservedPaths = Array.isArray(rawPreservedPaths)
+    const requestedPreservedPaths = Array.isArray(rawPreservedPaths)
       ? rawPreservedPaths
           .map((item) => (typeof item === 'string' ? item.trim() : ''))
           .filter((item) => item.length > 0)
       : []
+    const preservedPaths = requestedPreservedPaths.length > 0 ? requestedPreservedPaths : projectInfo.defaultPreservedPaths
 
     // 创建任务
     const taskManager = getBatchTaskManager()
+
+    // 局域网分发：每个网段一台种子设备先下载，同网段其他设备再从它下载
+    let seeds
+    try {
+      // 仅前置检查时不下载升级包，不需要种子设备
+      seeds = preflightOnly
+        ? []
+        : taskManager.resolveSeedDevices(validDeviceIds.filter(id => onlineDeviceIds.has(id)), seedDeviceIds, autoSeed)
+    } catch (error) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: error.message
+      }
+      return
+    }
+
     const taskId = await taskManager.createUpgradeTask({
       deviceIds: validDeviceIds,
       packageInfo: {
         fileName: packageFileName,
         version: packageInfo.version,
         fileMD5: packageInfo.fileMD5,
-        packagePath: `packages/${project}/${packageFileName}`
+        packagePath: `packages/${project}/${packageFileName}`,
+        manifest: packageInfo.manifest || null
       },
       project,
       deployPath,
       preservedPaths,
+      deployMode,
+      healthCheck,
+      dryRun,
+      preflightOnly,
+      seeds,
+      queueUntil: queueDeadline,
       sessionId, // 传递会话ID以支持进度追踪
       creator: ctx.state.user?.username || 'system'
     })
@@ -139,15 +241,26 @@ async function createBatchUpgrade(ctx) {
     ctx.body = {
       success: true,
       taskId,
-      message: '批量升级任务已创建',
+      message: dryRun ? '升级预览任务已创建' : preflightOnly ? '升级前置检查任务已创建' : '批量升级任务已创建',
       stats: {
         totalDevices: deviceIds.length,
         validDevices: validDeviceIds.length,
-        invalidDevices: deviceIds.length - validDeviceIds.length
+        invalidDevices: deviceIds.length - validDeviceIds.length,
+        offlineDevices: validDeviceIds.filter(id => !onlineDeviceIds.has(id)).length
       }
     }
 
   } catch (error) {
+    if (error.incompatibleDevices) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: error.message,
+        incompatibleDevices: error.incompatibleDevices
+      }
+      return
+    }
+
     ErrorLogger.logError('创建批量升级任务失败', error)
     ctx.status = 500
     ctx.body = {
@@ -162,7 +275,7 @@ async function createBatchUpgrade(ctx) {
  */
 async function createBatchRollback(ctx) {
   try {
-    const { deviceIds, project, sessionId } = ctx.request.body
+    const { deviceIds, project, queueUntil = null, sessionId } = ctx.request.body
 
     // 参数验证
     if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
@@ -174,25 +287,47 @@ async function createBatchRollback(ctx) {
       return
     }
 
-    if (!project || !['frontend', 'backend'].includes(project)) {
+    const projectInfo = await getProject(project)
+    if (!projectInfo) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: '项目类型必须是 frontend 或 backend'
+        error: `未注册的项目: ${project}`
       }
       return
     }
 
-    // 验证设备ID有效性
+    if (isAgentProject(project)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '设备端代理只能通过代理自升级（/api/batch/agent-upgrade）更新'
+      }
+      return
+    }
+
+    let queueDeadline
+    try {
+      queueDeadline = resolveQueueDeadline(queueUntil)
+    } catch (error) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: error.message
+      }
+      return
+    }
+
+    // 验证设备ID有效性（指定排队截止时间时，已注册过的离线设备也作为目标，命令排队到设备上线）
     const onlineDevices = deviceManager.getOnlineDevices()
     const onlineDeviceIds = new Set(onlineDevices.map(d => d.deviceId))
-    const validDeviceIds = deviceIds.filter(id => onlineDeviceIds.has(id))
+    const validDeviceIds = deviceIds.filter(id => onlineDeviceIds.has(id) || (queueDeadline && deviceManager.getDevice(id)))
 
     if (validDeviceIds.length === 0) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: '没有有效的在线设备'
+        error: queueDeadline ? '没有有效的设备' : '没有有效的在线设备'
       }
       return
     }
@@ -210,10 +345,13 @@ async function createBatchRollback(ctx) {
               .filter((item) => item.length > 0)
           : []
 
-        if (cleaned.length === 0) {
-          devicesMissingWhitelist.push(deviceId)
-        } else {
+        if (cleaned.length > 0) {
           devicePreservedPaths[deviceId] = cleaned
+        } else if (projectInfo.defaultPreservedPaths.length > 0) {
+          // 设备未单独配置白名单时使用项目默认白名单
+          devicePreservedPaths[deviceId] = projectInfo.defaultPreservedPaths
+        } else {
+          devicesMissingWhitelist.push(deviceId)
         }
       } catch (error) {
         ErrorLogger.logWarning('读取白名单失败', error.message, { deviceId, project })
@@ -235,6 +373,7 @@ async function createBatchRollback(ctx) {
     const taskId = await taskManager.createRollbackTask({
       deviceIds: validDeviceIds,
       project,
+      queueUntil: queueDeadline,
       sessionId, // 传递会话ID以支持进度追踪
       creator: ctx.state.user?.username || 'system',
       devicePreservedPaths
@@ -252,7 +391,8 @@ async function createBatchRollback(ctx) {
       stats: {
         totalDevices: deviceIds.length,
         validDevices: validDeviceIds.length,
-        invalidDevices: deviceIds.length - validDeviceIds.length
+        invalidDevices: deviceIds.length - validDeviceIds.length,
+        offlineDevices: validDeviceIds.filter(id => !onlineDeviceIds.has(id)).length
       }
     }
 
@@ -266,6 +406,108 @@ async function createBatchRollback(ctx) {
   }
 }
 
+/**
+ * 创建代理自升级任务（deviceIds 只有一个设备时即单设备升级）
+ */
+async function createBatchAgentUpgrade(ctx) {
+  try {
+    const { deviceIds, packageFileName, sessionId } = ctx.request.body
+
+    // 参数验证
+    if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '设备ID列表不能为空'
+      }
+      return
+    }
+
+    if (!packageFileName) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '包文件名不能为空'
+      }
+      return
+    }
+
+    // 验证设备ID有效性
+    const onlineDevices = deviceManager.getOnlineDevices()
+    const onlineDeviceIds = new Set(onlineDevices.map(d => d.deviceId))
+    const validDeviceIds = deviceIds.filter(id => onlineDeviceIds.has(id))
+
+    if (validDeviceIds.length === 0) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '没有有效的在线设备'
+      }
+      return
+    }
+
+    // 代理升级包上传在内置的 device-agent 项目下
+    const packageConfig = await getPackageConfig()
+    const packageInfo = packageConfig.packages[AGENT_PROJECT]?.packages[packageFileName]
+
+    if (!packageInfo) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '指定的代理升级包不存在'
+      }
+      return
+    }
+
+    if (!packageInfo.version) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '代理升级包缺少版本号，无法校验升级结果'
+      }
+      return
+    }
+
+    const taskManager = getBatchTaskManager()
+    const taskId = await taskManager.createAgentUpgradeTask({
+      deviceIds: validDeviceIds,
+      packageInfo: {
+        fileName: packageFileName,
+        version: packageInfo.version,
+        fileMD5: packageInfo.fileMD5,
+        packagePath: `packages/${AGENT_PROJECT}/${packageFileName}`
+      },
+      project: AGENT_PROJECT,
+      sessionId, // 传递会话ID以支持进度追踪
+      creator: ctx.state.user?.username || 'system'
+    })
+
+    // 异步执行任务
+    taskManager.executeTask(taskId).catch(error => {
+      ErrorLogger.logError('代理升级任务执行失败', error, { taskId })
+    })
+
+    ctx.body = {
+      success: true,
+      taskId,
+      message: '代理升级任务已创建',
+      stats: {
+        totalDevices: deviceIds.length,
+        validDevices: validDeviceIds.length,
+        invalidDevices: deviceIds.length - validDeviceIds.length
+      }
+    }
+
+  } catch (error) {
+    ErrorLogger.logError('创建代理升级任务失败', error)
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '创建代理升级任务失败' : error.message
+    }
+  }
+}
+
 /**
  * 获取批量任务列表
  */
@@ -415,6 +657,42 @@ async function cancelBatchTask(ctx) {
   }
 }
 
+/**
+ * 取消批量任务中单个设备的操作
+ */
+async function cancelBatchTaskDevice(ctx) {
+  try {
+    const { taskId, deviceId } = ctx.params
+    const { reason } = ctx.request.body || {}
+
+    const taskManager = getBatchTaskManager()
+    const result = await taskManager.cancelDevice(taskId, deviceId, reason || '管理员取消')
+
+    ctx.body = {
+      success: true,
+      message: result.requested ? '已请求设备取消，操作将在安全点中止' : '设备已取消',
+      data: result
+    }
+
+  } catch (error) {
+    ErrorLogger.logError('取消设备操作失败', error, ctx.params)
+
+    if (error.message.includes('任务不存在') || error.message.includes('设备不在任务中')) {
+      ctx.status = 404
+    } else if (error.message.includes('无法取消')) {
+      ctx.status = 409
+    } else {
+      ctx.status = 500
+    }
+
+    // 设备拒绝取消的原因对操作者有用，只隐藏服务端内部错误
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' && ctx.status === 500 ? '取消设备操作失败' : error.message
+    }
+  }
+}
+
 /**
  * 重试失败的设备
  */
@@ -483,20 +761,32 @@ async function getBatchTaskStats(ctx) {
 /**
  * 更新设备任务状态（供Socket事件调用）
  */
-export function updateDeviceTaskStatus(taskId, deviceId, status, error = null) {
+export function updateDeviceTaskStatus(taskId, deviceId, status, error = null, result = null) {
   try {
     if (!batchTaskManager) {
       console.warn('批量任务管理器未初始化')
       return false
     }
 
-    return batchTaskManager.updateDeviceStatus(taskId, deviceId, status, error)
+    return batchTaskManager.updateDeviceStatus(taskId, deviceId, status, error, result)
   } catch (error) {
     ErrorLogger.logError('更新设备任务状态失败', error, { taskId, deviceId, status })
     return false
   }
 }
 
+/**
+ * 设备重新注册后下发离线期间排队的命令（供Socket事件调用）
+ */
+export async function deliverQueuedCommands(deviceId) {
+  if (!batchTaskManager) {
+    console.warn('批量任务管理器未初始化')
+    return
+  }
+
+  await batchTaskManager.deliverQueuedCommands(deviceId)
+}
+
 /**
  * 清理过期任务（定时任务）
  */
@@ -516,9 +806,11 @@ export async function cleanupExpiredTasks() {
 export {
   createBatchUpgrade,
   createBatchRollback,
+  createBatchAgentUpgrade,
   getBatchTasks,
   getBatchTask,
   cancelBatchTask,
+  cancelBatchTaskDevice,
   retryFailedDevices,
   getBatchTaskStats
 }
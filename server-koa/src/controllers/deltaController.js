@@ -0,0 +1,360 @@
+// 中文注释：增量包生成、查询、下载与删除
+import fs from 'fs-extra'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import {
+  addDeltaRecord,
+  findDeltaByPackages,
+  getDelta,
+  getDeltaDir,
+  getDeltas,
+  removeDeltaRecord
+} from '../models/deltaConfig.js'
+import { getPackageConfig } from '../models/packageConfig.js'
+import { isRegisteredProject } from '../models/projectRegistry.js'
+import { ErrorLogger } from '../utils/common.js'
+import { calculateFileHash } from '../utils/crypto.js'
+import { sendFileWithRange } from '../utils/fileResponse.js'
+import { createPackageDelta } from '../utils/packageDelta.js'
+import { isSignatureCurrent, signPackage } from '../utils/packageSigning.js'
+import { sanitizeFileName } from './uploadController.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+/**
+ * 查找完整包文件和包记录（不读入文件内容）
+ * @returns {Promise<{packagePath: string, record: Object}|null>} 包文件不存在时返回 null
+ */
+async function loadPackage(project, fileName, packageConfig) {
+  const packagePath = path.join(__dirname, '../../uploads/packages', project, fileName)
+  if (!(await fs.pathExists(packagePath))) return null
+
+  const { size } = await fs.stat(packagePath)
+  const record = packageConfig.packages[project]?.packages[fileName] || {}
+  return {
+    packagePath,
+    record: {
+      fileName,
+      version: record.version || null,
+      // 同步自文件系统的旧记录没有 MD5，按文件内容流式计算
+      fileMD5: record.fileMD5 || (await calculateFileHash(packagePath)),
+      fileSize: size
+    }
+  }
+}
+
+// 包文件名来自请求体，必须与上传时的文件名规则一致（不含路径分隔符和 ..），不会拼接出包目录之外的路径
+function isSafePackageFileName(fileName) {
+  return typeof fileName === 'string' && !fileName.includes('\\') && sanitizeFileName(fileName) === fileName
+}
+
+function isKnownVersion(version) {
+  return Boolean(version) && version !== 'unknown'
+}
+
+/**
+ * 生成增量包
+ */
+async function createDelta(ctx) {
+  const { project, baseFileName, targetFileName } = ctx.request.body || {}
+
+  if (!project || !baseFileName || !targetFileName) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: '缺少必要参数: project, baseFileName, targetFileName'
+    }
+    return
+  }
+
+  if (!(await isRegisteredProject(project))) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: `未注册的项目: ${project}`
+    }
+    return
+  }
+
+  if (!isSafePackageFileName(baseFileName) || !isSafePackageFileName(targetFileName)) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: '包文件名无效'
+    }
+    return
+  }
+
+  if (baseFileName === targetFileName) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: '基础包与目标包不能相同'
+    }
+    return
+  }
+
+  try {
+    const packageConfig = await getPackageConfig()
+    const base = await loadPackage(project, baseFileName, packageConfig)
+    const target = await loadPackage(project, targetFileName, packageConfig)
+
+    const missing = [base ? null : baseFileName, target ? null : targetFileName].filter(Boolean)
+    if (missing.length > 0) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: `包文件不存在: ${missing.join(', ')}`
+      }
+      return
+    }
+
+    // 设备按上报的当前版本匹配增量包，两端版本都必须明确
+    if (!isKnownVersion(base.record.version) || !isKnownVersion(target.record.version)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '基础包和目标包都必须有明确的版本号才能生成增量包'
+      }
+      return
+    }
+
+    const existing = await findDeltaByPackages(project, base.record.fileMD5, target.record.fileMD5)
+    if (existing) {
+      ctx.body = {
+        success: true,
+        message: '增量包已存在',
+        delta: existing
+      }
+      return
+    }
+
+    const fileName = `delta-${base.record.fileMD5.slice(0, 12)}-${target.record.fileMD5.slice(0, 12)}.tar.gz`
+    const deltaDir = getDeltaDir(project)
+    const deltaPath = path.join(deltaDir, fileName)
+    // 先写入临时文件，校验、签名完成后再改名，下载接口不会读到写了一半的增量包
+    const partPath = `${deltaPath}.part`
+    await fs.ensureDir(deltaDir)
+
+    let result
+    let fileSize
+    let fileMD5
+    let fileSHA256
+    let signature
+    try {
+      try {
+        result = await createPackageDelta(base.packagePath, target.packagePath, partPath, {
+          project,
+          baseVersion: base.record.version,
+          baseFileMD5: base.record.fileMD5,
+          targetVersion: target.record.version,
+          targetFileName,
+          targetFileMD5: target.record.fileMD5
+        })
+      } catch (error) {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: `生成增量包失败: ${error.message}`
+        }
+        return
+      }
+
+      // 增量包不比完整包小时没有意义，设备直接下载完整包即可
+      fileSize = (await fs.stat(partPath)).size
+      if (fileSize >= target.record.fileSize) {
+        ctx.status = 400
+        ctx.body = {
+          success: false,
+          error: `增量包（${fileSize} 字节）不小于完整包（${target.record.fileSize} 字节），无需生成`
+        }
+        return
+      }
+
+      fileMD5 = await calculateFileHash(partPath)
+      fileSHA256 = await calculateFileHash(partPath, 'sha256')
+      signature = await signPackage({
+        resource: 'deltas',
+        project,
+        fileName,
+        fileSize,
+        sha256: fileSHA256
+      })
+      await fs.move(partPath, deltaPath, { overwrite: true })
+    } finally {
+      await fs.remove(partPath)
+    }
+
+    const delta = await addDeltaRecord({
+      project,
+      fileName,
+      fileSize,
+      fileMD5,
+      fileSHA256,
+      signature,
+      baseFileName,
+      baseVersion: base.record.version,
+      baseFileMD5: base.record.fileMD5,
+      targetFileName,
+      targetVersion: target.record.version,
+      targetFileMD5: target.record.fileMD5,
+      targetFileSize: target.record.fileSize,
+      changedFileCount: result.changedFiles.length,
+      deletedFileCount: result.deletedFiles.length,
+      manifestEntryCount: result.manifestEntryCount
+    })
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      message: '增量包生成成功',
+      delta
+    }
+  } catch (error) {
+    ErrorLogger.logError('生成增量包', error, { project, baseFileName, targetFileName })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '生成增量包失败' : error.message
+    }
+  }
+}
+
+/**
+ * 获取增量包列表
+ */
+async function getDeltaList(ctx) {
+  const { project } = ctx.query
+
+  if (project && !(await isRegisteredProject(project))) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: `未注册的项目: ${project}`
+    }
+    return
+  }
+
+  try {
+    const deltas = await getDeltas(project || null)
+    ctx.body = {
+      success: true,
+      deltas,
+      total: deltas.length
+    }
+  } catch (error) {
+    ErrorLogger.logError('获取增量包列表', error)
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取增量包列表失败' : error.message
+    }
+  }
+}
+
+/**
+ * 获取增量包详情
+ */
+async function getDeltaDetail(ctx) {
+  const { project, fileName } = ctx.params
+
+  try {
+    let delta = await getDelta(project, fileName)
+    const deltaPath = delta ? path.join(getDeltaDir(project), delta.fileName) : null
+    if (!deltaPath || !(await fs.pathExists(deltaPath))) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '增量包不存在'
+      }
+      return
+    }
+
+    // 签名功能启用前生成的增量包在首次查询时补签名
+    const { size } = await fs.stat(deltaPath)
+    if (!(await isSignatureCurrent(delta, size))) {
+      const fileSHA256 = await calculateFileHash(deltaPath, 'sha256')
+      const signature = await signPackage({ resource: 'deltas', project, fileName, fileSize: size, sha256: fileSHA256 })
+      delta = await addDeltaRecord({ ...delta, fileSize: size, fileSHA256, signature })
+    }
+
+    ctx.body = {
+      success: true,
+      delta
+    }
+  } catch (error) {
+    ErrorLogger.logError('获取增量包详情', error, { project, fileName })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取增量包详情失败' : error.message
+    }
+  }
+}
+
+/**
+ * 下载增量包（支持 Range / If-Range 断点续传）
+ */
+async function downloadDelta(ctx) {
+  const { project, fileName } = ctx.params
+
+  try {
+    // 只提供有记录的增量包，文件名不会拼接到未知路径
+    const delta = await getDelta(project, fileName)
+    const deltaPath = delta ? path.join(getDeltaDir(project), delta.fileName) : null
+
+    if (!deltaPath || !(await fs.pathExists(deltaPath))) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '增量包不存在'
+      }
+      return
+    }
+
+    await sendFileWithRange(ctx, deltaPath, delta.fileName)
+  } catch (error) {
+    ErrorLogger.logError('下载增量包', error, { project, fileName })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '下载增量包失败' : error.message
+    }
+  }
+}
+
+/**
+ * 删除增量包
+ */
+async function deleteDelta(ctx) {
+  const { project, fileName } = ctx.params
+
+  try {
+    const removed = await removeDeltaRecord(project, fileName)
+    if (!removed) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '增量包不存在'
+      }
+      return
+    }
+
+    await fs.remove(path.join(getDeltaDir(project), removed.fileName))
+
+    ctx.body = {
+      success: true,
+      message: '增量包删除成功'
+    }
+  } catch (error) {
+    ErrorLogger.logError('删除增量包', error, { project, fileName })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '删除增量包失败' : error.message
+    }
+  }
+}
+
+export { createDelta, deleteDelta, downloadDelta, getDeltaDetail, getDeltaList }
@@ -2,7 +2,9 @@
 import deviceManager from '../models/deviceManager.js'
 import { getDeviceDeployPaths, getAllDevices as getStoredDevices, saveDevicePreservedPaths, getDevicePreservedPaths } from '../models/deviceStorage.js'
 import { initializeBatchTaskManager } from './batchController.js'
+import { enqueueCommand, getQueuedCommands, removeQueuedCommand, resolveQueueDeadline } from '../models/commandQueue.js'
 import { getPackageConfig } from '../models/packageConfig.js'
+import { getDeployableProjects, getProject, isAgentProject } from '../models/projectRegistry.js'
 import { ErrorLogger } from '../utils/common.js'
 
 /**
@@ -12,6 +14,8 @@ async function getDevices(ctx) {
   const {
     status, // 状态筛选: all, online, offline, upgrading, error
     search, // 搜索关键词: 设备名称或ID
+    drift, // 部署文件完整性筛选: clean, drifted, unknown（未上报过校验结果的设备视为 unknown）
+    agentVersion, // 设备端代理版本筛选（精确匹配），便于找出尚未升级的设备
     pageNum: pageNumber = 1, // 页码
     pageSize = 20 // 每页数量
   } = ctx.query
@@ -22,6 +26,7 @@ async function getDevices(ctx) {
 
     // 获取存储中的完整设备信息（包括版本信息）
     const storedDevices = await getStoredDevices()
+    const projectNames = (await getDeployableProjects()).map(({ name }) => name)
 
     // 合并实时状态和存储的完整信息
     let devicesWithConfig = storedDevices.map((storedDevice) => {
@@ -61,8 +66,19 @@ async function getDevices(ctx) {
         }
       }
 
-      // 是否存在任一部署路径（由 currentDeployments 派生）
-      const hasDeployPath = Boolean(currentDeployments.frontend?.deployPath || currentDeployments.backend?.deployPath)
+      // 全部已注册项目的部署信息（扁平结构中以项目名为键）
+      const projects = {}
+      for (const name of projectNames) {
+        const record = currentDeployments[name] || deployInfo[name] || {}
+        projects[name] = {
+          version: record.version || null,
+          deployDate: record.deployDate || null,
+          deployPath: record.deployPath || null
+        }
+      }
+
+      // 是否存在任一部署路径
+      const hasDeployPath = Object.values(projects).some((record) => Boolean(record.deployPath))
 
       return {
         // 基本信息
@@ -75,6 +91,7 @@ async function getDevices(ctx) {
         osVersion: storedDevice.system?.osVersion || null,
         arch: storedDevice.system?.arch || null,
         agentVersion: storedDevice.agent?.agentVersion || null,
+        agentUpgrade: storedDevice.agent?.lastUpgrade || null, // 最近一次代理自升级结果
 
         // 网络信息（扁平化）
         wifiName: storedDevice.network?.wifiName || null,
@@ -99,6 +116,13 @@ async function getDevices(ctx) {
         disconnectedAt: liveDevice?.disconnectedAt || null,
         lastHeartbeat: liveDevice?.lastHeartbeat || null,
 
+        // 部署文件完整性（设备按部署清单校验后上报）
+        driftStatus: storedDevice.integrity?.status || 'unknown',
+        integrity: storedDevice.integrity || null,
+
+        // 升级包缓存（设备心跳上报的缓存内容与预下载状态）
+        packageCache: storedDevice.packageCache || null,
+
         // 部署能力标识
         hasDeployPath,
         rollbackAvailable: deployInfo.rollbackAvailable || false,
@@ -118,7 +142,8 @@ async function getDevices(ctx) {
             version: currentDeployments.backend?.version || null,
             deployDate: currentDeployments.backend?.deployDate || null,
             deployPath: currentDeployments.backend?.deployPath || null
-          }
+          },
+          projects
         },
 
         // 升级历史
@@ -137,6 +162,17 @@ async function getDevices(ctx) {
       devicesWithConfig = devicesWithConfig.filter((device) => device.status === status)
     }
 
+    // 部署文件完整性筛选
+    if (drift && drift.trim()) {
+      devicesWithConfig = devicesWithConfig.filter((device) => device.driftStatus === drift.trim())
+    }
+
+    // 代理版本筛选
+    if (agentVersion && agentVersion.trim()) {
+      const version = agentVersion.trim().replace(/^v/, '')
+      devicesWithConfig = devicesWithConfig.filter((device) => device.agentVersion === version)
+    }
+
     // 搜索筛选（设备名称、设备ID或WiFi名称）
     if (search && search.trim() && search.trim().length <= 100) {
       const searchTerm = search.trim().toLowerCase()
@@ -182,7 +218,7 @@ async function getDevices(ctx) {
  */
 async function sendCommand(ctx) {
   const { deviceId } = ctx.params
-  const { command, data } = ctx.request.body
+  const { command, data, queueUntil = null } = ctx.request.body
 
   if (!command) {
     ctx.status = 400
@@ -193,6 +229,18 @@ async function sendCommand(ctx) {
     return
   }
 
+  let queueDeadline
+  try {
+    queueDeadline = resolveQueueDeadline(queueUntil)
+  } catch (error) {
+    ctx.status = 400
+    ctx.body = {
+      success: false,
+      error: error.message
+    }
+    return
+  }
+
   try {
     const payload = data && typeof data === 'object' ? { ...data } : {}
 
@@ -209,6 +257,22 @@ async function sendCommand(ctx) {
 
     const success = deviceManager.sendToDevice(deviceId, command, payload)
 
+    // 已注册过的设备离线时按请求排队，设备重新注册后下发
+    if (!success && queueDeadline && deviceManager.getDevice(deviceId)) {
+      const queued = await enqueueCommand(deviceId, command, payload, { expiresAt: queueDeadline })
+      console.log(`📮 设备 ${deviceId} 离线，命令 ${command} 已排队至 ${queueDeadline}`)
+
+      ctx.status = 202
+      ctx.body = {
+        success: true,
+        message: '设备离线，命令已排队，设备上线后下发',
+        queued: true,
+        commandId: queued.id,
+        expiresAt: queued.expiresAt
+      }
+      return
+    }
+
     if (!success) {
       ctx.status = 404
       ctx.body = {
@@ -244,6 +308,71 @@ async function sendCommand(ctx) {
   }
 }
 
+/**
+ * 获取设备排队中的命令（设备离线期间下发的命令，按下发顺序）
+ */
+async function getDeviceQueuedCommands(ctx) {
+  try {
+    const { deviceId } = ctx.params
+    const commands = await getQueuedCommands(deviceId)
+
+    ctx.body = {
+      success: true,
+      data: commands,
+      total: commands.length
+    }
+  } catch (error) {
+    ErrorLogger.logError('获取排队命令失败', error, { deviceId: ctx.params.deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取排队命令失败' : error.message
+    }
+  }
+}
+
+/**
+ * 删除设备排队中的命令（批量任务的命令需通过取消任务中的设备删除，以便同步任务状态）
+ */
+async function deleteDeviceQueuedCommand(ctx) {
+  try {
+    const { deviceId, commandId } = ctx.params
+    const command = (await getQueuedCommands(deviceId)).find((item) => item.id === commandId)
+
+    if (!command) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '排队命令不存在或已下发'
+      }
+      return
+    }
+
+    if (command.taskId) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: `该命令属于批量任务 ${command.taskId}，请在任务中取消该设备`
+      }
+      return
+    }
+
+    await removeQueuedCommand(commandId)
+
+    ctx.body = {
+      success: true,
+      message: '排队命令已删除'
+    }
+  } catch (error) {
+    ErrorLogger.logError('删除排队命令失败', error, { deviceId: ctx.params.deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '删除排队命令失败' : error.message
+    }
+  }
+}
+
 /**
  * 单设备升级 - 通过任务管理器记录
  */
@@ -255,8 +384,10 @@ async function upgradeDevice(ctx) {
       fileName,
       version,
       fileMD5,
-      deployPath,
-      preservedPaths = [],
+      deployPath: requestedDeployPath,
+      preservedPaths: requestedPreservedPaths = [],
+      deployMode = null,
+      healthCheck = null,
       sessionId
     } = ctx.request.body
 
@@ -264,11 +395,21 @@ async function upgradeDevice(ctx) {
     console.log(`🚀 收到升级请求 [设备: ${deviceId}] [项目: ${project}] [包: ${fileName}] [会话: ${sessionId || 'N/A'}] [来源IP: ${ctx.request.ip}]`)
 
     // 参数验证
-    if (!project || !['frontend', 'backend'].includes(project)) {
+    const projectInfo = await getProject(project)
+    if (!projectInfo) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: '项目类型必须是 frontend 或 backend'
+        error: `未注册的项目: ${project}`
+      }
+      return
+    }
+
+    if (isAgentProject(project)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '设备端代理只能通过代理自升级（/api/batch/agent-upgrade）更新'
       }
       return
     }
@@ -293,6 +434,16 @@ async function upgradeDevice(ctx) {
       return
     }
 
+    // 未指定部署路径和白名单时使用项目注册的默认值
+    const deployPath =
+      typeof requestedDeployPath === 'string' && requestedDeployPath.trim().length > 0
+        ? requestedDeployPath
+        : projectInfo.defaultDeployPath
+    const preservedPaths =
+      Array.isArray(requestedPreservedPaths) && requestedPreservedPaths.length > 0
+        ? requestedPreservedPaths
+        : projectInfo.defaultPreservedPaths
+
     // 获取包信息
     const packageConfig = await getPackageConfig()
     const packageInfo = packageConfig.packages[project]?.packages[fileName]
@@ -314,20 +465,23 @@ async function upgradeDevice(ctx) {
         fileName,
         version: version || packageInfo.version,
         fileMD5: fileMD5 || packageInfo.fileMD5,
-        packagePath: `packages/${project}/${fileName}`
+        packagePath: `packages/${project}/${fileName}`,
+        manifest: packageInfo.manifest || null
       },
       project,
       deployPath,
       preservedPaths,
+      deployMode,
+      healthCheck,
       sessionId, // 传递会话ID以支持进度追踪
       creator: ctx.state.user?.username || 'system',
       scope: 'single'
     })
 
-    // 保存白名单配置
-    if (preservedPaths && preservedPaths.length > 0) {
+    // 保存白名单配置（仅保存请求中显式指定的白名单，项目默认值不写入设备配置）
+    if (Array.isArray(requestedPreservedPaths) && requestedPreservedPaths.length > 0) {
       try {
-        await saveDevicePreservedPaths(deviceId, project, preservedPaths)
+        await saveDevicePreservedPaths(deviceId, project, requestedPreservedPaths)
       } catch (error) {
         console.warn(`保存设备 ${deviceId} 白名单配置失败:`, error.message)
       }
@@ -349,6 +503,16 @@ async function upgradeDevice(ctx) {
     }
 
   } catch (error) {
+    if (error.incompatibleDevices) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: error.message,
+        incompatibleDevices: error.incompatibleDevices
+      }
+      return
+    }
+
     ErrorLogger.logError('单设备升级失败', error, { deviceId: ctx.params.deviceId })
     ctx.status = 500
     ctx.body = {
@@ -364,14 +528,33 @@ async function upgradeDevice(ctx) {
 async function rollbackDevice(ctx) {
   try {
     const { deviceId } = ctx.params
-    const { project, sessionId } = ctx.request.body
+    const { project, sessionId, backupId = null } = ctx.request.body
 
     // 参数验证
-    if (!project || !['frontend', 'backend'].includes(project)) {
+    if (backupId !== null && typeof backupId !== 'string') {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: '项目类型必须是 frontend 或 backend'
+        error: 'backupId 必须是字符串'
+      }
+      return
+    }
+
+    const projectInfo = await getProject(project)
+    if (!projectInfo) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: `未注册的项目: ${project}`
+      }
+      return
+    }
+
+    if (isAgentProject(project)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '设备端代理只能通过代理自升级（/api/batch/agent-upgrade）更新'
       }
       return
     }
@@ -391,6 +574,10 @@ async function rollbackDevice(ctx) {
     let preservedPaths = []
     try {
       preservedPaths = await getDevicePreservedPaths(deviceId, project)
+      // 设备未单独配置白名单时使用项目默认白名单
+      if (!preservedPaths || preservedPaths.length === 0) {
+        preservedPaths = projectInfo.defaultPreservedPaths
+      }
       console.log(`🔍 获取设备 ${deviceId} 的 ${project} 白名单配置: ${JSON.stringify(preservedPaths)}`)
 
       // 安全检查：如果没有白名单配置，应该警告并停止回滚操作，防止删除所有文件
@@ -427,6 +614,7 @@ async function rollbackDevice(ctx) {
       deviceIds: [deviceId],
       project,
       preservedPaths, // 传递白名单配置
+      backupId, // 指定回滚的备份，为空时回滚到最新备份
       sessionId, // 传递会话ID以支持进度追踪
       creator: ctx.state.user?.username || 'system',
       scope: 'single'
@@ -457,4 +645,119 @@ async function rollbackDevice(ctx) {
   }
 }
 
-export { getDevices, sendCommand, upgradeDevice, rollbackDevice }
+/**
+ * 取消设备进行中的升级/回滚（取消设备当前执行的任务中的该设备）
+ */
+async function cancelDeviceOperation(ctx) {
+  try {
+    const { deviceId } = ctx.params
+    const { reason } = ctx.request.body || {}
+
+    const batchTaskManager = await initializeBatchTaskManager()
+    const task = batchTaskManager.findActiveDeviceTask(deviceId)
+    if (!task) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '设备当前没有进行中的升级或回滚任务'
+      }
+      return
+    }
+
+    const result = await batchTaskManager.cancelDevice(task.id, deviceId, reason || '管理员取消')
+
+    ctx.body = {
+      success: true,
+      message: '已请求设备取消，操作将在安全点中止',
+      taskId: task.id,
+      data: result
+    }
+
+  } catch (error) {
+    ErrorLogger.logError('取消设备操作失败', error, { deviceId: ctx.params.deviceId })
+    ctx.status = error.message.includes('无法取消') ? 409 : 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' && ctx.status === 500 ? '取消设备操作失败' : error.message
+    }
+  }
+}
+
+/**
+ * 向设备下发升级包预下载（设备在后台下载到本机缓存，之后升级无需再下载）
+ * 设备只确认是否已开始，下载结果随心跳的升级包缓存摘要上报
+ */
+async function prefetchPackage(ctx) {
+  try {
+    const { deviceIds, project, fileName } = ctx.request.body || {}
+
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0 || !deviceIds.every((id) => typeof id === 'string' && id)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '设备ID列表不能为空'
+      }
+      return
+    }
+
+    const projectInfo = await getProject(project)
+    if (!projectInfo || isAgentProject(project)) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: `未注册的项目: ${project}`
+      }
+      return
+    }
+
+    const packageConfig = await getPackageConfig()
+    if (!fileName || !packageConfig.packages[project]?.packages[fileName]) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '指定的升级包不存在'
+      }
+      return
+    }
+
+    const results = await Promise.all(
+      [...new Set(deviceIds)].map(async (deviceId) => {
+        const result = await deviceManager.sendCommand(deviceId, 'cmd:prefetch', { project, fileName })
+        const response = result.data
+        return {
+          deviceId,
+          success: Boolean(result.success && response?.success),
+          message: response?.message || result.error || '预下载命令发送失败'
+        }
+      })
+    )
+    const accepted = results.filter((item) => item.success).length
+
+    console.log(`📥 预下载升级包 ${project}/${fileName}: ${accepted}/${results.length} 台设备已开始下载`)
+
+    ctx.body = {
+      success: true,
+      message: `${accepted}/${results.length} 台设备已开始预下载`,
+      data: { project, fileName, accepted, results }
+    }
+
+  } catch (error) {
+    ErrorLogger.logError('下发预下载失败', error, { project: ctx.request.body?.project })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '下发预下载失败' : error.message
+    }
+  }
+}
+
+export {
+  getDevices,
+  sendCommand,
+  getDeviceQueuedCommands,
+  deleteDeviceQueuedCommand,
+  upgradeDevice,
+  rollbackDevice,
+  cancelDeviceOperation,
+  prefetchPackage
+}
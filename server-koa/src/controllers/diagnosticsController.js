@@ -0,0 +1,231 @@
+// 中文注释：设备诊断包收集、上传、下载与删除
+import fs from 'fs-extra'
+import deviceManager from '../models/deviceManager.js'
+import {
+  DIAGNOSTICS_STATUS,
+  MAX_DIAGNOSTICS_SIZE,
+  createDiagnosticsRequest,
+  deleteDiagnostics,
+  failDiagnostics,
+  getDiagnostics,
+  getDiagnosticsBundle,
+  getDiagnosticsFilePath,
+  saveDiagnosticsUpload,
+  verifyUploadToken
+} from '../models/diagnosticsStore.js'
+import { ErrorLogger } from '../utils/common.js'
+import { sendFileWithRange } from '../utils/fileResponse.js'
+
+/**
+ * 向设备下发诊断包收集命令
+ * 设备只确认是否已开始，收集完成后自行上传；收集失败时以 device:diagnostics 上报原因
+ */
+async function collectDeviceDiagnostics(ctx) {
+  const { deviceId } = ctx.params
+
+  try {
+    if (!deviceManager.isDeviceOnline(deviceId)) {
+      ctx.status = 409
+      ctx.body = {
+        success: false,
+        error: '设备不在线，无法收集诊断包'
+      }
+      return
+    }
+
+    const bundle = await createDiagnosticsRequest(deviceId)
+    const result = await deviceManager.sendCommand(deviceId, 'cmd:collectDiagnostics', {
+      bundleId: bundle.id,
+      uploadToken: bundle.uploadToken,
+      maxSize: MAX_DIAGNOSTICS_SIZE
+    })
+    const response = result.data
+
+    if (!result.success || !response?.success) {
+      const error = response?.message || result.error || '诊断命令发送失败'
+      await failDiagnostics(deviceId, bundle.id, error)
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        error
+      }
+      return
+    }
+
+    console.log(`🩺 设备 ${deviceId} 开始收集诊断包: ${bundle.id}`)
+
+    ctx.status = 202
+    ctx.body = {
+      success: true,
+      message: '设备已开始收集诊断包，上传完成后可下载',
+      data: await getDiagnosticsBundle(deviceId, bundle.id)
+    }
+  } catch (error) {
+    ErrorLogger.logError('下发诊断包收集失败', error, { deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '下发诊断包收集失败' : error.message
+    }
+  }
+}
+
+/**
+ * 获取设备的诊断包列表（按请求时间倒序）
+ */
+async function getDeviceDiagnostics(ctx) {
+  const { deviceId } = ctx.params
+
+  try {
+    const bundles = await getDiagnostics(deviceId)
+
+    ctx.body = {
+      success: true,
+      data: bundles,
+      total: bundles.length
+    }
+  } catch (error) {
+    ErrorLogger.logError('获取诊断包列表失败', error, { deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取诊断包列表失败' : error.message
+    }
+  }
+}
+
+/**
+ * 设备上传诊断包（请求体为 tar.gz，X-Upload-Token 为收集命令中下发的令牌）
+ */
+async function uploadDeviceDiagnostics(ctx) {
+  const { deviceId, bundleId } = ctx.params
+
+  try {
+    if (!(await verifyUploadToken(deviceId, bundleId, ctx.get('X-Upload-Token')))) {
+      ctx.status = 403
+      ctx.body = {
+        success: false,
+        error: '上传令牌无效'
+      }
+      return
+    }
+
+    const contentLength = Number.parseInt(ctx.get('Content-Length'), 10)
+    if (contentLength > MAX_DIAGNOSTICS_SIZE) {
+      await failDiagnostics(deviceId, bundleId, `诊断包超过大小限制（${MAX_DIAGNOSTICS_SIZE} 字节）`)
+      ctx.status = 413
+      ctx.body = {
+        success: false,
+        error: `诊断包超过大小限制（${MAX_DIAGNOSTICS_SIZE} 字节）`
+      }
+      return
+    }
+
+    const bundle = await saveDiagnosticsUpload(deviceId, bundleId, ctx.req, {
+      sha256: ctx.get('X-Content-SHA256') || null
+    })
+
+    console.log(`🩺 设备 ${deviceId} 已上传诊断包: ${bundleId}（${bundle.size} 字节）`)
+
+    ctx.body = {
+      success: true,
+      message: '诊断包上传完成',
+      data: bundle
+    }
+  } catch (error) {
+    ErrorLogger.logError('保存诊断包失败', error, { deviceId, bundleId })
+    const message = error.message || ''
+    ctx.status = message.includes('超过大小限制') ? 413 : message.includes('已上传或已失败') ? 409 : 500
+    if (ctx.status !== 409) {
+      await failDiagnostics(deviceId, bundleId, message).catch(() => {})
+    }
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' && ctx.status === 500 ? '保存诊断包失败' : message
+    }
+  }
+}
+
+/**
+ * 下载诊断包（支持 Range / If-Range 断点续传）
+ */
+async function downloadDeviceDiagnostics(ctx) {
+  const { deviceId, bundleId } = ctx.params
+
+  try {
+    const filePath = await getDiagnosticsFilePath(deviceId, bundleId)
+    if (!filePath || !(await fs.pathExists(filePath))) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '诊断包不存在或尚未上传'
+      }
+      return
+    }
+
+    await sendFileWithRange(ctx, filePath, `diagnostics-${bundleId}.tar.gz`)
+  } catch (error) {
+    ErrorLogger.logError('下载诊断包失败', error, { deviceId, bundleId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '下载诊断包失败' : error.message
+    }
+  }
+}
+
+/**
+ * 删除诊断包（收集中的记录同样可以删除，之后设备的上传会被拒绝）
+ */
+async function deleteDeviceDiagnostics(ctx) {
+  const { deviceId, bundleId } = ctx.params
+
+  try {
+    const deleted = await deleteDiagnostics(deviceId, bundleId)
+    if (!deleted) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '诊断包不存在'
+      }
+      return
+    }
+
+    ctx.body = {
+      success: true,
+      message: '诊断包已删除'
+    }
+  } catch (error) {
+    ErrorLogger.logError('删除诊断包失败', error, { deviceId, bundleId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '删除诊断包失败' : error.message
+    }
+  }
+}
+
+/**
+ * 处理设备上报的诊断包收集结果（成功时上传接口已更新记录，这里只记录失败原因）
+ * @param {Object} report - { deviceId, bundleId, success, error }
+ * @returns {Promise<Object|null>} 标记为失败的记录
+ */
+async function applyDiagnosticsReport(report) {
+  const { deviceId, bundleId, success, error } = report
+  if (success) return null
+
+  const bundle = await failDiagnostics(deviceId, bundleId, error)
+  if (bundle?.status === DIAGNOSTICS_STATUS.FAILED) {
+    console.warn(`🩺 设备 ${deviceId} 诊断包收集失败: ${bundleId} - ${error}`)
+  }
+  return bundle
+}
+
+export {
+  applyDiagnosticsReport,
+  collectDeviceDiagnostics,
+  deleteDeviceDiagnostics,
+  downloadDeviceDiagnostics,
+  getDeviceDiagnostics,
+  uploadDeviceDiagnostics
+}
@@ -2,11 +2,17 @@
 import fs from 'fs-extra'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
+import { getDeltaDir, removeDeltasForPackage } from '../models/deltaConfig.js'
+import deviceManager from '../models/deviceManager.js'
 import {
+  ensurePackageRecord,
   getPackageConfig as getConfig,
   removePackageRecord,
   syncPackagesFromFileSystem
 } from '../models/packageConfig.js'
+import { getProjects, isRegisteredProject } from '../models/projectRegistry.js'
+import { sendFileWithRange } from '../utils/fileResponse.js'
+import { getSigningPublicKey } from '../utils/packageSigning.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -17,11 +23,11 @@ const __dirname = path.dirname(__filename)
 async function getPackages(ctx) {
   const { project } = ctx.query
 
-  if (project && !['frontend', 'backend'].includes(project)) {
+  if (project && !(await isRegisteredProject(project))) {
     ctx.status = 400
     ctx.body = {
       success: false,
-      error: 'project 参数必须是 frontend 或 backend'
+      error: `未注册的项目: ${project}`
     }
     return
   }
@@ -34,7 +40,7 @@ async function getPackages(ctx) {
     const config = await getConfig()
 
     const packages = []
-    const projects = project ? [project] : ['frontend', 'backend']
+    const projects = project ? [project] : (await getProjects()).map(({ name }) => name)
 
     for (const proj of projects) {
       const packageDir = path.join(__dirname, '../../uploads/packages', proj)
@@ -65,6 +71,7 @@ async function getPackages(ctx) {
           version: packageInfo?.version || null,
           uploadedAt: packageInfo?.uploadedAt || null,
           uploadedBy: packageInfo?.uploadedBy || null,
+          manifest: packageInfo?.manifest || null,
           packagePath: path.join('packages', proj, fileName)
         })
       }
@@ -93,12 +100,13 @@ async function getPackages(ctx) {
  */
 async function getPackageDetail(ctx) {
   const { project, fileName } = ctx.params
+  const { deviceId } = ctx.query
 
-  if (!['frontend', 'backend'].includes(project)) {
+  if (!(await isRegisteredProject(project))) {
     ctx.status = 400
     ctx.body = {
       success: false,
-      error: 'project 参数必须是 frontend 或 backend'
+      error: `未注册的项目: ${project}`
     }
     return
   }
@@ -115,23 +123,39 @@ async function getPackageDetail(ctx) {
       return
     }
 
-    const stats = await fs.stat(packagePath)
+    // 签名与解压大小在上传或同步时已计算，记录缺失或过期时才补算一次并保存
+    const packageInfo = await ensurePackageRecord(project, fileName)
+    if (!packageInfo) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: '包文件不存在'
+      }
+      return
+    }
 
-    // 获取包配置数据
-    const config = await getConfig()
-    const packageInfo = config.packages[project]?.packages[fileName]
+    const { fileSHA256, signature, uncompressedSize } = packageInfo
+    // 设备下载前查询时，附带同网段已缓存该包的设备作为下载来源
+    const peers = typeof deviceId === 'string' && deviceId
+      ? deviceManager.findPackagePeers(deviceId, { resource: 'packages', project, fileName, sha256: fileSHA256 })
+      : null
 
     ctx.body = {
       success: true,
       package: {
         project,
         fileName,
-        fileSize: stats.size,
-        fileMD5: packageInfo?.fileMD5 || null,
-        version: packageInfo?.version || null,
-        uploadedAt: packageInfo?.uploadedAt || null,
-        uploadedBy: packageInfo?.uploadedBy || null,
-        packagePath: path.join('packages', project, fileName)
+        fileSize: packageInfo.fileSize,
+        fileMD5: packageInfo.fileMD5 || null,
+        fileSHA256,
+        signature,
+        uncompressedSize,
+        version: packageInfo.version || null,
+        uploadedAt: packageInfo.uploadedAt || null,
+        uploadedBy: packageInfo.uploadedBy || null,
+        manifest: packageInfo.manifest || null,
+        packagePath: path.join('packages', project, fileName),
+        ...(peers && { peers })
       }
     }
   } catch (error) {
@@ -144,17 +168,36 @@ async function getPackageDetail(ctx) {
   }
 }
 
+/**
+ * 获取升级包签名公钥（配置到设备端 PACKAGE_SIGNING_PUBLIC_KEY）
+ */
+async function getSigningKey(ctx) {
+  try {
+    ctx.body = {
+      success: true,
+      key: await getSigningPublicKey()
+    }
+  } catch (error) {
+    console.error('获取签名公钥失败:', error)
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取签名公钥失败' : error.message
+    }
+  }
+}
+
 /**
  * 删除包
  */
 async function deletePackage(ctx) {
   const { project, fileName } = ctx.params
 
-  if (!['frontend', 'backend'].includes(project)) {
+  if (!(await isRegisteredProject(project))) {
     ctx.status = 400
     ctx.body = {
       success: false,
-      error: 'project 参数必须是 frontend 或 backend'
+      error: `未注册的项目: ${project}`
     }
     return
   }
@@ -177,6 +220,10 @@ async function deletePackage(ctx) {
     // 从配置文件中删除记录
     await removePackageRecord(project, fileName)
 
+    // 以该包为基础或目标的增量包随之失效
+    const removedDeltas = await removeDeltasForPackage(project, fileName)
+    await Promise.all(removedDeltas.map((delta) => fs.remove(path.join(getDeltaDir(project), delta.fileName))))
+
     ctx.body = {
       success: true,
       message: '包删除成功'
@@ -192,16 +239,16 @@ async function deletePackage(ctx) {
 }
 
 /**
- * 下载包
+ * 下载包（支持 Range / If-Range 断点续传）
  */
 async function downloadPackage(ctx) {
   const { project, fileName } = ctx.params
 
-  if (!['frontend', 'backend'].includes(project)) {
+  if (!(await isRegisteredProject(project))) {
     ctx.status = 400
     ctx.body = {
       success: false,
-      error: 'project 参数必须是 frontend 或 backend'
+      error: `未注册的项目: ${project}`
     }
     return
   }
@@ -218,18 +265,7 @@ async function downloadPackage(ctx) {
       return
     }
 
-    const stats = await fs.stat(packagePath)
-
-    // 安全的文件名处理（防止文件名注入）
-    const safeName = fileName.replace(/[\x00-\x1f"\\]/g, '')
-
-    // 设置响应头
-    ctx.set('Content-Type', 'application/zip')
-    ctx.set('Content-Disposition', `attachment; filename="${safeName}"`)
-    ctx.set('Content-Length', stats.size.toString())
-
-    // 流式返回文件
-    ctx.body = fs.createReadStream(packagePath)
+    await sendFileWithRange(ctx, packagePath, fileName)
   } catch (error) {
     console.error('下载包失败:', error)
     ctx.status = 500
@@ -267,11 +303,11 @@ async function getPackageConfig(ctx) {
 async function getPackageList(ctx) {
   const { project } = ctx.query
 
-  if (project && !['frontend', 'backend'].includes(project)) {
+  if (project && !(await isRegisteredProject(project))) {
     ctx.status = 400
     ctx.body = {
       success: false,
-      error: 'project 参数必须是 frontend 或 backend'
+      error: `未注册的项目: ${project}`
     }
     return
   }
@@ -284,7 +320,7 @@ async function getPackageList(ctx) {
     const config = await getConfig()
 
     const packages = []
-    const projects = project ? [project] : ['frontend', 'backend']
+    const projects = project ? [project] : (await getProjects()).map(({ name }) => name)
 
     for (const proj of projects) {
       const packageDir = path.join(__dirname, '../../uploads/packages', proj)
@@ -347,4 +383,12 @@ async function getPackageList(ctx) {
   }
 }
 
-export { deletePackage, downloadPackage, getPackageConfig, getPackageDetail, getPackages, getPackageList }
+export {
+  deletePackage,
+  downloadPackage,
+  getPackageConfig,
+  getPackageDetail,
+  getPackages,
+  getPackageList,
+  getSigningKey
+}
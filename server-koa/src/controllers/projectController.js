@@ -0,0 +1,190 @@
+// 中文注释：项目注册表管理接口
+import deviceManager from '../models/deviceManager.js'
+import { getPackageConfig, getProjectPackages, syncPackagesFromFileSystem } from '../models/packageConfig.js'
+import {
+  createProject as createProjectRecord,
+  getDeviceProjectConfig,
+  getProject,
+  getProjects,
+  removeProject,
+  updateProject as updateProjectRecord
+} from '../models/projectRegistry.js'
+import { ErrorLogger } from '../utils/common.js'
+
+/**
+ * 注册表错误对应的 HTTP 状态码
+ */
+function getErrorStatus(error) {
+  const { message } = error
+  if (message.includes('项目不存在')) return 404
+  if (message.includes('项目已存在') || message.includes('内置项目不能删除')) return 409
+  if (message.includes('必须') || message.includes('不支持') || message.includes('只能')) return 400
+  return 500
+}
+
+/**
+ * 注册表变化后把最新项目列表推送给在线设备
+ */
+async function notifyDevices() {
+  try {
+    const projects = await getDeviceProjectConfig()
+    const deviceIds = deviceManager.getOnlineDevices().map((device) => device.deviceId)
+    deviceManager.sendToDevices(deviceIds, 'config:projects', { projects })
+  } catch (error) {
+    ErrorLogger.logWarning('推送项目配置到设备', error.message)
+  }
+}
+
+/**
+ * 获取项目列表（附带各项目的升级包数量）
+ */
+async function getProjectList(ctx) {
+  try {
+    const [projects, packageConfig] = await Promise.all([getProjects(), getPackageConfig()])
+
+    ctx.body = {
+      success: true,
+      projects: projects.map((project) => ({
+        ...project,
+        packageCount: Object.keys(packageConfig.packages[project.name]?.packages || {}).length
+      })),
+      total: projects.length
+    }
+  } catch (error) {
+    ErrorLogger.logError('获取项目列表失败', error)
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取项目列表失败' : error.message
+    }
+  }
+}
+
+/**
+ * 获取项目详情
+ */
+async function getProjectDetail(ctx) {
+  try {
+    const { name } = ctx.params
+    const project = await getProject(name)
+
+    if (!project) {
+      ctx.status = 404
+      ctx.body = {
+        success: false,
+        error: `项目不存在: ${name}`
+      }
+      return
+    }
+
+    ctx.body = {
+      success: true,
+      project
+    }
+  } catch (error) {
+    ErrorLogger.logError('获取项目详情失败', error)
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      error: process.env.NODE_ENV === 'production' ? '获取项目详情失败' : error.message
+    }
+  }
+}
+
+/**
+ * 注册新项目
+ */
+async function createProject(ctx) {
+  try {
+    const project = await createProjectRecord(ctx.request.body || {})
+    await notifyDevices()
+
+    ctx.status = 201
+    ctx.body = {
+      success: true,
+      message: '项目创建成功',
+      project
+    }
+  } catch (error) {
+    const status = getErrorStatus(error)
+    if (status === 500) {
+      ErrorLogger.logError('创建项目失败', error)
+    }
+
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: status === 500 && process.env.NODE_ENV === 'production' ? '创建项目失败' : error.message
+    }
+  }
+}
+
+/**
+ * 更新项目属性
+ */
+async function updateProject(ctx) {
+  try {
+    const project = await updateProjectRecord(ctx.params.name, ctx.request.body || {})
+    await notifyDevices()
+
+    ctx.body = {
+      success: true,
+      message: '项目更新成功',
+      project
+    }
+  } catch (error) {
+    const status = getErrorStatus(error)
+    if (status === 500) {
+      ErrorLogger.logError('更新项目失败', error, { name: ctx.params.name })
+    }
+
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: status === 500 && process.env.NODE_ENV === 'production' ? '更新项目失败' : error.message
+    }
+  }
+}
+
+/**
+ * 删除项目（项目下仍有升级包时拒绝）
+ */
+async function deleteProject(ctx) {
+  const { name } = ctx.params
+
+  try {
+    if (await getProject(name)) {
+      await syncPackagesFromFileSystem()
+      const packages = await getProjectPackages(name)
+      if (packages.length > 0) {
+        ctx.status = 409
+        ctx.body = {
+          success: false,
+          error: `项目 ${name} 下还有 ${packages.length} 个升级包，请先删除升级包`
+        }
+        return
+      }
+    }
+
+    await removeProject(name)
+    await notifyDevices()
+
+    ctx.body = {
+      success: true,
+      message: '项目删除成功'
+    }
+  } catch (error) {
+    const status = getErrorStatus(error)
+    if (status === 500) {
+      ErrorLogger.logError('删除项目失败', error, { name })
+    }
+
+    ctx.status = status
+    ctx.body = {
+      success: false,
+      error: status === 500 && process.env.NODE_ENV === 'production' ? '删除项目失败' : error.message
+    }
+  }
+}
+
+export { createProject, deleteProject, getProjectDetail, getProjectList, updateProject }
@@ -1,6 +1,8 @@
 // 中文注释：ESM 导入
 import deviceManager from '../models/deviceManager.js'
-import { updateDeviceTaskStatus } from './batchController.js'
+import { getDeployableProjects, getDeviceProjectConfig, isRegisteredProject } from '../models/projectRegistry.js'
+import { deliverQueuedCommands, updateDeviceTaskStatus } from './batchController.js'
+import { applyDiagnosticsReport } from './diagnosticsController.js'
 import { DateHelper } from '../utils/common.js'
 
 /**
@@ -25,15 +27,22 @@ export function setupSocketHandlers(io) {
         // 直接按分组结构注册
         const device = deviceManager.registerDevice(socket, data)
 
+        // 设备重启前有中断的升级/回滚，启动时已完成或撤销，随注册上报最终结果
+        if (data.operationRecovery && typeof data.operationRecovery === 'object') {
+          applyOperationRecovery(socket, device.deviceId, data.operationRecovery)
+        }
+
         socket.emit('device:registered', {
           success: true,
           deviceId: device.deviceId,
-          message: '设备注册成功'
+          message: '设备注册成功',
+          projects: await getDeviceProjectConfig()
         })
 
-        // 注册成功后立即查询设备当前版本信息
-        setTimeout(async () => {
-          await queryDeviceVersions(device.deviceId)
+        // 注册成功后查询设备当前版本信息，同时按顺序下发离线期间排队的命令（不等待版本查询，两者各自处理错误）
+        setTimeout(() => {
+          queryDeviceVersions(device.deviceId)
+          deliverQueuedCommands(device.deviceId)
         }, 1000) // 延迟1秒，确保设备完全连接
 
         // 通知其他客户端有新设备上线
@@ -94,6 +103,19 @@ export function setupSocketHandlers(io) {
           deviceManager.updateSystemInfo(deviceId, payload)
         }
 
+        // 可选部署文件完整性摘要（设备开启定期校验或执行过校验后上报）
+        if (data.integrity) {
+          deviceManager.updateIntegrity(deviceId, data.integrity)
+        }
+
+        // 可选升级包缓存摘要（缓存内容与预下载状态）
+        if (data.packageCache) {
+          deviceManager.updatePackageCache(deviceId, data.packageCache)
+        }
+
+        // 局域网信息（所在网段与共享地址），未上报时清除，不再作为其他设备的下载来源
+        deviceManager.updatePeer(deviceId, data.peer || null)
+
         socket.emit('device:heartbeat_ack', {
           timestamp: new Date().toISOString()
         })
@@ -156,6 +178,39 @@ export function setupSocketHandlers(io) {
       }
     })
 
+    // 代理自升级结果（新版本注册后确认，或被看门狗恢复后的旧版本上报恢复原因）
+    socket.on('device:agent_upgrade', (data) => {
+      try {
+        const deviceId = data?.deviceId
+        if (!deviceId) return
+
+        const lastUpgrade = deviceManager.updateAgentUpgrade(deviceId, data)
+        if (!lastUpgrade) {
+          console.warn('代理自升级结果：无效数据', { deviceId, status: data.status })
+          return
+        }
+
+        console.log(`🤖 设备代理自升级结果: ${deviceId} - ${lastUpgrade.status} (${lastUpgrade.fromVersion || '未知'} -> ${lastUpgrade.toVersion || '未知'})`)
+        socket.broadcast.emit('device:agent_upgraded', {
+          deviceId,
+          ...lastUpgrade,
+          timestamp: new Date().toISOString()
+        })
+      } catch (error) {
+        console.error('处理代理自升级结果失败:', error)
+      }
+    })
+
+    // 诊断包收集结果（成功时设备已通过上传接口提交诊断包）
+    socket.on('device:diagnostics', async (data) => {
+      try {
+        if (!data?.deviceId || !data.bundleId) return
+        await applyDiagnosticsReport(data)
+      } catch (error) {
+        console.error('处理诊断包收集结果失败:', error)
+      }
+    })
+
     // WiFi信息更新（保留兼容性）
     socket.on('device:update-wifi', (data) => {
       try {
@@ -276,7 +331,7 @@ export function setupSocketHandlers(io) {
 
         const { operation, project, deployPath } = data
         const normalizedDeployPath = typeof deployPath === 'string' ? deployPath.trim() : deployPath || null
-        if (!operation || !project || !['frontend', 'backend'].includes(project)) {
+        if (!operation || !project || !(await isRegisteredProject(project))) {
           return
         }
 
@@ -321,7 +376,17 @@ export function setupSocketHandlers(io) {
           version: data.version || null,
           timestamp: now,
           message: result?.message || null,
-          versions: versionsUpdate
+          versions: versionsUpdate,
+          // 升级包安全校验失败时，设备端会附带违规条目报告
+          rejection: data.rejection || null,
+          // 升级包清单声明的平台、架构、Agent 版本或磁盘空间要求在设备端未满足
+          incompatible: data.incompatible || null,
+          // 生命周期钩子失败时附带钩子执行结果，rolledBack 表示是否已恢复部署前版本
+          hook: data.hook || null,
+          // unhealthy 表示新版本已部署但健康检查未通过，与普通失败区分
+          unhealthy: data.unhealthy === true,
+          healthCheck: data.healthCheck || null,
+          rolledBack: data.rolledBack ?? null
         }
 
         socket.broadcast.emit('operation:result', operationEvent)
@@ -338,7 +403,7 @@ export function setupSocketHandlers(io) {
           return
         }
 
-        const { taskId, deviceId, status, error, progress } = data
+        const { taskId, deviceId, status, error, progress, result = null } = data
 
         if (!taskId || !deviceId || !status) {
           console.warn('批量任务状态更新：缺少必要参数', { taskId, deviceId, status })
@@ -346,7 +411,7 @@ export function setupSocketHandlers(io) {
         }
 
         // 更新设备任务状态
-        const updated = updateDeviceTaskStatus(taskId, deviceId, status, error)
+        const updated = updateDeviceTaskStatus(taskId, deviceId, status, error, result)
 
         if (updated) {
           console.log(`📊 批量任务设备状态更新: ${taskId} - ${deviceId} - ${status}`)
@@ -556,6 +621,35 @@ export function setupSocketHandlers(io) {
   })
 }
 
+/**
+ * 处理设备上报的中断操作恢复结果，关联批量任务时以恢复结果作为该设备的最终状态
+ * @param {Object} recovery - { type, project, version, phase, outcome, message, batchTaskId, ... }
+ */
+function applyOperationRecovery(socket, deviceId, recovery) {
+  const { type, project, outcome, message, batchTaskId } = recovery
+  console.log(`♻️ 设备中断操作已恢复: ${deviceId} - ${project || '未知项目'} ${type || ''} - ${outcome}: ${message || ''}`)
+
+  if (batchTaskId) {
+    const status = outcome === 'completed' ? 'success' : 'failed'
+    const updated = updateDeviceTaskStatus(batchTaskId, deviceId, status, status === 'failed' ? message : null, { recovery })
+    if (updated) {
+      socket.broadcast.emit('batch:task_progress', {
+        taskId: batchTaskId,
+        deviceId,
+        status,
+        error: status === 'failed' ? message : null,
+        timestamp: new Date().toISOString()
+      })
+    }
+  }
+
+  socket.broadcast.emit('device:operation_recovered', {
+    deviceId,
+    ...recovery,
+    timestamp: new Date().toISOString()
+  })
+}
+
 /**
  * 查询设备当前版本信息
  */
@@ -563,49 +657,22 @@ async function queryDeviceVersions(deviceId) {
   try {
     console.log(`查询设备版本信息: ${deviceId}`)
 
-    // 查询前端版本
-    const frontendResult = await deviceManager.sendCommand(
-      deviceId,
-      'getCurrentVersion',
-      {
-        project: 'frontend'
-      },
-      10_000
-    ) // 10秒超时
-
-    // 查询后端版本
-    const backendResult = await deviceManager.sendCommand(
-      deviceId,
-      'getCurrentVersion',
-      {
-        project: 'backend'
-      },
-      10_000
-    )
-
-    // 处理查询结果
+    // 逐个查询已注册项目的版本
     const versionUpdates = {}
-
-    const frontendResponse = frontendResult?.data
-    if (frontendResult.success && frontendResponse?.success && frontendResponse.data) {
-      const frontendData = frontendResponse.data
-      versionUpdates.frontend = {
-        version: frontendData.version || null,
-        deployDate: frontendData.deployTime || frontendData.deployDate || null,
-        deployPath: frontendData.deployPath || null
-      }
-      console.log(`设备 ${deviceId} 前端版本:`, versionUpdates.frontend)
-    }
-
-    const backendResponse = backendResult?.data
-    if (backendResult.success && backendResponse?.success && backendResponse.data) {
-      const backendData = backendResponse.data
-      versionUpdates.backend = {
-        version: backendData.version || null,
-        deployDate: backendData.deployTime || backendData.deployDate || null,
-        deployPath: backendData.deployPath || null
+    for (const { name: project } of await getDeployableProjects()) {
+      // eslint-disable-next-line no-await-in-loop -- 顺序查询避免同时占用设备
+      const result = await deviceManager.sendCommand(deviceId, 'getCurrentVersion', { project }, 10_000) // 10秒超时
+
+      const response = result?.data
+      if (result.success && response?.success && response.data) {
+        const versionData = response.data
+        versionUpdates[project] = {
+          version: versionData.version || null,
+          deployDate: versionData.deployTime || versionData.deployDate || null,
+          deployPath: versionData.deployPath || null
+        }
+        console.log(`设备 ${deviceId} ${project} 版本:`, versionUpdates[project])
       }
-      console.log(`设备 ${deviceId} 后端版本:`, versionUpdates.backend)
     }
 
     // 更新设备版本信息到存储
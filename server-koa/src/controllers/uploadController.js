@@ -2,18 +2,20 @@
 import fs from 'fs-extra'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
-import { addPackageRecord } from '../models/packageConfig.js'
+import { addPackageRecord, computePackageIntegrity } from '../models/packageConfig.js'
+import { getProject } from '../models/projectRegistry.js'
+import { detectArchiveFormat, hasSupportedArchiveExtension } from '../utils/archive.js'
 import { calculateFileHash } from '../utils/crypto.js'
+import { MANIFEST_FILE_NAME, readPackageManifest } from '../utils/packageManifest.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 // 安全常量
 const SECURITY_CONSTANTS = {
-  allowedExtensions: ['.zip', '.tar', '.gz', '.tgz'],
   maxFileNameLength: 100, // 字符数量限制，不是字节限制
   forbiddenChars: /[<>:"/|?*\u0000-\u001f]/g, // 移除了反斜杠，保留中文字符
-  pathTraversalPattern: /\.\.|\//g
+  pathTraversalPattern: /\.\.|\// // 不用 g 标志，避免 test() 保留 lastIndex 影响下一次判断
 }
 
 /**
@@ -75,11 +77,12 @@ async function directUpload(ctx) {
     return
   }
 
-  if (!['frontend', 'backend'].includes(project)) {
+  const projectInfo = await getProject(project)
+  if (!projectInfo) {
     ctx.status = 400
     ctx.body = {
       success: false,
-      error: 'project 参数必须是 frontend 或 backend'
+      error: `未注册的项目: ${project}`
     }
     return
   }
@@ -113,13 +116,59 @@ async function directUpload(ctx) {
       })
     }
 
-    // 检查文件扩展名
-    const fileExt = path.extname(safeFileName).toLowerCase()
-    if (!SECURITY_CONSTANTS.allowedExtensions.includes(fileExt)) {
+    // 检查文件扩展名（项目可限制为支持格式的子集）
+    if (!hasSupportedArchiveExtension(safeFileName, projectInfo.allowedExtensions)) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        error: `不支持的文件类型，只支持: ${SECURITY_CONSTANTS.allowedExtensions.join(', ')}`
+        error: `不支持的文件类型，项目 ${project} 只支持: ${projectInfo.allowedExtensions.join(', ')}`
+      }
+      return
+    }
+
+    // 按文件内容校验格式，拒绝设备端无法安装的包（如改名的 rar/7z 或非 tar 的 gzip）
+    const archiveFormat = detectArchiveFormat(file.buffer)
+    if (!archiveFormat) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: '文件内容不是设备端支持的压缩包格式（zip、tar、tar.gz）'
+      }
+      return
+    }
+
+    // 包内可选的 upgrade-manifest.json：声明项目、版本与设备约束
+    let manifest
+    try {
+      manifest = await readPackageManifest(file.buffer, archiveFormat)
+    } catch (error) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: `升级包清单无效: ${error.message}`
+      }
+      return
+    }
+
+    if (manifest?.project && manifest.project !== project) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: `升级包清单声明的项目为 ${manifest.project}，与上传的项目 ${project} 不一致`
+      }
+      return
+    }
+
+    if (
+      manifest?.version &&
+      inputVersion &&
+      isValidVersion(inputVersion) &&
+      normalizeVersion(inputVersion) !== normalizeVersion(manifest.version)
+    ) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        error: `输入的版本号 ${inputVersion} 与 ${MANIFEST_FILE_NAME} 声明的 ${manifest.version} 不一致`
       }
       return
     }
@@ -174,11 +223,23 @@ async function directUpload(ctx) {
       }
 
       version = normalizeVersion(inputVersion)
+    } else if (manifest?.version) {
+      // 清单中的版本号比文件名更可靠
+      version = normalizeVersion(manifest.version)
     } else {
       const extracted = extractVersionFromFileName(file.originalname)
       version = extracted ? normalizeVersion(extracted) : 'unknown'
     }
 
+    // 从已写入的文件流式计算 SHA-256 并签名（设备端用固定的公钥校验），
+    // 以及解压后的总大小（设备端升级前据此检查部署分区的可用空间）
+    const { fileSHA256, signature, uncompressedSize } = await computePackageIntegrity(
+      project,
+      safeFileName,
+      targetPath,
+      file.size
+    )
+
     // 添加包记录到配置中
     await addPackageRecord({
       project,
@@ -187,6 +248,10 @@ async function directUpload(ctx) {
       filePath: path.relative(path.join(__dirname, '../..'), targetPath),
       fileSize: file.size,
       fileMD5,
+      fileSHA256,
+      signature,
+      uncompressedSize,
+      manifest,
       uploadedAt: new Date().toISOString()
     })
 
@@ -195,9 +260,12 @@ async function directUpload(ctx) {
       done: true,
       message: '文件上传完成',
       version,
+      manifest,
       fileMD5,
+      fileSHA256,
       fileName: safeFileName,
       fileSize: file.size,
+      uncompressedSize,
       packagePath: path.relative(path.join(__dirname, '../..'), targetPath)
     }
   } catch (error) {
@@ -251,4 +319,4 @@ function sanitizeFileName(fileName) {
   }
 }
 
-export { directUpload }
+export { directUpload, sanitizeFileName }
@@ -1,5 +1,6 @@
 // 中文注释：ESM 导入
 import multer from '@koa/multer'
+import { SUPPORTED_ARCHIVE_EXTENSIONS, hasSupportedArchiveExtension } from '../utils/archive.js'
 
 // 自定义存储引擎，用于处理直接上传
 const storage = multer.memoryStorage() // 使用内存存储，手动控制文件保存
@@ -21,13 +22,9 @@ const upload = multer({
         大小: file.size || '未知'
       })
 
-      // 验证文件类型
-      const allowedExtensions = ['.zip', '.tar.gz', '.rar', '.7z']
-      const fileName = file.originalname.toLowerCase()
-      const isValidType = allowedExtensions.some((ext) => fileName.endsWith(ext))
-
-      if (!isValidType) {
-        cb(new Error('不支持的文件格式，请上传 .zip, .tar.gz, .rar, .7z 文件'), false)
+      // 验证文件类型（仅允许设备端能够安装的格式）
+      if (!hasSupportedArchiveExtension(file.originalname)) {
+        cb(new Error(`不支持的文件格式，请上传 ${SUPPORTED_ARCHIVE_EXTENSIONS.join(', ')} 文件`), false)
         return
       }
 
@@ -3,6 +3,17 @@ import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import fs from 'fs-extra'
 import { ErrorLogger } from '../utils/common.js'
+import {
+  enqueueCommand,
+  getQueuedCommands,
+  purgeExpiredCommands,
+  removeQueuedCommand,
+  removeTaskCommands,
+  resolveQueueDeadline
+} from './commandQueue.js'
+import { findDeltaForUpgrade } from './deltaConfig.js'
+import { getDeviceById } from './deviceStorage.js'
+import { checkManifestCompatibility } from '../utils/packageManifest.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -24,10 +35,13 @@ export const TASK_STATUS = {
  */
 export const DEVICE_STATUS = {
   WAITING: 'waiting',     // 等待中
+  QUEUED: 'queued',       // 设备离线，命令已排队，设备上线后下发（超过截止时间未上线则失败）
   UPGRADING: 'upgrading', // 升级中
   SUCCESS: 'success',     // 成功
   FAILED: 'failed',       // 失败
-  TIMEOUT: 'timeout'      // 超时
+  TIMEOUT: 'timeout',     // 超时
+  ROLLED_BACK: 'rolled_back', // 已部署但健康检查未通过，已自动回滚（代理升级中为新版本未按时注册，已恢复旧版本）
+  CANCELLED: 'cancelled'  // 已取消（未开始时直接取消，执行中由设备在安全点中止，必要时已恢复部署前版本）
 }
 
 /**
@@ -35,7 +49,23 @@ export const DEVICE_STATUS = {
  */
 export const TASK_TYPE = {
   UPGRADE: 'upgrade',   // 升级任务
-  ROLLBACK: 'rollback'  // 回滚任务
+  ROLLBACK: 'rollback', // 回滚任务
+  AGENT_UPGRADE: 'agent_upgrade' // 设备端代理自升级任务
+}
+
+// 各类任务下发给设备的命令事件
+const TASK_COMMAND_EVENTS = {
+  [TASK_TYPE.UPGRADE]: 'cmd:upgrade',
+  [TASK_TYPE.ROLLBACK]: 'cmd:rollback',
+  [TASK_TYPE.AGENT_UPGRADE]: 'cmd:selfUpgrade'
+}
+
+/**
+ * 设备端部署模式枚举（未指定时由设备本地配置决定）
+ */
+export const DEPLOY_MODE = {
+  INPLACE: 'inplace', // 清空部署目录后原地解压
+  STAGED: 'staged'    // 解压到暂存目录，验证后整体切换
 }
 
 export default class BatchTaskManager {
@@ -46,10 +76,15 @@ export default class BatchTaskManager {
     this.config = {
       maxConcurrentTasks: 5,        // 最大并发任务数
       deviceTimeout: 300000,        // 设备操作超时时间（5分钟）
+      agentUpgradeTimeout: 600000,  // 代理自升级超时时间（10分钟，含安装依赖和等待新版本重新注册）
+      cancelCommandTimeout: 10000,  // 等待设备响应取消请求的时间
       batchSize: 10,                // 分批处理的设备数量
       retryAttempts: 3,             // 重试次数
-      taskRetentionDays: 30         // 任务保留天数
+      taskRetentionDays: 30,        // 任务保留天数
+      queueCheckInterval: 60000     // 检查排队截止时间的间隔（1分钟）
     }
+    this.queueMonitor = null
+    this.delivering = new Set() // 正在下发排队命令的设备
 
     console.log('🚀 批量任务管理器已启动')
   }
@@ -68,6 +103,12 @@ export default class BatchTaskManager {
       // 恢复未完成的任务
       await this.resumeUnfinishedTasks()
 
+      // 定期将超过截止时间仍未上线的排队设备标记为失败
+      this.queueMonitor = setInterval(() => {
+        this.expireQueuedDevices().catch(error => ErrorLogger.logError('检查排队命令截止时间', error))
+      }, this.config.queueCheckInterval)
+      this.queueMonitor.unref?.()
+
       console.log('📦 批量任务管理器初始化完成')
     } catch (error) {
       ErrorLogger.logError('批量任务管理器初始化', error)
@@ -85,6 +126,12 @@ export default class BatchTaskManager {
       project,
       deployPath = null,
       preservedPaths = [],
+      deployMode = null,
+      healthCheck = null,
+      dryRun = false,
+      preflightOnly = false,
+      seeds = [],
+      queueUntil = null,
       sessionId = null,
       creator = 'system',
       scope = deviceIds.length === 1 ? 'single' : 'batch' // 自动判断作用域
@@ -93,6 +140,18 @@ export default class BatchTaskManager {
     // 参数验证
     this.validateTaskOptions(options)
 
+    // 升级包清单声明了平台/架构/Agent 版本约束时，拒绝不满足的设备
+    const incompatibleDevices = this.findIncompatibleDevices(deviceIds, packageInfo.manifest)
+    if (incompatibleDevices.length > 0) {
+      const error = new Error(
+        `${incompatibleDevices.length} 个设备不满足升级包要求: ${incompatibleDevices
+          .map((item) => `${item.deviceId}（${item.problems.map((problem) => problem.message).join('；')}）`)
+          .join('，')}`
+      )
+      error.incompatibleDevices = incompatibleDevices
+      throw error
+    }
+
     const safeDeployPath = typeof deployPath === 'string' && deployPath.trim().length > 0 ? deployPath.trim() : null
     const safePreservedPaths = Array.isArray(preservedPaths)
       ? preservedPaths
@@ -113,15 +172,22 @@ export default class BatchTaskManager {
 
       // 任务配置
       config: {
-        project, // frontend 或 backend
+        project, // 已注册的项目名称
         packageInfo: {
           fileName: packageInfo.fileName,
           version: packageInfo.version,
           fileMD5: packageInfo.fileMD5,
-          packagePath: packageInfo.packagePath
+          packagePath: packageInfo.packagePath,
+          manifest: packageInfo.manifest || null
         },
         deployPath: safeDeployPath,
         preservedPaths: safePreservedPaths,
+        deployMode, // 部署模式，null 表示使用设备本地配置
+        healthCheck, // 部署后健康检查定义，null 表示使用升级包清单或设备本地配置
+        dryRun: dryRun === true, // 仅预览：设备报告部署影响，不改动部署目录
+        preflightOnly: preflightOnly === true, // 仅前置检查：设备检查磁盘空间、写权限与被占用的文件，不下载也不改动部署目录
+        seeds, // 各网段的种子设备 [{ deviceId, subnet }]，先于其他设备执行，同网段设备优先从其下载
+        queueUntil: resolveQueueDeadline(queueUntil), // 离线设备命令的排队截止时间，null 表示离线设备直接失败
         sessionId, // 会话ID用于进度追踪
         totalDevices: deviceIds.length,
         batchSize: this.config.batchSize,
@@ -142,10 +208,13 @@ export default class BatchTaskManager {
       stats: {
         total: deviceIds.length,
         waiting: deviceIds.length,
+        queued: 0,
         upgrading: 0,
         success: 0,
         failed: 0,
-        timeout: 0
+        timeout: 0,
+        rolled_back: 0,
+        cancelled: 0
       },
 
       // 执行日志
@@ -153,12 +222,13 @@ export default class BatchTaskManager {
         {
           timestamp: new Date().toISOString(),
           level: 'info',
-          message: `创建${scope === 'single' ? '单设备' : '批量'}升级任务，目标设备: ${deviceIds.length} 个，包: ${packageInfo.fileName}`,
+          message: `创建${scope === 'single' ? '单设备' : '批量'}升级${dryRun ? '预览' : preflightOnly ? '前置检查' : ''}任务，目标设备: ${deviceIds.length} 个，包: ${packageInfo.fileName}`,
           details: {
             deviceIds,
             packageInfo,
             deployPath: safeDeployPath,
-            preservedPaths: safePreservedPaths
+            preservedPaths: safePreservedPaths,
+            ...(seeds.length > 0 && { seeds })
           }
         }
       ]
@@ -182,6 +252,8 @@ export default class BatchTaskManager {
       project,
       preservedPaths = [], // 添加白名单配置参数
       devicePreservedPaths = {},
+      backupId = null, // 指定回滚的备份 ID（仅单设备），为空时回滚到最新备份
+      queueUntil = null,
       sessionId = null,
       creator = 'system',
       scope = deviceIds.length === 1 ? 'single' : 'batch' // 自动判断作用域
@@ -235,9 +307,11 @@ export default class BatchTaskManager {
 
       // 任务配置
       config: {
-        project, // frontend 或 backend
+        project, // 已注册的项目名称
         preservedPaths: sanitizedDefaultPreservedPaths, // 默认白名单保护路径
         devicePreservedPaths: sanitizedDevicePreservedPaths,
+        backupId,
+        queueUntil: resolveQueueDeadline(queueUntil), // 离线设备命令的排队截止时间，null 表示离线设备直接失败
         sessionId, // 会话ID用于进度追踪
         totalDevices: deviceIds.length,
         batchSize: this.config.batchSize,
@@ -259,10 +333,13 @@ export default class BatchTaskManager {
       stats: {
         total: deviceIds.length,
         waiting: deviceIds.length,
+        queued: 0,
         upgrading: 0,
         success: 0,
         failed: 0,
-        timeout: 0
+        timeout: 0,
+        rolled_back: 0,
+        cancelled: 0
       },
 
       // 执行日志
@@ -270,8 +347,8 @@ export default class BatchTaskManager {
         {
           timestamp: new Date().toISOString(),
           level: 'info',
-          message: `创建${scope === 'single' ? '单设备' : '批量'}回滚任务，目标设备: ${deviceIds.length} 个，目标版本: 上一版本`,
-          details: { deviceIds }
+          message: `创建${scope === 'single' ? '单设备' : '批量'}回滚任务，目标设备: ${deviceIds.length} 个，目标版本: ${backupId ? `备份 ${backupId}` : '上一版本'}`,
+          details: { deviceIds, backupId }
         }
       ]
     }
@@ -285,6 +362,91 @@ export default class BatchTaskManager {
     return taskId
   }
 
+  /**
+   * 创建代理自升级任务（支持单设备和批量）
+   * 设备下载升级包并交给看门狗切换后断开，新版本重新注册后才上报最终结果
+   */
+  async createAgentUpgradeTask(options) {
+    const {
+      deviceIds,
+      packageInfo,
+      project,
+      sessionId = null,
+      creator = 'system',
+      scope = deviceIds.length === 1 ? 'single' : 'batch' // 自动判断作用域
+    } = options
+
+    this.validateTaskOptions(options)
+
+    const taskId = this.generateTaskId()
+    const task = {
+      id: taskId,
+      type: TASK_TYPE.AGENT_UPGRADE,
+      scope, // 'single' 或 'batch'
+      deviceCount: deviceIds.length, // 设备数量，便于前端显示
+      status: TASK_STATUS.PENDING,
+      creator,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+
+      // 任务配置
+      config: {
+        project, // 代理自升级项目
+        packageInfo: {
+          fileName: packageInfo.fileName,
+          version: packageInfo.version,
+          fileMD5: packageInfo.fileMD5,
+          packagePath: packageInfo.packagePath
+        },
+        sessionId, // 会话ID用于进度追踪
+        totalDevices: deviceIds.length,
+        batchSize: this.config.batchSize,
+        timeout: this.config.agentUpgradeTimeout
+      },
+
+      // 设备状态
+      devices: deviceIds.map(deviceId => ({
+        deviceId,
+        status: DEVICE_STATUS.WAITING,
+        startTime: null,
+        endTime: null,
+        error: null,
+        retryCount: 0
+      })),
+
+      // 统计信息
+      stats: {
+        total: deviceIds.length,
+        waiting: deviceIds.length,
+        queued: 0,
+        upgrading: 0,
+        success: 0,
+        failed: 0,
+        timeout: 0,
+        rolled_back: 0,
+        cancelled: 0
+      },
+
+      // 执行日志
+      logs: [
+        {
+          timestamp: new Date().toISOString(),
+          level: 'info',
+          message: `创建${scope === 'single' ? '单设备' : '批量'}代理升级任务，目标设备: ${deviceIds.length} 个，包: ${packageInfo.fileName}`,
+          details: { deviceIds, packageInfo }
+        }
+      ]
+    }
+
+    // 保存任务
+    this.tasks.set(taskId, task)
+    await this.saveTasks()
+
+    console.log(`📋 创建${scope === 'single' ? '单设备' : '批量'}代理升级任务: ${taskId}，设备数量: ${deviceIds.length}`)
+
+    return taskId
+  }
+
   /**
    * 执行批量任务
    */
@@ -306,8 +468,17 @@ export default class BatchTaskManager {
 
       this.addTaskLog(task, 'info', '开始执行批量任务')
 
+      // 种子设备先下载升级包，同网段的其他设备随后优先从种子设备下载，减少对服务端带宽的占用
+      const seedIds = new Set((task.config.seeds || []).map((seed) => seed.deviceId))
+      if (seedIds.size > 0) {
+        this.addTaskLog(task, 'info', `先由 ${seedIds.size} 台种子设备下载升级包`, { seeds: task.config.seeds })
+      }
+
       // 分批处理设备
-      const deviceBatches = this.createDeviceBatches(task.devices, task.config.batchSize)
+      const deviceBatches = [
+        ...this.createDeviceBatches(task.devices.filter(d => seedIds.has(d.deviceId)), task.config.batchSize),
+        ...this.createDeviceBatches(task.devices.filter(d => !seedIds.has(d.deviceId)), task.config.batchSize)
+      ]
 
       for (const batch of deviceBatches) {
         if (task.status === TASK_STATUS.CANCELLED) {
@@ -322,11 +493,12 @@ export default class BatchTaskManager {
         await this.delay(1000)
       }
 
-      // 任务完成，更新最终状态
-      this.finalizeTask(task)
-      await this.saveTasks()
-
-      console.log(`✅ 批量任务完成: ${taskId}，成功: ${task.stats.success}，失败: ${task.stats.failed}`)
+      // 任务完成，更新最终状态（仍有离线设备排队时继续等待）
+      if (await this.finishExecution(task)) {
+        console.log(`✅ 批量任务完成: ${taskId}，成功: ${task.stats.success}，失败: ${task.stats.failed}`)
+      } else {
+        console.log(`⏳ 批量任务等待离线设备上线: ${taskId}，排队: ${task.stats.queued}`)
+      }
 
     } catch (error) {
       task.status = TASK_STATUS.FAILED
@@ -359,9 +531,19 @@ export default class BatchTaskManager {
    * 处理单个设备
    */
   async processDevice(task, device) {
+    // 下发前已被单独取消的设备
+    if (device.status === DEVICE_STATUS.CANCELLED) {
+      return
+    }
+
     try {
-      // 检查设备是否在线
+      // 检查设备是否在线，任务指定了排队截止时间时命令进入离线队列，设备上线后下发
       if (!this.deviceManager.isDeviceOnline(device.deviceId)) {
+        if (task.config.queueUntil && new Date(task.config.queueUntil).getTime() > Date.now()) {
+          await this.queueDeviceCommand(task, device)
+          return
+        }
+
         device.status = DEVICE_STATUS.FAILED
         device.error = '设备离线'
         device.endTime = new Date().toISOString()
@@ -400,7 +582,30 @@ export default class BatchTaskManager {
    * 发送任务命令到设备
    */
   async sendTaskCommand(task, device) {
-    const command = task.type === TASK_TYPE.UPGRADE ? 'cmd:upgrade' : 'cmd:rollback'
+    const { event, data } = await this.buildTaskCommand(task, device)
+    const label = { [TASK_TYPE.UPGRADE]: '升级', [TASK_TYPE.ROLLBACK]: '回滚', [TASK_TYPE.AGENT_UPGRADE]: '代理升级' }[task.type]
+
+    console.log(`🚀 发送${label}命令到设备 ${device.deviceId}:`, JSON.stringify(data, null, 2))
+    return this.messageRouter.sendToDevice(device.deviceId, event, data)
+  }
+
+  /**
+   * 为设备生成任务命令
+   * @returns {Promise<{event: string, data: Object}>}
+   */
+  async buildTaskCommand(task, device) {
+    if (task.type === TASK_TYPE.AGENT_UPGRADE) {
+      const commandData = {
+        project: task.config.project,
+        fileName: task.config.packageInfo.fileName,
+        version: task.config.packageInfo.version,
+        fileMD5: task.config.packageInfo.fileMD5,
+        batchTaskId: task.id,
+        sessionId: task.config.sessionId
+      }
+
+      return { event: TASK_COMMAND_EVENTS[task.type], data: commandData }
+    }
 
     let commandData
     if (task.type === TASK_TYPE.UPGRADE) {
@@ -415,6 +620,7 @@ export default class BatchTaskManager {
       console.log(`  - 会话ID: ${task.config.sessionId || 'N/A'}`)
       console.log(`  - 白名单路径: ${JSON.stringify(preserved)}`)
       console.log(`  - 部署路径: ${deployPath || '默认'}`)
+      console.log(`  - 部署模式: ${task.config.deployMode || '设备默认'}`)
 
       commandData = {
         project: task.config.project,
@@ -429,6 +635,32 @@ export default class BatchTaskManager {
       if (deployPath) {
         commandData.deployPath = deployPath
       }
+      if (task.config.deployMode) {
+        commandData.deployMode = task.config.deployMode
+      }
+      if (task.config.healthCheck) {
+        commandData.healthCheck = task.config.healthCheck
+      }
+      // 预览始终分析完整包，不下发增量包
+      if (task.config.dryRun) {
+        commandData.dryRun = true
+      }
+      // 前置检查按完整包估算空间需求，不下载
+      if (task.config.preflightOnly) {
+        commandData.preflightOnly = true
+      }
+      const delta = task.config.dryRun || task.config.preflightOnly
+        ? null
+        : await this.findUpgradeDelta(task.config.project, task.config.packageInfo.fileName, device.deviceId)
+      if (delta) {
+        commandData.delta = delta
+        console.log(`📦 设备当前版本 ${delta.baseVersion} 可使用增量包: ${delta.fileName}`)
+      }
+      const peers = this.getSeedPeers(task, device)
+      if (peers.length > 0) {
+        commandData.peers = peers
+        console.log(`📡 优先从同网段种子设备下载: ${peers.map(peer => peer.deviceId).join(', ')}`)
+      }
       if (preserved.length > 0) {
         commandData.preservedPaths = preserved
         console.log(`✅ 升级命令已添加白名单: ${preserved.join(', ')}`)
@@ -457,6 +689,10 @@ export default class BatchTaskManager {
         sessionId: task.config.sessionId // 添加会话ID以支持进度追踪
       }
 
+      if (task.config.backupId) {
+        commandData.backupId = task.config.backupId
+      }
+
       // 添加白名单保护路径
       if (preserved.length > 0) {
         commandData.preservedPaths = preserved
@@ -466,8 +702,216 @@ export default class BatchTaskManager {
       }
     }
 
-    console.log(`🚀 发送${task.type === TASK_TYPE.UPGRADE ? '升级' : '回滚'}命令到设备 ${device.deviceId}:`, JSON.stringify(commandData, null, 2))
-    return this.messageRouter.sendToDevice(device.deviceId, command, commandData)
+    return { event: TASK_COMMAND_EVENTS[task.type], data: commandData }
+  }
+
+  /**
+   * 为离线设备排队任务命令，设备重新注册后由 deliverQueuedCommands 下发
+   * 队列中只记录任务与设备，命令内容在下发时生成：增量包按设备届时的版本选择，种子设备按届时的在线情况选择
+   */
+  async queueDeviceCommand(task, device) {
+    await enqueueCommand(device.deviceId, TASK_COMMAND_EVENTS[task.type], null, {
+      expiresAt: task.config.queueUntil,
+      taskId: task.id
+    })
+
+    device.status = DEVICE_STATUS.QUEUED
+    device.queuedAt = new Date().toISOString()
+    device.error = null
+    this.addTaskLog(task, 'info', `设备 ${device.deviceId} 离线，命令已排队，截止 ${task.config.queueUntil}`)
+  }
+
+  /**
+   * 设备重新注册后按入队顺序下发排队的命令
+   * 批量任务的命令下发后等待设备执行结束再下发下一条，设备同一时间只执行一个升级/回滚
+   */
+  async deliverQueuedCommands(deviceId) {
+    if (this.delivering.has(deviceId)) return
+    this.delivering.add(deviceId)
+
+    try {
+      let delivered = 0
+      for (;;) {
+        // 设备再次离线时剩余命令继续排队
+        if (!this.deviceManager.isDeviceOnline(deviceId)) break
+
+        // eslint-disable-next-line no-await-in-loop -- 每次下发后重新读取队列，执行期间可能有新命令入队或被取消
+        const [command] = await getQueuedCommands(deviceId)
+        if (!command) break
+
+        // eslint-disable-next-line no-await-in-loop -- 按顺序逐条下发
+        if (!(await this.deliverQueuedCommand(command))) break
+        delivered++
+      }
+
+      if (delivered > 0) {
+        console.log(`📬 已向设备 ${deviceId} 下发 ${delivered} 条排队命令`)
+      }
+    } catch (error) {
+      ErrorLogger.logError('下发排队命令失败', error, { deviceId })
+    } finally {
+      this.delivering.delete(deviceId)
+    }
+  }
+
+  /**
+   * 下发单条排队命令并等待设备确认收到，属于批量任务时再等待设备执行结束
+   * @returns {Promise<boolean>} 是否已处理（false 表示发送失败或设备未确认，命令保留在队列中；设备拒绝的命令移出队列）
+   */
+  async deliverQueuedCommand(command) {
+    const task = command.taskId ? this.tasks.get(command.taskId) : null
+    const device = task?.devices.find(d => d.deviceId === command.deviceId)
+
+    // 任务已删除或设备已不在排队（被取消、超过截止时间）时丢弃
+    if (command.taskId && device?.status !== DEVICE_STATUS.QUEUED) {
+      await removeQueuedCommand(command.id)
+      return true
+    }
+
+    // 批量任务的命令按下发时的设备版本与种子设备生成，其他命令按入队时的内容下发
+    const { event, data } = device ? await this.buildTaskCommand(task, device) : command
+
+    // 确认收到后才移出队列并下发下一条，连接在发送途中断开时命令不会丢失
+    const ack = await this.messageRouter.sendToDeviceWithAck(command.deviceId, event, data)
+    if (!ack) return false
+    await removeQueuedCommand(command.id)
+
+    // 设备明确拒绝（不支持的命令）时不再重发，批量任务中的设备记为失败
+    if (!ack.received) {
+      console.warn(`设备 ${command.deviceId} 拒绝了排队命令 ${event}: ${ack.error}`)
+      if (!device) return true
+
+      device.status = DEVICE_STATUS.FAILED
+      device.error = ack.error
+      device.endTime = new Date().toISOString()
+      this.addTaskLog(task, 'error', `设备 ${device.deviceId} 拒绝了排队的命令: ${ack.error}`)
+      await this.completeIfSettled(task)
+      return true
+    }
+    console.log(`📬 已下发排队命令 ${event} 到设备 ${command.deviceId}（入队于 ${command.createdAt}）`)
+
+    if (!device) return true
+
+    device.status = DEVICE_STATUS.UPGRADING
+    device.startTime = new Date().toISOString()
+    this.addTaskLog(task, 'info', `设备 ${device.deviceId} 已上线，下发排队的命令`)
+    this.updateTaskStats(task)
+    await this.saveTasks()
+
+    await this.waitForDeviceCompletion(task, device)
+    await this.completeIfSettled(task)
+    return true
+  }
+
+  /**
+   * 超过截止时间仍未上线的排队设备标记为失败，并清除过期的排队命令
+   */
+  async expireQueuedDevices() {
+    const now = Date.now()
+    for (const task of this.tasks.values()) {
+      if (task.status !== TASK_STATUS.RUNNING || !task.config.queueUntil) continue
+      if (new Date(task.config.queueUntil).getTime() > now) continue
+
+      const expired = task.devices.filter(d => d.status === DEVICE_STATUS.QUEUED)
+      if (expired.length === 0) continue
+
+      for (const device of expired) {
+        device.status = DEVICE_STATUS.FAILED
+        device.error = '设备未在排队截止时间前上线'
+        device.endTime = new Date().toISOString()
+      }
+      this.addTaskLog(task, 'warning', `${expired.length} 台设备未在排队截止时间前上线`, {
+        deviceIds: expired.map(d => d.deviceId)
+      })
+      // eslint-disable-next-line no-await-in-loop -- 逐个任务结束并保存
+      await this.completeIfSettled(task)
+    }
+
+    const purged = await purgeExpiredCommands()
+    if (purged.length > 0) {
+      console.log(`🗑️ 清除过期的排队命令: ${purged.length} 条`)
+    }
+  }
+
+  /**
+   * 查找可下发给设备的增量包：基础版本须与设备记录的当前部署版本一致
+   * 设备应用增量包失败时会自行改用完整包，这里查找失败也只是不下发增量包
+   */
+  async findUpgradeDelta(project, targetFileName, deviceId) {
+    try {
+      const stored = await getDeviceById(deviceId)
+      const currentVersion = stored?.deploy?.[project]?.version
+      const delta = await findDeltaForUpgrade(project, targetFileName, currentVersion)
+      if (!delta) return null
+
+      return {
+        fileName: delta.fileName,
+        fileMD5: delta.fileMD5,
+        fileSize: delta.fileSize,
+        baseVersion: delta.baseVersion
+      }
+    } catch (error) {
+      ErrorLogger.logWarning('查找增量包', error.message, { project, targetFileName, deviceId })
+      return null
+    }
+  }
+
+  /**
+   * 确定各网段的种子设备：先使用指定的设备，开启自动选择时为其余网段各取第一台开启局域网分发的设备
+   * 自动选择跳过只有一台目标设备的网段
+   * @returns {Array<{deviceId: string, subnet: string}>}
+   */
+  resolveSeedDevices(deviceIds, seedDeviceIds = [], autoSeed = false) {
+    const peerOf = (deviceId) => this.deviceManager.getDevice(deviceId)?.info.peer
+    const seeds = new Map() // 网段 -> 种子设备ID
+
+    for (const deviceId of seedDeviceIds) {
+      if (!deviceIds.includes(deviceId)) {
+        throw new Error(`种子设备不在在线的目标设备中: ${deviceId}`)
+      }
+      const peer = peerOf(deviceId)
+      if (!peer?.url) {
+        throw new Error(`种子设备未开启局域网分发: ${deviceId}`)
+      }
+      if (seeds.has(peer.subnet)) {
+        throw new Error(`种子设备 ${deviceId} 与 ${seeds.get(peer.subnet)} 位于同一网段 ${peer.subnet}，每个网段只能指定一台`)
+      }
+      seeds.set(peer.subnet, deviceId)
+    }
+
+    if (autoSeed) {
+      const subnetCounts = new Map()
+      for (const deviceId of deviceIds) {
+        const subnet = peerOf(deviceId)?.subnet
+        if (subnet) subnetCounts.set(subnet, (subnetCounts.get(subnet) || 0) + 1)
+      }
+      for (const deviceId of deviceIds) {
+        const peer = peerOf(deviceId)
+        if (peer?.url && !seeds.has(peer.subnet) && subnetCounts.get(peer.subnet) > 1) {
+          seeds.set(peer.subnet, deviceId)
+        }
+      }
+    }
+
+    return Array.from(seeds, ([subnet, deviceId]) => ({ deviceId, subnet }))
+  }
+
+  /**
+   * 与设备同网段、已完成下载的种子设备，作为设备优先尝试的下载来源
+   * 种子设备部署后被回滚时升级包仍在其缓存中
+   */
+  getSeedPeers(task, device) {
+    const subnet = this.deviceManager.getDevice(device.deviceId)?.info.peer?.subnet
+    if (!subnet || !task.config.seeds?.length) return []
+
+    return task.config.seeds
+      .filter(seed => seed.deviceId !== device.deviceId && seed.subnet === subnet)
+      .filter(seed => {
+        const status = task.devices.find(d => d.deviceId === seed.deviceId)?.status
+        return status === DEVICE_STATUS.SUCCESS || status === DEVICE_STATUS.ROLLED_BACK
+      })
+      .map(seed => ({ deviceId: seed.deviceId, url: this.deviceManager.getDevice(seed.deviceId)?.info.peer?.url }))
+      .filter(peer => peer.url)
   }
 
   /**
@@ -486,7 +930,9 @@ export default class BatchTaskManager {
       const checkInterval = setInterval(() => {
         if (device.status === DEVICE_STATUS.SUCCESS ||
             device.status === DEVICE_STATUS.FAILED ||
-            device.status === DEVICE_STATUS.TIMEOUT) {
+            device.status === DEVICE_STATUS.TIMEOUT ||
+            device.status === DEVICE_STATUS.ROLLED_BACK ||
+            device.status === DEVICE_STATUS.CANCELLED) {
           clearTimeout(timeout)
           clearInterval(checkInterval)
           resolve()
@@ -497,8 +943,9 @@ export default class BatchTaskManager {
 
   /**
    * 更新设备任务状态（由外部调用）
+   * @param {Object|null} result - 设备上报的附加结果，预览任务中为 { preview }，前置检查时为 { preflight }，重启恢复时为 { recovery }
    */
-  updateDeviceStatus(taskId, deviceId, status, error = null) {
+  updateDeviceStatus(taskId, deviceId, status, error = null, result = null) {
     const task = this.tasks.get(taskId)
     if (!task) return false
 
@@ -510,6 +957,22 @@ export default class BatchTaskManager {
     if (error) {
       device.error = error
     }
+    if (result?.preview) {
+      device.preview = result.preview
+    }
+    if (result?.preflight) {
+      device.preflight = result.preflight // 前置检查结果（仅前置检查任务，或升级因前置检查未通过而中止）
+    }
+    if (result?.recovery) {
+      device.recovery = result.recovery // 设备重启后恢复中断操作得到的最终结果
+    }
+    if (task.type === TASK_TYPE.AGENT_UPGRADE && result?.toVersion) {
+      device.agentUpgrade = {
+        fromVersion: result.fromVersion || null,
+        toVersion: result.toVersion,
+        skipped: result.skipped === true
+      }
+    }
 
     this.updateTaskStats(task)
     this.saveTasks() // 异步保存
@@ -577,6 +1040,25 @@ export default class BatchTaskManager {
     task.endTime = new Date().toISOString()
     task.updatedAt = new Date().toISOString()
 
+    // 未开始的设备不再下发，排队的命令一并清除，执行中的设备请求在安全点中止
+    task.devices
+      .filter(device => device.status === DEVICE_STATUS.WAITING || device.status === DEVICE_STATUS.QUEUED)
+      .forEach(device => this.markDeviceCancelled(device, '任务已取消'))
+    await removeTaskCommands(task.id)
+
+    const runningDevices = task.devices.filter(device => device.status === DEVICE_STATUS.UPGRADING)
+    const results = await Promise.allSettled(
+      runningDevices.map(device => this.cancelDevice(taskId, device.deviceId, '任务已取消'))
+    )
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        this.addTaskLog(task, 'warning', `设备 ${runningDevices[index].deviceId} 取消失败，操作将继续完成`, {
+          error: result.reason.message
+        })
+      }
+    })
+
+    this.updateTaskStats(task)
     this.addTaskLog(task, 'info', '任务已被取消')
     await this.saveTasks()
 
@@ -584,6 +1066,83 @@ export default class BatchTaskManager {
     return true
   }
 
+  /**
+   * 取消任务中单个设备的操作
+   * 未开始的设备直接标记为已取消；执行中的设备下发 cmd:cancel，设备中止后通过 batch:device_status 上报 cancelled
+   * @returns {Promise<{deviceId: string, status: string, requested: boolean}>} requested 表示已向设备发出取消请求
+   */
+  async cancelDevice(taskId, deviceId, reason = '管理员取消') {
+    const task = this.tasks.get(taskId)
+    if (!task) {
+      throw new Error(`任务不存在: ${taskId}`)
+    }
+
+    const device = task.devices.find(d => d.deviceId === deviceId)
+    if (!device) {
+      throw new Error(`设备不在任务中: ${deviceId}`)
+    }
+
+    if (device.status === DEVICE_STATUS.WAITING) {
+      this.markDeviceCancelled(device, reason)
+      this.updateTaskStats(task)
+      this.addTaskLog(task, 'info', `设备 ${deviceId} 已取消（未开始）`)
+      await this.saveTasks()
+      return { deviceId, status: device.status, requested: false }
+    }
+
+    if (device.status === DEVICE_STATUS.QUEUED) {
+      this.markDeviceCancelled(device, reason)
+      await removeTaskCommands(task.id, deviceId)
+      this.addTaskLog(task, 'info', `设备 ${deviceId} 已取消（排队中）`)
+      await this.completeIfSettled(task)
+      return { deviceId, status: device.status, requested: false }
+    }
+
+    if (device.status !== DEVICE_STATUS.UPGRADING) {
+      throw new Error(`设备操作已结束，无法取消: ${device.status}`)
+    }
+
+    // 代理自升级切换前在设备端没有可取消的阶段，设备会拒绝请求
+    const response = await this.deviceManager.sendCommand(
+      deviceId,
+      'cmd:cancel',
+      { batchTaskId: task.id, reason },
+      this.config.cancelCommandTimeout
+    )
+    if (!response.success) {
+      throw new Error(`取消请求发送失败: ${response.error}`)
+    }
+    if (!response.data?.success) {
+      throw new Error(`设备无法取消: ${response.data?.message || '未知原因'}`)
+    }
+
+    this.addTaskLog(task, 'info', `已请求取消设备 ${deviceId} 的操作`, { reason })
+    await this.saveTasks()
+    return { deviceId, status: device.status, requested: true }
+  }
+
+  /**
+   * 标记设备为已取消（设备尚未开始执行）
+   */
+  markDeviceCancelled(device, reason) {
+    device.status = DEVICE_STATUS.CANCELLED
+    device.error = reason
+    device.endTime = new Date().toISOString()
+  }
+
+  /**
+   * 查找设备正在执行的任务（设备同一时间只执行一个升级/回滚）
+   */
+  findActiveDeviceTask(deviceId) {
+    for (const task of this.tasks.values()) {
+      if (task.status !== TASK_STATUS.RUNNING) continue
+      if (task.devices.some(d => d.deviceId === deviceId && d.status === DEVICE_STATUS.UPGRADING)) {
+        return task
+      }
+    }
+    return null
+  }
+
   /**
    * 重试失败的设备
    */
@@ -594,7 +1153,9 @@ export default class BatchTaskManager {
     }
 
     const failedDevices = task.devices.filter(d =>
-      d.status === DEVICE_STATUS.FAILED || d.status === DEVICE_STATUS.TIMEOUT
+      d.status === DEVICE_STATUS.FAILED ||
+      d.status === DEVICE_STATUS.TIMEOUT ||
+      d.status === DEVICE_STATUS.ROLLED_BACK
     )
 
     if (failedDevices.length === 0) {
@@ -637,9 +1198,8 @@ export default class BatchTaskManager {
       await this.delay(1000)
     }
 
-    // 完成重试
-    this.finalizeTask(task)
-    await this.saveTasks()
+    // 完成重试（重试的设备仍离线时重新排队）
+    await this.finishExecution(task)
 
     console.log(`🔄 任务重试完成: ${taskId}，重试设备: ${retriableDevices.length} 个`)
     return true
@@ -658,7 +1218,7 @@ export default class BatchTaskManager {
    * 验证任务选项
    */
   validateTaskOptions(options) {
-    const { deviceIds, packageInfo, project, deployPath, preservedPaths } = options
+    const { deviceIds, packageInfo, project, deployPath, preservedPaths, deployMode, healthCheck } = options
 
     if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
       throw new Error('设备ID列表不能为空')
@@ -668,8 +1228,9 @@ export default class BatchTaskManager {
       throw new Error('包信息不完整')
     }
 
-    if (!project || !['frontend', 'backend'].includes(project)) {
-      throw new Error('项目类型必须是 frontend 或 backend')
+    // 项目是否已注册由调用方（控制器）校验
+    if (!project || typeof project !== 'string') {
+      throw new Error('项目名称不能为空')
     }
 
     if (deployPath != null && typeof deployPath !== 'string') {
@@ -679,20 +1240,51 @@ export default class BatchTaskManager {
     if (preservedPaths != null && !Array.isArray(preservedPaths)) {
       throw new Error('保护文件列表必须是数组')
     }
+
+    if (deployMode != null && !Object.values(DEPLOY_MODE).includes(deployMode)) {
+      throw new Error('部署模式必须是 inplace 或 staged')
+    }
+
+    if (healthCheck != null && typeof healthCheck !== 'object') {
+      throw new Error('健康检查定义必须是对象或数组')
+    }
+  }
+
+  /**
+   * 找出不满足升级包清单约束的设备（以设备注册时上报的信息为准）
+   * @param {string[]} deviceIds - 目标设备
+   * @param {Object|null} manifest - 包记录中的清单
+   * @returns {Array<{deviceId: string, problems: Array}>}
+   */
+  findIncompatibleDevices(deviceIds, manifest) {
+    if (!manifest) return []
+
+    return deviceIds
+      .map((deviceId) => ({
+        deviceId,
+        problems: checkManifestCompatibility(manifest, this.deviceManager.getDevice(deviceId)?.info)
+      }))
+      .filter((item) => item.problems.length > 0)
   }
 
   /**
    * 验证回滚选项
    */
   validateRollbackOptions(options) {
-    const { deviceIds, project } = options
+    const { deviceIds, project, backupId } = options
 
     if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
       throw new Error('设备ID列表不能为空')
     }
 
-    if (!project || !['frontend', 'backend'].includes(project)) {
-      throw new Error('项目类型必须是 frontend 或 backend')
+    // 项目是否已注册由调用方（控制器）校验
+    if (!project || typeof project !== 'string') {
+      throw new Error('项目名称不能为空')
+    }
+
+    // 备份 ID 由各设备本地生成，只能用于单设备回滚
+    if (backupId && (typeof backupId !== 'string' || deviceIds.length !== 1)) {
+      throw new Error('指定备份回滚只支持单个设备')
     }
   }
 
@@ -714,10 +1306,13 @@ export default class BatchTaskManager {
     const stats = {
       total: task.devices.length,
       waiting: 0,
+      queued: 0,
       upgrading: 0,
       success: 0,
       failed: 0,
-      timeout: 0
+      timeout: 0,
+      rolled_back: 0,
+      cancelled: 0
     }
 
     task.devices.forEach(device => {
@@ -732,10 +1327,15 @@ export default class BatchTaskManager {
    * 完成任务
    */
   finalizeTask(task) {
-    const hasFailures = task.stats.failed > 0 || task.stats.timeout > 0
+    const rolledBack = task.stats.rolled_back || 0
+    const cancelled = task.stats.cancelled || 0
+    const hasFailures = task.stats.failed > 0 || task.stats.timeout > 0 || rolledBack > 0
     const hasSuccess = task.stats.success > 0
 
-    if (hasFailures && !hasSuccess) {
+    if (task.status === TASK_STATUS.CANCELLED || (cancelled === task.stats.total && cancelled > 0)) {
+      // 整个任务被取消或所有设备都已取消
+      task.status = TASK_STATUS.CANCELLED
+    } else if (hasFailures && !hasSuccess) {
       task.status = TASK_STATUS.FAILED
     } else if (hasFailures && hasSuccess) {
       task.status = TASK_STATUS.COMPLETED // 部分成功也算完成
@@ -747,10 +1347,56 @@ export default class BatchTaskManager {
     task.updatedAt = new Date().toISOString()
 
     this.addTaskLog(task, 'info',
-      `任务完成，成功: ${task.stats.success}，失败: ${task.stats.failed + task.stats.timeout}`
+      `任务完成，成功: ${task.stats.success}，失败: ${task.stats.failed + task.stats.timeout}` +
+        (rolledBack > 0
+          ? `，${task.type === TASK_TYPE.AGENT_UPGRADE ? '新版本未注册已恢复' : '健康检查未通过已回滚'}: ${rolledBack}`
+          : '') +
+        (cancelled > 0 ? `，已取消: ${cancelled}` : '')
     )
   }
 
+  /**
+   * 处理完所有批次后结束任务；仍有离线设备排队（或已上线正在执行排队的命令）时任务保持执行中
+   * @returns {Promise<boolean>} 任务是否已结束
+   */
+  async finishExecution(task) {
+    const pending = task.devices.filter(d =>
+      d.status === DEVICE_STATUS.QUEUED || d.status === DEVICE_STATUS.UPGRADING
+    ).length
+
+    if (pending > 0 && task.status === TASK_STATUS.RUNNING) {
+      this.addTaskLog(task, 'info', `等待 ${pending} 台离线设备上线后执行，截止 ${task.config.queueUntil}`)
+      await this.saveTasks()
+      return false
+    }
+
+    // 最后一台排队设备可能已在批次间隔中执行完毕并结束了任务
+    if (task.status !== TASK_STATUS.COMPLETED && task.status !== TASK_STATUS.FAILED) {
+      this.finalizeTask(task)
+    }
+    await this.saveTasks()
+    return true
+  }
+
+  /**
+   * 排队设备执行完毕、超过截止时间或被取消后，没有未结束的设备时完成任务
+   */
+  async completeIfSettled(task) {
+    this.updateTaskStats(task)
+
+    const unsettled = task.devices.some(d =>
+      d.status === DEVICE_STATUS.WAITING ||
+      d.status === DEVICE_STATUS.QUEUED ||
+      d.status === DEVICE_STATUS.UPGRADING
+    )
+    if (task.status === TASK_STATUS.RUNNING && !unsettled) {
+      this.finalizeTask(task)
+      console.log(`✅ 批量任务完成: ${task.id}，成功: ${task.stats.success}，失败: ${task.stats.failed}`)
+    }
+
+    await this.saveTasks()
+  }
+
   /**
    * 添加任务日志
    */
@@ -790,11 +1436,85 @@ export default class BatchTaskManager {
     if (includeDetails) {
       response.devices = task.devices
       response.logs = task.logs.slice(-100) // 返回最新100条日志
+      if (task.config?.dryRun) {
+        response.previewSummary = this.summarizePreviews(task)
+      }
+      if (task.config?.preflightOnly) {
+        response.preflightSummary = this.summarizePreflights(task)
+      }
     }
 
     return response
   }
 
+  /**
+   * 汇总预览任务中各设备的部署影响报告
+   */
+  summarizePreviews(task) {
+    const summary = {
+      reported: 0,
+      files: {
+        added: 0,
+        overwritten: 0,
+        deleted: 0,
+        protected: 0
+      },
+      maxRequiredBytes: 0,
+      insufficientDisk: [], // 磁盘空间不足的设备ID
+      blocked: [] // 存在阻止部署问题的设备：{ deviceId, problems }
+    }
+
+    for (const device of task.devices) {
+      const preview = device.preview
+      if (!preview) continue
+
+      summary.reported++
+      for (const category of Object.keys(summary.files)) {
+        summary.files[category] += preview.files?.[category]?.count || 0
+      }
+      summary.maxRequiredBytes = Math.max(summary.maxRequiredBytes, preview.disk?.requiredBytes || 0)
+      if (preview.disk?.sufficient === false) {
+        summary.insufficientDisk.push(device.deviceId)
+      }
+      if (preview.ready === false) {
+        summary.blocked.push({ deviceId: device.deviceId, problems: preview.problems || [] })
+      }
+    }
+
+    return summary
+  }
+
+  /**
+   * 汇总前置检查任务中各设备的检查结果，按问题类型（错误码）统计设备
+   */
+  summarizePreflights(task) {
+    const summary = {
+      reported: 0,
+      passed: 0,
+      problemCounts: {}, // 错误码 -> 设备数
+      failed: [] // 未通过的设备：{ deviceId, problems }
+    }
+
+    for (const device of task.devices) {
+      const preflight = device.preflight
+      if (!preflight) continue
+
+      summary.reported++
+      if (preflight.ready) {
+        summary.passed++
+        continue
+      }
+
+      const problems = preflight.problems || []
+      for (const code of new Set(problems.map(problem => problem.code))) {
+        summary.problemCounts[code] = (summary.problemCounts[code] || 0) + 1
+      }
+      summary.failed.push({ deviceId: device.deviceId, problems })
+    }
+
+    return summary
+  }
+
   /**
    * 延迟函数
    */
@@ -846,7 +1566,24 @@ export default class BatchTaskManager {
       task.status === TASK_STATUS.RUNNING
     )
 
+    let waitingTasks = 0
     for (const task of unfinishedTasks) {
+      // 排队的命令已持久化，任务继续等待离线设备上线；中断时未开始或执行中的设备标记为失败
+      const queued = task.devices.filter(d => d.status === DEVICE_STATUS.QUEUED)
+      if (queued.length > 0) {
+        task.devices
+          .filter(d => d.status === DEVICE_STATUS.WAITING || d.status === DEVICE_STATUS.UPGRADING)
+          .forEach(d => {
+            d.status = DEVICE_STATUS.FAILED
+            d.error = '系统重启，操作被中断'
+            d.endTime = new Date().toISOString()
+          })
+        this.updateTaskStats(task)
+        this.addTaskLog(task, 'warning', `系统重启，继续等待 ${queued.length} 台离线设备上线`)
+        waitingTasks++
+        continue
+      }
+
       // 将运行中的任务标记为失败，需要手动重试
       task.status = TASK_STATUS.FAILED
       task.endTime = new Date().toISOString()
@@ -855,7 +1592,7 @@ export default class BatchTaskManager {
 
     if (unfinishedTasks.length > 0) {
       await this.saveTasks()
-      console.log(`⚠️ 恢复未完成任务: ${unfinishedTasks.length} 个（已标记为失败）`)
+      console.log(`⚠️ 恢复未完成任务: ${unfinishedTasks.length} 个（${unfinishedTasks.length - waitingTasks} 个已标记为失败，${waitingTasks} 个继续等待离线设备）`)
     }
   }
 
@@ -896,6 +1633,7 @@ export default class BatchTaskManager {
 
       upgradeTasksCount: tasks.filter(t => t.type === TASK_TYPE.UPGRADE).length,
       rollbackTasksCount: tasks.filter(t => t.type === TASK_TYPE.ROLLBACK).length,
+      agentUpgradeTasksCount: tasks.filter(t => t.type === TASK_TYPE.AGENT_UPGRADE).length,
 
       totalDevicesProcessed: tasks.reduce((sum, task) => sum + task.stats.total, 0),
       totalSuccessDevices: tasks.reduce((sum, task) => sum + task.stats.success, 0),
@@ -0,0 +1,169 @@
+// 中文注释：离线设备命令队列（持久化，设备重新注册后按入队顺序下发，超过截止时间未下发的命令作废）
+import fs from 'fs-extra'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { DateHelper } from '../utils/common.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const CONFIG_PATH = path.join(__dirname, '../../config/commandQueue.json')
+
+/**
+ * 命令最长排队天数（批量任务保留 30 天，排队截止时间须在此之前）
+ */
+export const MAX_QUEUE_DAYS = 7
+
+// 读改写串行执行，避免并发入队、下发时互相覆盖
+let pending = Promise.resolve()
+
+async function readConfig() {
+  if (await fs.pathExists(CONFIG_PATH)) {
+    return fs.readJSON(CONFIG_PATH)
+  }
+
+  return { commands: [], lastUpdated: DateHelper.getCurrentDate() }
+}
+
+async function writeConfig(config) {
+  config.lastUpdated = DateHelper.getCurrentDate()
+  await fs.ensureDir(path.dirname(CONFIG_PATH))
+  await fs.writeJSON(CONFIG_PATH, config, { spaces: 2 })
+}
+
+/**
+ * 串行修改队列，mutate 返回 { changed, result }
+ */
+function updateConfig(mutate) {
+  const run = pending.then(async () => {
+    const config = await readConfig()
+    const { changed, result } = mutate(config)
+    if (changed) {
+      await writeConfig(config)
+    }
+    return result
+  })
+  pending = run.catch(() => {})
+  return run
+}
+
+function isExpired(command, now = Date.now()) {
+  return new Date(command.expiresAt).getTime() <= now
+}
+
+function generateCommandId() {
+  return `queued_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * 校验排队截止时间
+ * @param {string|null} queueUntil - ISO 时间
+ * @returns {string|null} 规范化的 ISO 时间，未指定时返回 null
+ */
+export function resolveQueueDeadline(queueUntil) {
+  if (queueUntil == null || queueUntil === '') return null
+
+  const deadline = new Date(queueUntil)
+  if (typeof queueUntil !== 'string' || Number.isNaN(deadline.getTime())) {
+    throw new Error('排队截止时间必须是有效的 ISO 时间')
+  }
+  if (deadline.getTime() <= Date.now()) {
+    throw new Error('排队截止时间必须晚于当前时间')
+  }
+  if (deadline.getTime() - Date.now() > MAX_QUEUE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`排队截止时间不能晚于 ${MAX_QUEUE_DAYS} 天后`)
+  }
+  return deadline.toISOString()
+}
+
+/**
+ * 为离线设备排队一条命令
+ * @param {string} deviceId - 设备ID
+ * @param {string} event - 下发的 Socket 事件（如 cmd:upgrade）
+ * @param {Object|null} data - 事件数据；批量任务的命令为 null，下发时由任务管理器按当时的设备状态生成
+ * @param {Object} options
+ * @param {string} options.expiresAt - 截止时间（ISO），之前设备未上线则作废
+ * @param {string|null} [options.taskId] - 所属批量任务，由任务管理器跟踪执行结果
+ * @returns {Promise<Object>} 队列条目
+ */
+export async function enqueueCommand(deviceId, event, data, { expiresAt, taskId = null }) {
+  if (!deviceId || !event) {
+    throw new Error('排队命令缺少 deviceId 或 event')
+  }
+  if (Number.isNaN(new Date(expiresAt).getTime())) {
+    throw new Error('排队命令的截止时间无效')
+  }
+
+  const command = {
+    id: generateCommandId(),
+    deviceId,
+    event,
+    data,
+    taskId,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(expiresAt).toISOString()
+  }
+
+  return updateConfig((config) => {
+    config.commands.push(command)
+    return { changed: true, result: command }
+  })
+}
+
+/**
+ * 获取排队中的命令（按入队顺序，不含已过期的）
+ * @param {string|null} deviceId - 指定设备，为空时返回全部
+ */
+export async function getQueuedCommands(deviceId = null) {
+  await pending
+  const now = Date.now()
+  const { commands } = await readConfig()
+  return commands.filter((command) => (!deviceId || command.deviceId === deviceId) && !isExpired(command, now))
+}
+
+/**
+ * 移除单条命令（已下发或已作废）
+ * @returns {Promise<Object|null>} 被移除的条目
+ */
+export function removeQueuedCommand(commandId) {
+  return updateConfig((config) => {
+    const index = config.commands.findIndex((command) => command.id === commandId)
+    if (index === -1) return { changed: false, result: null }
+
+    const [removed] = config.commands.splice(index, 1)
+    return { changed: true, result: removed }
+  })
+}
+
+/**
+ * 移除批量任务排队的命令（任务或设备被取消、超过截止时间）
+ * @param {string} taskId - 批量任务ID
+ * @param {string|null} [deviceId] - 只移除指定设备的命令
+ * @returns {Promise<Array>} 被移除的条目
+ */
+export function removeTaskCommands(taskId, deviceId = null) {
+  return updateConfig((config) => {
+    const removed = config.commands.filter(
+      (command) => command.taskId === taskId && (!deviceId || command.deviceId === deviceId)
+    )
+    if (removed.length === 0) return { changed: false, result: [] }
+
+    config.commands = config.commands.filter((command) => !removed.includes(command))
+    return { changed: true, result: removed }
+  })
+}
+
+/**
+ * 清除已过期的命令
+ * @returns {Promise<Array>} 被清除的条目
+ */
+export function purgeExpiredCommands() {
+  return updateConfig((config) => {
+    const now = Date.now()
+    const expired = config.commands.filter((command) => isExpired(command, now))
+    if (expired.length === 0) return { changed: false, result: [] }
+
+    config.commands = config.commands.filter((command) => !expired.includes(command))
+    return { changed: true, result: expired }
+  })
+}
@@ -0,0 +1,143 @@
+// 中文注释：增量包记录（由两个已上传的完整包派生，删除任一完整包时一并删除）
+import fs from 'fs-extra'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { DateHelper } from '../utils/common.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const CONFIG_PATH = path.join(__dirname, '../../config/deltas.json')
+
+/**
+ * 增量包文件存放目录
+ */
+export function getDeltaDir(project) {
+  return path.join(__dirname, '../../uploads/deltas', project)
+}
+
+// 设备上报的版本号可能不带 v 前缀
+function normalizeVersion(version) {
+  return String(version || '')
+    .trim()
+    .replace(/^v/, '')
+}
+
+async function readConfig() {
+  if (await fs.pathExists(CONFIG_PATH)) {
+    return fs.readJSON(CONFIG_PATH)
+  }
+
+  return { deltas: {}, lastUpdated: DateHelper.getCurrentDate() }
+}
+
+async function writeConfig(config) {
+  config.lastUpdated = DateHelper.getCurrentDate()
+  await fs.ensureDir(path.dirname(CONFIG_PATH))
+  await fs.writeJSON(CONFIG_PATH, config, { spaces: 2 })
+}
+
+/**
+ * 获取增量包列表（按生成时间倒序）
+ * @param {string|null} project - 指定项目，为空时返回全部
+ */
+export async function getDeltas(project = null) {
+  const config = await readConfig()
+  const sections = project ? [config.deltas[project] || {}] : Object.values(config.deltas)
+
+  return sections
+    .flatMap((section) => Object.values(section))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+}
+
+/**
+ * 获取单个增量包记录
+ * @returns {Promise<Object|null>}
+ */
+export async function getDelta(project, fileName) {
+  const config = await readConfig()
+  return config.deltas[project]?.[fileName] || null
+}
+
+/**
+ * 查找同一对完整包（按 MD5）已生成的增量包
+ */
+export async function findDeltaByPackages(project, baseFileMD5, targetFileMD5) {
+  return (
+    (await getDeltas(project)).find(
+      (delta) => delta.baseFileMD5 === baseFileMD5 && delta.targetFileMD5 === targetFileMD5
+    ) || null
+  )
+}
+
+/**
+ * 查找可用于本次升级的增量包：目标为指定完整包，基础版本与设备当前版本一致
+ * @param {string} project - 项目名称
+ * @param {string} targetFileName - 目标完整包文件名
+ * @param {string} currentVersion - 设备上报的当前版本
+ * @returns {Promise<Object|null>} 有多个时取最新生成的
+ */
+export async function findDeltaForUpgrade(project, targetFileName, currentVersion) {
+  if (!currentVersion) return null
+
+  const version = normalizeVersion(currentVersion)
+  return (
+    (await getDeltas(project)).find(
+      (delta) => delta.targetFileName === targetFileName && normalizeVersion(delta.baseVersion) === version
+    ) || null
+  )
+}
+
+/**
+ * 添加增量包记录
+ */
+export async function addDeltaRecord(record) {
+  if (!record?.project || !record.fileName) {
+    throw new Error('增量包记录缺少 project 或 fileName')
+  }
+
+  const config = await readConfig()
+  config.deltas[record.project] ||= {}
+  config.deltas[record.project][record.fileName] = {
+    ...record,
+    createdAt: record.createdAt || new Date().toISOString()
+  }
+
+  await writeConfig(config)
+  return config.deltas[record.project][record.fileName]
+}
+
+/**
+ * 删除增量包记录
+ * @returns {Promise<Object|null>} 被删除的记录
+ */
+export async function removeDeltaRecord(project, fileName) {
+  const config = await readConfig()
+  const existing = config.deltas[project]?.[fileName]
+  if (!existing) return null
+
+  delete config.deltas[project][fileName]
+  await writeConfig(config)
+  return existing
+}
+
+/**
+ * 删除以指定完整包为基础或目标的全部增量包记录
+ * @returns {Promise<Array>} 被删除的记录（调用方负责删除对应文件）
+ */
+export async function removeDeltasForPackage(project, packageFileName) {
+  const config = await readConfig()
+  const section = config.deltas[project] || {}
+  const removed = Object.values(section).filter(
+    (delta) => delta.baseFileName === packageFileName || delta.targetFileName === packageFileName
+  )
+
+  if (removed.length === 0) return []
+
+  for (const delta of removed) {
+    delete section[delta.fileName]
+  }
+
+  await writeConfig(config)
+  return removed
+}
@@ -12,8 +12,122 @@ import {
   updateDeviceCurrentVersion,
   updateDeviceDeployMetadata,
   updateDeviceHeartbeat,
+  updateDeviceIntegrity,
+  updateDevicePackageCache,
   updateDeviceSystemInfo
 } from './deviceStorage.js'
+import { PROJECT_NAME_PATTERN } from './projectRegistry.js'
+
+const INTEGRITY_STATUSES = new Set(['clean', 'drifted', 'unknown'])
+// 代理自升级的最终结果：新版本已确认 / 已恢复旧版本 / 切换前失败
+const AGENT_UPGRADE_STATUSES = new Set(['confirmed', 'reverted', 'failed'])
+const SHA256_PATTERN = /^[0-9a-f]{64}$/
+const SUBNET_PATTERN = /^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/
+// 为设备查找同网段下载来源时最多返回的设备数
+const MAX_PACKAGE_PEERS = 3
+
+/**
+ * 规范化设备上报的完整性摘要，只保留已知字段
+ * @returns {Object|null} 格式无效时返回 null
+ */
+function normalizeIntegrity(integrity) {
+  if (!integrity || typeof integrity !== 'object' || !INTEGRITY_STATUSES.has(integrity.status)) {
+    return null
+  }
+
+  const toCount = (value) => (Number.isInteger(value) && value >= 0 ? value : 0)
+  const projects = {}
+  for (const [project, item] of Object.entries(integrity.projects || {})) {
+    if (!PROJECT_NAME_PATTERN.test(project) || !item || !INTEGRITY_STATUSES.has(item.status)) continue
+    projects[project] = {
+      status: item.status,
+      version: typeof item.version === 'string' ? item.version : null,
+      checkedAt: typeof item.checkedAt === 'string' ? item.checkedAt : null,
+      modified: toCount(item.modified),
+      missing: toCount(item.missing),
+      unexpected: toCount(item.unexpected)
+    }
+  }
+
+  return {
+    status: integrity.status,
+    checkedAt: typeof integrity.checkedAt === 'string' ? integrity.checkedAt : null,
+    projects
+  }
+}
+
+/**
+ * 规范化设备上报的升级包缓存摘要，只保留已知字段
+ * @returns {Object|null} 格式无效时返回 null
+ */
+function normalizePackageCache(cache) {
+  if (!cache || typeof cache !== 'object' || typeof cache.updatedAt !== 'string') {
+    return null
+  }
+
+  const toBytes = (value) => (Number.isSafeInteger(value) && value >= 0 ? value : 0)
+  const toText = (value) => (typeof value === 'string' ? value : null)
+  const isPackageRef = (item) =>
+    item && PROJECT_NAME_PATTERN.test(item.project) && typeof item.fileName === 'string' && item.fileName.length > 0
+  const packages = (Array.isArray(cache.packages) ? cache.packages : []).filter(isPackageRef).map((item) => ({
+    project: item.project,
+    fileName: item.fileName,
+    resource: item.resource === 'deltas' ? 'deltas' : 'packages',
+    size: toBytes(item.size),
+    sha256: SHA256_PATTERN.test(item.sha256) ? item.sha256 : null,
+    version: toText(item.version),
+    lastUsedAt: toText(item.lastUsedAt),
+    prefetchedAt: toText(item.prefetchedAt),
+    protected: ['current', 'previous'].includes(item.protected) ? item.protected : null
+  }))
+  const prefetching = (Array.isArray(cache.prefetching) ? cache.prefetching : []).filter(isPackageRef).map((item) => ({
+    project: item.project,
+    fileName: item.fileName,
+    startedAt: toText(item.startedAt)
+  }))
+  const lastPrefetch = isPackageRef(cache.lastPrefetch)
+    ? {
+        project: cache.lastPrefetch.project,
+        fileName: cache.lastPrefetch.fileName,
+        success: cache.lastPrefetch.success === true,
+        cached: cache.lastPrefetch.cached === true,
+        error: toText(cache.lastPrefetch.error),
+        finishedAt: toText(cache.lastPrefetch.finishedAt)
+      }
+    : null
+
+  return {
+    quotaBytes: Number.isSafeInteger(cache.quotaBytes) && cache.quotaBytes > 0 ? cache.quotaBytes : null,
+    usedBytes: toBytes(cache.usedBytes),
+    count: packages.length,
+    updatedAt: cache.updatedAt,
+    packages,
+    prefetching,
+    lastPrefetch
+  }
+}
+
+/**
+ * 规范化设备上报的局域网信息（所在网段与共享地址）
+ * @returns {Object|null} 格式无效时返回 null
+ */
+function normalizePeer(peer) {
+  if (!peer || typeof peer !== 'object' || !SUBNET_PATTERN.test(peer.subnet)) {
+    return null
+  }
+
+  let url = null
+  if (typeof peer.url === 'string') {
+    try {
+      const parsed = new URL(peer.url)
+      url = ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : null
+    } catch {
+      url = null
+    }
+  }
+
+  return { subnet: peer.subnet, url }
+}
 
 class DeviceManager {
   constructor() {
@@ -366,6 +480,114 @@ class DeviceManager {
     })
   }
 
+  /**
+   * 更新设备部署文件完整性状态（心跳携带或校验命令返回的摘要）
+   * 摘要未变化（校验时间相同）时不重复写入存储
+   */
+  updateIntegrity(deviceId, integrity) {
+    const device = this.devices.get(deviceId)
+    const normalized = normalizeIntegrity(integrity)
+    if (!device || !normalized) return null
+
+    const previous = device.info.integrity
+    if (previous?.checkedAt === normalized.checkedAt && previous?.status === normalized.status) {
+      return previous
+    }
+
+    device.info.integrity = normalized
+    updateDeviceIntegrity(deviceId, normalized).catch((error) => {
+      console.error(`更新设备完整性状态失败 [${deviceId}]:`, error.message)
+    })
+    return normalized
+  }
+
+  /**
+   * 更新设备升级包缓存摘要（心跳携带），摘要未变化（更新时间相同）时不重复写入存储
+   */
+  updatePackageCache(deviceId, cache) {
+    const device = this.devices.get(deviceId)
+    const normalized = normalizePackageCache(cache)
+    if (!device || !normalized) return null
+
+    if (device.info.packageCache?.updatedAt === normalized.updatedAt) {
+      return device.info.packageCache
+    }
+
+    device.info.packageCache = normalized
+    updateDevicePackageCache(deviceId, normalized).catch((error) => {
+      console.error(`更新设备升级包缓存失败 [${deviceId}]:`, error.message)
+    })
+    return normalized
+  }
+
+  /**
+   * 更新设备的局域网信息（心跳携带，只保存在内存中，设备离线后不再作为下载来源）
+   */
+  updatePeer(deviceId, peer) {
+    const device = this.devices.get(deviceId)
+    if (!device) return null
+
+    device.info.peer = normalizePeer(peer)
+    return device.info.peer
+  }
+
+  /**
+   * 查找与设备同网段、已缓存同一个包（SHA-256 一致）且开启共享的在线设备，随机排序分散下载压力
+   * @param {string} deviceId - 请求下载的设备
+   * @param {Object} target - { resource, project, fileName, sha256 }
+   * @returns {Array<{deviceId: string, url: string}>}
+   */
+  findPackagePeers(deviceId, { resource = 'packages', project, fileName, sha256 }) {
+    const subnet = this.devices.get(deviceId)?.info.peer?.subnet
+    if (!subnet || !sha256) return []
+
+    const peers = []
+    for (const [peerId, device] of this.devices) {
+      const peer = device.info.peer
+      if (peerId === deviceId || device.status !== 'online' || peer?.subnet !== subnet || !peer.url) continue
+
+      const cached = (device.info.packageCache?.packages || []).some(
+        (item) =>
+          item.resource === resource && item.project === project && item.fileName === fileName && item.sha256 === sha256
+      )
+      if (cached) {
+        peers.push({ deviceId: peerId, url: peer.url })
+      }
+    }
+
+    for (let index = peers.length - 1; index > 0; index--) {
+      const swap = Math.floor(Math.random() * (index + 1))
+      const current = peers[index]
+      peers[index] = peers[swap]
+      peers[swap] = current
+    }
+    return peers.slice(0, MAX_PACKAGE_PEERS)
+  }
+
+  /**
+   * 记录设备上报的代理自升级结果（确认、恢复或失败）
+   */
+  updateAgentUpgrade(deviceId, report) {
+    const device = this.devices.get(deviceId)
+    if (!device || !AGENT_UPGRADE_STATUSES.has(report?.status)) return null
+
+    const lastUpgrade = {
+      status: report.status,
+      fromVersion: report.fromVersion || null,
+      toVersion: report.toVersion || null,
+      error: report.error || null,
+      startedAt: report.startedAt || null,
+      finishedAt: report.finishedAt || new Date().toISOString()
+    }
+
+    device.info.agent = device.info.agent || {}
+    device.info.agent.lastUpgrade = lastUpgrade
+    this._updateSystemInfoAsync(deviceId, { agent: { lastUpgrade } }).catch((error) => {
+      console.error(`更新设备代理升级结果失败 [${deviceId}]:`, error.message)
+    })
+    return lastUpgrade
+  }
+
   /**
    * 更新设备心跳
    */
@@ -402,6 +624,25 @@ class DeviceManager {
     return false
   }
 
+  /**
+   * 向设备发送消息并等待设备确认收到（Socket.IO ack），用于下发离线期间排队的命令
+   * @returns {Promise<{received: boolean, error?: string}|null>} 设备的确认结果（received 为 false 表示设备不支持该命令）；设备不在线、发送失败或超时未确认时返回 null
+   */
+  async sendToDeviceWithAck(deviceId, event, data, timeout = 10_000) {
+    const device = this.devices.get(deviceId)
+    if (!device || !device.socket || device.status !== 'online') {
+      return null
+    }
+
+    try {
+      const ack = await device.socket.timeout(timeout).emitWithAck(event, data)
+      return ack?.received === false ? { received: false, error: ack.error || '设备拒绝了该命令' } : { received: true }
+    } catch (error) {
+      console.warn(`设备 ${deviceId} 未确认收到 ${event}:`, error.message)
+      return null
+    }
+  }
+
   /**
    * 向多个设备发送消息
    */
@@ -441,8 +682,8 @@ class DeviceManager {
     if (error) device.currentOperation.error = error
     if (metadata) device.currentOperation.metadata = metadata
 
-    // 操作完成或失败时清除状态
-    if (progress === 100 || error || step === 'completed' || step === 'failed') {
+    // 操作完成、失败或取消时清除状态
+    if (progress === 100 || error || step === 'completed' || step === 'failed' || step === 'cancelled') {
       setTimeout(() => {
         if (device.currentOperation.sessionId === sessionId) {
           this.clearDeviceOperationProgress(deviceId)
@@ -646,7 +887,7 @@ class DeviceManager {
       const device = this.devices.get(deviceId)
       if (device) {
         device.info.deploy = device.info.deploy || {}
-        // 确保 frontend 和 backend 字段存在
+        // 确保内置项目 frontend 和 backend 字段存在
         device.info.deploy.frontend = device.info.deploy.frontend || {
           version: null,
           deployDate: null,
@@ -658,7 +899,7 @@ class DeviceManager {
           deployPath: null
         }
 
-        if (project && ['frontend', 'backend'].includes(project)) {
+        if (project && PROJECT_NAME_PATTERN.test(project)) {
           const deployPath =
             typeof versionInfo.deployPath === 'string' ? versionInfo.deployPath.trim() : versionInfo.deployPath || null
           device.info.deploy[project] = {
@@ -721,7 +962,7 @@ class DeviceManager {
       // 更新内存中的部署路径
       device.info.deploy = device.info.deploy || {}
 
-      if (project && ['frontend', 'backend'].includes(project)) {
+      if (project && PROJECT_NAME_PATTERN.test(project)) {
         // 更新对应项目的 deployPath
         device.info.deploy[project] = device.info.deploy[project] || {
           version: null,
@@ -780,11 +1021,19 @@ class DeviceManager {
         }
       }
 
-      if (project && ['frontend', 'backend'].includes(project)) {
+      if (project && PROJECT_NAME_PATTERN.test(project)) {
         const normalizedPath = typeof deployPath === 'string' ? deployPath.trim() : deployPath
         const updateTime = new Date().toISOString()
 
         // 更新内存中的数据
+        device.info.deploy.currentDeployments[project] ||= {
+          version: 'unknown',
+          deployDate: null,
+          deployPath: null,
+          status: 'unknown',
+          lastOperationType: null,
+          lastOperationDate: null
+        }
         device.info.deploy.currentDeployments[project].deployPath = normalizedPath
         device.info.deploy.currentDeployments[project].lastOperationType = 'path_update'
         device.info.deploy.currentDeployments[project].lastOperationDate = updateTime
@@ -3,6 +3,7 @@ import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import fs from 'fs-extra'
 import { ErrorLogger, FileHelper, DateHelper } from '../utils/common.js'
+import { PROJECT_NAME_PATTERN } from './projectRegistry.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -343,6 +344,44 @@ export async function updateDeviceSystemInfo(deviceId, systemInfo = {}) {
   }
 }
 
+/**
+ * 更新设备部署文件完整性状态（设备按部署清单校验后上报）
+ */
+export async function updateDeviceIntegrity(deviceId, integrity) {
+  try {
+    const config = await getDevicesConfig()
+
+    if (!config.devices[deviceId]) {
+      return config
+    }
+
+    config.devices[deviceId].integrity = integrity
+    return await saveDevicesConfig(config)
+  } catch (error) {
+    console.error('更新设备完整性状态失败:', error)
+    throw error
+  }
+}
+
+/**
+ * 更新设备升级包缓存摘要（设备心跳上报）
+ */
+export async function updateDevicePackageCache(deviceId, packageCache) {
+  try {
+    const config = await getDevicesConfig()
+
+    if (!config.devices[deviceId]) {
+      return config
+    }
+
+    config.devices[deviceId].packageCache = packageCache
+    return await saveDevicesConfig(config)
+  } catch (error) {
+    console.error('更新设备升级包缓存失败:', error)
+    throw error
+  }
+}
+
 /**
  * 记录设备升级
  */
@@ -410,7 +449,7 @@ export async function updateDeviceCurrentVersion(deviceId, project, versionInfo)
 
     const deployObj = device.deploy
 
-    // 确保 frontend 和 backend 字段存在
+    // 确保内置项目 frontend 和 backend 字段存在
     if (!deployObj.frontend) {
       deployObj.frontend = {
         version: null,
@@ -429,7 +468,7 @@ export async function updateDeviceCurrentVersion(deviceId, project, versionInfo)
 
 
     // 更新指定项目的版本信息
-    if (project && ['frontend', 'backend'].includes(project)) {
+    if (project && PROJECT_NAME_PATTERN.test(project)) {
       const existingRecord = deployObj[project] || {}
       const deployPath =
         typeof versionInfo.deployPath === 'string' ? versionInfo.deployPath.trim() : versionInfo.deployPath || null
@@ -463,7 +502,7 @@ export async function updateDeviceDeployMetadata(deviceId, project, metadata = {
     const device = config.devices[deviceId]
     device.deploy = device.deploy || {}
 
-    if (project && ['frontend', 'backend'].includes(project)) {
+    if (project && PROJECT_NAME_PATTERN.test(project)) {
       const deployPath = typeof metadata.deployPath === 'string' ? metadata.deployPath.trim() : metadata.deployPath
 
       if (deployPath) {
@@ -498,14 +537,19 @@ export async function getDeviceDeployPaths(deviceId) {
   try {
     const config = await getDevicesConfig()
     const device = config.devices[deviceId]
+    const deployPaths = { frontend: null, backend: null }
     if (!device) {
-      return { frontend: null, backend: null }
+      return deployPaths
     }
 
-    return {
-      frontend: device.deploy?.frontend?.deployPath || null,
-      backend: device.deploy?.backend?.deployPath || null
+    // deploy 下以项目名为键的记录（其余字段为驼峰命名，不会与项目名冲突）
+    for (const [project, record] of Object.entries(device.deploy || {})) {
+      if (PROJECT_NAME_PATTERN.test(project) && record && typeof record === 'object') {
+        deployPaths[project] = record.deployPath || null
+      }
     }
+
+    return deployPaths
   } catch (error) {
     console.error('获取设备部署路径失败:', error)
     throw error
@@ -575,7 +619,7 @@ export async function cleanupOfflineDevices() {
 /**
  * 保存设备白名单配置
  * @param {string} deviceId - 设备ID
- * @param {string} project - 项目类型 ('frontend' | 'backend')
+ * @param {string} project - 项目名称
  * @param {Array} preservedPaths - 白名单路径列表
  */
 export async function saveDevicePreservedPaths(deviceId, project, preservedPaths = []) {
@@ -611,7 +655,7 @@ export async function saveDevicePreservedPaths(deviceId, project, preservedPaths
 /**
  * 获取设备白名单配置
  * @param {string} deviceId - 设备ID
- * @param {string} project - 项目类型 ('frontend' | 'backend')，如果不指定则返回所有项目
+ * @param {string} project - 项目名称，如果不指定则返回所有项目
  * @returns {Array|Object} 白名单路径或所有项目的白名单配置
  */
 export async function getDevicePreservedPaths(deviceId, project = null) {
@@ -0,0 +1,308 @@
+// 中文注释：设备诊断包记录与文件（设备收集后上传，每台设备按数量与天数保留）
+import crypto from 'node:crypto'
+import fs from 'fs-extra'
+import path from 'node:path'
+import { Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { fileURLToPath } from 'node:url'
+import { DateHelper } from '../utils/common.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const CONFIG_PATH = path.join(__dirname, '../../config/diagnostics.json')
+
+export const DIAGNOSTICS_STATUS = {
+  COLLECTING: 'collecting', // 已下发收集命令，等待设备上传
+  READY: 'ready', // 已上传，可下载
+  FAILED: 'failed' // 设备收集或上传失败，或未在规定时间内上传
+}
+
+/**
+ * 诊断包大小上限（字节），随收集命令下发给设备
+ */
+export const MAX_DIAGNOSTICS_SIZE = Number.parseInt(process.env.DIAGNOSTICS_MAX_SIZE, 10) || 100 * 1024 * 1024
+
+const RETENTION = {
+  maxPerDevice: Number.parseInt(process.env.DIAGNOSTICS_MAX_PER_DEVICE, 10) || 5, // 每台设备保留的诊断包数
+  maxAgeDays: Number.parseInt(process.env.DIAGNOSTICS_RETENTION_DAYS, 10) || 14 // 诊断包最长保留天数
+}
+
+// 下发收集命令后等待上传的时间，超过后记为失败
+const COLLECT_TIMEOUT = 10 * 60 * 1000
+
+// 读改写串行执行，避免上传完成与清理同时修改记录
+let pending = Promise.resolve()
+
+/**
+ * 诊断包文件存放目录
+ */
+export function getDiagnosticsDir(deviceId) {
+  // 设备ID来自设备注册，编码后作为目录名，不允许 . 与 .. 等特殊目录
+  return path.join(__dirname, '../../uploads/diagnostics', encodeURIComponent(deviceId).replaceAll('.', '%2E'))
+}
+
+function getBundlePath(bundle) {
+  return path.join(getDiagnosticsDir(bundle.deviceId), bundle.fileName)
+}
+
+async function readConfig() {
+  if (await fs.pathExists(CONFIG_PATH)) {
+    return fs.readJSON(CONFIG_PATH)
+  }
+
+  return { bundles: [], lastUpdated: DateHelper.getCurrentDate() }
+}
+
+async function writeConfig(config) {
+  config.lastUpdated = DateHelper.getCurrentDate()
+  await fs.ensureDir(path.dirname(CONFIG_PATH))
+  await fs.writeJSON(CONFIG_PATH, config, { spaces: 2 })
+}
+
+/**
+ * 串行修改记录，mutate 返回 { changed, result }（可为异步函数）
+ */
+function updateConfig(mutate) {
+  const run = pending.then(async () => {
+    const config = await readConfig()
+    const { changed, result } = await mutate(config)
+    if (changed) {
+      await writeConfig(config)
+    }
+    return result
+  })
+  pending = run.catch(() => {})
+  return run
+}
+
+// 对外返回的记录不包含上传令牌
+function toPublic(bundle) {
+  if (!bundle) return null
+  const result = { ...bundle }
+  delete result.uploadToken
+  return result
+}
+
+/**
+ * 等待上传超时的记录标记为失败，并按保留策略删除旧的诊断包
+ * @returns {boolean} 是否有改动
+ */
+async function applyRetention(config, deviceId) {
+  const now = Date.now()
+  let changed = false
+
+  for (const bundle of config.bundles) {
+    if (
+      bundle.status === DIAGNOSTICS_STATUS.COLLECTING &&
+      now - new Date(bundle.requestedAt).getTime() > COLLECT_TIMEOUT
+    ) {
+      bundle.status = DIAGNOSTICS_STATUS.FAILED
+      bundle.error = '设备未在规定时间内上传诊断包'
+      bundle.completedAt = new Date(now).toISOString()
+      changed = true
+    }
+  }
+
+  const expired = new Set()
+  const deviceIds = deviceId ? [deviceId] : [...new Set(config.bundles.map((bundle) => bundle.deviceId))]
+  for (const id of deviceIds) {
+    const bundles = config.bundles
+      .filter((bundle) => bundle.deviceId === id && bundle.status !== DIAGNOSTICS_STATUS.COLLECTING)
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+
+    bundles.forEach((bundle, index) => {
+      const ageDays = (now - new Date(bundle.requestedAt).getTime()) / (24 * 60 * 60 * 1000)
+      if (index >= RETENTION.maxPerDevice || ageDays > RETENTION.maxAgeDays) {
+        expired.add(bundle)
+      }
+    })
+  }
+
+  for (const bundle of expired) {
+    if (bundle.fileName) {
+      // eslint-disable-next-line no-await-in-loop -- 逐个删除过期文件
+      await fs.remove(getBundlePath(bundle))
+    }
+  }
+  if (expired.size > 0) {
+    config.bundles = config.bundles.filter((bundle) => !expired.has(bundle))
+    changed = true
+  }
+
+  return changed
+}
+
+/**
+ * 登记一次诊断包收集，返回的记录包含设备上传时使用的令牌
+ * @param {string} deviceId - 设备ID
+ * @returns {Promise<Object>} { id, deviceId, status, uploadToken, requestedAt, ... }
+ */
+export function createDiagnosticsRequest(deviceId) {
+  const bundle = {
+    id: `diag_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    deviceId,
+    status: DIAGNOSTICS_STATUS.COLLECTING,
+    uploadToken: crypto.randomBytes(24).toString('hex'),
+    requestedAt: new Date().toISOString(),
+    completedAt: null,
+    fileName: null,
+    size: null,
+    sha256: null,
+    error: null
+  }
+
+  return updateConfig((config) => {
+    config.bundles.push(bundle)
+    return { changed: true, result: bundle }
+  })
+}
+
+/**
+ * 获取设备的诊断包记录（按请求时间倒序）
+ */
+export function getDiagnostics(deviceId) {
+  return updateConfig(async (config) => {
+    const changed = await applyRetention(config, deviceId)
+    const bundles = config.bundles
+      .filter((bundle) => bundle.deviceId === deviceId)
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+      .map(toPublic)
+    return { changed, result: bundles }
+  })
+}
+
+/**
+ * 获取单个诊断包记录（不含上传令牌）
+ */
+export async function getDiagnosticsBundle(deviceId, bundleId) {
+  await pending
+  const { bundles } = await readConfig()
+  return toPublic(bundles.find((bundle) => bundle.id === bundleId && bundle.deviceId === deviceId))
+}
+
+/**
+ * 诊断包文件的绝对路径，未上传时返回 null
+ */
+export async function getDiagnosticsFilePath(deviceId, bundleId) {
+  const bundle = await getDiagnosticsBundle(deviceId, bundleId)
+  return bundle?.status === DIAGNOSTICS_STATUS.READY ? getBundlePath(bundle) : null
+}
+
+/**
+ * 校验上传令牌
+ */
+export async function verifyUploadToken(deviceId, bundleId, token) {
+  await pending
+  const { bundles } = await readConfig()
+  const bundle = bundles.find((item) => item.id === bundleId && item.deviceId === deviceId)
+  if (!bundle || typeof token !== 'string') return false
+
+  const expected = Buffer.from(bundle.uploadToken)
+  const actual = Buffer.from(token)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+/**
+ * 保存设备上传的诊断包（流式写入，超过大小上限或 SHA-256 不一致时中止）
+ * @param {string} deviceId - 设备ID
+ * @param {string} bundleId - 诊断包ID
+ * @param {import('node:stream').Readable} stream - 请求体
+ * @param {Object} [options]
+ * @param {string|null} [options.sha256] - 设备计算的 SHA-256
+ * @returns {Promise<Object>} 更新后的记录
+ */
+export async function saveDiagnosticsUpload(deviceId, bundleId, stream, { sha256 = null } = {}) {
+  const bundle = await getDiagnosticsBundle(deviceId, bundleId)
+  if (!bundle) {
+    throw new Error('诊断包记录不存在')
+  }
+  if (bundle.status !== DIAGNOSTICS_STATUS.COLLECTING) {
+    throw new Error('诊断包已上传或已失败')
+  }
+
+  const fileName = `${bundleId}.tar.gz`
+  const filePath = path.join(getDiagnosticsDir(deviceId), fileName)
+  const tempPath = `${filePath}.part`
+  await fs.ensureDir(path.dirname(filePath))
+
+  const hash = crypto.createHash('sha256')
+  let size = 0
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length
+      if (size > MAX_DIAGNOSTICS_SIZE) {
+        callback(new Error(`诊断包超过大小限制（${MAX_DIAGNOSTICS_SIZE} 字节）`))
+        return
+      }
+      hash.update(chunk)
+      callback(null, chunk)
+    }
+  })
+
+  try {
+    await pipeline(stream, counter, fs.createWriteStream(tempPath))
+    const digest = hash.digest('hex')
+    if (sha256 && sha256 !== digest) {
+      throw new Error('诊断包 SHA-256 校验失败，上传内容不完整')
+    }
+
+    return await updateConfig(async (config) => {
+      const record = config.bundles.find((item) => item.id === bundleId && item.deviceId === deviceId)
+      if (!record || record.status !== DIAGNOSTICS_STATUS.COLLECTING) {
+        throw new Error('诊断包已上传或已失败')
+      }
+
+      await fs.move(tempPath, filePath, { overwrite: true })
+      Object.assign(record, {
+        status: DIAGNOSTICS_STATUS.READY,
+        completedAt: new Date().toISOString(),
+        fileName,
+        size,
+        sha256: digest,
+        error: null
+      })
+      await applyRetention(config, deviceId)
+      return { changed: true, result: toPublic(record) }
+    })
+  } finally {
+    await fs.remove(tempPath).catch(() => {})
+  }
+}
+
+/**
+ * 记录收集失败（设备上报失败或收集命令未能下发），已上传的记录不受影响
+ * @returns {Promise<Object|null>} 更新后的记录
+ */
+export function failDiagnostics(deviceId, bundleId, error) {
+  return updateConfig((config) => {
+    const record = config.bundles.find((item) => item.id === bundleId && item.deviceId === deviceId)
+    if (!record || record.status !== DIAGNOSTICS_STATUS.COLLECTING) {
+      return { changed: false, result: null }
+    }
+
+    Object.assign(record, {
+      status: DIAGNOSTICS_STATUS.FAILED,
+      completedAt: new Date().toISOString(),
+      error: error || '收集诊断包失败'
+    })
+    return { changed: true, result: toPublic(record) }
+  })
+}
+
+/**
+ * 删除诊断包记录与文件
+ * @returns {Promise<boolean>} 记录是否存在
+ */
+export function deleteDiagnostics(deviceId, bundleId) {
+  return updateConfig(async (config) => {
+    const record = config.bundles.find((item) => item.id === bundleId && item.deviceId === deviceId)
+    if (!record) return { changed: false, result: false }
+
+    if (record.fileName) {
+      await fs.remove(getBundlePath(record))
+    }
+    config.bundles = config.bundles.filter((item) => item !== record)
+    return { changed: true, result: true }
+  })
+}
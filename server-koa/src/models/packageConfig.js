@@ -2,12 +2,27 @@
 import fs from 'fs-extra'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
+import { detectArchiveFileFormat, getArchiveUncompressedSize } from '../utils/archive.js'
 import { DateHelper } from '../utils/common.js'
+import { calculateFileHash } from '../utils/crypto.js'
+import { isSignatureCurrent, signPackage } from '../utils/packageSigning.js'
+import { getProjects, isRegisteredProject } from './projectRegistry.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 const CONFIG_PATH = path.join(__dirname, '../../config/packages.json')
+const PACKAGES_DIR = path.join(__dirname, '../../uploads/packages')
+
+/**
+ * 项目在包配置中的分区（上传目录与包记录）
+ */
+function createProjectSection(project) {
+  return {
+    uploadDir: `uploads/packages/${project}`,
+    packages: {}
+  }
+}
 
 /**
  * 获取包管理配置
@@ -18,22 +33,14 @@ export async function getPackageConfig() {
       return await fs.readJSON(CONFIG_PATH)
     }
 
-    // 如果配置文件不存在，创建默认配置
+    // 如果配置文件不存在，按已注册项目创建默认配置
+    const packages = {}
+    for (const { name } of await getProjects()) {
+      packages[name] = createProjectSection(name)
+    }
+
     const defaultConfig = {
-      packages: {
-        frontend: {
-          uploadDir: 'uploads/packages/frontend',
-          maxFileSize: '50MB',
-          allowedExtensions: ['.zip', '.tar.gz'],
-          packages: {}
-        },
-        backend: {
-          uploadDir: 'uploads/packages/backend',
-          maxFileSize: '100MB',
-          allowedExtensions: ['.zip', '.tar.gz'],
-          packages: {}
-        }
-      },
+      packages,
       settings: {
         autoCleanup: false,
         maxPackageCount: 10,
@@ -41,8 +48,7 @@ export async function getPackageConfig() {
       },
       statistics: {
         totalPackages: 0,
-        frontendPackages: 0,
-        backendPackages: 0,
+        projectPackages: {},
         totalSize: '0MB',
         lastUpdated: DateHelper.getCurrentDate()
       },
@@ -78,28 +84,19 @@ export async function updatePackageConfig(config) {
  */
 function updatePackageStatistics(config) {
   let totalPackages = 0
-  let frontendPackages = 0
-  let backendPackages = 0
   let totalSize = 0
-
-  // 统计前端包
-  if (config.packages.frontend && config.packages.frontend.packages) {
-    frontendPackages = Object.keys(config.packages.frontend.packages).length
-    for (const pkg of Object.values(config.packages.frontend.packages)) {
+  const projectPackages = {}
+
+  // 按项目统计包数量与总大小
+  for (const [project, section] of Object.entries(config.packages || {})) {
+    const packages = Object.values(section?.packages || {})
+    projectPackages[project] = packages.length
+    totalPackages += packages.length
+    for (const pkg of packages) {
       totalSize += pkg.fileSize || 0
     }
   }
 
-  // 统计后端包
-  if (config.packages.backend && config.packages.backend.packages) {
-    backendPackages = Object.keys(config.packages.backend.packages).length
-    for (const pkg of Object.values(config.packages.backend.packages)) {
-      totalSize += pkg.fileSize || 0
-    }
-  }
-
-  totalPackages = frontendPackages + backendPackages
-
   // 格式化文件大小
   const formatSize = (bytes) => {
     if (bytes === 0) return '0MB'
@@ -112,8 +109,10 @@ function updatePackageStatistics(config) {
   config.statistics ||= {}
 
   config.statistics.totalPackages = totalPackages
-  config.statistics.frontendPackages = frontendPackages
-  config.statistics.backendPackages = backendPackages
+  config.statistics.projectPackages = projectPackages
+  // 兼容旧版统计字段
+  config.statistics.frontendPackages = projectPackages.frontend || 0
+  config.statistics.backendPackages = projectPackages.backend || 0
   config.statistics.totalSize = formatSize(totalSize)
   config.statistics.lastUpdated = DateHelper.getCurrentDate()
 }
@@ -131,8 +130,8 @@ export async function addPackageRecord(packageInfo) {
     const { project, fileName, fileSize } = packageInfo
 
     // 验证必要字段
-    if (!project || !['frontend', 'backend'].includes(project)) {
-      throw new Error('项目类型必须是frontend或backend')
+    if (!(await isRegisteredProject(project))) {
+      throw new Error(`未注册的项目: ${project}`)
     }
 
     if (!fileName || typeof fileName !== 'string' || fileName.length === 0) {
@@ -144,18 +143,19 @@ export async function addPackageRecord(packageInfo) {
     }
 
     const config = await getPackageConfig()
-
-    if (!config.packages[project]) {
-      throw new Error(`不支持的项目类型: ${project}`)
-    }
+    config.packages[project] ||= createProjectSection(project)
 
     config.packages[project].packages[packageInfo.fileName] = {
       fileName: packageInfo.fileName,
       fileSize: packageInfo.fileSize,
       fileMD5: packageInfo.fileMD5,
+      fileSHA256: packageInfo.fileSHA256 || null,
+      signature: packageInfo.signature || null,
+      uncompressedSize: packageInfo.uncompressedSize ?? null,
       version: packageInfo.version,
       uploadedAt: packageInfo.uploadedAt || DateHelper.getCurrentDate(),
-      uploadedBy: packageInfo.uploadedBy || 'system'
+      uploadedBy: packageInfo.uploadedBy || 'system',
+      manifest: packageInfo.manifest || null
     }
 
     return await updatePackageConfig(config)
@@ -171,8 +171,8 @@ export async function addPackageRecord(packageInfo) {
 export async function removePackageRecord(project, fileName) {
   try {
     // 验证输入参数
-    if (!project || !['frontend', 'backend'].includes(project)) {
-      throw new Error('项目类型必须是frontend或backend')
+    if (!project || typeof project !== 'string') {
+      throw new Error('项目名称不能为空')
     }
 
     if (!fileName || typeof fileName !== 'string' || fileName.trim().length === 0) {
@@ -198,9 +198,9 @@ export async function removePackageRecord(project, fileName) {
  */
 export async function getProjectPackages(project) {
   try {
-    // 验证项目类型
-    if (!project || !['frontend', 'backend'].includes(project)) {
-      throw new Error('项目类型必须是frontend或backend')
+    // 验证项目名称
+    if (!project || typeof project !== 'string') {
+      throw new Error('项目名称不能为空')
     }
 
     const config = await getPackageConfig()
@@ -216,6 +216,73 @@ export async function getProjectPackages(project) {
   }
 }
 
+/**
+ * 流式计算包文件的 SHA-256、签名与解压后的总大小，上传或同步时计算一次并保存到包记录中
+ * 内容不是压缩包时设备端按单个文件复制，解压后大小即文件大小
+ * @returns {Promise<{fileSize: number, fileSHA256: string, signature: Object, uncompressedSize: number}>}
+ */
+export async function computePackageIntegrity(project, fileName, filePath, fileSize) {
+  const fileSHA256 = await calculateFileHash(filePath, 'sha256')
+  const signature = await signPackage({ resource: 'packages', project, fileName, fileSize, sha256: fileSHA256 })
+  const format = await detectArchiveFileFormat(filePath)
+  const uncompressedSize = format ? await getArchiveUncompressedSize(filePath, format) : fileSize
+  return { fileSize, fileSHA256, signature, uncompressedSize }
+}
+
+/**
+ * 补全单个包文件的记录：配置中没有时按文件信息创建（不含 MD5），
+ * 签名或解压大小缺失（旧记录）、更换密钥或文件被替换后重新计算
+ * @param {Object} config - 包配置，记录直接写入其中
+ * @returns {Promise<boolean>} 记录是否有变化
+ */
+async function refreshPackageRecord(config, project, fileName, filePath, stats) {
+  config.packages[project] ||= createProjectSection(project)
+  let record = config.packages[project].packages[fileName]
+  let changed = false
+
+  if (!record) {
+    // 验证文件名安全性
+    if (fileName.includes('..') || fileName.includes('/') || fileName.includes('\\')) {
+      console.warn(`跳过不安全的文件名: ${fileName}`)
+      return false
+    }
+
+    record = {
+      fileName,
+      fileSize: stats.size,
+      fileMD5: null, // 需要手动计算或重新上传
+      version: null,
+      uploadedAt: DateHelper.formatToYYYYMMDD(stats.birthtime),
+      uploadedBy: 'system'
+    }
+    config.packages[project].packages[fileName] = record
+    changed = true
+  }
+
+  if (Number.isInteger(record.uncompressedSize) && (await isSignatureCurrent(record, stats.size))) {
+    return changed
+  }
+
+  Object.assign(record, await computePackageIntegrity(project, fileName, filePath, stats.size))
+  return true
+}
+
+/**
+ * 获取单个包文件的记录，记录缺失或过期时补全并保存（只在首次查询时计算，之后直接读取记录）
+ * @returns {Promise<Object|null>} 文件名不安全、无法建立记录时返回 null
+ */
+export async function ensurePackageRecord(project, fileName) {
+  const filePath = path.join(PACKAGES_DIR, project, fileName)
+  const stats = await fs.stat(filePath)
+  const config = await getPackageConfig()
+
+  if (await refreshPackageRecord(config, project, fileName, filePath, stats)) {
+    await updatePackageConfig(config)
+  }
+
+  return config.packages[project].packages[fileName] || null
+}
+
 /**
  * 同步文件系统与配置文件
  */
@@ -224,8 +291,8 @@ export async function syncPackagesFromFileSystem() {
     const config = await getPackageConfig()
     const updated = { ...config }
 
-    for (const project of ['frontend', 'backend']) {
-      const packageDir = path.join(__dirname, '../../uploads/packages', project)
+    for (const { name: project } of await getProjects()) {
+      const packageDir = path.join(PACKAGES_DIR, project)
 
       // eslint-disable-next-line no-await-in-loop -- 顺序处理目录检查避免并发冲突
       if (!(await fs.pathExists(packageDir))) {
@@ -242,22 +309,12 @@ export async function syncPackagesFromFileSystem() {
 
         if (!stats.isFile()) continue
 
-        // 如果配置中不存在此包，添加它（但不包含 MD5，需要手动计算）
-        if (!updated.packages[project].packages[fileName]) {
-          // 验证文件名安全性
-          if (fileName.includes('..') || fileName.includes('/') || fileName.includes('\\')) {
-            console.warn(`跳过不安全的文件名: ${fileName}`)
-            continue
-          }
-
-          updated.packages[project].packages[fileName] = {
-            fileName,
-            fileSize: stats.size,
-            fileMD5: null, // 需要手动计算或重新上传
-            version: null,
-            uploadedAt: DateHelper.formatToYYYYMMDD(stats.birthtime),
-            uploadedBy: 'system'
-          }
+        // 新文件和旧记录在这里补上签名与解压大小，查询包详情时直接读取
+        try {
+          // eslint-disable-next-line no-await-in-loop -- 逐个文件流式计算，避免同时读取多个大文件
+          await refreshPackageRecord(updated, project, fileName, filePath, stats)
+        } catch (error) {
+          console.warn(`计算包信息失败 ${project}/${fileName}: ${error.message}`)
         }
       }
     }
@@ -0,0 +1,300 @@
+// 中文注释：项目注册表（设备上独立部署、独立版本的组件，如前端、后端、打印服务、模型文件）
+import fs from 'fs-extra'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { SUPPORTED_ARCHIVE_EXTENSIONS } from '../utils/archive.js'
+import { DateHelper } from '../utils/common.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const REGISTRY_PATH = path.join(__dirname, '../../config/projects.json')
+
+/**
+ * 项目名称规则：同时用作上传目录名、设备端配置键和 URL 路径段
+ */
+export const PROJECT_NAME_PATTERN = /^[a-z][\da-z-]{0,31}$/
+
+// 设备端支持的服务重启方式与模式，详细字段由设备端校验
+const RESTART_STRATEGY_TYPES = ['command', 'signal', 'pm2']
+const RESTART_STRATEGY_MODES = ['restart', 'stop-start']
+
+/**
+ * 存放设备端代理自身升级包的内置项目：只能通过代理自升级下发，不参与普通升级、回滚和版本查询
+ */
+export const AGENT_PROJECT = 'device-agent'
+
+// 内置项目，兼容只区分前后端的旧设备与旧数据，不允许删除
+const BUILT_IN_PROJECTS = {
+  frontend: { description: '前端项目' },
+  backend: { description: '后端项目' },
+  [AGENT_PROJECT]: { description: '设备端代理（自升级包）', agent: true }
+}
+
+// 项目按名称存放在普通对象中，只认自身属性，避免 constructor、__proto__ 等原型属性被当成已注册项目
+function findProject(registry, name) {
+  return typeof name === 'string' && Object.hasOwn(registry.projects, name) ? registry.projects[name] : null
+}
+
+function createBuiltInProject(name, now) {
+  const { description, agent = false } = BUILT_IN_PROJECTS[name]
+  return {
+    name,
+    description,
+    defaultDeployPath: null,
+    allowedExtensions: [...SUPPORTED_ARCHIVE_EXTENSIONS],
+    defaultPreservedPaths: [],
+    restartStrategy: null,
+    builtIn: true,
+    ...(agent && { agent: true }),
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+function createDefaultRegistry() {
+  const now = DateHelper.getCurrentDate()
+  const projects = {}
+  for (const name of Object.keys(BUILT_IN_PROJECTS)) {
+    projects[name] = createBuiltInProject(name, now)
+  }
+
+  return { projects, lastUpdated: now }
+}
+
+async function readRegistry() {
+  if (await fs.pathExists(REGISTRY_PATH)) {
+    const registry = await fs.readJSON(REGISTRY_PATH)
+    // 旧注册表缺少后续新增的内置项目时补齐
+    const missing = Object.keys(BUILT_IN_PROJECTS).filter((name) => !findProject(registry, name))
+    if (missing.length > 0) {
+      const now = DateHelper.getCurrentDate()
+      for (const name of missing) {
+        registry.projects[name] = createBuiltInProject(name, now)
+      }
+      await writeRegistry(registry)
+    }
+
+    return registry
+  }
+
+  const registry = createDefaultRegistry()
+  await writeRegistry(registry)
+  return registry
+}
+
+async function writeRegistry(registry) {
+  registry.lastUpdated = DateHelper.getCurrentDate()
+  await fs.ensureDir(path.dirname(REGISTRY_PATH))
+  await fs.writeJSON(REGISTRY_PATH, registry, { spaces: 2 })
+}
+
+function normalizeStringList(value, field) {
+  if (value == null) return []
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`${field} 必须是字符串数组`)
+  }
+
+  return [...new Set(value.map((item) => item.trim()).filter((item) => item.length > 0))]
+}
+
+/**
+ * 校验重启策略的基本结构（null 表示部署后不重启服务）
+ */
+function normalizeRestartStrategy(value) {
+  if (value == null) return null
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('restartStrategy 必须是对象')
+  }
+
+  if (!RESTART_STRATEGY_TYPES.includes(value.type)) {
+    throw new Error(`restartStrategy.type 必须是 ${RESTART_STRATEGY_TYPES.join(' / ')}`)
+  }
+
+  if (value.mode != null && !RESTART_STRATEGY_MODES.includes(value.mode)) {
+    throw new Error(`restartStrategy.mode 必须是 ${RESTART_STRATEGY_MODES.join(' / ')}`)
+  }
+
+  if (value.timeout != null && (!Number.isInteger(value.timeout) || value.timeout <= 0)) {
+    throw new Error('restartStrategy.timeout 必须是正整数（毫秒）')
+  }
+
+  const stringFields = ['command', 'stop', 'start', 'pidFile', 'signal', 'name', 'ecosystem', 'cwd']
+  const invalid = stringFields.filter((field) => value[field] != null && typeof value[field] !== 'string')
+  if (invalid.length > 0) {
+    throw new Error(`restartStrategy 字段必须是字符串: ${invalid.join(', ')}`)
+  }
+
+  const strategy = { type: value.type }
+  for (const field of ['mode', 'timeout', ...stringFields]) {
+    if (value[field] != null && value[field] !== '') strategy[field] = value[field]
+  }
+  return strategy
+}
+
+/**
+ * 校验并规范化项目的可编辑字段
+ * @param {Object} input - 请求中的字段
+ * @param {Object|null} existing - 更新时的原记录
+ */
+function normalizeProjectFields(input, existing = null) {
+  const source = { ...existing, ...input }
+
+  if (source.description != null && typeof source.description !== 'string') {
+    throw new Error('description 必须是字符串')
+  }
+
+  if (source.defaultDeployPath != null && typeof source.defaultDeployPath !== 'string') {
+    throw new Error('defaultDeployPath 必须是字符串')
+  }
+
+  const allowedExtensions = normalizeStringList(source.allowedExtensions, 'allowedExtensions').map((ext) =>
+    ext.toLowerCase()
+  )
+  const unsupported = allowedExtensions.filter((ext) => !SUPPORTED_ARCHIVE_EXTENSIONS.includes(ext))
+  if (unsupported.length > 0) {
+    throw new Error(`不支持的扩展名: ${unsupported.join(', ')}，可选: ${SUPPORTED_ARCHIVE_EXTENSIONS.join(', ')}`)
+  }
+
+  const defaultPreservedPaths = normalizeStringList(source.defaultPreservedPaths, 'defaultPreservedPaths')
+  if (defaultPreservedPaths.some((item) => item.includes('..') || path.isAbsolute(item))) {
+    throw new Error('defaultPreservedPaths 必须是部署目录内的相对路径')
+  }
+
+  return {
+    description: source.description?.trim() || '',
+    defaultDeployPath: source.defaultDeployPath?.trim() || null,
+    allowedExtensions: allowedExtensions.length > 0 ? allowedExtensions : [...SUPPORTED_ARCHIVE_EXTENSIONS],
+    defaultPreservedPaths,
+    restartStrategy: normalizeRestartStrategy(source.restartStrategy)
+  }
+}
+
+/**
+ * 获取全部已注册项目（按名称排序，内置项目在前）
+ * @returns {Promise<Array>}
+ */
+export async function getProjects() {
+  const registry = await readRegistry()
+  return Object.values(registry.projects).sort((a, b) => {
+    if (a.builtIn !== b.builtIn) return a.builtIn ? -1 : 1
+    return a.name.localeCompare(b.name)
+  })
+}
+
+/**
+ * 获取设备上部署的项目（不含代理自升级项目）
+ * @returns {Promise<Array>}
+ */
+export async function getDeployableProjects() {
+  return (await getProjects()).filter(({ name }) => !isAgentProject(name))
+}
+
+/**
+ * 判断是否为代理自升级项目
+ */
+export function isAgentProject(name) {
+  return name === AGENT_PROJECT
+}
+
+/**
+ * 获取单个项目
+ * @returns {Promise<Object|null>} 未注册时返回 null
+ */
+export async function getProject(name) {
+  if (typeof name !== 'string' || !PROJECT_NAME_PATTERN.test(name)) return null
+  const registry = await readRegistry()
+  return findProject(registry, name)
+}
+
+/**
+ * 下发给设备的项目配置（设备据此接受升级命令并确定默认部署目录）
+ * @returns {Promise<Array<{name: string, defaultDeployPath: string|null, restartStrategy: Object|null}>>}
+ */
+export async function getDeviceProjectConfig() {
+  return (await getDeployableProjects()).map(({ name, defaultDeployPath, restartStrategy = null }) => ({
+    name,
+    defaultDeployPath,
+    restartStrategy
+  }))
+}
+
+/**
+ * 判断项目是否已注册
+ */
+export async function isRegisteredProject(name) {
+  return Boolean(await getProject(name))
+}
+
+/**
+ * 注册新项目
+ * @param {Object} input - { name, description, defaultDeployPath, allowedExtensions, defaultPreservedPaths, restartStrategy }
+ */
+export async function createProject(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim() : ''
+  if (!PROJECT_NAME_PATTERN.test(name)) {
+    throw new Error('项目名称只能包含小写字母、数字和短横线，以字母开头，最长 32 个字符')
+  }
+
+  const registry = await readRegistry()
+  if (findProject(registry, name)) {
+    throw new Error(`项目已存在: ${name}`)
+  }
+
+  const now = DateHelper.getCurrentDate()
+  const project = {
+    name,
+    ...normalizeProjectFields(input),
+    builtIn: false,
+    createdAt: now,
+    updatedAt: now
+  }
+
+  registry.projects[name] = project
+  await writeRegistry(registry)
+  return project
+}
+
+/**
+ * 更新项目属性（名称不可修改）
+ */
+export async function updateProject(name, input) {
+  const registry = await readRegistry()
+  const existing = findProject(registry, name)
+  if (!existing) {
+    throw new Error(`项目不存在: ${name}`)
+  }
+
+  // 名称是包目录和设备配置的键，不允许通过更新修改
+  const fields = { ...input }
+  delete fields.name
+
+  const project = {
+    ...existing,
+    ...normalizeProjectFields(fields, existing),
+    updatedAt: DateHelper.getCurrentDate()
+  }
+
+  registry.projects[name] = project
+  await writeRegistry(registry)
+  return project
+}
+
+/**
+ * 删除项目注册（调用方需先确认该项目没有升级包）
+ */
+export async function removeProject(name) {
+  const registry = await readRegistry()
+  const existing = findProject(registry, name)
+  if (!existing) {
+    throw new Error(`项目不存在: ${name}`)
+  }
+
+  if (existing.builtIn) {
+    throw new Error(`内置项目不能删除: ${name}`)
+  }
+
+  delete registry.projects[name]
+  await writeRegistry(registry)
+  return existing
+}
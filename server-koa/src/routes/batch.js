@@ -3,9 +3,11 @@ import Router from '@koa/router'
 import {
   createBatchUpgrade,
   createBatchRollback,
+  createBatchAgentUpgrade,
   getBatchTasks,
   getBatchTask,
   cancelBatchTask,
+  cancelBatchTaskDevice,
   retryFailedDevices,
   getBatchTaskStats
 } from '../controllers/batchController.js'
@@ -26,8 +28,8 @@ const router = new Router({
  *           description: 任务ID
  *         type:
  *           type: string
- *           enum: [upgrade, rollback]
- *           description: 任务类型
+ *           enum: [upgrade, rollback, agent_upgrade]
+ *           description: 任务类型（agent_upgrade 为设备端代理自升级）
  *         status:
  *           type: string
  *           enum: [pending, running, completed, failed, cancelled]
@@ -55,6 +57,9 @@ const router = new Router({
  *             waiting:
  *               type: integer
  *               description: 等待中设备数
+ *             queued:
+ *               type: integer
+ *               description: 离线排队中的设备数
  *             upgrading:
  *               type: integer
  *               description: 升级中设备数
@@ -67,6 +72,9 @@ const router = new Router({
  *             timeout:
  *               type: integer
  *               description: 超时设备数
+ *             rolled_back:
+ *               type: integer
+ *               description: 健康检查未通过并已自动回滚的设备数（代理升级中为新版本未按时注册、已恢复旧版本的设备数）
  *
  *     BatchTaskDetail:
  *       allOf:
@@ -82,7 +90,7 @@ const router = new Router({
  *                     type: string
  *                   status:
  *                     type: string
- *                     enum: [waiting, upgrading, success, failed, timeout]
+ *                     enum: [waiting, queued, upgrading, success, failed, timeout, rolled_back, cancelled]
  *                   startTime:
  *                     type: string
  *                     format: date-time
@@ -93,6 +101,10 @@ const router = new Router({
  *                     type: string
  *                   retryCount:
  *                     type: integer
+ *                   queuedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: 设备离线、命令进入队列的时间
  *             logs:
  *               type: array
  *               items:
@@ -138,8 +150,7 @@ const router = new Router({
  *                 example: "app-v1.2.0.zip"
  *               project:
  *                 type: string
- *                 enum: [frontend, backend]
- *                 description: 项目类型
+ *                 description: 项目名称（须已在 /projects 注册，代理自升级项目 device-agent 除外）
  *                 example: "frontend"
  *               deployPath:
  *                 type: string
@@ -151,6 +162,54 @@ const router = new Router({
  *                 items:
  *                   type: string
  *                 example: [".env", "config/", "logs/"]
+ *               deployMode:
+ *                 type: string
+ *                 enum: [inplace, staged]
+ *                 description: 部署模式，staged 先解压到暂存目录验证后整体切换；留空则使用设备本地配置
+ *                 example: "staged"
+ *               healthCheck:
+ *                 type: object
+ *                 description: |
+ *                   部署后健康检查（也可为数组），不通过时设备自动回滚并上报 rolled_back 状态；
+ *                   留空则使用升级包清单或设备本地配置。type 为 http（url、expectStatus、expectBody）、
+ *                   tcp（host、port）或 command（command、cwd），通用参数 retries、interval、gracePeriod、timeout（毫秒）
+ *                 example: { "type": "http", "url": "http://127.0.0.1:8080/health", "retries": 5, "gracePeriod": 10000 }
+ *               dryRun:
+ *                 type: boolean
+ *                 description: |
+ *                   仅预览不部署：设备下载（或复用已缓存的）升级包，报告将新增、覆盖、删除和受白名单保护的文件及所需磁盘空间，
+ *                   不改动部署目录；各设备的报告和汇总在任务详情的 devices[].preview 与 previewSummary 中返回
+ *                 default: false
+ *               preflightOnly:
+ *                 type: boolean
+ *                 description: |
+ *                   仅执行升级前置检查（不能与 dryRun 同时开启）：设备不下载升级包，检查下载、包存储、备份与部署目录
+ *                   所在分区的可用空间（按包大小、解压后大小与备份大小估算）、各目录的写权限，以及部署时会被删除或覆盖的文件
+ *                   是否被占用或只读。未通过的设备状态为 failed；各设备的检查结果在任务详情的 devices[].preflight 中返回，
+ *                   按问题类型的汇总在 preflightSummary 中返回。正常升级同样先执行前置检查，未通过时在下载之前中止，
+ *                   错误码为 PREFLIGHT_FAILED
+ *                 default: false
+ *               seedDeviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: |
+ *                   局域网分发的种子设备，每个网段最多一台，须已开启局域网分发（设备端 PEER_SHARE_ENABLED）。
+ *                   种子设备先于其他设备执行，完成后同网段的其他设备优先从种子设备下载升级包，失败时改从服务端下载；
+ *                   种子设备记录在任务的 config.seeds 中
+ *                 example: ["device001"]
+ *               autoSeed:
+ *                 type: boolean
+ *                 description: 为未指定种子设备、且有多台目标设备的网段自动选择第一台开启局域网分发的设备作为种子
+ *                 default: false
+ *               queueUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: |
+ *                   离线设备的排队截止时间（最长 7 天）。指定后已注册过的离线设备也作为目标，命令进入服务端的离线队列，
+ *                   设备状态为 queued，设备重新注册后按顺序下发；截止时间前未上线的设备状态为 failed。
+ *                   仍有设备排队时任务保持 running。未指定时只对在线设备创建任务
+ *                 example: "2025-01-02T08:00:00.000Z"
  *     responses:
  *       200:
  *         description: 任务创建成功
@@ -180,10 +239,16 @@ const router = new Router({
  *                     invalidDevices:
  *                       type: integer
  *                       example: 2
+ *                     offlineDevices:
+ *                       type: integer
+ *                       description: 排队等待上线的离线设备数（指定 queueUntil 时）
+ *                       example: 0
  *       400:
- *         description: 请求参数错误
+ *         description: 请求参数错误（包括种子设备不在目标设备中、未开启局域网分发或同一网段指定了多台）
  *       404:
  *         description: 升级包不存在
+ *       409:
+ *         description: 部分设备不满足升级包清单声明的平台、架构或 Agent 版本要求，返回 incompatibleDevices 明细
  *       500:
  *         description: 服务器内部错误
  */
@@ -213,9 +278,16 @@ router.post('/upgrade', createBatchUpgrade)
  *                 example: ["device001", "device002", "device003"]
  *               project:
  *                 type: string
- *                 enum: [frontend, backend]
- *                 description: 项目类型
+ *                 description: 项目名称（须已在 /projects 注册，代理自升级项目 device-agent 除外）
  *                 example: "frontend"
+ *               queueUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: |
+ *                   离线设备的排队截止时间（最长 7 天）。指定后已注册过的离线设备也作为目标，命令进入服务端的离线队列，
+ *                   设备状态为 queued，设备重新注册后按顺序下发；截止时间前未上线的设备状态为 failed。
+ *                   仍有设备排队时任务保持 running。未指定时只对在线设备创建任务
+ *                 example: "2025-01-02T08:00:00.000Z"
  *     responses:
  *       200:
  *         description: 任务创建成功
@@ -245,6 +317,10 @@ router.post('/upgrade', createBatchUpgrade)
  *                     invalidDevices:
  *                       type: integer
  *                       example: 2
+ *                     offlineDevices:
+ *                       type: integer
+ *                       description: 排队等待上线的离线设备数（指定 queueUntil 时）
+ *                       example: 0
  *       400:
  *         description: 请求参数错误或设备缺少白名单配置
  *         content:
@@ -263,6 +339,65 @@ router.post('/upgrade', createBatchUpgrade)
  */
 router.post('/rollback', createBatchRollback)
 
+/**
+ * @swagger
+ * /api/batch/agent-upgrade:
+ *   post:
+ *     summary: 创建代理自升级任务
+ *     description: |
+ *       使用上传到内置项目 device-agent 的升级包更新设备端代理本身。设备下载并准备好新版本后由看门狗进程切换文件并重启，
+ *       新版本重新连接并注册后设备状态变为 success；未在限定时间内注册时看门狗恢复旧版本，设备状态为 rolled_back。
+ *       单设备升级时 deviceIds 只传一个设备。
+ *     tags: [批量操作]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceIds
+ *               - packageFileName
+ *             properties:
+ *               deviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 目标设备ID列表
+ *                 example: ["device001", "device002"]
+ *               packageFileName:
+ *                 type: string
+ *                 description: device-agent 项目下的升级包文件名，包内 package.json 的版本须与上传时记录的版本一致
+ *                 example: "device-agent-v1.5.0.tar.gz"
+ *               sessionId:
+ *                 type: string
+ *                 description: 会话ID，用于实时进度追踪
+ *     responses:
+ *       200:
+ *         description: 任务创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 taskId:
+ *                   type: string
+ *                   example: "batch_1703123456789_ghi789"
+ *                 message:
+ *                   type: string
+ *                   example: "代理升级任务已创建"
+ *       400:
+ *         description: 请求参数错误、没有在线设备或升级包缺少版本号
+ *       404:
+ *         description: 代理升级包不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/agent-upgrade', createBatchAgentUpgrade)
+
 /**
  * @swagger
  * /api/batch/tasks:
@@ -369,6 +504,7 @@ router.get('/tasks/:taskId', getBatchTask)
  * /api/batch/tasks/{taskId}:
  *   delete:
  *     summary: 取消批量任务
+ *     description: 未开始的设备标记为已取消，执行中的设备下发 cmd:cancel，在安全点中止（已改动文件时先恢复部署前版本）
  *     tags: [批量操作]
  *     parameters:
  *       - name: taskId
@@ -400,6 +536,71 @@ router.get('/tasks/:taskId', getBatchTask)
  */
 router.delete('/tasks/:taskId', cancelBatchTask)
 
+/**
+ * @swagger
+ * /api/batch/tasks/{taskId}/devices/{deviceId}/cancel:
+ *   post:
+ *     summary: 取消任务中单个设备的操作
+ *     description: |
+ *       未开始的设备直接标记为已取消；执行中的设备下发 cmd:cancel，下载立即中断，部署在下一个安全点中止，
+ *       已改动部署目录时先恢复部署前版本，完成后设备状态变为 cancelled。进入服务重启或健康检查阶段后无法取消。
+ *     tags: [批量操作]
+ *     parameters:
+ *       - name: taskId
+ *         in: path
+ *         required: true
+ *         description: 任务ID
+ *         schema:
+ *           type: string
+ *       - name: deviceId
+ *         in: path
+ *         required: true
+ *         description: 设备ID
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: 取消原因，记录为设备的错误信息
+ *     responses:
+ *       200:
+ *         description: 已取消或已向设备发出取消请求
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "已请求设备取消，操作将在安全点中止"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deviceId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     requested:
+ *                       type: boolean
+ *                       description: 是否已向设备发出取消请求（false 表示设备尚未开始，已直接取消）
+ *       404:
+ *         description: 任务或设备不存在
+ *       409:
+ *         description: 设备操作已结束或已进入不可取消的阶段
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/tasks/:taskId/devices/:deviceId/cancel', cancelBatchTaskDevice)
+
 /**
  * @swagger
  * /api/batch/tasks/{taskId}/retry:
@@ -488,6 +689,10 @@ router.post('/tasks/:taskId/retry', retryFailedDevices)
  *                       type: integer
  *                       description: 回滚任务数
  *                       example: 15
+ *                     agentUpgradeTasksCount:
+ *                       type: integer
+ *                       description: 代理升级任务数
+ *                       example: 2
  *                     totalDevicesProcessed:
  *                       type: integer
  *                       description: 处理的设备总数
@@ -0,0 +1,220 @@
+// 中文注释：增量包路由
+import Router from '@koa/router'
+import {
+  createDelta,
+  deleteDelta,
+  downloadDelta,
+  getDeltaDetail,
+  getDeltaList
+} from '../controllers/deltaController.js'
+
+const router = new Router({
+  prefix: '/deltas'
+})
+
+/**
+ * @swagger
+ * /deltas:
+ *   get:
+ *     tags: [Deltas]
+ *     summary: 获取增量包列表
+ *     parameters:
+ *       - name: project
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 项目名称（须已在 /projects 注册），为空时返回全部项目
+ *     responses:
+ *       200:
+ *         description: 增量包列表获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     deltas:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Delta'
+ *                     total:
+ *                       type: integer
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *   post:
+ *     tags: [Deltas]
+ *     summary: 生成增量包
+ *     description: |
+ *       比较同一项目的两个完整包，生成只包含新增/变更文件和删除列表的 tar.gz 增量包。
+ *       批量升级时，设备上报的当前版本与增量包的基础版本一致就会下发增量包；
+ *       设备应用后按目标完整包的文件清单校验，不一致时自动改用完整包。
+ *       同一对完整包已生成过时直接返回已有记录。
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [project, baseFileName, targetFileName]
+ *             properties:
+ *               project:
+ *                 type: string
+ *                 example: "frontend"
+ *               baseFileName:
+ *                 type: string
+ *                 description: 基础版本完整包文件名
+ *                 example: "frontend-v1.0.0.zip"
+ *               targetFileName:
+ *                 type: string
+ *                 description: 目标版本完整包文件名
+ *                 example: "frontend-v1.1.0.zip"
+ *     responses:
+ *       200:
+ *         description: 增量包已存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     delta:
+ *                       $ref: '#/components/schemas/Delta'
+ *       201:
+ *         description: 增量包生成成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     delta:
+ *                       $ref: '#/components/schemas/Delta'
+ *       400:
+ *         description: 参数错误（含包文件名包含路径分隔符或 ..）、包缺少版本号、包内容无法解析或增量包不小于完整包
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: false
+ *               error: "基础包和目标包都必须有明确的版本号才能生成增量包"
+ *       404:
+ *         description: 包文件不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+router.get('/', getDeltaList)
+router.post('/', createDelta)
+
+/**
+ * @swagger
+ * /deltas/{project}/{fileName}:
+ *   parameters:
+ *     - $ref: '#/components/parameters/ProjectParam'
+ *     - name: fileName
+ *       in: path
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: 增量包文件名
+ *   get:
+ *     tags: [Deltas]
+ *     summary: 获取增量包详情
+ *     responses:
+ *       200:
+ *         description: 增量包详情获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     delta:
+ *                       $ref: '#/components/schemas/Delta'
+ *       404:
+ *         description: 增量包不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *   delete:
+ *     tags: [Deltas]
+ *     summary: 删除增量包
+ *     description: 删除增量包文件和记录；删除任一对应的完整包时也会自动删除
+ *     responses:
+ *       200:
+ *         description: 增量包删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       404:
+ *         description: 增量包不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ */
+router.get('/:project/:fileName', getDeltaDetail)
+router.delete('/:project/:fileName', deleteDelta)
+
+/**
+ * @swagger
+ * /deltas/{project}/{fileName}/download:
+ *   get:
+ *     tags: [Deltas]
+ *     summary: 下载增量包
+ *     description: 与完整包下载相同，支持 Range / If-Range 断点续传
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProjectParam'
+ *       - name: fileName
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 增量包文件名
+ *       - name: Range
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 请求的字节范围（仅支持单段）
+ *       - name: If-Range
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 上次下载时获得的 ETag
+ *     responses:
+ *       200:
+ *         description: 文件下载成功
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: 返回请求范围内的部分内容
+ *       404:
+ *         description: 增量包不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       416:
+ *         description: 请求的范围超出文件大小
+ */
+router.get('/:project/:fileName/download', downloadDelta)
+
+export default router
@@ -1,6 +1,22 @@
 // 中文注释：ESM 导入
 import Router from '@koa/router'
-import { getDevices, sendCommand, upgradeDevice, rollbackDevice } from '../controllers/deviceController.js'
+import {
+  getDevices,
+  sendCommand,
+  getDeviceQueuedCommands,
+  deleteDeviceQueuedCommand,
+  upgradeDevice,
+  rollbackDevice,
+  cancelDeviceOperation,
+  prefetchPackage
+} from '../controllers/deviceController.js'
+import {
+  collectDeviceDiagnostics,
+  getDeviceDiagnostics,
+  uploadDeviceDiagnostics,
+  downloadDeviceDiagnostics,
+  deleteDeviceDiagnostics
+} from '../controllers/diagnosticsController.js'
 
 const router = new Router({
   prefix: '/devices'
@@ -30,6 +46,21 @@ const router = new Router({
  *           type: string
  *         description: 搜索关键词（设备名称或设备ID）
  *         example: "生产服务器"
+ *       - name: drift
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [clean, drifted, unknown]
+ *         description: 部署文件完整性筛选（未上报过校验结果的设备为 unknown）
+ *         example: "drifted"
+ *       - name: agentVersion
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 设备端代理版本筛选（精确匹配）
+ *         example: "1.4.0"
  *       - name: pageNum
  *         in: query
  *         required: false
@@ -133,6 +164,23 @@ const router = new Router({
  *                             type: integer
  *                             nullable: true
  *                             description: 运行时长（秒）
+ *                           agentUpgrade:
+ *                             type: object
+ *                             nullable: true
+ *                             description: 最近一次代理自升级结果 { status（confirmed/reverted/failed）, fromVersion, toVersion, error, startedAt, finishedAt }
+ *                           # 部署文件完整性
+ *                           driftStatus:
+ *                             type: string
+ *                             enum: [clean, drifted, unknown]
+ *                             description: 部署文件与部署清单是否一致
+ *                           integrity:
+ *                             type: object
+ *                             nullable: true
+ *                             description: 最近一次校验摘要 { status, checkedAt, projects: { 项目: { status, version, modified, missing, unexpected } } }
+ *                           packageCache:
+ *                             type: object
+ *                             nullable: true
+ *                             description: 升级包缓存 { quotaBytes, usedBytes, count, updatedAt, packages: [{ project, fileName, resource, size, version, lastUsedAt, prefetchedAt, protected（current/previous） }], prefetching, lastPrefetch }
  
  *                           # 连接状态
  *                           connectedAt:
@@ -418,6 +466,18 @@ router.get('/', getDevices)
  *             example:
  *               success: true
  *               message: "命令发送成功"
+ *       202:
+ *         description: 设备离线，命令已排队（请求指定了 queueUntil），设备重新注册后按顺序下发
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: true
+ *               message: "设备离线，命令已排队，设备上线后下发"
+ *               queued: true
+ *               commandId: "queued_1735689600000_k3j9x2"
+ *               expiresAt: "2025-01-02T08:00:00.000Z"
  *       400:
  *         description: 请求参数错误
  *         content:
@@ -448,6 +508,92 @@ router.get('/', getDevices)
  */
 router.post('/:deviceId/command', sendCommand)
 
+/**
+ * @swagger
+ * /devices/{deviceId}/queued-commands:
+ *   get:
+ *     tags: [Devices]
+ *     summary: 获取设备排队中的命令
+ *     description: |
+ *       设备离线期间排队的命令（单独发送时指定 queueUntil，或批量任务指定了排队截止时间），按入队顺序排列，不含已过期的命令。
+ *       设备重新注册后先查询版本，再逐条下发；批量任务的命令下发后等待设备执行结束再下发下一条。
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: "queued_1735689600000_k3j9x2"
+ *                       deviceId:
+ *                         type: string
+ *                       event:
+ *                         type: string
+ *                         description: 下发的 Socket 事件
+ *                         example: "cmd:upgrade"
+ *                       data:
+ *                         type: object
+ *                         nullable: true
+ *                         description: 事件数据（批量任务的命令为 null，下发时按设备当时的状态生成）
+ *                       taskId:
+ *                         type: string
+ *                         nullable: true
+ *                         description: 所属批量任务
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: 截止时间，之前设备未上线则作废
+ *       500:
+ *         description: 服务器错误
+ */
+router.get('/:deviceId/queued-commands', getDeviceQueuedCommands)
+
+/**
+ * @swagger
+ * /devices/{deviceId}/queued-commands/{commandId}:
+ *   delete:
+ *     tags: [Devices]
+ *     summary: 删除设备排队中的命令
+ *     description: 只能删除单独发送的命令，批量任务的命令需在任务中取消该设备，以便同步任务状态
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *       - name: commandId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 排队命令ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 排队命令不存在或已下发
+ *       409:
+ *         description: 命令属于批量任务
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete('/:deviceId/queued-commands/:commandId', deleteDeviceQueuedCommand)
+
 /**
  * @swagger
  * /devices/{deviceId}/upgrade:
@@ -474,8 +620,7 @@ router.post('/:deviceId/command', sendCommand)
  *             properties:
  *               project:
  *                 type: string
- *                 enum: [frontend, backend]
- *                 description: 项目类型
+ *                 description: 项目名称（须已在 /projects 注册，代理自升级项目 device-agent 除外）
  *               fileName:
  *                 type: string
  *                 description: 升级包文件名
@@ -493,6 +638,13 @@ router.post('/:deviceId/command', sendCommand)
  *                 items:
  *                   type: string
  *                 description: 保护文件列表
+ *               deployMode:
+ *                 type: string
+ *                 enum: [inplace, staged]
+ *                 description: 部署模式（可选，默认使用设备本地配置）
+ *               healthCheck:
+ *                 type: object
+ *                 description: 部署后健康检查定义（可选），不通过时设备自动回滚
  *               sessionId:
  *                 type: string
  *                 description: 会话ID（用于进度跟踪）
@@ -527,6 +679,8 @@ router.post('/:deviceId/command', sendCommand)
  *         description: 参数错误
  *       404:
  *         description: 设备不在线或升级包不存在
+ *       409:
+ *         description: 设备正在执行其他操作，或不满足升级包清单声明的平台、架构、Agent 版本要求
  *       500:
  *         description: 服务器错误
  */
@@ -557,11 +711,14 @@ router.post('/:deviceId/upgrade', upgradeDevice)
  *             properties:
  *               project:
  *                 type: string
- *                 enum: [frontend, backend]
- *                 description: 项目类型
+ *                 description: 项目名称（须已在 /projects 注册，代理自升级项目 device-agent 除外）
  *               sessionId:
  *                 type: string
  *                 description: 会话ID（用于进度跟踪）
+ *               backupId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 回滚到的备份 ID（来自 /api/versions/{deviceId}/backups），为空时回滚到最新备份
  *           example:
  *             project: "frontend"
  *             sessionId: "session-123"
@@ -594,4 +751,299 @@ router.post('/:deviceId/upgrade', upgradeDevice)
  */
 router.post('/:deviceId/rollback', rollbackDevice)
 
+/**
+ * @swagger
+ * /devices/{deviceId}/cancel:
+ *   post:
+ *     tags: [Devices]
+ *     summary: 取消设备进行中的升级或回滚
+ *     description: |
+ *       查找设备当前执行的任务并下发 cmd:cancel。下载立即中断，部署在下一个安全点中止，
+ *       已改动部署目录时先恢复部署前版本；进入服务重启或健康检查阶段后无法取消。
+ *       取消结果通过 cancelled 进度与任务中的设备状态反映。
+ *     parameters:
+ *       - name: deviceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 设备ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: 取消原因
+ *     responses:
+ *       200:
+ *         description: 已向设备发出取消请求
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "已请求设备取消，操作将在安全点中止"
+ *                 taskId:
+ *                   type: string
+ *                   description: 设备当前执行的任务ID
+ *       404:
+ *         description: 设备没有进行中的任务
+ *       409:
+ *         description: 操作已进入不可取消的阶段或设备拒绝取消
+ *       500:
+ *         description: 服务器错误
+ */
+router.post('/:deviceId/cancel', cancelDeviceOperation)
+
+/**
+ * @swagger
+ * /devices/prefetch:
+ *   post:
+ *     tags: [Devices]
+ *     summary: 预下载升级包到设备缓存
+ *     description: |
+ *       设备在后台把升级包下载到本机缓存（校验 MD5 与签名），维护窗口内下发升级时直接使用缓存，无需再下载。
+ *       接口只返回各设备是否已开始下载，下载进度与结果随心跳更新到设备列表的 packageCache 中。
+ *       设备缓存超出配额时删除最久未使用的包，当前部署与上一次部署的包不会被删除。
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceIds
+ *               - project
+ *               - fileName
+ *             properties:
+ *               deviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 设备ID列表
+ *               project:
+ *                 type: string
+ *                 description: 项目名称（须已在 /projects 注册）
+ *               fileName:
+ *                 type: string
+ *                 description: 升级包文件名
+ *           example:
+ *             deviceIds: ["device-001", "device-002"]
+ *             project: "frontend"
+ *             fileName: "frontend-v1.2.0.zip"
+ *     responses:
+ *       200:
+ *         description: 已向设备下发预下载
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "2/2 台设备已开始预下载"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accepted:
+ *                       type: integer
+ *                       description: 已开始下载的设备数
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           deviceId:
+ *                             type: string
+ *                           success:
+ *                             type: boolean
+ *                           message:
+ *                             type: string
+ *                             example: "已开始预下载"
+ *       400:
+ *         description: 参数错误或项目未注册
+ *       404:
+ *         description: 升级包不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.post('/prefetch', prefetchPackage)
+
+/**
+ * @swagger
+ * /devices/{deviceId}/diagnostics:
+ *   post:
+ *     tags: [Devices]
+ *     summary: 收集设备诊断包
+ *     description: |
+ *       向在线设备下发 cmd:collectDiagnostics，设备收集日志、部署路径配置、各项目版本、备份列表、操作日志与系统信息，
+ *       打包为 tar.gz 后上传到服务端。接口在设备确认开始收集后返回，收集状态通过诊断包列表查询。
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *     responses:
+ *       202:
+ *         description: 设备已开始收集
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/DiagnosticsBundle'
+ *       409:
+ *         description: 设备不在线
+ *       500:
+ *         description: 命令发送失败或设备拒绝（如已有诊断包正在收集）
+ *   get:
+ *     tags: [Devices]
+ *     summary: 获取设备的诊断包列表
+ *     description: |
+ *       按请求时间倒序返回。每台设备保留最近 DIAGNOSTICS_MAX_PER_DEVICE 个诊断包（默认 5），
+ *       超过 DIAGNOSTICS_RETENTION_DAYS 天（默认 14）的诊断包自动删除；收集中超过 10 分钟未上传的记为失败。
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiagnosticsBundle'
+ *       500:
+ *         description: 服务器错误
+ */
+router.post('/:deviceId/diagnostics', collectDeviceDiagnostics)
+router.get('/:deviceId/diagnostics', getDeviceDiagnostics)
+
+/**
+ * @swagger
+ * /devices/{deviceId}/diagnostics/{bundleId}/upload:
+ *   put:
+ *     tags: [Devices]
+ *     summary: 设备上传诊断包
+ *     description: 由设备调用，请求体为 tar.gz 原始内容，超过 DIAGNOSTICS_MAX_SIZE（默认 100MB）时拒绝
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *       - name: bundleId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 诊断包ID
+ *       - name: X-Upload-Token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 收集命令中下发的上传令牌
+ *       - name: X-Content-SHA256
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 诊断包的 SHA-256，与接收内容不一致时拒绝
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/gzip:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: 上传完成
+ *       403:
+ *         description: 上传令牌无效
+ *       409:
+ *         description: 诊断包已上传或已失败
+ *       413:
+ *         description: 诊断包超过大小限制
+ *       500:
+ *         description: 保存失败（含 SHA-256 校验失败）
+ */
+router.put('/:deviceId/diagnostics/:bundleId/upload', uploadDeviceDiagnostics)
+
+/**
+ * @swagger
+ * /devices/{deviceId}/diagnostics/{bundleId}/download:
+ *   get:
+ *     tags: [Devices]
+ *     summary: 下载诊断包
+ *     description: 支持 Range 断点续传
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *       - name: bundleId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 诊断包ID
+ *     responses:
+ *       200:
+ *         description: 诊断包文件
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: 部分内容
+ *       404:
+ *         description: 诊断包不存在或尚未上传
+ */
+router.get('/:deviceId/diagnostics/:bundleId/download', downloadDeviceDiagnostics)
+
+/**
+ * @swagger
+ * /devices/{deviceId}/diagnostics/{bundleId}:
+ *   delete:
+ *     tags: [Devices]
+ *     summary: 删除诊断包
+ *     description: 删除记录与文件；收集中的诊断包删除后，设备的上传会被拒绝
+ *     parameters:
+ *       - $ref: '#/components/parameters/DeviceIdParam'
+ *       - name: bundleId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 诊断包ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 诊断包不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete('/:deviceId/diagnostics/:bundleId', deleteDeviceDiagnostics)
+
 export default router
@@ -6,7 +6,8 @@ import {
   deletePackage,
   downloadPackage,
   getPackageConfig,
-  getPackageList
+  getPackageList,
+  getSigningKey
 } from '../controllers/packageController.js'
 
 const router = new Router({
@@ -19,15 +20,14 @@ const router = new Router({
  *   get:
  *     tags: [Packages]
  *     summary: 获取包列表
- *     description: 获取已上传的包文件列表，支持按项目类型筛选
+ *     description: 获取已上传的包文件列表，支持按项目筛选
  *     parameters:
  *       - name: project
  *         in: query
  *         required: false
  *         schema:
  *           type: string
- *           enum: [frontend, backend]
- *         description: 项目类型筛选（可选）
+ *         description: 项目名称筛选（可选）
  *         example: "frontend"
  *     responses:
  *       200:
@@ -46,8 +46,7 @@ const router = new Router({
  *                         properties:
  *                           project:
  *                             type: string
- *                             enum: [frontend, backend]
- *                             description: 项目类型
+ *                             description: 项目名称（须已在 /projects 注册）
  *                           fileName:
  *                             type: string
  *                             description: 文件名
@@ -61,7 +60,8 @@ const router = new Router({
  *                           packagePath:
  *                             type: string
  *                             description: 包文件相对路径
- *                           # manifests 机制已废弃
+ *                           manifest:
+ *                             $ref: '#/components/schemas/PackageManifest'
  *                       description: 包信息列表
  *                     total:
  *                       type: integer
@@ -94,7 +94,7 @@ const router = new Router({
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: false
- *               error: "project 参数必须是 frontend 或 backend"
+ *               error: "未注册的项目: printer"
  *       500:
  *         description: 服务器内部错误
  *         content:
@@ -113,10 +113,16 @@ router.get('/', getPackages)
  *   get:
  *     tags: [Packages]
  *     summary: 获取包详情
- *     description: 获取指定包的详细信息
+ *     description: 获取指定包的详细信息；设备下载前带上自己的设备ID时，一并返回同网段已缓存该包的设备
  *     parameters:
  *       - $ref: '#/components/parameters/ProjectParam'
  *       - $ref: '#/components/parameters/FileNameParam'
+ *       - in: query
+ *         name: deviceId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 请求下载的设备ID，用于查找同网段的下载来源
  *     responses:
  *       200:
  *         description: 包详情获取成功
@@ -132,8 +138,7 @@ router.get('/', getPackages)
  *                       properties:
  *                         project:
  *                           type: string
- *                           enum: [frontend, backend]
- *                           description: 项目类型
+ *                           description: 项目名称（须已在 /projects 注册）
  *                         fileName:
  *                           type: string
  *                           description: 文件名
@@ -144,6 +149,14 @@ router.get('/', getPackages)
  *                           type: string
  *                           nullable: true
  *                           description: 文件MD5值
+ *                         fileSHA256:
+ *                           type: string
+ *                           description: 文件 SHA-256 值
+ *                         signature:
+ *                           $ref: '#/components/schemas/PackageSignature'
+ *                         uncompressedSize:
+ *                           type: integer
+ *                           description: 包内文件解压后的总大小（字节），设备端升级前据此检查部署分区的可用空间
  *                         version:
  *                           type: string
  *                           nullable: true
@@ -157,9 +170,22 @@ router.get('/', getPackages)
  *                           type: string
  *                           nullable: true
  *                           description: 上传者
+ *                         manifest:
+ *                           $ref: '#/components/schemas/PackageManifest'
  *                         packagePath:
  *                           type: string
  *                           description: 包文件相对路径
+ *                         peers:
+ *                           type: array
+ *                           description: 与该设备同网段、已缓存该包（SHA-256 一致）且开启共享的在线设备，仅在传入 deviceId 时返回，最多 3 台
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               deviceId:
+ *                                 type: string
+ *                               url:
+ *                                 type: string
+ *                                 description: 设备的局域网分发地址
  *             example:
  *               success: true
  *               package:
@@ -167,6 +193,13 @@ router.get('/', getPackages)
  *                 fileName: "frontend-v1.0.0.zip"
  *                 fileSize: 10485760
  *                 fileMD5: "a1b2c3d4e5f6789012345678901234567890abcd"
+ *                 fileSHA256: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *                 signature:
+ *                   algorithm: "ed25519"
+ *                   keyId: "3f2a9c1d7e6b5a40"
+ *                   value: "q1Zb0c...Q=="
+ *                   signedAt: "2025-09-09T03:30:00.000Z"
+ *                 uncompressedSize: 31457280
  *                 version: "v1.0.0"
  *                 uploadedAt: "2025-09-09T03:30:00.000Z"
  *                 uploadedBy: "admin"
@@ -179,7 +212,7 @@ router.get('/', getPackages)
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: false
- *               error: "project 参数必须是 frontend 或 backend"
+ *               error: "未注册的项目: printer"
  *       404:
  *         description: 包文件不存在
  *         content:
@@ -229,7 +262,7 @@ router.get('/:project/:fileName', getPackageDetail)
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: false
- *               error: "project 参数必须是 frontend 或 backend"
+ *               error: "未注册的项目: printer"
  *       404:
  *         description: 包文件不存在
  *         content:
@@ -257,10 +290,23 @@ router.delete('/:project/:fileName', deletePackage)
  *   get:
  *     tags: [Packages]
  *     summary: 下载包
- *     description: 下载指定的包文件
+ *     description: 下载指定的包文件，支持 Range 断点续传；携带 If-Range 且与当前 ETag 不一致时返回完整文件
  *     parameters:
  *       - $ref: '#/components/parameters/ProjectParam'
  *       - $ref: '#/components/parameters/FileNameParam'
+ *       - name: Range
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 请求的字节范围（仅支持单段）
+ *         example: "bytes=1048576-"
+ *       - name: If-Range
+ *         in: header
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: 上次下载时获得的 ETag，文件变化时服务端返回 200 完整内容
  *     responses:
  *       200:
  *         description: 文件下载成功
@@ -286,6 +332,21 @@ router.delete('/:project/:fileName', deletePackage)
  *               type: integer
  *             description: 文件大小
  *             example: 10485760
+ *           Accept-Ranges:
+ *             schema:
+ *               type: string
+ *             example: "bytes"
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: 文件标识，用于 If-Range 校验
+ *       206:
+ *         description: 返回请求范围内的部分内容
+ *         headers:
+ *           Content-Range:
+ *             schema:
+ *               type: string
+ *             example: "bytes 1048576-10485759/10485760"
  *       400:
  *         description: 参数错误
  *         content:
@@ -294,7 +355,7 @@ router.delete('/:project/:fileName', deletePackage)
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: false
- *               error: "project 参数必须是 frontend 或 backend"
+ *               error: "未注册的项目: printer"
  *       404:
  *         description: 包文件不存在
  *         content:
@@ -304,6 +365,8 @@ router.delete('/:project/:fileName', deletePackage)
  *             example:
  *               success: false
  *               error: "包文件不存在"
+ *       416:
+ *         description: 请求的范围超出文件大小
  *       500:
  *         description: 服务器内部错误
  *         content:
@@ -343,11 +406,11 @@ router.get('/:project/:fileName/download', downloadPackage)
  *                   frontend:
  *                     uploadDir: "uploads/packages/frontend"
  *                     maxFileSize: "100MB"
- *                     allowedExtensions: [".zip", ".tar.gz", ".tar"]
+ *                     allowedExtensions: [".zip", ".tar", ".tar.gz", ".tgz"]
  *                   backend:
  *                     uploadDir: "uploads/packages/backend"
  *                     maxFileSize: "100MB"
- *                     allowedExtensions: [".zip", ".tar.gz", ".tar"]
+ *                     allowedExtensions: [".zip", ".tar", ".tar.gz", ".tgz"]
  *                 settings:
  *                   autoCleanup: true
  *                   maxPackageCount: 20
@@ -378,8 +441,7 @@ router.get('/config', getPackageConfig)
  *         required: false
  *         schema:
  *           type: string
- *           enum: [frontend, backend]
- *         description: 项目类型筛选（可选）
+ *         description: 项目名称筛选（可选）
  *         example: "frontend"
  *     responses:
  *       200:
@@ -401,8 +463,7 @@ router.get('/config', getPackageConfig)
  *                             description: 包的唯一标识（project_fileName）
  *                           project:
  *                             type: string
- *                             enum: [frontend, backend]
- *                             description: 项目类型
+ *                             description: 项目名称（须已在 /projects 注册）
  *                           fileName:
  *                             type: string
  *                             description: 文件名
@@ -456,7 +517,7 @@ router.get('/config', getPackageConfig)
  *               $ref: '#/components/schemas/ApiResponse'
  *             example:
  *               success: false
- *               error: "project 参数必须是 frontend 或 backend"
+ *               error: "未注册的项目: printer"
  *       500:
  *         description: 服务器内部错误
  *         content:
@@ -469,4 +530,57 @@ router.get('/config', getPackageConfig)
  */
 router.get('/list', getPackageList)
 
+/**
+ * @swagger
+ * /packages/signing-key:
+ *   get:
+ *     tags: [Packages]
+ *     summary: 获取升级包签名公钥
+ *     description: |
+ *       服务端首次启动时生成 Ed25519 密钥对（私钥默认保存在 config/package-signing-key.pem，可用 PACKAGE_SIGNING_KEY_PATH 指定）。
+ *       将返回的 publicKey 配置到设备端 PACKAGE_SIGNING_PUBLIC_KEY，设备只接受该公钥签名的升级包。
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: object
+ *                       properties:
+ *                         algorithm:
+ *                           type: string
+ *                           enum: [ed25519]
+ *                         keyId:
+ *                           type: string
+ *                           description: 公钥指纹，与包签名中的 keyId 对应
+ *                         publicKey:
+ *                           type: string
+ *                           description: SPKI DER 格式公钥的 Base64
+ *                         pem:
+ *                           type: string
+ *                           description: PEM 格式公钥
+ *             example:
+ *               success: true
+ *               key:
+ *                 algorithm: "ed25519"
+ *                 keyId: "3f2a9c1d7e6b5a40"
+ *                 publicKey: "MCowBQYDK2VwAyEA...="
+ *                 pem: "-----BEGIN PUBLIC KEY-----\n...\n-----END PUBLIC KEY-----\n"
+ *       500:
+ *         description: 服务器内部错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: false
+ *               error: "获取签名公钥失败"
+ */
+router.get('/signing-key', getSigningKey)
+
 export default router
@@ -0,0 +1,257 @@
+// 中文注释：项目注册表路由
+import Router from '@koa/router'
+import {
+  createProject,
+  deleteProject,
+  getProjectDetail,
+  getProjectList,
+  updateProject
+} from '../controllers/projectController.js'
+
+const router = new Router({
+  prefix: '/projects'
+})
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     tags: [Projects]
+ *     summary: 获取项目列表
+ *     description: 获取全部已注册项目，内置项目（frontend、backend）在前，其余按名称排序
+ *     responses:
+ *       200:
+ *         description: 项目列表获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     projects:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Project'
+ *                           - type: object
+ *                             properties:
+ *                               packageCount:
+ *                                 type: integer
+ *                                 description: 该项目已上传的升级包数量
+ *                     total:
+ *                       type: integer
+ *                       description: 项目总数
+ *             example:
+ *               success: true
+ *               projects:
+ *                 - name: "frontend"
+ *                   description: "前端项目"
+ *                   defaultDeployPath: null
+ *                   allowedExtensions: [".zip", ".tar", ".tar.gz", ".tgz"]
+ *                   defaultPreservedPaths: []
+ *                   restartStrategy: null
+ *                   builtIn: true
+ *                   packageCount: 3
+ *                 - name: "printer"
+ *                   description: "打印服务"
+ *                   defaultDeployPath: "/opt/printer"
+ *                   allowedExtensions: [".tar.gz"]
+ *                   defaultPreservedPaths: ["config/printer.json"]
+ *                   restartStrategy:
+ *                     type: "command"
+ *                     command: "systemctl restart printer"
+ *                   builtIn: false
+ *                   packageCount: 0
+ *               total: 2
+ *       500:
+ *         description: 服务器内部错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *   post:
+ *     tags: [Projects]
+ *     summary: 注册项目
+ *     description: 注册新项目，成功后将项目列表推送给在线设备，设备即可接受该项目的升级命令
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 项目名称（小写字母、数字和短横线，以字母开头，最长 32 个字符）
+ *                 example: "printer"
+ *               description:
+ *                 type: string
+ *                 example: "打印服务"
+ *               defaultDeployPath:
+ *                 type: string
+ *                 example: "/opt/printer"
+ *               allowedExtensions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 未指定时允许全部支持的格式
+ *                 example: [".tar.gz"]
+ *               defaultPreservedPaths:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["config/printer.json"]
+ *               restartStrategy:
+ *                 $ref: '#/components/schemas/RestartStrategy'
+ *     responses:
+ *       201:
+ *         description: 项目创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     project:
+ *                       $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: false
+ *               error: "不支持的扩展名: .rar，可选: .zip, .tar, .tar.gz, .tgz"
+ *       409:
+ *         description: 项目已存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: false
+ *               error: "项目已存在: printer"
+ */
+router.get('/', getProjectList)
+router.post('/', createProject)
+
+/**
+ * @swagger
+ * /projects/{name}:
+ *   parameters:
+ *     - name: name
+ *       in: path
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: 项目名称
+ *   get:
+ *     tags: [Projects]
+ *     summary: 获取项目详情
+ *     responses:
+ *       200:
+ *         description: 项目详情获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     project:
+ *                       $ref: '#/components/schemas/Project'
+ *       404:
+ *         description: 项目不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *   put:
+ *     tags: [Projects]
+ *     summary: 更新项目
+ *     description: 更新项目说明、默认部署路径、允许的扩展名和默认白名单；项目名称不可修改
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               defaultDeployPath:
+ *                 type: string
+ *                 nullable: true
+ *               allowedExtensions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               defaultPreservedPaths:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               restartStrategy:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/RestartStrategy'
+ *                 nullable: true
+ *                 description: 传 null 取消重启策略
+ *     responses:
+ *       200:
+ *         description: 项目更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     project:
+ *                       $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       404:
+ *         description: 项目不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *   delete:
+ *     tags: [Projects]
+ *     summary: 删除项目
+ *     description: 删除项目注册；内置项目不可删除，项目下仍有升级包时需先删除升级包
+ *     responses:
+ *       200:
+ *         description: 项目删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       404:
+ *         description: 项目不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       409:
+ *         description: 内置项目或项目下仍有升级包
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               success: false
+ *               error: "项目 printer 下还有 2 个升级包，请先删除升级包"
+ */
+router.get('/:name', getProjectDetail)
+router.put('/:name', updateProject)
+router.delete('/:name', deleteProject)
+
+export default router
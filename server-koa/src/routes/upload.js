@@ -13,7 +13,11 @@ const router = new Router({
  *   post:
  *     tags: [Upload]
  *     summary: 直接上传文件
- *     description: 一次性上传完整文件，支持 MD5 校验和秒传功能。如果相同文件已存在（相同大小和MD5），将自动返回秒传成功结果。
+ *     description: |
+ *       一次性上传完整文件，支持 MD5 校验和秒传功能。如果相同文件已存在（相同大小和MD5），将自动返回秒传成功结果。
+ *
+ *       包根目录可以包含 upgrade-manifest.json，声明 project、version、platform、arch、minAgentVersion、
+ *       requiredDiskSpace。清单无效或与上传参数冲突时返回 400；未传 version 时优先使用清单中的版本号。
  *     requestBody:
  *       required: true
  *       content:
@@ -27,12 +31,11 @@ const router = new Router({
  *                 description: 要上传的文件
  *               project:
  *                 type: string
- *                 enum: [frontend, backend]
- *                 description: 项目类型
+ *                 description: 项目名称（须已在 /projects 注册）
  *                 example: "frontend"
  *               version:
  *                 type: string
- *                 description: 可选，应用版本号（如 v1.2.3 或 1.2.3）
+ *                 description: 可选，应用版本号（如 v1.2.3 或 1.2.3），未传时依次取包内清单、文件名中的版本号
  *                 example: "v1.2.3"
  *             required: [file, project]
  *     responses:
@@ -63,6 +66,8 @@ const router = new Router({
  *                   type: string
  *                   description: 记录的包版本（回显）
  *                   example: "v1.0.0"
+ *                 manifest:
+ *                   $ref: '#/components/schemas/PackageManifest'
  *                 fileSize:
  *                   type: integer
  *                   example: 10485760
@@ -1,6 +1,7 @@
 // 版本管理路由
 import Router from '@koa/router'
 import deviceManager from '../models/deviceManager.js'
+import { isRegisteredProject } from '../models/projectRegistry.js'
 
 const router = new Router({
   prefix: '/api'
@@ -35,12 +36,98 @@ router.get('/versions/test', async (ctx) => {
  *           description: 部署路径
  *         project:
  *           type: string
- *           enum: [frontend, backend]
  *           description: 所属项目
  *         packageInfo:
  *           type: object
  *           nullable: true
  *           description: 附加包信息（可选）
+ *     BackupInfo:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: 备份 ID，可用于指定回滚目标或删除备份
+ *         project:
+ *           type: string
+ *           nullable: true
+ *         version:
+ *           type: string
+ *           nullable: true
+ *           description: 备份内容的版本号
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         timestamp:
+ *           type: string
+ *           description: 备份名称中的时间戳部分
+ *         compressed:
+ *           type: boolean
+ *           description: 是否为压缩备份（旧版目录备份为 false）
+ *         fileCount:
+ *           type: integer
+ *           nullable: true
+ *         size:
+ *           type: integer
+ *           nullable: true
+ *           description: 备份内容的原始字节数
+ *         diskUsage:
+ *           type: integer
+ *           description: 备份占用的磁盘字节数
+ *         integrity:
+ *           type: string
+ *           enum: [ok, corrupted, unverified]
+ *           description: 完整性状态（unverified 表示旧版目录备份没有校验信息）
+ *         integrityError:
+ *           type: string
+ *           nullable: true
+ *     DeployVerifyReport:
+ *       type: object
+ *       properties:
+ *         project:
+ *           type: string
+ *         version:
+ *           type: string
+ *           nullable: true
+ *           description: 部署清单记录的版本号
+ *         deployPath:
+ *           type: string
+ *           nullable: true
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [clean, drifted, unknown]
+ *           description: clean 与部署清单一致 / drifted 文件被修改 / unknown 没有清单或目录不可读
+ *         counts:
+ *           type: object
+ *           properties:
+ *             modified:
+ *               type: integer
+ *             missing:
+ *               type: integer
+ *             unexpected:
+ *               type: integer
+ *         modified:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 内容被修改的文件（最多列出 100 个）
+ *         missing:
+ *           type: array
+ *           items:
+ *             type: string
+ *         unexpected:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 部署清单之外多出的文件
+ *         truncated:
+ *           type: boolean
+ *         error:
+ *           type: string
+ *           nullable: true
  */
 
 /**
@@ -61,8 +148,7 @@ router.get('/versions/test', async (ctx) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [frontend, backend]
- *         description: 项目类型
+ *         description: 项目名称（须已在 /projects 注册）
  *     responses:
  *       200:
  *         description: 成功获取当前版本信息
@@ -122,12 +208,12 @@ router.get('/versions/test', async (ctx) => {
  *                   description: 错误信息
  *             examples:
  *               invalidProject:
- *                 summary: 项目类型无效
+ *                 summary: 项目未注册
  *                 value:
  *                   success: false
- *                   message: "项目类型参数无效，必须是 frontend 或 backend"
+ *                   message: "未注册的项目: printer"
  *               missingProject:
- *                 summary: 缺少项目类型
+ *                 summary: 缺少项目名称
  *                 value:
  *                   success: false
  *                   message: "缺少必要的 project 参数"
@@ -181,11 +267,20 @@ router.get('/versions/:deviceId/current', async (ctx) => {
     const { deviceId } = ctx.params
     const { project } = ctx.query
 
-    if (!project || !['frontend', 'backend'].includes(project)) {
+    if (!project) {
       ctx.status = 400
       ctx.body = {
         success: false,
-        message: '项目类型参数无效，必须是 frontend 或 backend'
+        message: '缺少必要的 project 参数'
+      }
+      return
+    }
+
+    if (!(await isRegisteredProject(project))) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: `未注册的项目: ${project}`
       }
       return
     }
@@ -249,8 +344,11 @@ router.get('/versions/:deviceId/current', async (ctx) => {
  *             properties:
  *               project:
  *                 type: string
- *                 enum: [frontend, backend]
- *                 description: 项目类型
+ *                 description: 项目名称（须已在 /projects 注册）
+ *               backupId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 回滚到的备份 ID（来自备份列表），为空时回滚到最新备份
  *     responses:
  *       200:
  *         description: 回滚成功
@@ -299,12 +397,12 @@ router.get('/versions/:deviceId/current', async (ctx) => {
  *                   description: 错误信息
  *             examples:
  *               invalidProject:
- *                 summary: 项目类型无效
+ *                 summary: 项目未注册
  *                 value:
  *                   success: false
- *                   message: "项目类型参数无效，必须是 frontend 或 backend"
+ *                   message: "未注册的项目: printer"
  *               missingProject:
- *                 summary: 缺少项目类型
+ *                 summary: 缺少项目名称
  *                 value:
  *                   success: false
  *                   message: "缺少必要的 project 参数"
@@ -356,13 +454,31 @@ router.get('/versions/:deviceId/current', async (ctx) => {
 router.post('/versions/:deviceId/rollback', async (ctx) => {
   try {
     const { deviceId } = ctx.params
-    const { project } = ctx.request.body
+    const { project, backupId = null } = ctx.request.body
 
-    if (!project || !['frontend', 'backend'].includes(project)) {
+    if (backupId !== null && typeof backupId !== 'string') {
       ctx.status = 400
       ctx.body = {
         success: false,
-        message: '项目类型参数无效，必须是 frontend 或 backend'
+        message: 'backupId 必须是字符串'
+      }
+      return
+    }
+
+    if (!project) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: '缺少必要的 project 参数'
+      }
+      return
+    }
+
+    if (!(await isRegisteredProject(project))) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: `未注册的项目: ${project}`
       }
       return
     }
@@ -384,6 +500,7 @@ router.post('/versions/:deviceId/rollback', async (ctx) => {
       deviceIds: [deviceId],
       project,
       preservedPaths,
+      backupId,
       sessionId: `quick_rollback_${Date.now()}`,
       creator: 'versions_api',
       scope: 'single'
@@ -400,6 +517,7 @@ router.post('/versions/:deviceId/rollback', async (ctx) => {
       data: {
         taskId,
         project,
+        backupId,
         preservedPathsCount: preservedPaths.length
       }
     }
@@ -414,4 +532,290 @@ router.post('/versions/:deviceId/rollback', async (ctx) => {
   }
 })
 
+// 设备校验备份需要读取全部压缩包，超时时间比普通查询长
+const BACKUP_COMMAND_TIMEOUT = 120_000
+
+/**
+ * @swagger
+ * /api/versions/{deviceId}/backups:
+ *   get:
+ *     summary: 获取设备上某个项目的全部备份
+ *     description: 设备逐个校验压缩备份的 SHA-256 后返回，备份较多时耗时较长
+ *     tags: [版本管理]
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 设备ID
+ *       - in: query
+ *         name: project
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 项目名称（须已在 /projects 注册）
+ *     responses:
+ *       200:
+ *         description: 成功获取备份列表（按时间倒序）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     project:
+ *                       type: string
+ *                     backups:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BackupInfo'
+ *       400:
+ *         description: 缺少 project 参数或项目未注册
+ *       500:
+ *         description: 设备不在线、命令超时或设备返回错误
+ */
+router.get('/versions/:deviceId/backups', async (ctx) => {
+  try {
+    const { deviceId } = ctx.params
+    const { project } = ctx.query
+
+    if (!project) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: '缺少必要的 project 参数'
+      }
+      return
+    }
+
+    if (!(await isRegisteredProject(project))) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: `未注册的项目: ${project}`
+      }
+      return
+    }
+
+    const result = await deviceManager.sendCommand(deviceId, 'cmd:listBackups', { project }, BACKUP_COMMAND_TIMEOUT)
+    const response = result.data
+
+    if (result.success && response?.success) {
+      ctx.body = {
+        success: true,
+        data: response.data || { project, backups: [] },
+        message: response.message || '获取备份列表成功'
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        message: response?.message || result.error || '获取备份列表失败'
+      }
+    }
+  } catch (error) {
+    console.error('获取备份列表失败:', error, { deviceId: ctx.params.deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      message: '服务器内部错误',
+      error: error.message
+    }
+  }
+})
+
+/**
+ * @swagger
+ * /api/versions/{deviceId}/backups/{backupId}:
+ *   delete:
+ *     summary: 删除设备上的指定备份
+ *     description: 设备正在升级或回滚时拒绝删除
+ *     tags: [版本管理]
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 设备ID
+ *       - in: path
+ *         name: backupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 备份 ID
+ *       - in: query
+ *         name: project
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 项目名称（须已在 /projects 注册）
+ *     responses:
+ *       200:
+ *         description: 备份已删除
+ *       400:
+ *         description: 缺少 project 参数或项目未注册
+ *       500:
+ *         description: 设备不在线、备份不存在或设备返回错误
+ */
+router.delete('/versions/:deviceId/backups/:backupId', async (ctx) => {
+  try {
+    const { deviceId, backupId } = ctx.params
+    const { project } = ctx.query
+
+    if (!project) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: '缺少必要的 project 参数'
+      }
+      return
+    }
+
+    if (!(await isRegisteredProject(project))) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: `未注册的项目: ${project}`
+      }
+      return
+    }
+
+    const result = await deviceManager.sendCommand(deviceId, 'cmd:deleteBackup', { project, backupId })
+    const response = result.data
+
+    if (result.success && response?.success) {
+      ctx.body = {
+        success: true,
+        data: response.data || { project, backupId },
+        message: response.message || '备份已删除'
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        message: response?.message || result.error || '删除备份失败'
+      }
+    }
+  } catch (error) {
+    console.error('删除备份失败:', error, { deviceId: ctx.params.deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      message: '服务器内部错误',
+      error: error.message
+    }
+  }
+})
+
+// 设备需要重新计算全部部署文件的哈希，超时时间比普通查询长
+const VERIFY_COMMAND_TIMEOUT = 300_000
+
+/**
+ * @swagger
+ * /api/versions/{deviceId}/verify:
+ *   post:
+ *     summary: 校验设备上的部署文件是否被修改
+ *     description: |
+ *       设备按每次部署/回滚时记录的文件清单重新计算 SHA-256，报告被修改、缺失和多出的文件。
+ *       白名单路径不参与校验；设备正在升级或回滚时拒绝。校验结果同时更新设备列表中的漂移状态。
+ *     tags: [版本管理]
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 设备ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               project:
+ *                 type: string
+ *                 description: 只校验指定项目，不传时校验设备上所有记录过清单的项目
+ *     responses:
+ *       200:
+ *         description: 校验完成
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeployVerifyReport'
+ *                     integrity:
+ *                       type: object
+ *                       nullable: true
+ *                       description: 更新后的设备完整性摘要
+ *       400:
+ *         description: 项目未注册
+ *       500:
+ *         description: 设备不在线、命令超时或设备返回错误
+ */
+router.post('/versions/:deviceId/verify', async (ctx) => {
+  try {
+    const { deviceId } = ctx.params
+    const { project } = ctx.request.body || {}
+
+    if (project !== undefined && project !== null && !(await isRegisteredProject(project))) {
+      ctx.status = 400
+      ctx.body = {
+        success: false,
+        message: `未注册的项目: ${project}`
+      }
+      return
+    }
+
+    const result = await deviceManager.sendCommand(
+      deviceId,
+      'cmd:verify',
+      project ? { project } : {},
+      VERIFY_COMMAND_TIMEOUT
+    )
+    const response = result.data
+
+    if (result.success && response?.success) {
+      const { results = [], summary = null } = response.data || {}
+      const integrity = summary ? deviceManager.updateIntegrity(deviceId, summary) : null
+      ctx.body = {
+        success: true,
+        data: { results, integrity },
+        message: response.message || '部署文件校验完成'
+      }
+    } else {
+      ctx.status = 500
+      ctx.body = {
+        success: false,
+        message: response?.message || result.error || '部署文件校验失败'
+      }
+    }
+  } catch (error) {
+    console.error('部署文件校验失败:', error, { deviceId: ctx.params.deviceId })
+    ctx.status = 500
+    ctx.body = {
+      success: false,
+      message: '服务器内部错误',
+      error: error.message
+    }
+  }
+})
+
 export default router
@@ -0,0 +1,997 @@
+// 中文注释：升级包格式识别（与设备端支持的格式保持一致）
+import fs from 'fs-extra'
+import { once } from 'node:events'
+import fsPromises from 'node:fs/promises'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import zlib from 'node:zlib'
+
+const TAR_BLOCK_SIZE = 512
+// 识别 gzip 内部是否为 tar 时最多解压的压缩数据量
+const GZIP_PEEK_BYTES = 64 * 1024
+
+const ZIP_EOCD_SIGNATURE = 0x06_05_4b_50
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07_06_4b_50
+const ZIP64_EOCD_SIGNATURE = 0x06_06_4b_50
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02_01_4b_50
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04_03_4b_50
+const ZIP_EOCD_MIN_SIZE = 22
+const ZIP_CENTRAL_HEADER_SIZE = 46
+const ZIP_LOCAL_HEADER_SIZE = 30
+const ZIP_MAX_COMMENT_SIZE = 0xff_ff
+const ZIP_METHOD_STORED = 0
+const ZIP_METHOD_DEFLATED = 8
+
+/**
+ * 设备端可安装的升级包格式
+ */
+export const ARCHIVE_FORMATS = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZIP: 'tar.gz'
+}
+
+/**
+ * 允许上传的文件扩展名（.gz 仅在 .tar.gz 时有效，由内容识别兜底）
+ */
+export const SUPPORTED_ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz']
+
+const CONTENT_TYPES = {
+  [ARCHIVE_FORMATS.ZIP]: 'application/zip',
+  [ARCHIVE_FORMATS.TAR]: 'application/x-tar',
+  [ARCHIVE_FORMATS.TAR_GZIP]: 'application/gzip'
+}
+
+function isTarHeader(block) {
+  if (!block || block.length < TAR_BLOCK_SIZE) return false
+
+  const checksumText = block.subarray(148, 156).toString('ascii').replaceAll('\0', ' ').trim()
+  if (!/^[0-7]+$/.test(checksumText)) return false
+
+  // 校验和计算时 chksum 字段按 8 个空格处理
+  let checksum = 8 * 0x20
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+    if (i < 148 || i >= 156) checksum += block[i]
+  }
+
+  return checksum === Number.parseInt(checksumText, 8)
+}
+
+/**
+ * 判断文件名是否为支持的压缩包扩展名
+ * @param {string} fileName - 文件名
+ * @param {Array<string>} [extensions] - 允许的扩展名，默认全部支持的格式
+ * @returns {boolean}
+ */
+export function hasSupportedArchiveExtension(fileName, extensions = SUPPORTED_ARCHIVE_EXTENSIONS) {
+  const lowerName = String(fileName || '').toLowerCase()
+  return extensions.some((ext) => lowerName.endsWith(ext))
+}
+
+/**
+ * 根据内容魔数识别压缩包格式
+ * @param {Buffer} buffer - 文件内容（至少包含文件头部）
+ * @returns {string|null} ARCHIVE_FORMATS 中的值，无法识别时返回 null
+ */
+export function detectArchiveFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null
+
+  // ZIP：本地文件头 PK\x03\x04 或空包的中央目录结束记录 PK\x05\x06
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && [0x03, 0x05].includes(buffer[2])) {
+    return ARCHIVE_FORMATS.ZIP
+  }
+
+  // gzip：设备端只支持内部为 tar 的 gzip 包
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      const inflated = zlib.gunzipSync(buffer.subarray(0, GZIP_PEEK_BYTES), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH
+      })
+      return isTarHeader(inflated.subarray(0, TAR_BLOCK_SIZE)) ? ARCHIVE_FORMATS.TAR_GZIP : null
+    } catch {
+      return null
+    }
+  }
+
+  if (isTarHeader(buffer.subarray(0, TAR_BLOCK_SIZE))) {
+    return ARCHIVE_FORMATS.TAR
+  }
+
+  return null
+}
+
+/**
+ * 根据文件名推断下载响应的 Content-Type
+ * @param {string} fileName - 文件名
+ * @returns {string}
+ */
+export function getArchiveContentType(fileName) {
+  const lowerName = String(fileName || '').toLowerCase()
+  if (lowerName.endsWith('.tar.gz') || path.extname(lowerName) === '.tgz') {
+    return CONTENT_TYPES[ARCHIVE_FORMATS.TAR_GZIP]
+  }
+
+  if (path.extname(lowerName) === '.tar') {
+    return CONTENT_TYPES[ARCHIVE_FORMATS.TAR]
+  }
+
+  if (path.extname(lowerName) === '.zip') {
+    return CONTENT_TYPES[ARCHIVE_FORMATS.ZIP]
+  }
+
+  return 'application/octet-stream'
+}
+
+function parseOctal(field) {
+  const text = field.toString('ascii').replaceAll('\0', ' ').trim()
+  if (!text) return 0
+  if (!/^[0-7]+$/.test(text)) return null
+  return Number.parseInt(text, 8)
+}
+
+// GNU 扩展：最高位为 1 时数值以 base-256 编码
+function parseNumeric(field) {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i]
+    }
+
+    return value
+  }
+
+  return parseOctal(field)
+}
+
+function parseString(field) {
+  const end = field.indexOf(0)
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8')
+}
+
+// PAX 扩展头中的 path / linkpath 记录（格式：`<len> <key>=<value>\n`）
+function parsePaxRecords(buffer) {
+  let offset = 0
+  const result = {}
+
+  while (offset < buffer.length) {
+    const spaceIndex = buffer.indexOf(0x20, offset)
+    if (spaceIndex === -1) break
+
+    const length = Number.parseInt(buffer.subarray(offset, spaceIndex).toString('ascii'), 10)
+    if (!Number.isFinite(length) || length <= 0) break
+
+    const record = buffer.subarray(spaceIndex + 1, offset + length - 1).toString('utf8')
+    const separator = record.indexOf('=')
+    const key = record.slice(0, separator)
+    if (key === 'path' || key === 'linkpath') result[key] = record.slice(separator + 1)
+    offset += length
+  }
+
+  return result
+}
+
+function normalizeEntryPath(entryPath) {
+  return String(entryPath || '')
+    .replaceAll('\\', '/')
+    .replace(/^(\.\/)+/, '')
+}
+
+/**
+ * 逐个解析 tar 数据流中的条目
+ * select 返回 true 的条目会连同数据一起产出，其余条目直接跳过，调用方可随时停止读取
+ * @param {AsyncIterable<Buffer>} source - tar 数据块
+ * @param {Object} options
+ * @param {Function} options.select - (entry) => boolean
+ * @param {number} options.maxBytes - 单个条目（含扩展头）允许的最大字节数
+ */
+async function* iterateTarEntries(source, { select, maxBytes }) {
+  let pending = Buffer.alloc(0)
+  let skip = 0
+  let current = null
+  // PAX / GNU 扩展头作用于紧随其后的条目
+  let extended = {}
+
+  for await (const chunk of source) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+    while (true) {
+      if (skip > 0) {
+        const skipped = Math.min(skip, pending.length)
+        pending = pending.subarray(skipped)
+        skip -= skipped
+        if (skip > 0) break
+        continue
+      }
+
+      if (current) {
+        const paddedSize = Math.ceil(current.size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE
+        if (pending.length < paddedSize) break
+
+        const data = Buffer.from(pending.subarray(0, current.size))
+        pending = pending.subarray(paddedSize)
+        const { kind, entry } = current
+        current = null
+
+        if (kind === 'x') {
+          extended = { ...extended, ...parsePaxRecords(data) }
+        } else if (kind === 'L') {
+          extended.path = parseString(data)
+        } else if (kind === 'K') {
+          extended.linkpath = parseString(data)
+        } else {
+          yield { ...entry, data }
+        }
+
+        continue
+      }
+
+      if (pending.length < TAR_BLOCK_SIZE) break
+
+      const header = pending.subarray(0, TAR_BLOCK_SIZE)
+      pending = pending.subarray(TAR_BLOCK_SIZE)
+      if (header.every((byte) => byte === 0)) return
+
+      if (!isTarHeader(header)) {
+        throw new Error('tar 头部校验失败，压缩包可能已损坏')
+      }
+
+      const size = parseNumeric(header.subarray(124, 136))
+      if (size === null) {
+        throw new Error('tar 条目大小无效')
+      }
+
+      const typeFlag = header[156] === 0 ? '0' : String.fromCodePoint(header[156])
+      if (['x', 'L', 'K'].includes(typeFlag)) {
+        if (size > maxBytes) {
+          throw new Error('tar 扩展头过大')
+        }
+
+        current = { kind: typeFlag, size }
+        continue
+      }
+
+      const magic = header.subarray(257, 263).toString('ascii')
+      const prefix = magic.startsWith('ustar') ? parseString(header.subarray(345, 500)) : ''
+      const baseName = parseString(header.subarray(0, 100))
+      const entry = {
+        path: normalizeEntryPath(extended.path ?? (prefix ? `${prefix}/${baseName}` : baseName)),
+        typeFlag,
+        size,
+        mode: parseOctal(header.subarray(100, 108)),
+        linkPath: extended.linkpath ?? parseString(header.subarray(157, 257))
+      }
+      extended = {}
+
+      if (select(entry)) {
+        if (size > maxBytes) {
+          throw new Error(`${entry.path} 超过允许的大小 ${maxBytes} 字节`)
+        }
+
+        current = { kind: 'entry', size, entry }
+        continue
+      }
+
+      skip = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE
+    }
+  }
+}
+
+/**
+ * 在 tar 数据流中查找指定文件条目，找到后立即停止读取
+ * @param {AsyncIterable<Buffer>} source - tar 数据块
+ */
+async function findTarEntry(source, wanted, maxBytes) {
+  const select = (entry) => ['0', '7'].includes(entry.typeFlag) && entry.path === wanted
+  for await (const entry of iterateTarEntries(source, { select, maxBytes })) {
+    return entry.data
+  }
+
+  return null
+}
+
+/**
+ * 定位 ZIP 中央目录（支持 ZIP64）
+ */
+function locateZipCentralDirectory(buffer) {
+  if (buffer.length < ZIP_EOCD_MIN_SIZE) {
+    throw new Error('ZIP 文件过小，缺少中央目录')
+  }
+
+  const searchStart = Math.max(0, buffer.length - ZIP_EOCD_MIN_SIZE - ZIP_MAX_COMMENT_SIZE)
+  let eocdOffset = -1
+  for (let i = buffer.length - ZIP_EOCD_MIN_SIZE; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocdOffset = i
+      break
+    }
+  }
+
+  if (eocdOffset === -1) {
+    throw new Error('未找到 ZIP 中央目录，文件可能已损坏')
+  }
+
+  let entryCount = buffer.readUInt16LE(eocdOffset + 10)
+  let directoryOffset = buffer.readUInt32LE(eocdOffset + 16)
+
+  const locatorOffset = eocdOffset - 20
+  if (locatorOffset >= 0 && buffer.readUInt32LE(locatorOffset) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const zip64EocdOffset = Number(buffer.readBigUInt64LE(locatorOffset + 8))
+    if (zip64EocdOffset + 56 > buffer.length || buffer.readUInt32LE(zip64EocdOffset) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('ZIP64 中央目录记录损坏')
+    }
+
+    entryCount = Number(buffer.readBigUInt64LE(zip64EocdOffset + 32))
+    directoryOffset = Number(buffer.readBigUInt64LE(zip64EocdOffset + 48))
+  }
+
+  return { entryCount, directoryOffset }
+}
+
+function applyZip64Extra(extra, record) {
+  let offset = 0
+  while (offset + 4 <= extra.length) {
+    const headerId = extra.readUInt16LE(offset)
+    const dataSize = extra.readUInt16LE(offset + 2)
+    if (headerId === 0x00_01) {
+      let cursor = offset + 4
+      for (const field of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+        if (record[field] === 0xff_ff_ff_ff && cursor + 8 <= offset + 4 + dataSize) {
+          record[field] = Number(extra.readBigUInt64LE(cursor))
+          cursor += 8
+        }
+      }
+
+      return
+    }
+
+    offset += 4 + dataSize
+  }
+}
+
+/**
+ * 依次解析 ZIP 中央目录中的条目记录
+ */
+function* iterateZipRecords(buffer) {
+  const { entryCount, directoryOffset } = locateZipCentralDirectory(buffer)
+  yield* parseZipCentralDirectory(buffer, directoryOffset, entryCount)
+}
+
+/**
+ * 从 offset 开始解析 entryCount 条中央目录记录（buffer 可以只包含中央目录）
+ */
+function* parseZipCentralDirectory(buffer, offset, entryCount) {
+  for (let index = 0; index < entryCount; index++) {
+    if (
+      offset + ZIP_CENTRAL_HEADER_SIZE > buffer.length ||
+      buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error('ZIP 中央目录条目签名无效，文件可能已损坏')
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const nameStart = offset + ZIP_CENTRAL_HEADER_SIZE
+    const record = {
+      hostSystem: buffer[offset + 5],
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      externalAttributes: buffer.readUInt32LE(offset + 38),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42),
+      name: buffer.subarray(nameStart, nameStart + nameLength).toString('utf8')
+    }
+    applyZip64Extra(buffer.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), record)
+    offset = nameStart + nameLength + extraLength + commentLength
+
+    yield record
+  }
+}
+
+function findZipEntry(buffer, wanted, maxBytes) {
+  for (const record of iterateZipRecords(buffer)) {
+    if (normalizeEntryPath(record.name) === wanted) {
+      return extractZipRecord(buffer, record, maxBytes)
+    }
+  }
+
+  return null
+}
+
+function assertZipRecordSupported(record) {
+  if (record.flags & 0x1) {
+    throw new Error(`不支持加密的 ZIP 条目: ${record.name}`)
+  }
+
+  if (![ZIP_METHOD_STORED, ZIP_METHOD_DEFLATED].includes(record.method)) {
+    throw new Error(`不支持的 ZIP 压缩方式 (${record.method}): ${record.name}`)
+  }
+}
+
+function extractZipRecord(buffer, record, maxBytes) {
+  if (record.uncompressedSize > maxBytes) {
+    throw new Error(`${record.name} 超过允许的大小 ${maxBytes} 字节`)
+  }
+
+  assertZipRecordSupported(record)
+
+  const headerOffset = record.localHeaderOffset
+  if (
+    headerOffset + ZIP_LOCAL_HEADER_SIZE > buffer.length ||
+    buffer.readUInt32LE(headerOffset) !== ZIP_LOCAL_HEADER_SIGNATURE
+  ) {
+    throw new Error(`ZIP 本地文件头无效: ${record.name}`)
+  }
+
+  const dataStart =
+    headerOffset +
+    ZIP_LOCAL_HEADER_SIZE +
+    buffer.readUInt16LE(headerOffset + 26) +
+    buffer.readUInt16LE(headerOffset + 28)
+  const data = buffer.subarray(dataStart, dataStart + record.compressedSize)
+  if (record.method === ZIP_METHOD_STORED) {
+    return Buffer.from(data)
+  }
+
+  return zlib.inflateRawSync(data, { maxOutputLength: maxBytes })
+}
+
+/**
+ * 从内存中的压缩包读取单个文件条目（不解压其他文件）
+ * @param {Buffer} buffer - 压缩包内容
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @param {string} entryPath - 包内相对路径
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - 允许读取的最大字节数，超出时抛错
+ * @returns {Promise<Buffer|null>} 条目不存在时返回 null
+ */
+export async function readArchiveEntry(buffer, format, entryPath, { maxBytes = 1024 * 1024 } = {}) {
+  const wanted = normalizeEntryPath(entryPath)
+
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    return findZipEntry(buffer, wanted, maxBytes)
+  }
+
+  if (format === ARCHIVE_FORMATS.TAR_GZIP) {
+    const source = Readable.from([buffer]).pipe(zlib.createGunzip())
+    try {
+      return await findTarEntry(source, wanted, maxBytes)
+    } finally {
+      source.destroy()
+    }
+  }
+
+  return findTarEntry([buffer], wanted, maxBytes)
+}
+
+const TAR_TYPE_FLAGS = {
+  file: '0',
+  symlink: '2',
+  directory: '5'
+}
+
+const UNIX_FILE_TYPE_MASK = 0o170_000
+const UNIX_SYMLINK_TYPE = 0o120_000
+const UNIX_DIRECTORY_TYPE = 0o040_000
+const ZIP_HOST_UNIX = 3
+const ZIP_DOS_DIRECTORY_FLAG = 0x10
+// 流式读取时 PAX / GNU 扩展头与 ZIP 符号链接目标的大小上限
+const MAX_EXTENDED_HEADER_BYTES = 1024 * 1024
+const ZIP_SYMLINK_MAX_BYTES = 4096
+
+function getTarEntryType(typeFlag, entryPath) {
+  if (['0', '7'].includes(typeFlag)) return 'file'
+  if (typeFlag === '5') return 'directory'
+  if (typeFlag === '2') return 'symlink'
+  throw new Error(`不支持的 tar 条目类型 (${typeFlag}): ${entryPath}`)
+}
+
+function getZipEntryType(record) {
+  const unixMode = record.hostSystem === ZIP_HOST_UNIX ? record.externalAttributes >>> 16 : 0
+  if ((unixMode & UNIX_FILE_TYPE_MASK) === UNIX_SYMLINK_TYPE) return 'symlink'
+  if (
+    record.name.endsWith('/') ||
+    (unixMode & UNIX_FILE_TYPE_MASK) === UNIX_DIRECTORY_TYPE ||
+    record.externalAttributes & ZIP_DOS_DIRECTORY_FLAG
+  ) {
+    return 'directory'
+  }
+
+  return 'file'
+}
+
+/**
+ * 按需从数据流中读取字节，供流式解析 tar 使用（文件内容不整体缓存）
+ * @param {AsyncIterable<Buffer>} source - 数据块
+ */
+function createChunkReader(source) {
+  const iterator = source[Symbol.asyncIterator]()
+  let buffered = Buffer.alloc(0)
+  let ended = false
+
+  const fill = async (length) => {
+    while (buffered.length < length && !ended) {
+      // eslint-disable-next-line no-await-in-loop -- 数据块必须按顺序读取
+      const { value, done } = await iterator.next()
+      if (done) {
+        ended = true
+      } else {
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, value]) : value
+      }
+    }
+  }
+
+  // 读取 length 字节内容，逐块产出，未读完的部分可用 skipRest 跳过
+  const take = (length) => {
+    let remaining = length
+    const next = async () => {
+      if (remaining === 0) return { done: true, value: undefined }
+
+      await fill(1)
+      if (buffered.length === 0) {
+        throw new Error('tar 数据不完整，压缩包可能已损坏')
+      }
+
+      const chunk = buffered.subarray(0, Math.min(remaining, buffered.length))
+      buffered = buffered.subarray(chunk.length)
+      remaining -= chunk.length
+      return { done: false, value: chunk }
+    }
+
+    return {
+      // 提前结束遍历时不丢弃剩余内容，由 skipRest 统一跳过
+      [Symbol.asyncIterator]: () => ({ next, return: async () => ({ done: true, value: undefined }) }),
+      async skipRest() {
+        while (remaining > 0) {
+          // eslint-disable-next-line no-await-in-loop -- 逐块跳过
+          await next()
+        }
+      }
+    }
+  }
+
+  return {
+    /**
+     * 读取恰好 length 字节，数据流已结束时返回 null
+     */
+    async read(length) {
+      await fill(length)
+      if (buffered.length < length) return null
+
+      const result = Buffer.from(buffered.subarray(0, length))
+      buffered = buffered.subarray(length)
+      return result
+    },
+    take,
+    async skip(length) {
+      await take(length).skipRest()
+    },
+    async close() {
+      await iterator.return?.()
+    }
+  }
+}
+
+/**
+ * 流式解析 tar 数据，逐个条目回调 onEntry(entry, content)
+ * 普通文件的 content 为内容的 AsyncIterable<Buffer>，回调未读完的部分自动跳过
+ */
+async function scanTarEntries(source, onEntry) {
+  const reader = createChunkReader(source)
+  // PAX / GNU 扩展头作用于紧随其后的条目
+  let extended = {}
+
+  try {
+    while (true) {
+      // eslint-disable-next-line no-await-in-loop -- tar 条目必须按顺序解析
+      const header = await reader.read(TAR_BLOCK_SIZE)
+      if (!header || header.every((byte) => byte === 0)) return
+
+      if (!isTarHeader(header)) {
+        throw new Error('tar 头部校验失败，压缩包可能已损坏')
+      }
+
+      const size = parseNumeric(header.subarray(124, 136))
+      if (size === null) {
+        throw new Error('tar 条目大小无效')
+      }
+
+      const padding = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE - size
+      const typeFlag = header[156] === 0 ? '0' : String.fromCodePoint(header[156])
+      if (['x', 'L', 'K'].includes(typeFlag)) {
+        if (size > MAX_EXTENDED_HEADER_BYTES) {
+          throw new Error('tar 扩展头过大')
+        }
+
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        const data = await reader.read(size)
+        if (!data) {
+          throw new Error('tar 数据不完整，压缩包可能已损坏')
+        }
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        await reader.skip(padding)
+
+        if (typeFlag === 'x') {
+          extended = { ...extended, ...parsePaxRecords(data) }
+        } else if (typeFlag === 'L') {
+          extended.path = parseString(data)
+        } else {
+          extended.linkpath = parseString(data)
+        }
+
+        continue
+      }
+
+      const magic = header.subarray(257, 263).toString('ascii')
+      const prefix = magic.startsWith('ustar') ? parseString(header.subarray(345, 500)) : ''
+      const baseName = parseString(header.subarray(0, 100))
+      const entry = {
+        path: normalizeEntryPath(extended.path ?? (prefix ? `${prefix}/${baseName}` : baseName)),
+        typeFlag,
+        size,
+        mode: parseOctal(header.subarray(100, 108)),
+        linkPath: extended.linkpath ?? parseString(header.subarray(157, 257))
+      }
+      extended = {}
+
+      const content = reader.take(size)
+      // 全局 PAX 头不对应实际文件，其余条目类型由 getTarEntryType 校验
+      if (typeFlag !== 'g') {
+        const type = getTarEntryType(typeFlag, entry.path)
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        await onEntry({ ...entry, type }, type === 'file' ? content : null)
+      }
+
+      // eslint-disable-next-line no-await-in-loop -- 同上
+      await content.skipRest()
+      // eslint-disable-next-line no-await-in-loop -- 同上
+      await reader.skip(padding)
+    }
+  } finally {
+    await reader.close()
+  }
+}
+
+/**
+ * 只读取 ZIP 的中央目录（文件末尾），不读入条目内容
+ */
+async function readZipCentralDirectory(handle, fileSize) {
+  const tailSize = Math.min(fileSize, ZIP_EOCD_MIN_SIZE + ZIP_MAX_COMMENT_SIZE + 20)
+  const tailStart = fileSize - tailSize
+  const tail = Buffer.alloc(tailSize)
+  await handle.read(tail, 0, tailSize, tailStart)
+
+  let eocdOffset = -1
+  for (let i = tail.length - ZIP_EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocdOffset = i
+      break
+    }
+  }
+
+  if (eocdOffset === -1) {
+    throw new Error('未找到 ZIP 中央目录，文件可能已损坏')
+  }
+
+  let entryCount = tail.readUInt16LE(eocdOffset + 10)
+  let directoryOffset = tail.readUInt32LE(eocdOffset + 16)
+  // 中央目录之后紧接 ZIP64 记录或中央目录结束记录
+  let directoryEnd = tailStart + eocdOffset
+
+  const locatorOffset = eocdOffset - 20
+  if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const zip64EocdOffset = Number(tail.readBigUInt64LE(locatorOffset + 8))
+    const zip64Eocd = Buffer.alloc(56)
+    const { bytesRead } = await handle.read(zip64Eocd, 0, 56, zip64EocdOffset)
+    if (bytesRead < 56 || zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('ZIP64 中央目录记录损坏')
+    }
+
+    entryCount = Number(zip64Eocd.readBigUInt64LE(32))
+    directoryOffset = Number(zip64Eocd.readBigUInt64LE(48))
+    directoryEnd = zip64EocdOffset
+  }
+
+  if (directoryOffset > directoryEnd) {
+    throw new Error('ZIP 中央目录位置无效，文件可能已损坏')
+  }
+
+  const directory = Buffer.alloc(directoryEnd - directoryOffset)
+  await handle.read(directory, 0, directory.length, directoryOffset)
+  return parseZipCentralDirectory(directory, 0, entryCount)
+}
+
+/**
+ * 打开 ZIP 条目内容的数据流（按本地文件头定位，deflate 条目边读边解压）
+ */
+async function openZipEntryStream(filePath, handle, record) {
+  assertZipRecordSupported(record)
+
+  const header = Buffer.alloc(ZIP_LOCAL_HEADER_SIZE)
+  const { bytesRead } = await handle.read(header, 0, ZIP_LOCAL_HEADER_SIZE, record.localHeaderOffset)
+  if (bytesRead < ZIP_LOCAL_HEADER_SIZE || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`ZIP 本地文件头无效: ${record.name}`)
+  }
+
+  if (record.compressedSize === 0) {
+    return Readable.from([])
+  }
+
+  const dataStart = record.localHeaderOffset + ZIP_LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28)
+  const raw = fs.createReadStream(filePath, { start: dataStart, end: dataStart + record.compressedSize - 1 })
+  if (record.method === ZIP_METHOD_STORED) {
+    return raw
+  }
+
+  // 读取或解压出错时 pipeline 销毁两个流，错误由遍历解压流的一方收到
+  const inflate = zlib.createInflateRaw()
+  pipeline(raw, inflate).catch(() => {})
+  return inflate
+}
+
+async function readStreamText(stream, maxBytes) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of stream) {
+    size += chunk.length
+    if (size > maxBytes) {
+      throw new Error(`符号链接目标超过 ${maxBytes} 字节`)
+    }
+    chunks.push(chunk)
+  }
+
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * 识别压缩包文件的格式（只读取文件头部）
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string|null>} ARCHIVE_FORMATS 中的值，无法识别时返回 null
+ */
+export async function detectArchiveFileFormat(filePath) {
+  const handle = await fsPromises.open(filePath, 'r')
+  try {
+    const head = Buffer.alloc(GZIP_PEEK_BYTES)
+    const { bytesRead } = await handle.read(head, 0, GZIP_PEEK_BYTES, 0)
+    return detectArchiveFormat(head.subarray(0, bytesRead))
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * 流式读取压缩包中的全部条目，用于比较两个版本的升级包
+ * 只接受普通文件、目录和符号链接，与设备端允许解压的条目类型一致；文件内容逐块交给回调，不整体读入内存
+ * @param {string} filePath - 压缩包路径
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @param {Function} onEntry - async (entry, content) => void；entry 为 { path, type, size, mode, linkPath }，
+ *   content 为普通文件内容的 AsyncIterable<Buffer>（其他类型为 null），回调中未读完的内容自动跳过
+ * @returns {Promise<void>}
+ */
+export async function readArchiveFileEntries(filePath, format, onEntry) {
+  const emit = async ({ path: entryPath, type, size, mode, linkPath }, content) => {
+    const normalizedPath = entryPath.replace(/\/+$/, '')
+    if (!normalizedPath || normalizedPath === '.') return
+    await onEntry(
+      {
+        path: normalizedPath,
+        type,
+        size: type === 'file' ? size : 0,
+        mode: mode || null,
+        linkPath: type === 'symlink' ? linkPath : null
+      },
+      type === 'file' ? content : null
+    )
+  }
+
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    const handle = await fsPromises.open(filePath, 'r')
+    try {
+      const { size } = await handle.stat()
+      for (const record of await readZipCentralDirectory(handle, size)) {
+        const type = getZipEntryType(record)
+        const mode = record.hostSystem === ZIP_HOST_UNIX ? (record.externalAttributes >>> 16) & 0o7777 : null
+        const entry = {
+          path: normalizeEntryPath(record.name),
+          type,
+          size: record.uncompressedSize,
+          mode,
+          linkPath: null
+        }
+        if (type === 'directory') {
+          // eslint-disable-next-line no-await-in-loop -- 条目必须按顺序处理
+          await emit(entry, null)
+          continue
+        }
+
+        // eslint-disable-next-line no-await-in-loop -- 同上
+        const stream = await openZipEntryStream(filePath, handle, record)
+        try {
+          if (type === 'symlink') {
+            // eslint-disable-next-line no-await-in-loop -- 同上
+            entry.linkPath = await readStreamText(stream, ZIP_SYMLINK_MAX_BYTES)
+          }
+          // eslint-disable-next-line no-await-in-loop -- 同上
+          await emit(entry, stream)
+        } finally {
+          stream.destroy()
+        }
+      }
+    } finally {
+      await handle.close()
+    }
+
+    return
+  }
+
+  const input = fs.createReadStream(filePath)
+  const source = format === ARCHIVE_FORMATS.TAR_GZIP ? input.pipe(zlib.createGunzip()) : input
+  input.on('error', (error) => source.destroy(error))
+  try {
+    await scanTarEntries(source, emit)
+  } finally {
+    input.destroy()
+    source.destroy()
+  }
+}
+
+/**
+ * 计算压缩包中全部文件解压后的总大小（只读取条目头，不解压文件内容），设备端据此检查部署分区的可用空间
+ * ZIP 只读取文件末尾的中央目录，tar 流式跳过条目内容，不整体读入内存
+ * @param {string} filePath - 压缩包路径
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @returns {Promise<number>} 字节数
+ */
+export async function getArchiveUncompressedSize(filePath, format) {
+  let total = 0
+
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    const handle = await fsPromises.open(filePath, 'r')
+    try {
+      const { size } = await handle.stat()
+      for (const record of await readZipCentralDirectory(handle, size)) {
+        if (getZipEntryType(record) === 'file') total += record.uncompressedSize
+      }
+    } finally {
+      await handle.close()
+    }
+
+    return total
+  }
+
+  const input = fs.createReadStream(filePath)
+  const source = format === ARCHIVE_FORMATS.TAR_GZIP ? input.pipe(zlib.createGunzip()) : input
+  input.on('error', (error) => source.destroy(error))
+  // 只累加文件大小，条目内容全部跳过
+  const select = (entry) => {
+    if (['0', '7'].includes(entry.typeFlag)) total += entry.size
+    return false
+  }
+
+  try {
+    // select 始终返回 false，生成器不产出条目，一次 next() 即读完整个数据流
+    await iterateTarEntries(source, { select, maxBytes: MAX_EXTENDED_HEADER_BYTES }).next()
+  } finally {
+    input.destroy()
+    source.destroy()
+  }
+
+  return total
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii')
+}
+
+function createTarHeader({ name, typeFlag, size = 0, mode = 0o644, linkPath = '', mtime }) {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE)
+  Buffer.from(name, 'utf8').copy(header, 0, 0, 100)
+  writeOctal(header, mode, 100, 8)
+  writeOctal(header, 0, 108, 8)
+  writeOctal(header, 0, 116, 8)
+  writeOctal(header, size, 124, 12)
+  writeOctal(header, mtime, 136, 12)
+  header.fill(0x20, 148, 156)
+  header.write(typeFlag, 156, 1, 'ascii')
+  Buffer.from(linkPath, 'utf8').copy(header, 157, 0, 100)
+  header.write('ustar\u000000', 257, 8, 'ascii')
+
+  let checksum = 0
+  for (const byte of header) checksum += byte
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii')
+  return header
+}
+
+// 单条 PAX 记录：长度字段包含自身的位数
+function createPaxRecord(key, value) {
+  const body = ` ${key}=${value}\n`
+  let length = Buffer.byteLength(body) + 1
+  while (String(length).length + Buffer.byteLength(body) !== length) length++
+  return `${length}${body}`
+}
+
+function padToBlock(data) {
+  const remainder = data.length % TAR_BLOCK_SIZE
+  return remainder === 0 ? [data] : [data, Buffer.alloc(TAR_BLOCK_SIZE - remainder)]
+}
+
+/**
+ * 创建流式写入的 tar.gz 压缩包（超长路径和链接目标写入 PAX 扩展头），边写边压缩，不在内存中拼接整个压缩包
+ * @param {string} outputPath - 输出文件路径
+ * @returns {{addEntry: Function, finish: Function, abort: Function}}
+ *   addEntry({ path, type, mode, size, linkPath }, content) 写入一个条目，普通文件的 content 为 AsyncIterable<Buffer>，
+ *   总长度必须等于 size；finish() 写入结束块并等待文件落盘；abort() 放弃写入
+ */
+export function createTarGzipWriter(outputPath) {
+  const mtime = Math.floor(Date.now() / 1000)
+  const gzip = zlib.createGzip()
+  const finished = pipeline(gzip, fs.createWriteStream(outputPath))
+  // 写入失败时由 write / finish 抛出，这里只避免未处理的 rejection
+  finished.catch(() => {})
+
+  const write = async (chunk) => {
+    if (!gzip.write(chunk)) {
+      await Promise.race([once(gzip, 'drain'), finished])
+    }
+  }
+
+  const writeBlocks = async (blocks) => {
+    for (const block of blocks) {
+      // eslint-disable-next-line no-await-in-loop -- 按顺序写入并等待背压
+      await write(block)
+    }
+  }
+
+  return {
+    async addEntry(entry, content = null) {
+      const typeFlag = TAR_TYPE_FLAGS[entry.type]
+      if (!typeFlag) {
+        throw new Error(`不支持的条目类型 (${entry.type}): ${entry.path}`)
+      }
+
+      const name = entry.type === 'directory' ? `${entry.path}/` : entry.path
+      const linkPath = entry.linkPath || ''
+      const size = entry.type === 'file' ? entry.size : 0
+
+      const paxRecords = []
+      if (Buffer.byteLength(name) > 100) paxRecords.push(createPaxRecord('path', name))
+      if (Buffer.byteLength(linkPath) > 100) paxRecords.push(createPaxRecord('linkpath', linkPath))
+      if (paxRecords.length > 0) {
+        const paxData = Buffer.from(paxRecords.join(''), 'utf8')
+        await writeBlocks([
+          createTarHeader({ name: 'PaxHeader', typeFlag: 'x', size: paxData.length, mtime }),
+          ...padToBlock(paxData)
+        ])
+      }
+
+      const defaultMode = entry.type === 'directory' ? 0o755 : 0o644
+      await write(createTarHeader({ name, typeFlag, size, mode: entry.mode || defaultMode, linkPath, mtime }))
+      if (size === 0) return
+
+      let written = 0
+      for await (const chunk of content) {
+        written += chunk.length
+        if (written > size) break
+        await write(chunk)
+      }
+
+      if (written !== size) {
+        throw new Error(`${entry.path} 的内容长度与记录的大小 ${size} 字节不一致`)
+      }
+
+      const remainder = size % TAR_BLOCK_SIZE
+      if (remainder > 0) await write(Buffer.alloc(TAR_BLOCK_SIZE - remainder))
+    },
+
+    async finish() {
+      gzip.end(Buffer.alloc(TAR_BLOCK_SIZE * 2))
+      await finished
+    },
+
+    abort() {
+      gzip.destroy()
+    }
+  }
+}
@@ -3,13 +3,14 @@ import crypto from 'node:crypto'
 import fs from 'fs-extra'
 
 /**
- * 计算文件的 MD5 哈希值
+ * 计算文件的哈希值
  * @param {string} filePath - 文件路径
- * @returns {Promise<string>} MD5 哈希值
+ * @param {string} [algorithm='md5'] - 哈希算法，签名使用 sha256
+ * @returns {Promise<string>} 十六进制哈希值
  */
-function calculateFileHash(filePath) {
+function calculateFileHash(filePath, algorithm = 'md5') {
   return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('md5')
+    const hash = crypto.createHash(algorithm)
     const stream = fs.createReadStream(filePath)
 
     stream.on('data', (data) => {
@@ -25,12 +26,13 @@ function calculateFileHash(filePath) {
 }
 
 /**
- * 计算数据的 MD5 哈希值
+ * 计算数据的哈希值
  * @param {Buffer|string} data - 要计算哈希的数据
- * @returns {string} MD5 哈希值
+ * @param {string} [algorithm='md5'] - 哈希算法，签名使用 sha256
+ * @returns {string} 十六进制哈希值
  */
-function calculateDataHash(data) {
-  return crypto.createHash('md5').update(data).digest('hex')
+function calculateDataHash(data, algorithm = 'md5') {
+  return crypto.createHash(algorithm).update(data).digest('hex')
 }
 
 /**
@@ -0,0 +1,103 @@
+// 中文注释：文件下载响应（升级包与增量包共用，支持断点续传）
+import fs from 'fs-extra'
+import { getArchiveContentType } from './archive.js'
+
+/**
+ * 根据文件大小与修改时间生成 ETag（文件被覆盖上传后会变化）
+ */
+function createFileEtag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+}
+
+/**
+ * 校验 If-Range 条件：支持 ETag 与 HTTP 日期两种形式，未携带时视为满足
+ */
+function isIfRangeSatisfied(ifRange, etag, stats) {
+  if (!ifRange) return true
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    // If-Range 要求强校验，弱 ETag 一律视为不匹配
+    return ifRange === etag
+  }
+
+  const since = Date.parse(ifRange)
+  return !Number.isNaN(since) && Math.floor(stats.mtimeMs / 1000) <= Math.floor(since / 1000)
+}
+
+/**
+ * 解析单段 Range 请求头
+ * @returns {{start: number, end: number}|null|-1} 范围对象；无法处理时返回 null（按完整文件返回）；范围越界返回 -1
+ */
+function parseRangeHeader(rangeHeader, fileSize) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim())
+  // 多段范围或非 bytes 单位不支持，按完整文件返回
+  if (!match || (!match[1] && !match[2])) return null
+
+  let start
+  let end
+  if (match[1]) {
+    start = Number.parseInt(match[1], 10)
+    end = match[2] ? Math.min(Number.parseInt(match[2], 10), fileSize - 1) : fileSize - 1
+  } else {
+    // 后缀范围：bytes=-N 表示最后 N 个字节
+    const suffixLength = Number.parseInt(match[2], 10)
+    if (suffixLength === 0) return -1
+    start = Math.max(0, fileSize - suffixLength)
+    end = fileSize - 1
+  }
+
+  if (start >= fileSize || start > end) return -1
+
+  return { start, end }
+}
+
+/**
+ * 以附件形式返回文件，支持 Range / If-Range 断点续传
+ * @param {Object} ctx - Koa 上下文
+ * @param {string} filePath - 文件绝对路径（调用方需确认文件存在）
+ * @param {string} fileName - 下载文件名
+ */
+export async function sendFileWithRange(ctx, filePath, fileName) {
+  const stats = await fs.stat(filePath)
+  const etag = createFileEtag(stats)
+
+  // 安全的文件名处理（防止文件名注入）
+  const safeName = fileName.replace(/[\x00-\x1f"\\]/g, '')
+
+  // 设置响应头
+  ctx.set('Content-Type', getArchiveContentType(fileName))
+  ctx.set('Content-Disposition', `attachment; filename="${safeName}"`)
+  ctx.set('Accept-Ranges', 'bytes')
+  ctx.set('ETag', etag)
+  ctx.set('Last-Modified', stats.mtime.toUTCString())
+
+  // 断点续传：仅在 If-Range 与当前文件一致时才按 Range 返回部分内容，否则返回完整文件
+  const rangeHeader = ctx.get('Range')
+  const ifRange = ctx.get('If-Range')
+  if (rangeHeader && isIfRangeSatisfied(ifRange, etag, stats)) {
+    const range = parseRangeHeader(rangeHeader, stats.size)
+
+    if (range === -1) {
+      ctx.status = 416
+      ctx.set('Content-Range', `bytes */${stats.size}`)
+      ctx.body = {
+        success: false,
+        error: '请求的范围无效'
+      }
+      return
+    }
+
+    if (range) {
+      ctx.status = 206
+      ctx.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`)
+      ctx.set('Content-Length', (range.end - range.start + 1).toString())
+      ctx.body = fs.createReadStream(filePath, { start: range.start, end: range.end })
+      return
+    }
+  }
+
+  ctx.set('Content-Length', stats.size.toString())
+
+  // 流式返回文件
+  ctx.body = fs.createReadStream(filePath)
+}
@@ -0,0 +1,126 @@
+// 中文注释：升级包之间的文件级增量（新增/变更的文件 + 删除列表），格式与设备端的增量部署保持一致
+import crypto from 'node:crypto'
+import { createTarGzipWriter, detectArchiveFileFormat, readArchiveFileEntries } from './archive.js'
+import { MANIFEST_FILE_NAME } from './packageManifest.js'
+
+/**
+ * 增量包内的描述文件：基础版本、删除列表和目标完整包的文件清单
+ */
+export const DELTA_METADATA_FILE = '.upgrade-delta.json'
+
+// 描述文件格式版本，设备端不认识的版本直接改用完整包
+const DELTA_FORMAT_VERSION = 1
+
+async function detectPackageFormat(filePath, label) {
+  const format = await detectArchiveFileFormat(filePath)
+  if (!format) {
+    throw new Error(`${label}不是支持的压缩包格式`)
+  }
+
+  return format
+}
+
+/**
+ * 生成升级包的文件清单（设备端应用增量后据此校验部署目录），文件内容逐个流式计算哈希
+ * @param {string} filePath - 压缩包路径
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @returns {Promise<Object<string, {type: string, size?: number, sha256?: string, linkPath?: string}>>}
+ */
+export async function buildFileManifest(filePath, format) {
+  const manifest = {}
+  await readArchiveFileEntries(filePath, format, async (entry, content) => {
+    if (entry.type === 'file') {
+      const hash = crypto.createHash('sha256')
+      let size = 0
+      for await (const chunk of content) {
+        hash.update(chunk)
+        size += chunk.length
+      }
+
+      manifest[entry.path] = { type: 'file', size, sha256: hash.digest('hex') }
+    } else if (entry.type === 'symlink') {
+      manifest[entry.path] = { type: 'symlink', linkPath: entry.linkPath }
+    } else {
+      manifest[entry.path] = { type: 'directory' }
+    }
+  })
+
+  return manifest
+}
+
+function isSameEntry(a, b) {
+  if (!a || !b || a.type !== b.type) return false
+  if (a.type === 'file') return a.sha256 === b.sha256 && a.size === b.size
+  if (a.type === 'symlink') return a.linkPath === b.linkPath
+  return true
+}
+
+/**
+ * 计算两个升级包之间的增量，流式写出 tar.gz 增量包
+ * 第一遍逐个文件计算两个包的清单，第二遍从目标包中复制变更的条目；文件内容按数据块流式处理，不整体读入内存
+ * @param {string} basePath - 基础版本完整包路径
+ * @param {string} targetPath - 目标版本完整包路径
+ * @param {string} outputPath - 增量包输出路径（失败时可能留下不完整的文件，由调用方清理）
+ * @param {Object} info - { project, baseVersion, targetVersion, baseFileMD5, targetFileName, targetFileMD5 }
+ * @returns {Promise<{changedFiles: string[], deletedFiles: string[], manifestEntryCount: number}>}
+ */
+export async function createPackageDelta(basePath, targetPath, outputPath, info) {
+  const baseFormat = await detectPackageFormat(basePath, '基础包')
+  const targetFormat = await detectPackageFormat(targetPath, '目标包')
+
+  const baseManifest = await buildFileManifest(basePath, baseFormat)
+  const targetManifest = await buildFileManifest(targetPath, targetFormat)
+
+  if (Object.hasOwn(targetManifest, DELTA_METADATA_FILE)) {
+    throw new Error(`目标包包含保留文件名 ${DELTA_METADATA_FILE}，无法生成增量包`)
+  }
+
+  // 升级包清单始终随增量包下发，设备端据此执行钩子和兼容性检查
+  const isChanged = (entryPath) =>
+    entryPath === MANIFEST_FILE_NAME || !isSameEntry(baseManifest[entryPath], targetManifest[entryPath])
+
+  // 目标包中已不存在的文件，以及类型发生变化的路径（需先删除才能写入新条目）；多余的空目录由设备端清理
+  const deletedFiles = Object.entries(baseManifest)
+    .filter(([entryPath, baseEntry]) => {
+      const targetEntry = targetManifest[entryPath]
+      return targetEntry ? targetEntry.type !== baseEntry.type : baseEntry.type !== 'directory'
+    })
+    .map(([entryPath]) => entryPath)
+
+  const metadata = {
+    formatVersion: DELTA_FORMAT_VERSION,
+    project: info.project,
+    baseVersion: info.baseVersion,
+    baseFileMD5: info.baseFileMD5,
+    targetVersion: info.targetVersion,
+    targetFileName: info.targetFileName,
+    targetFileMD5: info.targetFileMD5,
+    deletedFiles,
+    manifest: targetManifest
+  }
+
+  const writer = createTarGzipWriter(outputPath)
+  const changedFiles = []
+  try {
+    const metadataData = Buffer.from(JSON.stringify(metadata), 'utf8')
+    await writer.addEntry({ path: DELTA_METADATA_FILE, type: 'file', size: metadataData.length }, [metadataData])
+
+    await readArchiveFileEntries(targetPath, targetFormat, async (entry, content) => {
+      if (!isChanged(entry.path)) return
+
+      await writer.addEntry(entry, content)
+      if (entry.type !== 'directory') changedFiles.push(entry.path)
+    })
+
+    await writer.finish()
+  } catch (error) {
+    writer.abort()
+    throw error
+  }
+
+  return {
+    changedFiles,
+    deletedFiles,
+    manifestEntryCount: Object.keys(targetManifest).length
+  }
+}
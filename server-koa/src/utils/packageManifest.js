@@ -0,0 +1,148 @@
+// 中文注释：升级包清单 upgrade-manifest.json 的解析与设备兼容性检查（与设备端的校验规则保持一致）
+import { readArchiveEntry } from './archive.js'
+
+export const MANIFEST_FILE_NAME = 'upgrade-manifest.json'
+
+// 清单文件大小上限，与设备端一致
+const MAX_MANIFEST_BYTES = 64 * 1024
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([\dA-Za-z.-]+))?(?:\+[\dA-Za-z.-]+)?$/
+
+/**
+ * 比较两个语义化版本号（忽略 v 前缀与构建元数据）
+ * @returns {number|null} a<b 为负数，相等为 0，a>b 为正数；任一版本无法解析时返回 null
+ */
+function compareVersions(a, b) {
+  const left = VERSION_PATTERN.exec(String(a || '').trim())
+  const right = VERSION_PATTERN.exec(String(b || '').trim())
+  if (!left || !right) return null
+
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(left[i]) - Number(right[i])
+    if (diff !== 0) return diff
+  }
+
+  // 预发布版本低于对应的正式版本
+  if (left[4] === right[4]) return 0
+  if (!left[4]) return 1
+  if (!right[4]) return -1
+  return left[4] < right[4] ? -1 : 1
+}
+
+function normalizeList(value, field) {
+  if (value == null) return null
+
+  const items = Array.isArray(value) ? value : [value]
+  if (items.length === 0 || items.some((item) => typeof item !== 'string' || item.trim().length === 0)) {
+    throw new Error(`${MANIFEST_FILE_NAME} 中 ${field} 必须是非空字符串或字符串数组`)
+  }
+
+  return items.map((item) => item.trim().toLowerCase())
+}
+
+/**
+ * 校验并提取清单中服务端关心的声明字段
+ * @param {Object} manifest - 已解析的清单对象
+ * @returns {Object} { project, version, platform, arch, minAgentVersion, requiredDiskSpace }
+ */
+export function normalizeManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`${MANIFEST_FILE_NAME} 必须是 JSON 对象`)
+  }
+
+  const { project = null, version = null, minAgentVersion = null, requiredDiskSpace = null } = manifest
+
+  if (project != null && typeof project !== 'string') {
+    throw new Error(`${MANIFEST_FILE_NAME} 中 project 必须是字符串`)
+  }
+
+  for (const [field, value] of Object.entries({ version, minAgentVersion })) {
+    if (value != null && (typeof value !== 'string' || !VERSION_PATTERN.test(value.trim()))) {
+      throw new Error(`${MANIFEST_FILE_NAME} 中 ${field} 不是合法的版本号: ${value}`)
+    }
+  }
+
+  if (requiredDiskSpace != null && !(Number.isSafeInteger(requiredDiskSpace) && requiredDiskSpace >= 0)) {
+    throw new Error(`${MANIFEST_FILE_NAME} 中 requiredDiskSpace 必须是非负整数（字节）`)
+  }
+
+  return {
+    project,
+    version: version ? version.trim() : null,
+    platform: normalizeList(manifest.platform, 'platform'),
+    arch: normalizeList(manifest.arch, 'arch'),
+    minAgentVersion: minAgentVersion ? minAgentVersion.trim() : null,
+    requiredDiskSpace
+  }
+}
+
+/**
+ * 从上传的压缩包中读取清单
+ * @param {Buffer} buffer - 压缩包内容
+ * @param {string} format - ARCHIVE_FORMATS 中的格式
+ * @returns {Promise<Object|null>} 包内没有清单时返回 null，清单无效时抛错
+ */
+export async function readPackageManifest(buffer, format) {
+  const content = await readArchiveEntry(buffer, format, MANIFEST_FILE_NAME, { maxBytes: MAX_MANIFEST_BYTES })
+  if (!content) return null
+
+  let manifest
+  try {
+    manifest = JSON.parse(content.toString('utf8'))
+  } catch (error) {
+    throw new Error(`${MANIFEST_FILE_NAME} 不是有效的 JSON: ${error.message}`)
+  }
+
+  return normalizeManifest(manifest)
+}
+
+/**
+ * 检查设备是否满足清单声明的约束
+ *
+ * 设备未上报某项信息时视为不满足，避免把包下发到无法确认兼容的设备；
+ * 设备不上报磁盘空间，requiredDiskSpace 由设备端在改动磁盘前检查。
+ *
+ * @param {Object|null} manifest - normalizeManifest() 的结果
+ * @param {Object} deviceInfo - 设备注册信息 { system, agent }
+ * @returns {Array<{constraint: string, expected: *, actual: *, message: string}>} 不满足的约束，兼容时为空数组
+ */
+export function checkManifestCompatibility(manifest, deviceInfo) {
+  if (!manifest) return []
+
+  const problems = []
+  const platform = deviceInfo?.system?.platform
+  const arch = deviceInfo?.system?.arch
+  const agentVersion = deviceInfo?.agent?.agentVersion
+
+  if (manifest.platform && !manifest.platform.includes(String(platform || '').toLowerCase())) {
+    problems.push({
+      constraint: 'platform',
+      expected: manifest.platform,
+      actual: platform || null,
+      message: `平台 ${platform || '未上报'} 不在支持列表 ${manifest.platform.join('/')} 中`
+    })
+  }
+
+  if (manifest.arch && !manifest.arch.includes(String(arch || '').toLowerCase())) {
+    problems.push({
+      constraint: 'arch',
+      expected: manifest.arch,
+      actual: arch || null,
+      message: `架构 ${arch || '未上报'} 不在支持列表 ${manifest.arch.join('/')} 中`
+    })
+  }
+
+  if (manifest.minAgentVersion) {
+    const diff = compareVersions(agentVersion, manifest.minAgentVersion)
+    if (diff === null || diff < 0) {
+      problems.push({
+        constraint: 'minAgentVersion',
+        expected: manifest.minAgentVersion,
+        actual: agentVersion || null,
+        message: `Agent 版本 ${agentVersion || '未上报'} 低于要求的 ${manifest.minAgentVersion}`
+      })
+    }
+  }
+
+  return problems
+}
@@ -0,0 +1,109 @@
+// 中文注释：升级包签名（Ed25519），设备端用固定配置的公钥校验包内容的 SHA-256 与来源
+import crypto from 'node:crypto'
+import fs from 'fs-extra'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const SIGNATURE_ALGORITHM = 'ed25519'
+
+// 签名内容的格式版本，与设备端 utils/packageSignature.js 保持一致
+const PAYLOAD_VERSION = 'upgrade-package-signature/v1'
+
+const DEFAULT_KEY_PATH = path.join(__dirname, '../../config/package-signing-key.pem')
+
+let signingKeyPromise = null
+
+/**
+ * 构造签名内容：资源类型、项目、文件名、大小与 SHA-256 一起签名，
+ * 签过名的包不能被换成其他项目或文件名下发
+ * @param {Object} info - { resource, project, fileName, fileSize, sha256 }
+ * @returns {Buffer}
+ */
+export function buildSignaturePayload({ resource, project, fileName, fileSize, sha256 }) {
+  return Buffer.from([PAYLOAD_VERSION, resource, project, fileName, String(fileSize), sha256].join('\n'), 'utf8')
+}
+
+async function loadSigningKey() {
+  const keyPath = path.resolve(process.env.PACKAGE_SIGNING_KEY_PATH || DEFAULT_KEY_PATH)
+
+  let privateKey
+  if (await fs.pathExists(keyPath)) {
+    privateKey = crypto.createPrivateKey(await fs.readFile(keyPath, 'utf8'))
+    if (privateKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+      throw new Error(`签名私钥不是 Ed25519 密钥: ${keyPath}`)
+    }
+  } else {
+    // 首次启动时生成密钥对，私钥只保存在服务端
+    const pair = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM)
+    privateKey = pair.privateKey
+    await fs.ensureDir(path.dirname(keyPath))
+    await fs.writeFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 })
+    console.log(`🔑 已生成升级包签名密钥: ${keyPath}`)
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey)
+  const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' })
+
+  return {
+    privateKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    publicKeyBase64: publicKeyDer.toString('base64'),
+    keyId: crypto.createHash('sha256').update(publicKeyDer).digest('hex').slice(0, 16)
+  }
+}
+
+/**
+ * 获取签名密钥（进程内只加载一次，加载失败时下次调用重试）
+ */
+function getSigningKey() {
+  signingKeyPromise ||= loadSigningKey().catch((error) => {
+    signingKeyPromise = null
+    throw error
+  })
+  return signingKeyPromise
+}
+
+/**
+ * 获取签名公钥，供配置到设备端
+ * @returns {Promise<{algorithm: string, keyId: string, publicKey: string, pem: string}>}
+ */
+export async function getSigningPublicKey() {
+  const key = await getSigningKey()
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: key.keyId,
+    publicKey: key.publicKeyBase64,
+    pem: key.publicKeyPem
+  }
+}
+
+/**
+ * 对包签名
+ * @param {Object} info - { resource: 'packages' | 'deltas', project, fileName, fileSize, sha256 }
+ * @returns {Promise<Object>} { algorithm, keyId, value（Base64）, signedAt }
+ */
+export async function signPackage(info) {
+  const key = await getSigningKey()
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: key.keyId,
+    value: crypto.sign(null, buildSignaturePayload(info), key.privateKey).toString('base64'),
+    signedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * 判断记录中的签名是否仍然有效（由当前密钥签发，且大小与文件一致）
+ * 旧记录没有签名、更换密钥或文件被替换后需要重新签名
+ */
+export async function isSignatureCurrent(record, fileSize) {
+  if (!record?.fileSHA256 || !record.signature?.value || record.fileSize !== fileSize) {
+    return false
+  }
+
+  const key = await getSigningKey()
+  return record.signature.algorithm === SIGNATURE_ALGORITHM && record.signature.keyId === key.keyId
+}
@@ -9,6 +9,9 @@ export * as deviceApi from './modules/deviceApi.js'
 // 包管理 API
 export * as packageApi from './modules/packageApi.js'
 
+// 项目注册表 API
+export * as projectApi from './modules/projectApi.js'
+
 // 上传管理 API
 export * as uploadApi from './modules/uploadApi.js'
 
@@ -6,9 +6,14 @@ import request from '../request.js'
  * @param {Object} data - 升级任务参数
  * @param {string[]} data.deviceIds - 设备ID列表
  * @param {string} data.packageFileName - 升级包文件名
- * @param {string} data.project - 项目类型 (frontend/backend)
+ * @param {string} data.project - 项目名称（须已在项目注册表中）
  * @param {string} [data.deployPath] - 自定义部署路径，可选
  * @param {string[]} [data.preservedPaths] - 升级时需要保护的文件或目录
+ * @param {boolean} [data.dryRun] - 仅预览部署影响，不改动设备
+ * @param {boolean} [data.preflightOnly] - 仅执行升级前置检查（磁盘空间、写权限、被占用的文件），不下载升级包
+ * @param {string[]} [data.seedDeviceIds] - 局域网分发的种子设备，每个网段最多一台
+ * @param {boolean} [data.autoSeed] - 为其余网段自动选择种子设备
+ * @param {string} [data.queueUntil] - 离线设备排队截止时间（ISO），设备在此之前上线时下发升级命令
  * @returns {Promise<Object>} 任务创建结果
  */
 export function createBatchUpgrade(data) {
@@ -19,13 +24,26 @@ export function createBatchUpgrade(data) {
  * 创建批量回滚任务
  * @param {Object} data - 回滚任务参数
  * @param {string[]} data.deviceIds - 设备ID列表
- * @param {string} data.project - 项目类型 (frontend/backend)
+ * @param {string} data.project - 项目名称（须已在项目注册表中）
+ * @param {string} [data.queueUntil] - 离线设备排队截止时间（ISO），设备在此之前上线时下发回滚命令
  * @returns {Promise<Object>} 任务创建结果
  */
 export function createBatchRollback(data) {
   return request.post('/api/batch/rollback', data)
 }
 
+/**
+ * 创建代理自升级任务（单台设备也使用此接口）
+ * @param {Object} data - 升级任务参数
+ * @param {string[]} data.deviceIds - 设备ID列表
+ * @param {string} data.packageFileName - device-agent 项目下的升级包文件名
+ * @param {string} [data.sessionId] - 会话ID，用于进度追踪
+ * @returns {Promise<Object>} 任务创建结果
+ */
+export function createAgentUpgrade(data) {
+  return request.post('/api/batch/agent-upgrade', data)
+}
+
 /**
  * 获取批量任务列表
  * @param {Object} params - 查询参数
@@ -57,6 +75,16 @@ export function cancelBatchTask(taskId) {
   return request.delete(`/api/batch/tasks/${taskId}`)
 }
 
+/**
+ * 取消任务中单个设备的操作
+ * @param {string} taskId - 任务ID
+ * @param {string} deviceId - 设备ID
+ * @returns {Promise<Object>} 取消结果
+ */
+export function cancelBatchTaskDevice(taskId, deviceId) {
+  return request.post(`/api/batch/tasks/${taskId}/devices/${deviceId}/cancel`)
+}
+
 /**
  * 重试失败的设备
  * @param {string} taskId - 任务ID
@@ -81,6 +109,7 @@ export default {
   getBatchTasks,
   getBatchTask,
   cancelBatchTask,
+  cancelBatchTaskDevice,
   retryFailedDevices,
   getBatchTaskStats
 }
@@ -1,3 +1,4 @@
+import { BASE_URL } from '../config.js'
 import request from '../request.js'
 
 /**
@@ -70,6 +71,53 @@ export const rollbackDeviceCommand = (deviceId, projectOrOptions) => {
   })
 }
 
+// 取消设备进行中的升级/回滚（在设备的下一个安全点中止）
+export const cancelDeviceOperation = (deviceId) => {
+  return request.post(`/devices/${deviceId}/cancel`)
+}
+
+// 获取设备上某个项目的备份列表（设备需逐个校验备份完整性，耗时较长）
+export const getDeviceBackups = (deviceId, project) => {
+  return request.get(`/versions/${deviceId}/backups`, { project }, { timeout: 120_000 })
+}
+
+// 删除设备上的指定备份
+export const deleteDeviceBackup = (deviceId, project, backupId) => {
+  return request.delete(`/versions/${deviceId}/backups/${encodeURIComponent(backupId)}`, undefined, {
+    params: { project }
+  })
+}
+
+// 按部署清单校验设备上的部署文件（不传 project 时校验全部项目，设备需重新计算哈希，耗时较长）
+export const verifyDevice = (deviceId, project) => {
+  return request.post(`/versions/${deviceId}/verify`, project ? { project } : {}, { timeout: 300_000 })
+}
+
+// 预下载升级包到设备缓存（设备在后台下载，结果随心跳更新到设备的 packageCache）
+export const prefetchPackage = (deviceIds, project, fileName) => {
+  return request.post('/devices/prefetch', { deviceIds, project, fileName }, { timeout: 60_000 })
+}
+
+// 让设备收集诊断包（设备确认开始后返回，收集完成后设备自行上传）
+export const collectDeviceDiagnostics = (deviceId) => {
+  return request.post(`/devices/${deviceId}/diagnostics`)
+}
+
+// 获取设备的诊断包列表
+export const getDeviceDiagnostics = (deviceId) => {
+  return request.get(`/devices/${deviceId}/diagnostics`)
+}
+
+// 删除诊断包
+export const deleteDeviceDiagnostics = (deviceId, bundleId) => {
+  return request.delete(`/devices/${deviceId}/diagnostics/${bundleId}`)
+}
+
+// 诊断包下载地址（浏览器直接下载，不经过 axios 缓存整个文件）
+export const getDiagnosticsDownloadUrl = (deviceId, bundleId) => {
+  return `${BASE_URL}/devices/${encodeURIComponent(deviceId)}/diagnostics/${bundleId}/download`
+}
+
 // 重启设备服务
 export const restartDevice = (deviceId, service = 'all') => {
   return request.post(`/devices/${deviceId}/command`, {
@@ -0,0 +1,31 @@
+import request from '../request.js'
+
+/**
+ * 项目注册表相关 API
+ * 基于实际的后端接口：/projects, /projects/:name
+ */
+
+// 获取项目列表
+export const getProjectList = () => {
+  return request.get('/projects')
+}
+
+// 获取项目详情
+export const getProjectDetail = (name) => {
+  return request.get(`/projects/${name}`)
+}
+
+// 注册项目
+export const createProject = (data) => {
+  return request.post('/projects', data)
+}
+
+// 更新项目
+export const updateProject = (name, data) => {
+  return request.put(`/projects/${name}`, data)
+}
+
+// 删除项目
+export const deleteProject = (name) => {
+  return request.delete(`/projects/${name}`)
+}
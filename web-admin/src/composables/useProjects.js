@@ -0,0 +1,77 @@
+import { computed, ref } from 'vue'
+import { projectApi } from '@/api'
+
+// 项目列表在各页面间共享，首次使用时加载
+const projects = ref([])
+const loading = ref(false)
+let loadingPromise = null
+
+// 存放设备端代理升级包的内置项目，只能通过代理自升级下发，不能回滚
+export const AGENT_PROJECT = 'device-agent'
+
+// 内置项目的显示颜色，其余项目按名称轮换
+const BUILT_IN_COLORS = { frontend: 'blue', backend: 'green', [AGENT_PROJECT]: 'red' }
+const PROJECT_COLORS = ['purple', 'orange', 'cyan', 'magenta', 'geekblue', 'gold']
+
+export function useProjects() {
+  /** 加载项目注册表，force 为 true 时忽略已加载的数据 */
+  const loadProjects = async (force = false) => {
+    if (loadingPromise) return loadingPromise
+    if (projects.value.length > 0 && !force) return projects.value
+
+    loading.value = true
+    loadingPromise = projectApi
+      .getProjectList()
+      .then((response) => {
+        projects.value = response.projects || []
+        return projects.value
+      })
+      .catch((error) => {
+        console.error('获取项目列表失败:', error)
+        return projects.value
+      })
+      .finally(() => {
+        loading.value = false
+        loadingPromise = null
+      })
+
+    return loadingPromise
+  }
+
+  const toOption = (project) => ({
+    label: project.description ? `${project.description}（${project.name}）` : project.name,
+    value: project.name
+  })
+
+  const projectOptions = computed(() => projects.value.map(toOption))
+
+  /** 设备上部署的项目（不含代理自升级项目），用于回滚等只针对部署项目的操作 */
+  const deployableProjectOptions = computed(() =>
+    projects.value.filter((project) => !isAgentProject(project.name)).map(toOption)
+  )
+
+  const isAgentProject = (name) => name === AGENT_PROJECT
+
+  const getProject = (name) => projects.value.find((project) => project.name === name) || null
+
+  /** 项目显示名称：优先使用注册时的说明 */
+  const getProjectLabel = (name) => getProject(name)?.description || name || '-'
+
+  const getProjectColor = (name) => {
+    if (BUILT_IN_COLORS[name]) return BUILT_IN_COLORS[name]
+    const index = projects.value.filter((project) => !project.builtIn).findIndex((project) => project.name === name)
+    return PROJECT_COLORS[Math.max(index, 0) % PROJECT_COLORS.length]
+  }
+
+  return {
+    projects,
+    loading,
+    projectOptions,
+    deployableProjectOptions,
+    loadProjects,
+    isAgentProject,
+    getProject,
+    getProjectLabel,
+    getProjectColor
+  }
+}
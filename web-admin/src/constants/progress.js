@@ -10,10 +10,12 @@ export const PROGRESS_STEPS = {
   DOWNLOADING: 'downloading',
   EXTRACTING: 'extracting',
   DEPLOYING: 'deploying',
+  RESTARTING: 'restarting',
   VERIFYING: 'verifying',
   CLEANING: 'cleaning',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 }
 
 // 步骤显示名称映射
@@ -24,10 +26,12 @@ export const STEP_LABELS = {
   [PROGRESS_STEPS.DOWNLOADING]: '下载升级包',
   [PROGRESS_STEPS.EXTRACTING]: '解压升级包',
   [PROGRESS_STEPS.DEPLOYING]: '部署新版本',
+  [PROGRESS_STEPS.RESTARTING]: '重启服务',
   [PROGRESS_STEPS.VERIFYING]: '验证部署结果',
   [PROGRESS_STEPS.CLEANING]: '清理临时文件',
   [PROGRESS_STEPS.COMPLETED]: '操作完成',
-  [PROGRESS_STEPS.FAILED]: '操作失败'
+  [PROGRESS_STEPS.FAILED]: '操作失败',
+  [PROGRESS_STEPS.CANCELLED]: '操作已取消'
 }
 
 // 步骤顺序定义（用于计算整体进度）
@@ -38,6 +42,7 @@ export const STEP_ORDER = [
   PROGRESS_STEPS.DOWNLOADING,
   PROGRESS_STEPS.EXTRACTING,
   PROGRESS_STEPS.DEPLOYING,
+  PROGRESS_STEPS.RESTARTING,
   PROGRESS_STEPS.VERIFYING,
   PROGRESS_STEPS.CLEANING,
   PROGRESS_STEPS.COMPLETED
@@ -1,7 +1,7 @@
 /**
  * 从设备列表中解析指定项目的部署路径
  * @param {Array} devices - 设备列表
- * @param {string} project - 项目类型 frontend/backend
+ * @param {string} project - 项目名称
  * @returns {string|null}
  */
 export function resolveDeviceDeployPath(devices, project) {
@@ -10,7 +10,7 @@ export function resolveDeviceDeployPath(devices, project) {
   if (!primary || !primary.deviceId) return null
 
   const deployPaths = primary?.deploy?.currentDeployPaths || primary?.deployInfo?.deployPaths || {}
-  const fallback = project === 'frontend' ? primary?.frontendDeployPath : primary?.backendDeployPath
+  const fallback = primary?.deployInfo?.projects?.[project]?.deployPath
 
   const candidates = [deployPaths?.[project], fallback]
   for (const candidate of candidates) {
@@ -25,7 +25,7 @@ export function resolveDeviceDeployPath(devices, project) {
 /**
  * 从设备列表中解析指定项目的保护文件白名单
  * @param {Array} devices - 设备列表
- * @param {string} project - 项目类型 frontend/backend
+ * @param {string} project - 项目名称
  * @returns {string[]}
  */
 export function resolveDevicePreservedPaths(devices, project) {
@@ -40,8 +40,8 @@ export function resolveDevicePreservedPaths(devices, project) {
 }
 
 /**
- * 从环境变量获取项目的保护文件配置
- * @param {'frontend'|'backend'} project - 项目类型
+ * 从环境变量获取项目的保护文件配置（仅内置的 frontend/backend 项目支持）
+ * @param {string} project - 项目名称
  * @returns {string[]} 保护文件路径数组
  */
 export function getEnvPreservedPaths(project) {
@@ -73,7 +73,7 @@ export function getEnvPreservedPaths(project) {
 /**
  * 合并保护文件配置
  * 优先级：后端数据 > 环境变量配置
- * @param {'frontend'|'backend'} project - 项目类型
+ * @param {string} project - 项目名称
  * @param {string[]} [backendPaths] - 后端返回的保护文件配置
  * @returns {string[]} 最终的保护文件配置
  */
@@ -97,7 +97,7 @@ export function getMergedPreservedPaths(project, backendPaths = null) {
 
 /**
  * 检查是否有保护文件配置
- * @param {'frontend'|'backend'} project - 项目类型
+ * @param {string} project - 项目名称
  * @param {string[]} [backendPaths] - 后端返回的保护文件配置
  * @returns {boolean} 是否有配置
  */
@@ -108,7 +108,7 @@ export function hasPreservedPathsConfig(project, backendPaths = null) {
 
 /**
  * 获取保护文件配置的来源说明
- * @param {'frontend'|'backend'} project - 项目类型
+ * @param {string} project - 项目名称
  * @param {string[]} [backendPaths] - 后端返回的保护文件配置
  * @returns {string} 配置来源说明
  */
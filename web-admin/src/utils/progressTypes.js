@@ -193,6 +193,7 @@ export function estimateRemainingTime(operationType, currentStep) {
     [PROGRESS_STEPS.DOWNLOADING]: 60000,
     [PROGRESS_STEPS.EXTRACTING]: 20000,
     [PROGRESS_STEPS.DEPLOYING]: 40000,
+    [PROGRESS_STEPS.RESTARTING]: 20000,
     [PROGRESS_STEPS.VERIFYING]: 15000,
     [PROGRESS_STEPS.CLEANING]: 5000
   }